@@ -6,6 +6,7 @@ import rateLimit from "express-rate-limit";
 import config from "./config/index.js";
 import logger from "./middlewares/logger.js";
 import { writeLog } from "./middlewares/logger.js";
+import { createRateLimitStore } from "./utils/rateLimitStore.js";
 
 // Импорт роутов
 import apiRoutes from "./routes/index.js";
@@ -80,6 +81,10 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Общий счетчик для всех процессов PM2 при RATE_LIMIT_STORE=mongo
+  store: createRateLimitStore("general"),
+  // Недоступность общего store не должна блокировать запросы
+  passOnStoreError: true,
   handler: (req, res) => {
     const clientIP = req.ip || req.connection.remoteAddress || "unknown";
     writeLog("WARN", `Rate limit exceeded for IP: ${clientIP} on ${req.path}`);
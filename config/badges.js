@@ -0,0 +1,48 @@
+// config/badges.js
+import { BADGE_CRITERIA, DEFAULT_CATEGORIES } from "../utils/constants.js";
+
+export const badgeConfig = {
+  // Определения значков. code хранится в UserBadge, поэтому его нельзя менять
+  // после выдачи значка; name/description/icon можно править свободно
+  definitions: [
+    {
+      code: "first_accepted_answer",
+      name: "Prvá prijatá odpoveď",
+      description: "Autor otázky prijal vašu odpoveď ako najlepšiu",
+      icon: "check-circle",
+      criteria: { type: BADGE_CRITERIA.ACCEPTED_ANSWERS, threshold: 1 },
+    },
+    {
+      code: "accepted_answers_10",
+      name: "Spoľahlivý poradca",
+      description: "10 prijatých odpovedí",
+      icon: "award",
+      criteria: { type: BADGE_CRITERIA.ACCEPTED_ANSWERS, threshold: 10 },
+    },
+    {
+      code: "approved_answers_50",
+      name: "Aktívny expert",
+      description: "50 schválených odpovedí",
+      icon: "message-square",
+      criteria: { type: BADGE_CRITERIA.APPROVED_ANSWERS, threshold: 50 },
+    },
+    {
+      code: "likes_received_100",
+      name: "Obľúbený autor",
+      description: "100 lajkov na vaše otázky a odpovede",
+      icon: "heart",
+      criteria: { type: BADGE_CRITERIA.LIKES_RECEIVED, threshold: 100 },
+    },
+    {
+      code: "loans_answers_10",
+      name: "Expert na pôžičky",
+      description: "10 schválených odpovedí v kategórii Pôžičky",
+      icon: "briefcase",
+      criteria: {
+        type: BADGE_CRITERIA.CATEGORY_ANSWERS,
+        threshold: 10,
+        category: DEFAULT_CATEGORIES.LOANS,
+      },
+    },
+  ],
+};
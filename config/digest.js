@@ -0,0 +1,24 @@
+// config/digest.js
+
+export const digestConfig = {
+  // Тип шаблона email микросервиса
+  emailTemplate: "digest",
+
+  // Максимум элементов в каждом разделе письма
+  maxItemsPerSection: 10,
+
+  // Минимальный интервал между дайджестами одному пользователю (доля периода).
+  // Повторная отправка раньше - это параллельный запуск на другом экземпляре
+  minIntervalRatio: 0.5,
+
+  // Настройки cron задач
+  cron: {
+    // Ежедневный дайджест: каждый день в 07:00
+    dailySchedule: "0 7 * * *",
+    // Еженедельный дайджест: каждый понедельник в 07:00
+    weeklySchedule: "0 7 * * 1",
+    timezone: "Europe/Bratislava",
+    // Запускать сразу при старте сервера
+    runOnStart: false,
+  },
+};
@@ -0,0 +1,37 @@
+// config/emailOutbox.js
+
+export const emailOutboxConfig = {
+  // Шаблон и компания по умолчанию для email микросервиса
+  defaultCompanyName: "FastCredit",
+
+  // Сколько писем обрабатывать за один запуск
+  batchSize: 50,
+
+  // Повторные попытки с экспоненциальной задержкой
+  retry: {
+    // Максимум попыток, после чего письмо уходит в dead-letter
+    maxAttempts: 6,
+    // Первая задержка: 1 минута, далее 2, 4, 8... минут
+    baseDelayMs: 60 * 1000,
+    // Максимальная задержка между попытками: 6 часов
+    maxDelayMs: 6 * 60 * 60 * 1000,
+  },
+
+  // Письмо в статусе processing дольше этого времени считается зависшим
+  lockTimeoutMs: 10 * 60 * 1000,
+
+  // Ожидающее письмо, не отправленное за это время, считается застрявшим
+  stuckAfterMs: 60 * 60 * 1000,
+
+  // Сколько дней хранить отправленные письма
+  sentRetentionDays: 30,
+
+  // Настройки cron задачи
+  cron: {
+    // Каждую минуту
+    schedule: "* * * * *",
+    timezone: "Europe/Bratislava",
+    // Запускать сразу при старте сервера
+    runOnStart: true,
+  },
+};
@@ -28,6 +28,8 @@ const config = {
   // Rate Limiting
   RATE_LIMIT: {
     WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 3600000, // 1 час
+    // Хранилище счетчиков: "memory" - в процессе, "mongo" - общее для процессов PM2
+    STORE: process.env.RATE_LIMIT_STORE || "memory",
     USER: {
       QUESTIONS: 5,
       COMMENTS: 30,
@@ -44,6 +46,15 @@ const config = {
     ADMIN: {
       API_REQUESTS: 5000, // админы без ограничений на основные действия
     },
+    // Политики лимитов из БД перечитываются не чаще, чем раз в минуту
+    POLICY_CACHE_TTL_MS: 60000,
+    // Временное увеличение лимитов, выданное админом
+    GRANTS: {
+      MAX_MULTIPLIER: 10,
+      MAX_DURATION_HOURS: 720, // 30 дней
+      CACHE_TTL_MS: 30000, // кэш множителей в лимитерах
+      CACHE_MAX_ENTRIES: 10000, // предел размера кэша множителей
+    },
   },
 
   // Content Validation
@@ -67,6 +78,68 @@ const config = {
     },
   },
 
+  // Очки репутации за события (REPUTATION_EVENTS)
+  REPUTATION: {
+    POINTS: {
+      question_liked: 2,
+      answer_liked: 5,
+      answer_accepted: 10,
+      answer_approved: 2,
+      report_upheld: -20, // штраф автору контента по подтвержденной жалобе
+    },
+  },
+
+  // Заявки на роль эксперта
+  EXPERT_APPLICATION: {
+    MIN_ACCOUNT_AGE_DAYS: 30,
+    MIN_RATING: 20, // минимальная репутация заявителя (по журналу репутации)
+    REAPPLY_COOLDOWN_DAYS: 30, // повторная заявка после отказа
+  },
+
+  // Поиск дубликатов при создании вопроса (по текстовому индексу)
+  QUESTION_DUPLICATES: {
+    MIN_TEXT_SCORE: 15, // примерно два и более общих слова в заголовке
+    MAX_CANDIDATES: 5,
+  },
+
+  // Рейтинг экспертов
+  LEADERBOARD: {
+    CACHE_TTL_MS: 600000, // 10 минут
+    MAX_ENTRIES: 100, // размер рейтинга в кэше
+  },
+
+  // Меры по жалобам
+  REPORTS: {
+    DEFAULT_BAN_DAYS: 7, // временный бан, если срок не указан
+    MAX_BAN_DAYS: 365,
+    // Автоскрытие контента по жалобам разных пользователей
+    AUTO_HIDE: {
+      // Порог суммарного веса жалоб по REPORT_TARGET_TYPES
+      THRESHOLDS: {
+        question: 5,
+        answer: 3,
+        comment: 3,
+      },
+      MIN_ESTABLISHED_REPORTERS: 2, // защита от накрутки новыми аккаунтами
+      NEW_ACCOUNT_DAYS: 7, // моложе - жалоба считается с пониженным весом
+      NEW_ACCOUNT_WEIGHT: 0.25,
+      RATING_PER_EXTRA_WEIGHT: 100, // +1 к весу за каждые 100 очков репутации
+      MAX_WEIGHT: 2,
+    },
+    // Точность автора жалоб (доля подтвержденных среди решенных)
+    REPORTER_TRUST: {
+      MIN_CLOSED_REPORTS: 5, // до этого точность не оценивается
+      LOW_ACCURACY: 0.3,
+      LOW_ACCURACY_DAILY_LIMIT: 3, // жалоб в сутки при низкой точности
+    },
+  },
+
+  // Единая очередь модерации
+  MODERATION_QUEUE: {
+    CLAIM_TTL_MINUTES: 15, // захват элемента модератором истекает сам
+    MAX_ITEMS_PER_SOURCE: 200, // сколько элементов каждого типа сортируется
+  },
+
   // Security
   BCRYPT_ROUNDS: 12,
 
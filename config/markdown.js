@@ -0,0 +1,33 @@
+// config/markdown.js
+
+export const markdownConfig = {
+  // Разрешенные HTML теги после рендеринга Markdown
+  allowedTags: [
+    "p",
+    "br",
+    "strong",
+    "em",
+    "del",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "h3",
+    "h4",
+    "a",
+  ],
+
+  // Разрешенные атрибуты по тегам
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    ol: ["start"],
+  },
+
+  // Разрешенные схемы ссылок
+  allowedSchemes: ["http", "https", "mailto"],
+
+  // Домены, ссылки на которые не получают rel="nofollow"
+  trustedDomains: ["fastcredit.sk"],
+};
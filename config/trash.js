@@ -0,0 +1,18 @@
+// config/trash.js
+
+export const trashConfig = {
+  // Сколько дней удаленный контент хранится в корзине до окончательного удаления
+  retentionDays: 30,
+
+  // Сколько объектов каждого типа удалять за один запуск
+  purgeBatchSize: 200,
+
+  // Настройки cron задачи
+  cron: {
+    // Каждый день в 03:30
+    schedule: "30 3 * * *",
+    timezone: "Europe/Bratislava",
+    // Запускать сразу при старте сервера
+    runOnStart: false,
+  },
+};
@@ -6,12 +6,34 @@ import userService from "../services/userService.js";
 import roleService from "../services/roleService.js";
 import spamDetectionService from "../services/spamDetectionService.js";
 import rateLimitService from "../services/rateLimitService.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import trashService from "../services/trashService.js";
+import moderationQueueService from "../services/moderationQueueService.js";
+import bulkModerationService from "../services/bulkModerationService.js";
+import {
+  processOutboxManual,
+  getEmailOutboxStatus,
+} from "../scripts/emailOutboxCron.js";
+import {
+  purgeTrashManual,
+  getTrashPurgeStatus,
+} from "../scripts/trashPurgeCron.js";
 import {
   formatResponse,
   getPaginationData,
   isValidObjectId,
 } from "../utils/helpers.js";
-import { QUESTION_STATUS } from "../utils/constants.js";
+import {
+  QUESTION_STATUS,
+  RATE_LIMIT_ACTIONS,
+  USER_ROLES,
+  TRASH_TARGET_TYPES,
+  MODERATION_ITEM_TYPES,
+  MODERATION_QUEUE_SORT,
+  BULK_MODERATION_ACTIONS,
+  BULK_MODERATION_TYPE_ACTIONS,
+  REPORT_ACTIONS,
+} from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
 
@@ -168,6 +190,12 @@ class AdminController {
       );
     }
 
+    await moderationQueueService.assertNotClaimedByOther(
+      MODERATION_ITEM_TYPES.QUESTION,
+      id,
+      adminId
+    );
+
     const updatedQuestion = await questionService.changeQuestionStatus(
       id,
       status,
@@ -409,27 +437,464 @@ class AdminController {
     );
   });
 
-  // Массовая модерация контента
-  bulkModerateContent = asyncHandler(async (req, res) => {
-    const { contentType, itemIds, action, comment } = req.body;
-    const moderatorId = req.user._id;
+  // Временные увеличения лимитов
+  getRateLimitGrants = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { userId, includeInactive } = req.query;
 
-    // Валидация типа контента
-    if (!contentType || !["answer", "comment"].includes(contentType)) {
+    if (userId && !isValidObjectId(userId)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný formát ID používateľa", {
+          type: "VALIDATION_ERROR",
+          field: "userId",
+        })
+      );
+    }
+
+    const grants = await rateLimitService.getLimitGrants({
+      page,
+      limit,
+      userId: userId || null,
+      includeInactive: includeInactive === "true",
+    });
+
+    res.json(formatResponse(true, grants, "Zvýšenia limitov boli získané"));
+  });
+
+  // Выдача временного увеличения лимитов
+  grantRateLimitIncrease = asyncHandler(async (req, res) => {
+    const {
+      userId,
+      multiplier = 2,
+      durationHours = 24,
+      action = null,
+      reason = null,
+    } = req.body;
+
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný formát ID používateľa", {
+          type: "VALIDATION_ERROR",
+          field: "userId",
+        })
+      );
+    }
+
+    if (typeof multiplier !== "number" || typeof durationHours !== "number") {
       return res.status(400).json(
         formatResponse(
           false,
           null,
-          "Podporovaná je iba moderácia odpovedí a komentárov.",
+          "Násobok a trvanie zvýšenia musia byť čísla",
           {
             type: "VALIDATION_ERROR",
-            field: "contentType",
-            allowedValues: ["answer", "comment"],
+            field:
+              typeof multiplier !== "number" ? "multiplier" : "durationHours",
           }
         )
       );
     }
 
+    if (
+      action !== null &&
+      !Object.values(RATE_LIMIT_ACTIONS).includes(action)
+    ) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatná akcia pre zvýšenie limitu", {
+          type: "VALIDATION_ERROR",
+          field: "action",
+        })
+      );
+    }
+
+    const grant = await rateLimitService.grantTemporaryLimitIncrease(
+      userId,
+      req.user._id,
+      multiplier,
+      durationHours,
+      { action, reason }
+    );
+
+    res
+      .status(201)
+      .json(
+        formatResponse(true, grant, "Dočasné zvýšenie limitu bolo udelené")
+      );
+  });
+
+  // Отзыв временного увеличения лимитов
+  revokeRateLimitGrant = asyncHandler(async (req, res) => {
+    const { grantId } = req.params;
+
+    const grant = await rateLimitService.revokeLimitGrant(
+      grantId,
+      req.user._id
+    );
+
+    res.json(formatResponse(true, grant, "Zvýšenie limitu bolo zrušené"));
+  });
+
+  // Политики лимитов по ролям и действиям
+  getRateLimitPolicies = asyncHandler(async (req, res) => {
+    const policies = await rateLimitService.getPolicies();
+
+    res.json(formatResponse(true, policies, "Politiky limitov boli získané"));
+  });
+
+  // Изменение политики лимита
+  updateRateLimitPolicy = asyncHandler(async (req, res) => {
+    const { role, action } = req.params;
+    const { limit, windowMs } = req.body;
+
+    if (!Object.values(USER_ROLES).includes(role)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatná rola", {
+          type: "VALIDATION_ERROR",
+          field: "role",
+        })
+      );
+    }
+
+    if (!Object.values(RATE_LIMIT_ACTIONS).includes(action)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatná akcia pre limit", {
+          type: "VALIDATION_ERROR",
+          field: "action",
+        })
+      );
+    }
+
+    if (limit === undefined && windowMs === undefined) {
+      return res.status(400).json(
+        formatResponse(false, null, "Zadajte limit alebo dĺžku okna", {
+          type: "VALIDATION_ERROR",
+          field: "limit",
+        })
+      );
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Limit musí byť nezáporné celé číslo", {
+          type: "VALIDATION_ERROR",
+          field: "limit",
+        })
+      );
+    }
+
+    if (
+      windowMs !== undefined &&
+      (!Number.isInteger(windowMs) || windowMs < 1000)
+    ) {
+      return res.status(400).json(
+        formatResponse(
+          false,
+          null,
+          "Dĺžka okna musí byť aspoň 1000 ms",
+          {
+            type: "VALIDATION_ERROR",
+            field: "windowMs",
+          }
+        )
+      );
+    }
+
+    const policy = await rateLimitService.updatePolicy(
+      role,
+      action,
+      { limit, windowMs },
+      req.user._id
+    );
+
+    res.json(formatResponse(true, policy, "Politika limitu bola uložená"));
+  });
+
+  // Возврат политики лимита к значениям по умолчанию
+  resetRateLimitPolicy = asyncHandler(async (req, res) => {
+    const { role, action } = req.params;
+
+    const policy = await rateLimitService.resetPolicy(
+      role,
+      action,
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        policy,
+        "Politika limitu bola obnovená na predvolené hodnoty"
+      )
+    );
+  });
+
+  // Застрявшие письма в очереди отправки
+  getStuckEmails = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { status } = req.query;
+
+    const options = {
+      page,
+      limit,
+      status: emailOutboxService.getStuckStatuses().includes(status)
+        ? status
+        : null,
+    };
+
+    const messages = await emailOutboxService.getStuckMessages(options);
+
+    res.json(
+      formatResponse(true, messages, "Zaseknuté emaily boli získané")
+    );
+  });
+
+  // Статистика очереди писем
+  getEmailOutboxStatistics = asyncHandler(async (req, res) => {
+    const statistics = await emailOutboxService.getStatistics();
+
+    res.json(
+      formatResponse(
+        true,
+        { ...statistics, worker: getEmailOutboxStatus() },
+        "Štatistiky emailovej fronty boli získané"
+      )
+    );
+  });
+
+  // Повторная отправка письма из очереди
+  retryEmail = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const adminId = req.user._id;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný formát ID správy", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    const message = await emailOutboxService.retryMessage(id, adminId);
+
+    res.json(
+      formatResponse(true, message, "Email bol znovu zaradený do fronty")
+    );
+  });
+
+  // Ручной запуск обработки очереди писем
+  processEmailOutbox = asyncHandler(async (req, res) => {
+    const result = await processOutboxManual();
+
+    logUserAction(
+      req.user._id,
+      "EMAIL_OUTBOX_PROCESSED_MANUALLY",
+      `Processed ${result?.processed || 0} outbox messages`
+    );
+
+    res.json(
+      formatResponse(true, result || null, "Emailová fronta bola spracovaná")
+    );
+  });
+
+  // Корзина: удаленные вопросы, ответы или комментарии
+  getTrash = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { type = TRASH_TARGET_TYPES.QUESTION } = req.query;
+
+    if (!Object.values(TRASH_TARGET_TYPES).includes(type)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný typ obsahu", {
+          type: "VALIDATION_ERROR",
+          field: "type",
+          allowedValues: Object.values(TRASH_TARGET_TYPES),
+        })
+      );
+    }
+
+    const trash = await trashService.getTrash(type, { page, limit });
+
+    res.json(
+      formatResponse(
+        true,
+        { ...trash, worker: getTrashPurgeStatus() },
+        "Obsah koša bol získaný"
+      )
+    );
+  });
+
+  // Восстановление объекта из корзины
+  restoreFromTrash = asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+    const adminId = req.user._id;
+
+    if (!Object.values(TRASH_TARGET_TYPES).includes(type)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný typ obsahu", {
+          type: "VALIDATION_ERROR",
+          field: "type",
+          allowedValues: Object.values(TRASH_TARGET_TYPES),
+        })
+      );
+    }
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný formát ID", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    const restored = await trashService.restore(type, id, adminId);
+
+    res.json(formatResponse(true, restored, "Obsah bol obnovený z koša"));
+  });
+
+  // Ручной запуск очистки корзины
+  purgeTrash = asyncHandler(async (req, res) => {
+    const result = await purgeTrashManual();
+
+    logUserAction(
+      req.user._id,
+      "TRASH_PURGED_MANUALLY",
+      `Purged ${result?.total || 0} items from trash`
+    );
+
+    res.json(formatResponse(true, result || null, "Kôš bol vyčistený"));
+  });
+
+  // Единая очередь модерации (?type=&sortBy=age|riskScore|reportCount&sortOrder=)
+  getModerationQueue = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const {
+      type,
+      sortBy = MODERATION_QUEUE_SORT.AGE,
+      sortOrder = "desc",
+    } = req.query;
+
+    if (type && !Object.values(MODERATION_ITEM_TYPES).includes(type)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný typ položky", {
+          type: "VALIDATION_ERROR",
+          field: "type",
+          allowedValues: Object.values(MODERATION_ITEM_TYPES),
+        })
+      );
+    }
+
+    if (!Object.values(MODERATION_QUEUE_SORT).includes(sortBy)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatné zoradenie", {
+          type: "VALIDATION_ERROR",
+          field: "sortBy",
+          allowedValues: Object.values(MODERATION_QUEUE_SORT),
+        })
+      );
+    }
+
+    if (!["asc", "desc"].includes(sortOrder)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatné poradie zoradenia", {
+          type: "VALIDATION_ERROR",
+          field: "sortOrder",
+          allowedValues: ["asc", "desc"],
+        })
+      );
+    }
+
+    const queue = await moderationQueueService.getQueue({
+      page,
+      limit,
+      type,
+      sortBy,
+      sortOrder,
+    });
+
+    res.json(formatResponse(true, queue, "Front moderovania bol získaný"));
+  });
+
+  // Захват элемента очереди модерации
+  claimModerationItem = asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+
+    if (!Object.values(MODERATION_ITEM_TYPES).includes(type)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný typ položky", {
+          type: "VALIDATION_ERROR",
+          field: "type",
+          allowedValues: Object.values(MODERATION_ITEM_TYPES),
+        })
+      );
+    }
+
+    const claim = await moderationQueueService.claimItem(
+      type,
+      id,
+      req.user._id
+    );
+
+    res.json(formatResponse(true, claim, "Položka bola zablokovaná pre vás"));
+  });
+
+  // Снятие захвата элемента очереди модерации
+  releaseModerationItem = asyncHandler(async (req, res) => {
+    const { type, id } = req.params;
+
+    if (!Object.values(MODERATION_ITEM_TYPES).includes(type)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný typ položky", {
+          type: "VALIDATION_ERROR",
+          field: "type",
+          allowedValues: Object.values(MODERATION_ITEM_TYPES),
+        })
+      );
+    }
+
+    await moderationQueueService.releaseItem(type, id, req.user._id);
+
+    res.json(formatResponse(true, null, "Položka bola uvoľnená"));
+  });
+
+  // Массовая модерация контента (dryRun - только показать изменения)
+  bulkModerateContent = asyncHandler(async (req, res) => {
+    const {
+      contentType,
+      itemIds,
+      action,
+      comment,
+      category,
+      reportAction,
+      banDays,
+      dryRun,
+    } = req.body;
+    const moderatorId = req.user._id;
+    const contentTypes = Object.keys(BULK_MODERATION_TYPE_ACTIONS);
+
+    // Валидация типа контента
+    if (!contentType || !contentTypes.includes(contentType)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nepodporovaný typ obsahu.", {
+          type: "VALIDATION_ERROR",
+          field: "contentType",
+          allowedValues: contentTypes,
+        })
+      );
+    }
+
+    // Вопросы и жалобы модерируют только администраторы
+    if (
+      [MODERATION_ITEM_TYPES.QUESTION, MODERATION_ITEM_TYPES.REPORT].includes(
+        contentType
+      ) &&
+      req.user.role !== USER_ROLES.ADMIN
+    ) {
+      return res
+        .status(403)
+        .json(formatResponse(false, null, "Nedostatočné oprávnenia"));
+    }
+
     // Валидация списка ID
     if (!Array.isArray(itemIds) || itemIds.length === 0) {
       return res.status(400).json(
@@ -461,65 +926,74 @@ class AdminController {
       }
     }
 
-    // Валидация действия
-    if (!action || !["approve", "reject"].includes(action)) {
+    // Валидация действия для выбранного типа
+    const allowedActions = BULK_MODERATION_TYPE_ACTIONS[contentType];
+    if (!action || !allowedActions.includes(action)) {
       return res.status(400).json(
         formatResponse(
           false,
           null,
-          "Akcia musí byť schválená alebo zamietnutá.",
+          "Akcia nie je pre tento typ obsahu podporovaná.",
           {
             type: "VALIDATION_ERROR",
             field: "action",
-            allowedValues: ["approve", "reject"],
+            allowedValues: allowedActions,
           }
         )
       );
     }
 
-    const isApproved = action === "approve";
-    const results = [];
-    let successCount = 0;
-    let errorCount = 0;
+    if (action === BULK_MODERATION_ACTIONS.CHANGE_CATEGORY && !category) {
+      return res.status(400).json(
+        formatResponse(false, null, "Kategória je povinná", {
+          type: "VALIDATION_ERROR",
+          field: "category",
+        })
+      );
+    }
 
-    for (const itemId of itemIds) {
-      try {
-        if (contentType === "answer") {
-          await answerService.moderateAnswer(
-            itemId,
-            isApproved,
-            moderatorId,
-            comment
-          );
-        } else if (contentType === "comment") {
-          await commentService.moderateComment(itemId, isApproved, moderatorId);
-        }
-        results.push({ itemId, success: true });
-        successCount++;
-      } catch (error) {
-        results.push({ itemId, success: false, error: error.message });
-        errorCount++;
-      }
+    // Мера по жалобе; отклонение - отдельное действие dismiss
+    const reportActions = Object.values(REPORT_ACTIONS).filter(
+      (value) => value !== REPORT_ACTIONS.DISMISS
+    );
+    if (
+      action === BULK_MODERATION_ACTIONS.RESOLVE &&
+      !reportActions.includes(reportAction)
+    ) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatné opatrenie k sťažnosti", {
+          type: "VALIDATION_ERROR",
+          field: "reportAction",
+          allowedValues: reportActions,
+        })
+      );
     }
 
-    logUserAction(
+    const isDryRun = dryRun === true;
+
+    const result = await bulkModerationService.moderate(
+      contentType,
+      itemIds,
       moderatorId,
-      "BULK_CONTENT_MODERATION",
-      `Bulk moderated ${contentType}s: ${successCount} success, ${errorCount} errors`
+      {
+        action,
+        comment,
+        category,
+        reportAction,
+        banDays,
+        dryRun: isDryRun,
+      }
     );
 
+    const { changed, errors } = result.summary;
+
     res.json(
       formatResponse(
         true,
-        {
-          results,
-          summary: {
-            total: itemIds.length,
-            success: successCount,
-            errors: errorCount,
-          },
-        },
-        `Hromadná moderácia dokončená: ${successCount} úspešných, ${errorCount} chýb`
+        result,
+        isDryRun
+          ? `Skúšobná moderácia: ${changed} položiek by sa zmenilo, ${errors} chýb`
+          : `Hromadná moderácia dokončená: ${changed} zmenených, ${errors} chýb`
       )
     );
   });
@@ -1,12 +1,17 @@
 // controllers/answerController.js
 import answerService from "../services/answerService.js";
 import notificationService from "../services/notificationService.js";
+import revisionService from "../services/revisionService.js";
 import {
   formatResponse,
   getPaginationData,
   isValidObjectId,
 } from "../utils/helpers.js";
-import { ERROR_MESSAGES, SUCCESS_MESSAGES } from "../utils/constants.js";
+import {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  REVISION_TARGET_TYPES,
+} from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
 
@@ -167,7 +172,10 @@ class AnswerController {
     const { id } = req.params;
     const userId = req.user._id;
 
-    await answerService.deleteAnswer(id, userId);
+    // Необязательная причина удаления (видна в корзине)
+    const reason = req.body?.reason?.toString().trim().slice(0, 500) || null;
+
+    await answerService.deleteAnswer(id, userId, reason);
 
     res.json(formatResponse(true, null, "Odpoveď bola úspešne odstránená"));
   });
@@ -240,9 +248,7 @@ class AnswerController {
     const { id } = req.params;
     const userId = req.user._id;
 
-    const { default: Like } = await import("../models/Like.js");
-
-    const result = await Like.toggleLike(userId, id, "answer");
+    const result = await answerService.toggleAnswerLike(id, userId);
 
     logUserAction(
       userId,
@@ -368,6 +374,38 @@ class AnswerController {
       )
     );
   });
+
+  // История правок ответа
+  getAnswerRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const revisions = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.ANSWER,
+      id,
+      req.user
+    );
+
+    res.json(formatResponse(true, revisions, "História úprav bola získaná"));
+  });
+
+  // Откат ответа к ревизии (только админы)
+  rollbackAnswer = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const answer = await answerService.rollbackAnswer(
+      id,
+      revisionId,
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        answer,
+        "Odpoveď bola vrátená na predchádzajúcu verziu"
+      )
+    );
+  });
 }
 
 export default new AnswerController();
@@ -0,0 +1,117 @@
+// controllers/categoryController.js
+import categoryService from "../services/categoryService.js";
+import followService from "../services/followService.js";
+import { formatResponse, isValidObjectId } from "../utils/helpers.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+class CategoryController {
+  // Получение категорий (дерево по умолчанию, плоский список по ?flat=true)
+  getCategories = asyncHandler(async (req, res) => {
+    const { flat, includeInactive } = req.query;
+
+    // Неактивные категории видят только админы
+    const options = {
+      includeInactive: includeInactive === "true" && req.user?.role === "admin",
+    };
+
+    const categories =
+      flat === "true"
+        ? await categoryService.getCategories(options)
+        : await categoryService.getCategoryTree(options);
+
+    res.json(formatResponse(true, categories, "Kategórie boli získané"));
+  });
+
+  // Получение категории по slug
+  getCategory = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const category = await categoryService.getCategoryBySlug(slug);
+
+    res.json(formatResponse(true, category, "Kategória bola získaná"));
+  });
+
+  // Создание категории (только админы)
+  createCategory = asyncHandler(async (req, res) => {
+    const { name, description, icon, color, sortOrder, parentCategory } =
+      req.body;
+
+    const category = await categoryService.createCategory(
+      { name, description, icon, color, sortOrder, parentCategory },
+      req.user._id
+    );
+
+    res
+      .status(201)
+      .json(formatResponse(true, category, "Kategória bola vytvorená"));
+  });
+
+  // Обновление категории (только админы)
+  updateCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+      name,
+      description,
+      icon,
+      color,
+      sortOrder,
+      isActive,
+      parentCategory,
+    } = req.body;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID kategórie", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    const category = await categoryService.updateCategory(
+      id,
+      { name, description, icon, color, sortOrder, isActive, parentCategory },
+      req.user._id
+    );
+
+    res.json(formatResponse(true, category, "Kategória bola aktualizovaná"));
+  });
+
+  // Удаление категории (только админы)
+  deleteCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID kategórie", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    await categoryService.deleteCategory(id, req.user._id);
+
+    res.json(formatResponse(true, null, "Kategória bola odstránená"));
+  });
+
+  // Подписка на категорию
+  followCategory = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const result = await followService.followCategory(req.user._id, slug);
+
+    res.json(formatResponse(true, result, "Kategóriu teraz sledujete"));
+  });
+
+  // Отписка от категории
+  unfollowCategory = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const result = await followService.unfollowCategory(req.user._id, slug);
+
+    res.json(formatResponse(true, result, "Kategóriu už nesledujete"));
+  });
+}
+
+export default new CategoryController();
@@ -269,7 +269,10 @@ class CommentController {
       );
     }
 
-    await commentService.deleteComment(id, userId);
+    // Необязательная причина удаления (видна в корзине)
+    const reason = req.body?.reason?.toString().trim().slice(0, 500) || null;
+
+    await commentService.deleteComment(id, userId, reason);
 
     res.json(formatResponse(true, null, "Komentár bol úspešne odstránený"));
   });
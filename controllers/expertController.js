@@ -2,12 +2,19 @@
 import userService from "../services/userService.js";
 import answerService from "../services/answerService.js";
 import questionService from "../services/questionService.js";
+import followService from "../services/followService.js";
+import expertApplicationService from "../services/expertApplicationService.js";
+import badgeService from "../services/badgeService.js";
+import leaderboardService from "../services/leaderboardService.js";
 import {
   formatResponse,
   getPaginationData,
   isValidObjectId,
 } from "../utils/helpers.js";
-import { ERROR_MESSAGES } from "../utils/constants.js";
+import {
+  ERROR_MESSAGES,
+  EXPERT_APPLICATION_STATUS,
+} from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
 
@@ -29,6 +36,24 @@ class ExpertController {
     res.json(formatResponse(true, experts, "Zoznam expertov bol získaný"));
   });
 
+  // Рейтинг экспертов за период и по категории (публичный метод)
+  getLeaderboard = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { period, category, sortBy } = req.query;
+
+    const leaderboard = await leaderboardService.getExpertLeaderboard({
+      period,
+      category,
+      sortBy,
+      page,
+      limit,
+    });
+
+    res.json(
+      formatResponse(true, leaderboard, "Rebríček expertov bol získaný")
+    );
+  });
+
   // Получение профиля конкретного эксперта (публичный метод)
   getExpertProfile = asyncHandler(async (req, res) => {
     const { expertId } = req.params;
@@ -53,15 +78,20 @@ class ExpertController {
     }
 
     // Получаем дополнительную статистику эксперта
-    const [expertAnswers, bestAnswers] = await Promise.all([
-      answerService.getExpertAnswers(expertId, { page: 1, limit: 5 }),
-      answerService.getExpertBestAnswers(expertId, 5),
-    ]);
+    const [expertAnswers, bestAnswers, followersCount, badges] =
+      await Promise.all([
+        answerService.getExpertAnswers(expertId, { page: 1, limit: 5 }),
+        answerService.getExpertBestAnswers(expertId, 5),
+        followService.getExpertFollowersCount(expertId),
+        badgeService.getUserBadges(expertId),
+      ]);
 
     const expertProfile = {
       ...expert.toObject(),
       recentAnswers: expertAnswers.data,
       bestAnswers,
+      followersCount,
+      badges,
     };
 
     res.json(formatResponse(true, expertProfile, "Profil experta bol získaný"));
@@ -354,6 +384,157 @@ class ExpertController {
       formatResponse(true, publicActivity, "Aktivita experta bola získaná")
     );
   });
+
+  // Подписка на эксперта
+  followExpert = asyncHandler(async (req, res) => {
+    const { expertId } = req.params;
+
+    if (!isValidObjectId(expertId)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID experta", {
+          type: "VALIDATION_ERROR",
+          field: "expertId",
+        })
+      );
+    }
+
+    const result = await followService.followExpert(req.user._id, expertId);
+
+    res.json(formatResponse(true, result, "Experta teraz sledujete"));
+  });
+
+  // Отписка от эксперта
+  unfollowExpert = asyncHandler(async (req, res) => {
+    const { expertId } = req.params;
+
+    if (!isValidObjectId(expertId)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID experta", {
+          type: "VALIDATION_ERROR",
+          field: "expertId",
+        })
+      );
+    }
+
+    const result = await followService.unfollowExpert(req.user._id, expertId);
+
+    res.json(formatResponse(true, result, "Experta už nesledujete"));
+  });
+
+  // Проверка, может ли пользователь подать заявку на роль эксперта
+  getApplicationEligibility = asyncHandler(async (req, res) => {
+    const eligibility = await expertApplicationService.checkEligibility(
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(true, eligibility, "Podmienky žiadosti boli overené")
+    );
+  });
+
+  // Подача заявки на роль эксперта
+  submitApplication = asyncHandler(async (req, res) => {
+    const { specialization, experience, credentials = [] } = req.body;
+
+    const application = await expertApplicationService.submitApplication(
+      req.user._id,
+      { specialization, experience, credentials }
+    );
+
+    res
+      .status(201)
+      .json(
+        formatResponse(true, application, "Žiadosť o rolu experta bola podaná")
+      );
+  });
+
+  // Мои заявки на роль эксперта
+  getMyApplications = asyncHandler(async (req, res) => {
+    const applications = await expertApplicationService.getUserApplications(
+      req.user._id
+    );
+
+    res.json(formatResponse(true, applications, "Vaše žiadosti boli získané"));
+  });
+
+  // Список заявок на роль эксперта (только админы)
+  getApplications = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { status = EXPERT_APPLICATION_STATUS.PENDING } = req.query;
+
+    if (
+      status !== "all" &&
+      !Object.values(EXPERT_APPLICATION_STATUS).includes(status)
+    ) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neplatný stav žiadosti", {
+          type: "VALIDATION_ERROR",
+          field: "status",
+          allowedValues: [...Object.values(EXPERT_APPLICATION_STATUS), "all"],
+        })
+      );
+    }
+
+    const applications = await expertApplicationService.getApplications({
+      page,
+      limit,
+      status: status === "all" ? null : status,
+    });
+
+    res.json(
+      formatResponse(true, applications, "Žiadosti o rolu experta boli získané")
+    );
+  });
+
+  // Детали заявки на роль эксперта (только админы)
+  getApplication = asyncHandler(async (req, res) => {
+    const application = await expertApplicationService.getApplicationById(
+      req.params.id
+    );
+
+    res.json(formatResponse(true, application, "Žiadosť bola získaná"));
+  });
+
+  // Одобрение заявки на роль эксперта (только админы)
+  approveApplication = asyncHandler(async (req, res) => {
+    const { comment = null } = req.body;
+
+    const result = await expertApplicationService.approveApplication(
+      req.params.id,
+      req.user._id,
+      comment
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        result,
+        "Žiadosť bola schválená, používateľ je teraz expert"
+      )
+    );
+  });
+
+  // Отклонение заявки на роль эксперта (только админы)
+  rejectApplication = asyncHandler(async (req, res) => {
+    const { comment } = req.body;
+
+    if (!comment) {
+      return res.status(400).json(
+        formatResponse(false, null, "Dôvod zamietnutia je povinný", {
+          type: "VALIDATION_ERROR",
+          field: "comment",
+        })
+      );
+    }
+
+    const application = await expertApplicationService.rejectApplication(
+      req.params.id,
+      req.user._id,
+      comment
+    );
+
+    res.json(formatResponse(true, application, "Žiadosť bola zamietnutá"));
+  });
 }
 
 export default new ExpertController();
@@ -0,0 +1,21 @@
+// controllers/feedController.js
+import followService from "../services/followService.js";
+import { formatResponse } from "../utils/helpers.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+class FeedController {
+  // Персональная лента по подпискам (курсорная пагинация)
+  getFeed = asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const feed = await followService.getFeed(req.user._id, {
+      cursor: cursor || null,
+      limit,
+    });
+
+    res.json(formatResponse(true, feed, "Kanál bol získaný"));
+  });
+}
+
+export default new FeedController();
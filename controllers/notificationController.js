@@ -0,0 +1,112 @@
+// controllers/notificationController.js
+import notificationService from "../services/notificationService.js";
+import {
+  formatResponse,
+  getPaginationData,
+  isValidObjectId,
+  createPaginationResponse,
+} from "../utils/helpers.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+class NotificationController {
+  // Получение уведомлений текущего пользователя
+  getMyNotifications = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+    const { unreadOnly } = req.query;
+    const userId = req.user._id;
+
+    const result = await notificationService.getUserNotifications(userId, {
+      page,
+      limit,
+      unreadOnly: unreadOnly === "true",
+    });
+
+    const paginatedResponse = createPaginationResponse(
+      result.notifications,
+      result.total,
+      page,
+      limit
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        { ...paginatedResponse, unreadCount: result.unreadCount },
+        "Upozornenia boli získané"
+      )
+    );
+  });
+
+  // Количество непрочитанных уведомлений
+  getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+    res.json(
+      formatResponse(
+        true,
+        { unreadCount },
+        "Počet neprečítaných upozornení bol získaný"
+      )
+    );
+  });
+
+  // Отметка уведомления как прочитанного
+  markAsRead = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID upozornenia", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    const notification = await notificationService.markAsRead(
+      id,
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        notification,
+        "Upozornenie bolo označené ako prečítané"
+      )
+    );
+  });
+
+  // Отметка всех уведомлений как прочитанных
+  markAllAsRead = asyncHandler(async (req, res) => {
+    const result = await notificationService.markAllAsRead(req.user._id);
+
+    res.json(
+      formatResponse(
+        true,
+        result,
+        "Všetky upozornenia boli označené ako prečítané"
+      )
+    );
+  });
+
+  // Удаление уведомления
+  deleteNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID upozornenia", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    await notificationService.deleteNotification(id, req.user._id);
+
+    res.json(formatResponse(true, null, "Upozornenie bolo odstránené"));
+  });
+}
+
+export default new NotificationController();
@@ -2,11 +2,14 @@
 import questionService from "../services/questionService.js";
 import slugService from "../services/slugService.js";
 import notificationService from "../services/notificationService.js";
+import tagService from "../services/tagService.js";
+import revisionService from "../services/revisionService.js";
 import { formatResponse, getPaginationData } from "../utils/helpers.js";
 import {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   QUESTION_STATUS,
+  REVISION_TARGET_TYPES,
 } from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
@@ -27,6 +30,7 @@ class QuestionController {
       sortBy = "createdAt",
       sortOrder = -1,
       search,
+      tags,
     } = req.query;
 
     const options = {
@@ -54,6 +58,7 @@ class QuestionController {
       sortBy,
       sortOrder: parseInt(sortOrder),
       search,
+      tags: tagService.parseTagFilter(tags),
     };
 
     const questions = await questionService.getQuestions(options);
@@ -82,6 +87,20 @@ class QuestionController {
     const { slug } = req.params;
     const viewerId = req.user?._id || null;
 
+    // Прежний slug или слитый дубликат - клиент делает постоянный редирект
+    const redirect = await slugService.getQuestionRedirect(slug);
+    if (redirect) {
+      return res.json(
+        formatResponse(
+          true,
+          { redirect },
+          redirect.reason === "duplicate"
+            ? "Otázka bola zlúčená s inou otázkou"
+            : "Otázka bola presunutá na novú adresu"
+        )
+      );
+    }
+
     const question = await questionService.getQuestionBySlug(slug, viewerId);
 
     if (!question) {
@@ -95,7 +114,7 @@ class QuestionController {
 
   // Создание нового вопроса
   createQuestion = asyncHandler(async (req, res) => {
-    const { title, content, category, priority } = req.body;
+    const { title, content, category, priority, tags } = req.body;
     const authorId = req.user._id;
 
     // Дополнительная валидация
@@ -132,6 +151,7 @@ class QuestionController {
       content: content.trim(),
       category: category || "general",
       priority: priority || "medium",
+      tags: tags || [],
     };
 
     const question = await questionService.createQuestion(
@@ -147,15 +167,66 @@ class QuestionController {
       console.warn("Failed to notify experts:", notificationError.message);
     }
 
+    // Предупреждаем автора о возможных дубликатах
+    let duplicateCandidates = [];
+    try {
+      duplicateCandidates = await questionService.findDuplicateCandidates(
+        questionData.title,
+        { excludeId: question._id }
+      );
+    } catch (duplicateError) {
+      console.warn("Failed to check duplicates:", duplicateError.message);
+    }
+
     res
       .status(201)
-      .json(formatResponse(true, question, SUCCESS_MESSAGES.QUESTION_CREATED));
+      .json(
+        formatResponse(
+          true,
+          { ...question.toObject(), duplicateCandidates },
+          SUCCESS_MESSAGES.QUESTION_CREATED
+        )
+      );
+  });
+
+  // Проверка на дубликаты перед созданием вопроса
+  checkDuplicates = asyncHandler(async (req, res) => {
+    const { title } = req.body;
+
+    const candidates = await questionService.findDuplicateCandidates(title);
+
+    res.json(
+      formatResponse(
+        true,
+        { hasDuplicates: candidates.length > 0, candidates },
+        candidates.length > 0
+          ? "Našli sa podobné otázky"
+          : "Podobné otázky sa nenašli"
+      )
+    );
+  });
+
+  // Пометка вопроса как дубликата и слияние с основным (только админы)
+  mergeQuestion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { targetId } = req.body;
+    const adminId = req.user._id;
+
+    const result = await questionService.mergeQuestion(id, targetId, adminId);
+
+    res.json(
+      formatResponse(
+        true,
+        result,
+        "Otázka bola označená ako duplikát a zlúčená"
+      )
+    );
   });
 
   // Обновление вопроса
   updateQuestion = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { title, content, category, priority } = req.body;
+    const { title, content, category, priority, tags } = req.body;
     const userId = req.user._id;
 
     const updateData = {};
@@ -163,6 +234,7 @@ class QuestionController {
     if (content !== undefined) updateData.content = content.trim();
     if (category !== undefined) updateData.category = category;
     if (priority !== undefined) updateData.priority = priority;
+    if (tags !== undefined) updateData.tags = tags;
 
     if (Object.keys(updateData).length === 0) {
       return res
@@ -184,14 +256,17 @@ class QuestionController {
     const { id } = req.params;
     const userId = req.user._id;
 
-    await questionService.deleteQuestion(id, userId);
+    // Необязательная причина удаления (видна в корзине)
+    const reason = req.body?.reason?.toString().trim().slice(0, 500) || null;
+
+    await questionService.deleteQuestion(id, userId, reason);
 
     res.json(formatResponse(true, null, "Otázka bola úspešne odstránená"));
   });
 
   // Поиск вопросов
   searchQuestions = asyncHandler(async (req, res) => {
-    const { q: query } = req.query;
+    const { q: query, tags } = req.query;
     const { page, limit } = getPaginationData(req);
 
     if (!query || query.trim().length < 2) {
@@ -208,7 +283,7 @@ class QuestionController {
       );
     }
 
-    const options = { page, limit };
+    const options = { page, limit, tags: tagService.parseTagFilter(tags) };
     const results = await questionService.searchQuestions(
       query.trim(),
       options
@@ -315,6 +390,36 @@ class QuestionController {
     res.json(formatResponse(true, questions, "Otázky používateľa boli získané"));
   });
 
+  // Подписка на вопрос
+  watchQuestion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await questionService.watchQuestion(id, req.user._id);
+
+    res.json(formatResponse(true, result, "Otázku teraz sledujete"));
+  });
+
+  // Отписка от вопроса
+  unwatchQuestion = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const result = await questionService.unwatchQuestion(id, req.user._id);
+
+    res.json(formatResponse(true, result, "Otázku už nesledujete"));
+  });
+
+  // Вопросы, на которые подписан текущий пользователь
+  getWatchedQuestions = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+
+    const questions = await questionService.getWatchedQuestions(req.user._id, {
+      page,
+      limit,
+    });
+
+    res.json(formatResponse(true, questions, "Sledované otázky boli získané"));
+  });
+
   // Валидация slug вопроса
   validateQuestionSlug = asyncHandler(async (req, res) => {
     const { slug } = req.params;
@@ -351,6 +456,38 @@ class QuestionController {
 
     res.json(formatResponse(true, topQuestions, "Top otázky boli získané"));
   });
+
+  // История правок вопроса
+  getQuestionRevisions = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const revisions = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.QUESTION,
+      id,
+      req.user
+    );
+
+    res.json(formatResponse(true, revisions, "História úprav bola získaná"));
+  });
+
+  // Откат вопроса к ревизии (только админы)
+  rollbackQuestion = asyncHandler(async (req, res) => {
+    const { id, revisionId } = req.params;
+
+    const question = await questionService.rollbackQuestion(
+      id,
+      revisionId,
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(
+        true,
+        question,
+        "Otázka bola vrátená na predchádzajúcu verziu"
+      )
+    );
+  });
 }
 
 export default new QuestionController();
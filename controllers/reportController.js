@@ -1,6 +1,7 @@
 // controllers/reportController.js
 import Report from "../models/Report.js";
 import notificationService from "../services/notificationService.js";
+import reportService from "../services/reportService.js";
 import {
   formatResponse,
   getPaginationData,
@@ -11,6 +12,7 @@ import {
   REPORT_TARGET_TYPES,
   REPORT_REASONS,
   REPORT_STATUS,
+  REPORT_ACTIONS,
 } from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
@@ -56,6 +58,24 @@ class ReportController {
       );
     }
 
+    // Причина «другое» без пояснения - частый способ спамить жалобами
+    if (
+      reason === REPORT_REASONS.OTHER &&
+      (!description || description.trim().length < 10)
+    ) {
+      return res.status(400).json(
+        formatResponse(
+          false,
+          null,
+          "Pri dôvode „iné“ popíšte problém aspoň 10 znakmi",
+          {
+            type: "VALIDATION_ERROR",
+            field: "description",
+          }
+        )
+      );
+    }
+
     // Валидация description (опционально)
     if (description && description.length > 1000) {
       return res.status(400).json(
@@ -66,6 +86,9 @@ class ReportController {
       );
     }
 
+    // Блокировка и суточный лимит для авторов с низкой точностью
+    const reporterTrust = await reportService.assertCanReport(reportedBy);
+
     // Проверка на дублирование жалобы
     const existingReport = await Report.checkDuplicate(
       reportedBy,
@@ -88,6 +111,7 @@ class ReportController {
       reason,
       description: description?.trim() || null,
       status: REPORT_STATUS.PENDING,
+      isDeprioritized: reporterTrust.isLowAccuracy,
     });
 
     await report.save();
@@ -112,6 +136,13 @@ class ReportController {
       );
     }
 
+    // Достаточно жалоб от разных пользователей - скрываем до проверки
+    try {
+      await reportService.evaluateAutoHide(targetType, targetId);
+    } catch (autoHideError) {
+      console.warn("Failed to evaluate auto-hide:", autoHideError.message);
+    }
+
     logUserAction(
       reportedBy,
       "REPORT_CREATED",
@@ -188,23 +219,14 @@ class ReportController {
     );
   });
 
-  // Получение жалоб в ожидании (только админы)
+  // Получение жалоб в ожидании с точностью авторов (только админы)
   getPendingReports = asyncHandler(async (req, res) => {
     const { page, limit } = getPaginationData(req);
 
-    const [reports, total] = await Promise.all([
-      Report.findPending()
-        .skip((page - 1) * limit)
-        .limit(limit),
-      Report.countDocuments({ status: REPORT_STATUS.PENDING }),
-    ]);
-
-    const paginatedResponse = createPaginationResponse(
-      reports,
-      total,
+    const paginatedResponse = await reportService.getPendingReports({
       page,
-      limit
-    );
+      limit,
+    });
 
     res.json(
       formatResponse(true, paginatedResponse, "Čakajúce sťažnosti boli získané")
@@ -273,12 +295,10 @@ class ReportController {
     }
 
     // Отмечаем жалобу как рассмотренную
-    const reviewedReport = await report.markAsReviewed(adminId, comment);
-
-    logUserAction(
+    const reviewedReport = await reportService.reviewReport(
+      id,
       adminId,
-      "REPORT_REVIEWED",
-      `Reviewed report ${id}: ${report.reason} for ${report.targetType}`
+      comment
     );
 
     res.json(
@@ -293,7 +313,7 @@ class ReportController {
   // Разрешение жалобы с принятием мер (только админы)
   resolveReport = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { actionTaken, comment } = req.body;
+    const { action, comment, banDays } = req.body;
     const adminId = req.user._id;
 
     // Валидация ID
@@ -306,43 +326,65 @@ class ReportController {
       );
     }
 
-    // Валидация actionTaken
-    if (!actionTaken || actionTaken.trim().length < 5) {
+    // Валидация action
+    if (!action || !Object.values(REPORT_ACTIONS).includes(action)) {
       return res.status(400).json(
-        formatResponse(
-          false,
-          null,
-          "Popis prijatých opatrení musí obsahovať aspoň 5 znakov",
-          {
-            type: "VALIDATION_ERROR",
-            field: "actionTaken",
-          }
-        )
+        formatResponse(false, null, "Neplatné opatrenie", {
+          type: "VALIDATION_ERROR",
+          field: "action",
+          allowedValues: Object.values(REPORT_ACTIONS),
+        })
       );
     }
 
-    const report = await Report.findById(id);
-    if (!report) {
-      return res
-        .status(404)
-        .json(formatResponse(false, null, "Sťažnosť nebola nájdená"));
-    }
+    const resolvedReport = await reportService.resolveReport(id, adminId, {
+      action,
+      comment: comment || null,
+      banDays: banDays || null,
+    });
 
-    // Разрешаем жалобу
-    const resolvedReport = await report.resolve(
-      adminId,
-      actionTaken.trim(),
-      comment
+    res.json(
+      formatResponse(
+        true,
+        resolvedReport,
+        action === REPORT_ACTIONS.DISMISS
+          ? "Sťažnosť bola zamietnutá"
+          : "Sťažnosť bola úspešne vyriešená"
+      )
     );
+  });
 
-    logUserAction(
+  // Запрет или разрешение подавать жалобы (только админы)
+  setReportingBlock = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { blocked, reason } = req.body;
+    const adminId = req.user._id;
+
+    // Валидация userId
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID používateľa", {
+          type: "VALIDATION_ERROR",
+          field: "userId",
+        })
+      );
+    }
+
+    const user = await reportService.setReportingBlocked(
+      userId,
+      blocked,
       adminId,
-      "REPORT_RESOLVED",
-      `Resolved report ${id} with action: ${actionTaken.trim()}`
+      reason || null
     );
 
     res.json(
-      formatResponse(true, resolvedReport, "Sťažnosť bola úspešne vyriešená")
+      formatResponse(
+        true,
+        user,
+        blocked
+          ? "Používateľovi bolo zakázané podávať sťažnosti"
+          : "Používateľ môže opäť podávať sťažnosti"
+      )
     );
   });
 
@@ -0,0 +1,66 @@
+// controllers/tagController.js
+import tagService from "../services/tagService.js";
+import questionService from "../services/questionService.js";
+import { formatResponse, getPaginationData } from "../utils/helpers.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+class TagController {
+  // Получение популярных тегов
+  getTags = asyncHandler(async (req, res) => {
+    const { page, limit } = getPaginationData(req);
+
+    const tags = await tagService.getTags({ page, limit });
+
+    res.json(formatResponse(true, tags, "Tagy boli získané"));
+  });
+
+  // Автодополнение тегов
+  autocompleteTags = asyncHandler(async (req, res) => {
+    const { q = "" } = req.query;
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 10));
+
+    if (!q.trim()) {
+      return res.json(formatResponse(true, [], "Návrhy tagov boli získané"));
+    }
+
+    const tags = await tagService.autocomplete(q, limit);
+
+    res.json(formatResponse(true, tags, "Návrhy tagov boli získané"));
+  });
+
+  // Получение тега по slug
+  getTag = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+
+    const tag = await tagService.getTagBySlug(slug);
+
+    res.json(formatResponse(true, tag, "Tag bol nájdený"));
+  });
+
+  // Вопросы с тегом
+  getTagQuestions = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+    const { page, limit } = getPaginationData(req);
+    const { sortBy = "createdAt", sortOrder = -1 } = req.query;
+
+    const tag = await tagService.getTagBySlug(slug);
+
+    const questions = await questionService.getQuestions({
+      page,
+      limit,
+      sortBy,
+      sortOrder: parseInt(sortOrder),
+      tags: [tag.slug],
+    });
+
+    res.json(
+      formatResponse(
+        true,
+        { tag, ...questions },
+        `Otázky s tagom "${tag.name}" boli získané`
+      )
+    );
+  });
+}
+
+export default new TagController();
@@ -2,6 +2,9 @@
 import userService from "../services/userService.js";
 import roleService from "../services/roleService.js";
 import notificationService from "../services/notificationService.js";
+import followService from "../services/followService.js";
+import reputationService from "../services/reputationService.js";
+import badgeService from "../services/badgeService.js";
 import {
   formatResponse,
   getPaginationData,
@@ -11,6 +14,8 @@ import {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
   USER_ROLES,
+  NOTIFICATION_EVENTS,
+  DIGEST_FREQUENCY,
 } from "../utils/constants.js";
 import { asyncHandler } from "../middlewares/errorHandler.js";
 import { logUserAction } from "../middlewares/logger.js";
@@ -67,10 +72,17 @@ class UserController {
         .json(formatResponse(false, null, ERROR_MESSAGES.FORBIDDEN));
     }
 
-    const user = await userService.getUserById(id, req.user.role === "admin");
+    const [user, badges] = await Promise.all([
+      userService.getUserById(id, req.user.role === "admin"),
+      badgeService.getUserBadges(id),
+    ]);
 
     res.json(
-      formatResponse(true, user, "Informácie o používateľovi boli získané")
+      formatResponse(
+        true,
+        { ...user.toObject(), badges },
+        "Informácie o používateľovi boli získané"
+      )
     );
   });
 
@@ -104,6 +116,38 @@ class UserController {
     );
   });
 
+  // Репутация пользователя с историей начислений
+  getUserReputation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit } = getPaginationData(req);
+
+    // Валидация ID
+    if (!isValidObjectId(id)) {
+      return res.status(400).json(
+        formatResponse(false, null, "Nesprávny formát ID používateľa", {
+          type: "VALIDATION_ERROR",
+          field: "id",
+        })
+      );
+    }
+
+    // Историю репутации видит только сам пользователь и админы
+    if (id !== req.user._id.toString() && req.user.role !== "admin") {
+      return res
+        .status(403)
+        .json(formatResponse(false, null, ERROR_MESSAGES.FORBIDDEN));
+    }
+
+    const reputation = await reputationService.getUserReputation(id, {
+      page,
+      limit,
+    });
+
+    res.json(
+      formatResponse(true, reputation, "Reputácia používateľa bola získaná")
+    );
+  });
+
   // Обновление профиля пользователя
   updateProfile = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -478,6 +522,95 @@ class UserController {
 
     res.json(formatResponse(true, history, "História zmien rolí bola získaná"));
   });
+
+  // Получение настроек уведомлений текущего пользователя
+  getMyNotificationSettings = asyncHandler(async (req, res) => {
+    const settings = await notificationService.getUserNotificationSettings(
+      req.user._id
+    );
+
+    res.json(
+      formatResponse(true, settings, "Nastavenia upozornení boli získané")
+    );
+  });
+
+  // Обновление настроек уведомлений текущего пользователя
+  updateMyNotificationSettings = asyncHandler(async (req, res) => {
+    const { emailNotifications, inAppNotifications, digest } = req.body;
+
+    if (!emailNotifications && !inAppNotifications && !digest) {
+      return res.status(400).json(
+        formatResponse(false, null, "Neboli zadané žiadne nastavenia", {
+          type: "VALIDATION_ERROR",
+          field: "emailNotifications",
+        })
+      );
+    }
+
+    // Валидация переключателей
+    const events = Object.values(NOTIFICATION_EVENTS);
+    for (const [field, toggles] of Object.entries({
+      emailNotifications,
+      inAppNotifications,
+    })) {
+      if (toggles === undefined) continue;
+
+      const isValid =
+        toggles !== null &&
+        typeof toggles === "object" &&
+        Object.entries(toggles).every(
+          ([event, value]) =>
+            events.includes(event) && typeof value === "boolean"
+        );
+
+      if (!isValid) {
+        return res.status(400).json(
+          formatResponse(false, null, "Nesprávny formát nastavení upozornení", {
+            type: "VALIDATION_ERROR",
+            field,
+          })
+        );
+      }
+    }
+
+    if (digest !== undefined) {
+      const isValidDigest =
+        digest !== null &&
+        typeof digest === "object" &&
+        (digest.frequency === undefined ||
+          Object.values(DIGEST_FREQUENCY).includes(digest.frequency)) &&
+        (digest.categories === undefined ||
+          (Array.isArray(digest.categories) &&
+            digest.categories.every(
+              (slug) => typeof slug === "string" && slug.trim().length > 0
+            )));
+
+      if (!isValidDigest) {
+        return res.status(400).json(
+          formatResponse(false, null, "Nesprávny formát nastavení súhrnu", {
+            type: "VALIDATION_ERROR",
+            field: "digest",
+          })
+        );
+      }
+    }
+
+    const settings = await notificationService.updateUserNotificationSettings(
+      req.user._id,
+      { emailNotifications, inAppNotifications, digest }
+    );
+
+    res.json(
+      formatResponse(true, settings, "Nastavenia upozornení boli uložené")
+    );
+  });
+
+  // Подписки текущего пользователя (эксперты и категории)
+  getMyFollowing = asyncHandler(async (req, res) => {
+    const following = await followService.getFollowing(req.user._id);
+
+    res.json(formatResponse(true, following, "Sledované položky boli získané"));
+  });
 }
 
 export default new UserController();
@@ -114,6 +114,7 @@ export const filterContent = (options = {}) => {
     checkCapitals = true,
     checkPunctuation = true,
     strictMode = false, // строгий режим для новых пользователей
+    markdownFields = [], // поля с Markdown: HTML экранируется при рендеринге
   } = options;
 
   return (req, res, next) => {
@@ -165,8 +166,8 @@ export const filterContent = (options = {}) => {
             }
           }
 
-          // Санитизация HTML
-          if (sanitizeHtml) {
+          // Санитизация HTML (исходник Markdown хранится как есть)
+          if (sanitizeHtml && !markdownFields.includes(field)) {
             text = sanitizeHtmlContent(text);
             if (text !== originalText) {
               issues.push({
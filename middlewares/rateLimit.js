@@ -1,9 +1,12 @@
 // middlewares/rateLimit.js
 import { rateLimit } from "express-rate-limit";
 import RateLimit from "../models/RateLimit.js";
+import RateLimitPolicy from "../models/RateLimitPolicy.js";
+import rateLimitService from "../services/rateLimitService.js";
 import config from "../config/index.js";
 import { formatResponse, getClientIP } from "../utils/helpers.js";
 import { RATE_LIMIT_ACTIONS, USER_ROLES } from "../utils/constants.js";
+import { createRateLimitStore } from "../utils/rateLimitStore.js";
 import { logSecurityEvent } from "./logger.js";
 
 // === УТИЛИТЫ ===
@@ -44,13 +47,107 @@ const keyGenerator = (req) => {
 // Можно оставить как есть (сейчас всегда false)
 const skip = (req) => false;
 
+// Лимит с учетом временного увеличения, выданного админом
+// action = null - общий лимит API
+const withLimitGrants = (action, getBaseLimit) => {
+  return async (req) => {
+    const baseLimit =
+      typeof getBaseLimit === "function" ? getBaseLimit(req) : getBaseLimit;
+
+    if (!req.user?._id || baseLimit === 0) return baseLimit;
+
+    const multiplier = await rateLimitService.getLimitMultiplier(
+      req.user._id,
+      action
+    );
+
+    return Math.floor(baseLimit * multiplier);
+  };
+};
+
+// Лимитер по политике действия (RateLimitPolicy + временные увеличения)
+// Окно может меняться админом, поэтому на каждое окно создается свой экземпляр
+const createPolicyLimiter = (action, options = {}) => {
+  const {
+    anonymousLimit = null, // лимит для неавторизованных (иначе политика роли user)
+    keyGenerator: generateKey = keyGenerator,
+    eventType = "RATE_LIMIT_EXCEEDED",
+    message,
+    logText,
+  } = options;
+
+  const limiters = new Map();
+
+  const getLimiter = (windowMs) => {
+    if (!limiters.has(windowMs)) {
+      limiters.set(
+        windowMs,
+        rateLimit({
+          windowMs,
+          limit: (req) => req.rateLimitPolicy.limit,
+          keyGenerator: generateKey,
+          store: createRateLimitStore(`${action}:${windowMs}`),
+          // Недоступность общего store не должна блокировать запросы
+          passOnStoreError: true,
+          standardHeaders: "draft-8",
+          legacyHeaders: false,
+          message,
+          handler: makeHandler(eventType, logText),
+          // Экземпляры для новых окон создаются во время запроса
+          validate: { creationStack: false },
+        })
+      );
+    }
+
+    return limiters.get(windowMs);
+  };
+
+  // Экземпляр для окна по умолчанию создаем сразу
+  getLimiter(config.RATE_LIMIT.WINDOW_MS);
+
+  return async (req, res, next) => {
+    try {
+      const role = req.user?.role || USER_ROLES.USER;
+
+      // Ошибка БД не должна ломать лимитеры - применяем значения из config
+      const policy = await RateLimitPolicy.getEffective(role, action).catch(
+        () => RateLimitPolicy.getDefault(role, action)
+      );
+
+      let limit =
+        !req.user && anonymousLimit !== null ? anonymousLimit : policy.limit;
+
+      if (req.user?._id && limit > 0) {
+        const multiplier = await rateLimitService.getLimitMultiplier(
+          req.user._id,
+          action
+        );
+        limit = Math.floor(limit * multiplier);
+      }
+
+      req.rateLimitPolicy = { limit, windowMs: policy.windowMs };
+
+      return getLimiter(policy.windowMs)(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Время сброса лимита для сообщений
+const getResetTime = (req) =>
+  req.rateLimit?.resetTime ||
+  new Date(
+    Date.now() + (req.rateLimitPolicy?.windowMs || config.RATE_LIMIT.WINDOW_MS)
+  );
+
 // === ЛИМИТЕРЫ ===
 
 // Базовый rate limiter для всех API запросов
 export const createApiLimiter = () => {
   return rateLimit({
     windowMs: config.RATE_LIMIT.WINDOW_MS,
-    limit: (req) => {
+    limit: withLimitGrants(null, (req) => {
       if (!req.user) return config.RATE_LIMIT.USER.API_REQUESTS;
       switch (req.user.role) {
         case USER_ROLES.ADMIN:
@@ -60,9 +157,11 @@ export const createApiLimiter = () => {
         default:
           return config.RATE_LIMIT.USER.API_REQUESTS;
       }
-    },
+    }),
     keyGenerator,
     skip,
+    store: createRateLimitStore("api"),
+    passOnStoreError: true,
     standardHeaders: "draft-8",
     legacyHeaders: false,
     message: (req) =>
@@ -85,164 +184,108 @@ export const createApiLimiter = () => {
 
 // Rate limiter для создания вопросов
 export const createQuestionLimiter = () => {
-  return rateLimit({
-    windowMs: config.RATE_LIMIT.WINDOW_MS,
-    limit: (req) => {
-      if (!req.user) return 2;
-      switch (req.user.role) {
-        case USER_ROLES.EXPERT:
-        case USER_ROLES.ADMIN:
-          return config.RATE_LIMIT.EXPERT.QUESTIONS;
-        default:
-          return config.RATE_LIMIT.USER.QUESTIONS;
-      }
-    },
-    keyGenerator,
-    standardHeaders: "draft-8",
-    legacyHeaders: false,
+  return createPolicyLimiter(RATE_LIMIT_ACTIONS.QUESTION_CREATE, {
+    anonymousLimit: 2,
     message: (req) => {
-      const maxQuestions =
-        req.user?.role === USER_ROLES.EXPERT ||
-        req.user?.role === USER_ROLES.ADMIN
-          ? config.RATE_LIMIT.EXPERT.QUESTIONS
-          : config.RATE_LIMIT.USER.QUESTIONS;
+      const maxQuestions = req.rateLimit.limit;
 
       return formatResponse(
         false,
         null,
-        `Bol prekročený limit vytvárania otázok (${maxQuestions} za hodinu). Skúste to neskôr.`,
+        `Bol prekročený limit vytvárania otázok (${maxQuestions}). Skúste to neskôr.`,
         {
           type: "QUESTION_RATE_LIMIT_EXCEEDED",
           maxQuestions,
-          resetTime: new Date(Date.now() + config.RATE_LIMIT.WINDOW_MS),
+          resetTime: getResetTime(req),
         }
       );
     },
-    handler: makeHandler(
-      "RATE_LIMIT_EXCEEDED",
-      (req, options) => `Question rate limit exceeded`
-    ),
+    logText: (req, options) => `Question rate limit exceeded`,
   });
 };
 
 // Rate limiter для создания ответов (только эксперты)
 export const createAnswerLimiter = () => {
-  return rateLimit({
-    windowMs: config.RATE_LIMIT.WINDOW_MS,
-    limit: (req) => {
-      if (!req.user || req.user.role === USER_ROLES.USER) return 0;
-      return config.RATE_LIMIT.EXPERT.ANSWERS;
-    },
-    keyGenerator,
-    standardHeaders: "draft-8",
-    legacyHeaders: false,
-    message: (req) =>
-      formatResponse(
+  return createPolicyLimiter(RATE_LIMIT_ACTIONS.ANSWER_CREATE, {
+    anonymousLimit: 0,
+    message: (req) => {
+      const maxAnswers = req.rateLimit.limit;
+
+      return formatResponse(
         false,
         null,
-        `Bol prekročený limit vytvárania odpovedí (${config.RATE_LIMIT.EXPERT.ANSWERS} za hodinu). Skúste to neskôr.`,
+        `Bol prekročený limit vytvárania odpovedí (${maxAnswers}). Skúste to neskôr.`,
         {
           type: "ANSWER_RATE_LIMIT_EXCEEDED",
-          maxAnswers: config.RATE_LIMIT.EXPERT.ANSWERS,
-          resetTime: new Date(Date.now() + config.RATE_LIMIT.WINDOW_MS),
+          maxAnswers,
+          resetTime: getResetTime(req),
         }
-      ),
-    handler: makeHandler(
-      "RATE_LIMIT_EXCEEDED",
-      (req, options) => `Answer rate limit exceeded`
-    ),
+      );
+    },
+    logText: (req, options) => `Answer rate limit exceeded`,
   });
 };
 
 // Rate limiter для комментариев
 export const createCommentLimiter = () => {
-  return rateLimit({
-    windowMs: config.RATE_LIMIT.WINDOW_MS,
-    limit: (req) => {
-      if (!req.user) return 5;
-      switch (req.user.role) {
-        case USER_ROLES.EXPERT:
-        case USER_ROLES.ADMIN:
-          return config.RATE_LIMIT.EXPERT.COMMENTS;
-        default:
-          return config.RATE_LIMIT.USER.COMMENTS;
-      }
-    },
-    keyGenerator,
-    standardHeaders: "draft-8",
-    legacyHeaders: false,
+  return createPolicyLimiter(RATE_LIMIT_ACTIONS.COMMENT_CREATE, {
+    anonymousLimit: 5,
     message: (req) => {
-      const maxComments =
-        req.user?.role === USER_ROLES.EXPERT ||
-        req.user?.role === USER_ROLES.ADMIN
-          ? config.RATE_LIMIT.EXPERT.COMMENTS
-          : config.RATE_LIMIT.USER.COMMENTS;
+      const maxComments = req.rateLimit.limit;
 
       return formatResponse(
         false,
         null,
-        `Bol prekročený limit vytvárania komentárov (${maxComments} za hodinu). Skúste to neskôr.`,
+        `Bol prekročený limit vytvárania komentárov (${maxComments}). Skúste to neskôr.`,
         {
           type: "COMMENT_RATE_LIMIT_EXCEEDED",
           maxComments,
-          resetTime: new Date(Date.now() + config.RATE_LIMIT.WINDOW_MS),
+          resetTime: getResetTime(req),
         }
       );
     },
-    handler: makeHandler(
-      "RATE_LIMIT_EXCEEDED",
-      (req, options) => `Comment rate limit exceeded`
-    ),
+    logText: (req, options) => `Comment rate limit exceeded`,
   });
 };
 
 // Rate limiter для лайков
 export const createLikeLimiter = () => {
-  return rateLimit({
-    windowMs: config.RATE_LIMIT.WINDOW_MS,
-    limit: config.RATE_LIMIT.USER.LIKES,
-    keyGenerator,
-    standardHeaders: "draft-8",
-    legacyHeaders: false,
-    message: formatResponse(
-      false,
-      null,
-      `Bol prekročený limit lajkov (${config.RATE_LIMIT.USER.LIKES} za hodinu). Skúste to neskôr.`,
-      {
-        type: "LIKE_RATE_LIMIT_EXCEEDED",
-        maxLikes: config.RATE_LIMIT.USER.LIKES,
-        resetTime: new Date(Date.now() + config.RATE_LIMIT.WINDOW_MS),
-      }
-    ),
-    handler: makeHandler(
-      "RATE_LIMIT_EXCEEDED",
-      (req, options) => `Like rate limit exceeded`
-    ),
+  return createPolicyLimiter(RATE_LIMIT_ACTIONS.LIKE, {
+    message: (req) => {
+      const maxLikes = req.rateLimit.limit;
+
+      return formatResponse(
+        false,
+        null,
+        `Bol prekročený limit lajkov (${maxLikes}). Skúste to neskôr.`,
+        {
+          type: "LIKE_RATE_LIMIT_EXCEEDED",
+          maxLikes,
+          resetTime: getResetTime(req),
+        }
+      );
+    },
+    logText: (req, options) => `Like rate limit exceeded`,
   });
 };
 
-// Строгий rate limiter для аутентификации
+// Строгий rate limiter для аутентификации (по IP, политика роли user)
 export const createAuthLimiter = () => {
-  return rateLimit({
-    windowMs: 15 * 60 * 1000,
-    limit: 500,
+  return createPolicyLimiter(RATE_LIMIT_ACTIONS.LOGIN_ATTEMPT, {
     keyGenerator: (req) => getClientIP(req),
-    standardHeaders: "draft-8",
-    legacyHeaders: false,
-    message: formatResponse(
-      false,
-      null,
-      "Príliš veľa pokusov o prihlásenie. Skúste to o 15 minút.",
-      {
-        type: "AUTH_RATE_LIMIT_EXCEEDED",
-        resetTime: new Date(Date.now() + 15 * 60 * 1000),
-      }
-    ),
-    handler: makeHandler(
-      "AUTH_RATE_LIMIT_EXCEEDED",
-      (req, options) =>
-        `Auth rate limit exceeded: limit=${options.limit}, windowMs=${options.windowMs}`
-    ),
+    eventType: "AUTH_RATE_LIMIT_EXCEEDED",
+    message: (req) =>
+      formatResponse(
+        false,
+        null,
+        "Príliš veľa pokusov o prihlásenie. Skúste to neskôr.",
+        {
+          type: "AUTH_RATE_LIMIT_EXCEEDED",
+          resetTime: getResetTime(req),
+        }
+      ),
+    logText: (req, options) =>
+      `Auth rate limit exceeded: limit=${req.rateLimit.limit}, windowMs=${options.windowMs}`,
   });
 };
 
@@ -253,39 +296,21 @@ export const checkCustomRateLimit = (action) => {
       const identifier = req.user ? req.user._id : getClientIP(req);
       const isUserId = !!req.user;
 
-      let limit;
-      switch (action) {
-        case RATE_LIMIT_ACTIONS.QUESTION_CREATE:
-          limit =
-            req.user?.role === USER_ROLES.EXPERT ||
-            req.user?.role === USER_ROLES.ADMIN
-              ? config.RATE_LIMIT.EXPERT.QUESTIONS
-              : config.RATE_LIMIT.USER.QUESTIONS;
-          break;
-        case RATE_LIMIT_ACTIONS.ANSWER_CREATE:
-          limit = config.RATE_LIMIT.EXPERT.ANSWERS;
-          break;
-        case RATE_LIMIT_ACTIONS.COMMENT_CREATE:
-          limit =
-            req.user?.role === USER_ROLES.EXPERT ||
-            req.user?.role === USER_ROLES.ADMIN
-              ? config.RATE_LIMIT.EXPERT.COMMENTS
-              : config.RATE_LIMIT.USER.COMMENTS;
-          break;
-        case RATE_LIMIT_ACTIONS.LIKE:
-          limit = config.RATE_LIMIT.USER.LIKES;
-          break;
-        default:
-          return next();
+      if (!Object.values(RATE_LIMIT_ACTIONS).includes(action)) {
+        return next();
       }
 
+      // Лимит и окно берутся из политики роли с учетом временного увеличения
       const result = await RateLimit.checkLimit(
         identifier,
         action,
-        limit,
-        config.RATE_LIMIT.WINDOW_MS
+        null,
+        null,
+        req.user?.role || USER_ROLES.USER
       );
 
+      const limit = result.limit;
+
       res.set({
         "RateLimit-Limit": limit,
         "RateLimit-Remaining": Math.max(0, result.remaining),
@@ -75,7 +75,7 @@ const hasSuspiciousPatterns = (text) => {
 };
 
 // Вычисление спам-скора
-const calculateSpamScore = (text, title = "") => {
+export const calculateSpamScore = (text, title = "") => {
   let score = 0;
   const combinedText = `${title} ${text}`.toLowerCase();
 
@@ -333,6 +333,7 @@ export const checkPostingFrequency = (windowMs = 60000, maxPosts = 3) => {
 };
 
 export default {
+  calculateSpamScore,
   checkSpam,
   checkDuplicateContent,
   checkPostingFrequency,
@@ -1,6 +1,13 @@
 // middlewares/validation.js
 import { body, param, query, validationResult } from "express-validator";
-import { CONTENT_LIMITS, ERROR_MESSAGES } from "../utils/constants.js";
+import {
+  CONTENT_LIMITS,
+  ERROR_MESSAGES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+  REPORT_ACTIONS,
+} from "../utils/constants.js";
+import config from "../config/index.js";
 import { formatResponse } from "../utils/helpers.js";
 import { logError } from "./logger.js";
 
@@ -48,6 +55,7 @@ export const validateQuestionCreate = [
     )
     .escape(),
 
+  // Исходник Markdown не экранируем: HTML экранируется при рендеринге
   body("content")
     .trim()
     .isLength({
@@ -56,8 +64,7 @@ export const validateQuestionCreate = [
     })
     .withMessage(
       `Obsah musí mať od ${CONTENT_LIMITS.QUESTION_CONTENT_MIN} do ${CONTENT_LIMITS.QUESTION_CONTENT_MAX} znakov`
-    )
-    .escape(),
+    ),
 
   body("category")
     .optional()
@@ -68,6 +75,24 @@ export const validateQuestionCreate = [
     )
     .escape(),
 
+  body("tags")
+    .optional()
+    .isArray({ max: CONTENT_LIMITS.QUESTION_TAGS_MAX })
+    .withMessage(
+      `Otázka môže mať maximálne ${CONTENT_LIMITS.QUESTION_TAGS_MAX} tagov`
+    ),
+
+  body("tags.*")
+    .isString()
+    .trim()
+    .isLength({
+      min: CONTENT_LIMITS.TAG_NAME_MIN,
+      max: CONTENT_LIMITS.TAG_NAME_MAX,
+    })
+    .withMessage(
+      `Tag musí mať od ${CONTENT_LIMITS.TAG_NAME_MIN} do ${CONTENT_LIMITS.TAG_NAME_MAX} znakov`
+    ),
+
   handleValidationErrors,
 ];
 
@@ -87,6 +112,7 @@ export const validateQuestionUpdate = [
     )
     .escape(),
 
+  // Исходник Markdown не экранируем: HTML экранируется при рендеринге
   body("content")
     .optional()
     .trim()
@@ -96,8 +122,25 @@ export const validateQuestionUpdate = [
     })
     .withMessage(
       `Obsah musí mať od ${CONTENT_LIMITS.QUESTION_CONTENT_MIN} do ${CONTENT_LIMITS.QUESTION_CONTENT_MAX} znakov`
-    )
-    .escape(),
+    ),
+
+  body("tags")
+    .optional()
+    .isArray({ max: CONTENT_LIMITS.QUESTION_TAGS_MAX })
+    .withMessage(
+      `Otázka môže mať maximálne ${CONTENT_LIMITS.QUESTION_TAGS_MAX} tagov`
+    ),
+
+  body("tags.*")
+    .isString()
+    .trim()
+    .isLength({
+      min: CONTENT_LIMITS.TAG_NAME_MIN,
+      max: CONTENT_LIMITS.TAG_NAME_MAX,
+    })
+    .withMessage(
+      `Tag musí mať od ${CONTENT_LIMITS.TAG_NAME_MIN} do ${CONTENT_LIMITS.TAG_NAME_MAX} znakov`
+    ),
 
   handleValidationErrors,
 ];
@@ -106,6 +149,7 @@ export const validateQuestionUpdate = [
 export const validateAnswerCreate = [
   param("questionId").isMongoId().withMessage("Neplatné ID otázky"),
 
+  // Исходник Markdown не экранируем: HTML экранируется при рендеринге
   body("content")
     .trim()
     .isLength({
@@ -114,8 +158,7 @@ export const validateAnswerCreate = [
     })
     .withMessage(
       `Odpoveď musí mať od ${CONTENT_LIMITS.ANSWER_CONTENT_MIN} do ${CONTENT_LIMITS.ANSWER_CONTENT_MAX} znakov`
-    )
-    .escape(),
+    ),
 
   handleValidationErrors,
 ];
@@ -124,6 +167,7 @@ export const validateAnswerCreate = [
 export const validateCommentCreate = [
   param("questionId").isMongoId().withMessage("Neplatné ID otázky"),
 
+  // Исходник Markdown не экранируем: HTML экранируется при рендеринге
   body("content")
     .trim()
     .isLength({
@@ -132,8 +176,7 @@ export const validateCommentCreate = [
     })
     .withMessage(
       `Komentár musí mať od ${CONTENT_LIMITS.COMMENT_CONTENT_MIN} do ${CONTENT_LIMITS.COMMENT_CONTENT_MAX} znakov`
-    )
-    .escape(),
+    ),
 
   body("parentComment")
     .optional()
@@ -222,6 +265,223 @@ export const validateReportCreate = [
   handleValidationErrors,
 ];
 
+// Валидация решения жалобы
+export const validateReportResolve = [
+  body("action")
+    .isIn(Object.values(REPORT_ACTIONS))
+    .withMessage(
+      `Opatrenie musí byť: ${Object.values(REPORT_ACTIONS).join(", ")}`
+    ),
+
+  body("banDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: config.REPORTS.MAX_BAN_DAYS })
+    .withMessage(
+      `Dĺžka blokovania musí byť od 1 do ${config.REPORTS.MAX_BAN_DAYS} dní`
+    )
+    .toInt(),
+
+  body("comment")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Komentár nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  handleValidationErrors,
+];
+
+// Валидация массовой модерации (тип и действие проверяет контроллер)
+export const validateBulkModeration = [
+  body("banDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: config.REPORTS.MAX_BAN_DAYS })
+    .withMessage(
+      `Dĺžka blokovania musí byť od 1 do ${config.REPORTS.MAX_BAN_DAYS} dní`
+    )
+    .toInt(),
+
+  body("comment")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Komentár nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("Pole dryRun musí byť true alebo false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+// Валидация блокировки подачи жалоб
+export const validateReportingBlock = [
+  param("userId").isMongoId().withMessage("Neplatné ID používateľa"),
+
+  body("blocked")
+    .isBoolean()
+    .withMessage("Pole blocked musí byť true alebo false")
+    .toBoolean(),
+
+  body("reason")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Dôvod nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  handleValidationErrors,
+];
+
+// Валидация заявки на роль эксперта
+export const validateExpertApplication = [
+  body("specialization")
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("Špecializácia musí mať od 3 do 200 znakov")
+    .escape(),
+
+  body("experience")
+    .trim()
+    .isLength({ min: 50, max: 2000 })
+    .withMessage("Popis skúseností musí mať od 50 do 2000 znakov")
+    .escape(),
+
+  body("credentials")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Môžete uviesť najviac 10 kvalifikácií"),
+
+  body("credentials.*.title")
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage("Názov kvalifikácie musí mať od 2 do 200 znakov")
+    .escape(),
+
+  body("credentials.*.issuer")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Vydavateľ nemôže presiahnuť 200 znakov")
+    .escape(),
+
+  body("credentials.*.year")
+    .optional({ nullable: true })
+    .isInt({ min: 1950, max: new Date().getFullYear() })
+    .withMessage("Neplatný rok kvalifikácie")
+    .toInt(),
+
+  body("credentials.*.url")
+    .optional({ nullable: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage("Neplatný odkaz na kvalifikáciu"),
+
+  handleValidationErrors,
+];
+
+// Валидация решения по заявке на роль эксперта (админ)
+export const validateExpertApplicationReview = [
+  param("id").isMongoId().withMessage("Neplatné ID žiadosti"),
+
+  body("comment")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Komentár nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  handleValidationErrors,
+];
+
+// Валидация для создания категории (админ)
+export const validateCategoryCreate = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Názov kategórie musí mať od 2 do 100 znakov")
+    .escape(),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Popis nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  body("color")
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage("Farba musí byť v tvare #RRGGBB"),
+
+  body("icon")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Ikona nemôže presiahnuť 100 znakov"),
+
+  body("sortOrder")
+    .optional()
+    .isInt()
+    .withMessage("Poradie musí byť celé číslo"),
+
+  body("parentCategory")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Neplatné ID rodičovskej kategórie"),
+
+  handleValidationErrors,
+];
+
+// Валидация для обновления категории (админ)
+export const validateCategoryUpdate = [
+  param("id").isMongoId().withMessage("Neplatné ID kategórie"),
+
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Názov kategórie musí mať od 2 do 100 znakov")
+    .escape(),
+
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Popis nemôže presiahnuť 500 znakov")
+    .escape(),
+
+  body("color")
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage("Farba musí byť v tvare #RRGGBB"),
+
+  body("icon")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Ikona nemôže presiahnuť 100 znakov"),
+
+  body("sortOrder")
+    .optional()
+    .isInt()
+    .withMessage("Poradie musí byť celé číslo"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive musí byť true alebo false"),
+
+  body("parentCategory")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Neplatné ID rodičovskej kategórie"),
+
+  handleValidationErrors,
+];
+
 // Валидация для поиска
 export const validateSearch = [
   query("q")
@@ -243,6 +503,71 @@ export const validateSearch = [
   handleValidationErrors,
 ];
 
+// Валидация автодополнения тегов
+export const validateTagAutocomplete = [
+  query("q")
+    .optional()
+    .isString()
+    .withMessage("Vyhľadávací dopyt musí byť text")
+    .trim()
+    .isLength({ max: CONTENT_LIMITS.TAG_NAME_MAX })
+    .withMessage(
+      `Vyhľadávací dopyt nemôže presiahnuť ${CONTENT_LIMITS.TAG_NAME_MAX} znakov`
+    ),
+
+  handleValidationErrors,
+];
+
+// Валидация проверки на дубликаты вопроса
+export const validateDuplicateCheck = [
+  body("title")
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage("Nadpis musí mať od 10 do 200 znakov"),
+
+  handleValidationErrors,
+];
+
+// Валидация слияния вопроса-дубликата (админ)
+export const validateQuestionMerge = [
+  param("id").isMongoId().withMessage("Neplatné ID otázky"),
+
+  body("targetId").isMongoId().withMessage("Neplatné ID cieľovej otázky"),
+
+  handleValidationErrors,
+];
+
+// Валидация параметров рейтинга экспертов
+export const validateLeaderboard = [
+  query("period")
+    .optional()
+    .isIn(Object.values(LEADERBOARD_PERIODS))
+    .withMessage("Neplatné obdobie rebríčka"),
+
+  query("sortBy")
+    .optional()
+    .isIn(Object.values(LEADERBOARD_METRICS))
+    .withMessage("Neplatné kritérium zoradenia"),
+
+  query("category")
+    .optional()
+    .trim()
+    .isSlug()
+    .withMessage("Neplatná kategória"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Číslo stránky musí byť kladné číslo"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit výsledkov musí byť od 1 do 50"),
+
+  handleValidationErrors,
+];
+
 // Валидация для пагинации
 export const validatePagination = [
   query("page")
@@ -275,7 +600,18 @@ export default {
   validateRoleChange,
   validateUserBan,
   validateReportCreate,
+  validateReportResolve,
+  validateReportingBlock,
+  validateBulkModeration,
+  validateExpertApplication,
+  validateExpertApplicationReview,
+  validateCategoryCreate,
+  validateCategoryUpdate,
   validateSearch,
+  validateTagAutocomplete,
+  validateDuplicateCheck,
+  validateQuestionMerge,
+  validateLeaderboard,
   validatePagination,
   validateObjectId,
 };
@@ -1,6 +1,8 @@
 // models/Answer.js
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
 import { SOCIAL_PLATFORMS, ANSWER_ACTIONS } from "../utils/constants.js";
+import { renderMarkdown } from "../utils/markdown.js";
 
 const socialPostsSchema = new mongoose.Schema({
   platform: {
@@ -40,6 +42,11 @@ const answerSchema = new mongoose.Schema(
       minlength: 50,
       maxlength: 10000,
     },
+    // HTML, отрендеренный из Markdown (обновляется при сохранении)
+    contentHtml: {
+      type: String,
+      default: "",
+    },
     questionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Question",
@@ -70,6 +77,23 @@ const answerSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Скрыт по жалобам до проверки; в отличие от отклонения
+    // не меняет счетчики, статус вопроса и репутацию
+    isHidden: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Кто скрыл: null - скрыт автоматически по жалобам и ждет решения
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     likes: {
       type: Number,
       default: 0,
@@ -80,6 +104,10 @@ const answerSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
     wasApproved: {
       type: Boolean,
       default: false,
@@ -95,11 +123,15 @@ const answerSchema = new mongoose.Schema(
   }
 );
 
+// Мягкое удаление (deletedAt, deletedBy, deletionReason)
+answerSchema.plugin(softDeletePlugin);
+
 // Составные индексы
 answerSchema.index({ questionId: 1, createdAt: -1 });
 answerSchema.index({ expert: 1, createdAt: -1 });
 answerSchema.index({ isApproved: 1, createdAt: -1 });
 answerSchema.index({ questionId: 1, isAccepted: 1 });
+answerSchema.index({ expert: 1, moderatedAt: -1 });
 
 // Виртуальные поля
 answerSchema.virtual("isPending").get(function () {
@@ -114,6 +146,10 @@ answerSchema.virtual("isPublished").get(function () {
 answerSchema.methods.approve = async function (moderatorId, comment = null) {
   this.isApproved = true;
   this.wasApproved = true;
+  // Одобрение модератором снимает скрытие по жалобам
+  this.isHidden = false;
+  this.hiddenAt = null;
+  this.hiddenBy = null;
   this.moderatedBy = moderatorId;
   this.moderatedAt = new Date();
   this.moderationComment = comment;
@@ -157,10 +193,11 @@ answerSchema.methods.accept = async function () {
     .model("Answer")
     .updateMany(
       { questionId: this.questionId, _id: { $ne: this._id } },
-      { isAccepted: false }
+      { isAccepted: false, acceptedAt: null }
     );
 
   this.isAccepted = true;
+  this.acceptedAt = new Date();
 
   // Отмечаем вопрос как имеющий принятый ответ
   await mongoose.model("Question").findByIdAndUpdate(this.questionId, {
@@ -189,13 +226,17 @@ answerSchema.statics.findPendingModeration = function () {
 };
 
 answerSchema.statics.findByQuestion = function (questionId) {
-  return this.find({ questionId, isApproved: true })
+  return this.find({ questionId, isApproved: true, isHidden: { $ne: true } })
     .populate("expert", "firstName lastName email role avatar bio rating")
     .sort({ isAccepted: -1, likes: -1, createdAt: -1 });
 };
 
 answerSchema.statics.findByExpert = function (expertId) {
-  return this.find({ expert: expertId, isApproved: true })
+  return this.find({
+    expert: expertId,
+    isApproved: true,
+    isHidden: { $ne: true },
+  })
     .populate("questionId", "title slug")
     .sort({ createdAt: -1 });
 };
@@ -238,6 +279,10 @@ answerSchema.pre("deleteOne", { document: true }, async function () {
 });
 
 answerSchema.pre("save", function () {
+  if (this.isModified("content")) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+
   // Додаємо CREATE action тільки для нових документів
   if (this.isNew && this.actions.length === 0) {
     this.actions.push({
@@ -119,8 +119,28 @@ categorySchema.methods.updateCounts = async function () {
     status: { $ne: "closed" },
   });
 
-  // Подсчет экспертов можно расширить в будущем
+  // Эксперты с одобренными ответами на вопросы этой категории
+  const experts = await mongoose.model("Question").aggregate([
+    { $match: { category: this.slug } },
+    {
+      $lookup: {
+        from: "answers",
+        localField: "_id",
+        foreignField: "questionId",
+        as: "answers",
+        pipeline: [
+          { $match: { isApproved: true, deletedAt: null } },
+          { $project: { expert: 1 } },
+        ],
+      },
+    },
+    { $unwind: "$answers" },
+    { $group: { _id: "$answers.expert" } },
+    { $count: "total" },
+  ]);
+
   this.questionsCount = questionsCount;
+  this.expertsCount = experts[0]?.total || 0;
   return await this.save({ validateBeforeSave: false });
 };
 
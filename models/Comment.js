@@ -1,5 +1,7 @@
 // models/Comment.js
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
+import { renderMarkdown } from "../utils/markdown.js";
 
 const commentSchema = new mongoose.Schema(
   {
@@ -10,6 +12,11 @@ const commentSchema = new mongoose.Schema(
       minlength: 5,
       maxlength: 1000,
     },
+    // HTML, отрендеренный из Markdown (обновляется при сохранении)
+    contentHtml: {
+      type: String,
+      default: "",
+    },
     questionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Question",
@@ -38,6 +45,23 @@ const commentSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Скрыт по жалобам до проверки; в отличие от отклонения
+    // не меняет счетчики, статус вопроса и репутацию
+    isHidden: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Кто скрыл: null - скрыт автоматически по жалобам и ждет решения
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
     likes: {
       type: Number,
       default: 0,
@@ -51,6 +75,9 @@ const commentSchema = new mongoose.Schema(
   }
 );
 
+// Мягкое удаление (deletedAt, deletedBy, deletionReason)
+commentSchema.plugin(softDeletePlugin);
+
 // Составные индексы
 commentSchema.index({ questionId: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
@@ -91,6 +118,14 @@ commentSchema.methods.moderate = async function (
 ) {
   this.isApproved = isApproved;
   this.moderatedBy = moderatorId;
+
+  // Одобрение модератором снимает скрытие по жалобам
+  if (isApproved) {
+    this.isHidden = false;
+    this.hiddenAt = null;
+    this.hiddenBy = null;
+  }
+
   return await this.save();
 };
 
@@ -99,6 +134,7 @@ commentSchema.statics.findByQuestion = function (questionId) {
   return this.find({
     questionId,
     isApproved: true,
+    isHidden: { $ne: true },
     parentComment: null,
   })
     .populate("author", "firstName lastName email role avatar")
@@ -116,13 +152,18 @@ commentSchema.statics.findReplies = function (parentCommentId) {
   return this.find({
     parentComment: parentCommentId,
     isApproved: true,
+    isHidden: { $ne: true },
   })
     .populate("author", "firstName lastName email role avatar")
     .sort({ createdAt: 1 });
 };
 
 commentSchema.statics.findByAuthor = function (authorId) {
-  return this.find({ author: authorId, isApproved: true })
+  return this.find({
+    author: authorId,
+    isApproved: true,
+    isHidden: { $ne: true },
+  })
     .populate("questionId", "title slug")
     .sort({ createdAt: -1 });
 };
@@ -152,6 +193,10 @@ commentSchema.statics.getStatistics = async function () {
 
 // Pre-save middleware
 commentSchema.pre("save", async function (next) {
+  if (this.isModified("content")) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+
   // Увеличиваем счетчик комментариев у вопроса при создании
   if (this.isNew) {
     await mongoose
@@ -0,0 +1,174 @@
+// models/EmailOutbox.js
+import mongoose from "mongoose";
+import { EMAIL_OUTBOX_STATUS } from "../utils/constants.js";
+import { emailOutboxConfig } from "../config/emailOutbox.js";
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    // Получатель (email берется из профиля в момент отправки)
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Тип шаблона email микросервиса
+    template: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    companyName: {
+      type: String,
+      default: emailOutboxConfig.defaultCompanyName,
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: Object.values(EMAIL_OUTBOX_STATUS),
+      default: EMAIL_OUTBOX_STATUS.PENDING,
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: emailOutboxConfig.retry.maxAttempts,
+      min: 1,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    deadAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedAt: 1 });
+
+// TTL индекс: отправленные письма удаляются автоматически
+emailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: emailOutboxConfig.sentRetentionDays * 24 * 60 * 60 }
+);
+
+// Методы экземпляра
+emailOutboxSchema.methods.markSent = async function () {
+  this.status = EMAIL_OUTBOX_STATUS.SENT;
+  this.sentAt = new Date();
+  this.lockedAt = null;
+  this.lastError = null;
+  return await this.save();
+};
+
+emailOutboxSchema.methods.markFailed = async function (
+  errorMessage,
+  permanent = false
+) {
+  this.lastError = errorMessage;
+  this.lockedAt = null;
+
+  if (permanent || this.attempts >= this.maxAttempts) {
+    this.status = EMAIL_OUTBOX_STATUS.DEAD;
+    this.deadAt = new Date();
+  } else {
+    // Экспоненциальная задержка: base * 2^(attempts - 1)
+    const { baseDelayMs, maxDelayMs } = emailOutboxConfig.retry;
+    const delay = Math.min(
+      baseDelayMs * Math.pow(2, Math.max(0, this.attempts - 1)),
+      maxDelayMs
+    );
+
+    this.status = EMAIL_OUTBOX_STATUS.PENDING;
+    this.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return await this.save();
+};
+
+emailOutboxSchema.methods.requeue = async function () {
+  this.status = EMAIL_OUTBOX_STATUS.PENDING;
+  this.attempts = 0;
+  this.nextAttemptAt = new Date();
+  this.lockedAt = null;
+  this.deadAt = null;
+  return await this.save();
+};
+
+// Статические методы
+// Атомарный захват следующего письма для отправки
+emailOutboxSchema.statics.claimNext = async function () {
+  const now = new Date();
+  const lockExpired = new Date(now.getTime() - emailOutboxConfig.lockTimeoutMs);
+
+  return await this.findOneAndUpdate(
+    {
+      $or: [
+        {
+          status: EMAIL_OUTBOX_STATUS.PENDING,
+          nextAttemptAt: { $lte: now },
+        },
+        // Письма, зависшие после падения воркера
+        {
+          status: EMAIL_OUTBOX_STATUS.PROCESSING,
+          lockedAt: { $lte: lockExpired },
+        },
+      ],
+    },
+    {
+      $set: { status: EMAIL_OUTBOX_STATUS.PROCESSING, lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+emailOutboxSchema.statics.getStuckQuery = function () {
+  const now = Date.now();
+
+  return {
+    $or: [
+      { status: EMAIL_OUTBOX_STATUS.DEAD },
+      {
+        status: EMAIL_OUTBOX_STATUS.PROCESSING,
+        lockedAt: { $lte: new Date(now - emailOutboxConfig.lockTimeoutMs) },
+      },
+      {
+        status: EMAIL_OUTBOX_STATUS.PENDING,
+        createdAt: { $lte: new Date(now - emailOutboxConfig.stuckAfterMs) },
+      },
+    ],
+  };
+};
+
+const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema);
+
+export default EmailOutbox;
@@ -0,0 +1,132 @@
+// models/ExpertApplication.js
+import mongoose from "mongoose";
+import { EXPERT_APPLICATION_STATUS } from "../utils/constants.js";
+
+// Подтверждение квалификации (сертификат, лицензия, место работы)
+const credentialSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    issuer: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: null,
+    },
+    year: {
+      type: Number,
+      min: 1950,
+      default: null,
+    },
+    url: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const expertApplicationSchema = new mongoose.Schema(
+  {
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    specialization: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    experience: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    credentials: {
+      type: [credentialSchema],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: Object.values(EXPERT_APPLICATION_STATUS),
+      default: EXPERT_APPLICATION_STATUS.PENDING,
+      index: true,
+    },
+    // Репутация заявителя на момент подачи заявки
+    applicantStats: {
+      rating: { type: Number, default: 0 },
+      totalQuestions: { type: Number, default: 0 },
+      accountAgeDays: { type: Number, default: 0 },
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+// У пользователя может быть только одна заявка на рассмотрении.
+// Свое имя - чтобы не конфликтовать с обычным индексом applicant_1
+expertApplicationSchema.index(
+  { applicant: 1 },
+  {
+    name: "applicant_pending_unique",
+    unique: true,
+    partialFilterExpression: { status: EXPERT_APPLICATION_STATUS.PENDING },
+  }
+);
+expertApplicationSchema.index({ status: 1, createdAt: 1 });
+expertApplicationSchema.index({ applicant: 1, createdAt: -1 });
+
+// Виртуальные поля
+expertApplicationSchema.virtual("isPending").get(function () {
+  return this.status === EXPERT_APPLICATION_STATUS.PENDING;
+});
+
+// Статические методы
+expertApplicationSchema.statics.findPendingForUser = function (userId) {
+  return this.findOne({
+    applicant: userId,
+    status: EXPERT_APPLICATION_STATUS.PENDING,
+  });
+};
+
+expertApplicationSchema.statics.findLastRejected = function (userId) {
+  return this.findOne({
+    applicant: userId,
+    status: EXPERT_APPLICATION_STATUS.REJECTED,
+  }).sort({ reviewedAt: -1 });
+};
+
+const ExpertApplication = mongoose.model(
+  "ExpertApplication",
+  expertApplicationSchema
+);
+
+export default ExpertApplication;
@@ -0,0 +1,54 @@
+// models/Follow.js
+import mongoose from "mongoose";
+import { FOLLOW_TARGET_TYPES } from "../utils/constants.js";
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      enum: Object.values(FOLLOW_TARGET_TYPES),
+      required: true,
+    },
+    // ID эксперта (User) или категории (Category)
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: function () {
+        return this.targetType === FOLLOW_TARGET_TYPES.EXPERT
+          ? "User"
+          : "Category";
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+followSchema.index(
+  { follower: 1, targetType: 1, targetId: 1 },
+  { unique: true }
+);
+followSchema.index({ targetType: 1, targetId: 1 });
+
+// Статические методы
+followSchema.statics.getTargetIds = async function (followerId, targetType) {
+  return await this.distinct("targetId", { follower: followerId, targetType });
+};
+
+followSchema.statics.countFollowers = function (targetType, targetId) {
+  return this.countDocuments({ targetType, targetId });
+};
+
+const Follow = mongoose.model("Follow", followSchema);
+
+export default Follow;
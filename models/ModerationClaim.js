@@ -0,0 +1,58 @@
+// models/ModerationClaim.js
+import mongoose from "mongoose";
+import { MODERATION_ITEM_TYPES } from "../utils/constants.js";
+
+// Захват элемента очереди модерации, чтобы два модератора
+// не обрабатывали один и тот же элемент
+const moderationClaimSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: Object.values(MODERATION_ITEM_TYPES),
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+moderationClaimSchema.index({ targetType: 1, targetId: 1 }, { unique: true });
+
+// Истекшие захваты удаляются автоматически
+moderationClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Виртуальные поля
+moderationClaimSchema.virtual("isActive").get(function () {
+  return this.expiresAt > new Date();
+});
+
+// Статические методы
+// Активные захваты элементов (TTL-индекс удаляет записи с задержкой)
+moderationClaimSchema.statics.findActive = function (filter = {}) {
+  return this.find({ ...filter, expiresAt: { $gt: new Date() } });
+};
+
+const ModerationClaim = mongoose.model(
+  "ModerationClaim",
+  moderationClaimSchema
+);
+
+export default ModerationClaim;
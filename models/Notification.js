@@ -0,0 +1,102 @@
+// models/Notification.js
+import mongoose from "mongoose";
+import { NOTIFICATION_TYPES } from "../utils/constants.js";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(NOTIFICATION_TYPES),
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+      default: null,
+    },
+    // Относительная ссылка на фронтенде (например /forum/questions/slug)
+    link: {
+      type: String,
+      default: null,
+    },
+    // Дополнительные данные для фронтенда (ID вопроса, ответа и т.д.)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Методы экземпляра
+notificationSchema.methods.markAsRead = async function () {
+  if (this.isRead) return this;
+
+  this.isRead = true;
+  this.readAt = new Date();
+  return await this.save();
+};
+
+// Статические методы
+notificationSchema.statics.createForUsers = async function (
+  recipientIds,
+  payload
+) {
+  const uniqueIds = [
+    ...new Set(recipientIds.filter(Boolean).map((id) => id.toString())),
+  ];
+
+  if (uniqueIds.length === 0) return [];
+
+  return await this.insertMany(
+    uniqueIds.map((recipient) => ({ ...payload, recipient }))
+  );
+};
+
+notificationSchema.statics.getUnreadCount = async function (recipientId) {
+  return await this.countDocuments({ recipient: recipientId, isRead: false });
+};
+
+notificationSchema.statics.markAllAsRead = async function (recipientId) {
+  const result = await this.updateMany(
+    { recipient: recipientId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+export default Notification;
@@ -0,0 +1,119 @@
+// models/NotificationSettings.js
+import mongoose from "mongoose";
+import { NOTIFICATION_EVENTS, DIGEST_FREQUENCY } from "../utils/constants.js";
+
+// Настройки по умолчанию (используются, пока пользователь их не изменил)
+export const DEFAULT_EMAIL_NOTIFICATIONS = {
+  [NOTIFICATION_EVENTS.NEW_QUESTION]: false,
+  [NOTIFICATION_EVENTS.NEW_ANSWER]: true,
+  [NOTIFICATION_EVENTS.ANSWER_APPROVED]: true,
+  [NOTIFICATION_EVENTS.ANSWER_ACCEPTED]: true,
+  [NOTIFICATION_EVENTS.NEW_COMMENT]: true,
+  [NOTIFICATION_EVENTS.ROLE_CHANGED]: true,
+  [NOTIFICATION_EVENTS.ACCOUNT_BANNED]: true,
+  [NOTIFICATION_EVENTS.NEW_REPORT]: false,
+  [NOTIFICATION_EVENTS.WATCHED_QUESTION]: true,
+  [NOTIFICATION_EVENTS.BADGE_AWARDED]: true,
+  [NOTIFICATION_EVENTS.REPORT_RESOLVED]: true,
+};
+
+export const DEFAULT_IN_APP_NOTIFICATIONS = {
+  [NOTIFICATION_EVENTS.NEW_QUESTION]: true,
+  [NOTIFICATION_EVENTS.NEW_ANSWER]: true,
+  [NOTIFICATION_EVENTS.ANSWER_APPROVED]: true,
+  [NOTIFICATION_EVENTS.ANSWER_ACCEPTED]: true,
+  [NOTIFICATION_EVENTS.NEW_COMMENT]: true,
+  [NOTIFICATION_EVENTS.ROLE_CHANGED]: true,
+  [NOTIFICATION_EVENTS.ACCOUNT_BANNED]: true,
+  [NOTIFICATION_EVENTS.NEW_REPORT]: true,
+  [NOTIFICATION_EVENTS.WATCHED_QUESTION]: true,
+  [NOTIFICATION_EVENTS.BADGE_AWARDED]: true,
+  [NOTIFICATION_EVENTS.REPORT_RESOLVED]: true,
+};
+
+// Схема набора переключателей по событиям
+const buildToggles = (defaults) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([event, value]) => [
+      event,
+      { type: Boolean, default: value },
+    ])
+  );
+
+const notificationSettingsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    emailNotifications: buildToggles(DEFAULT_EMAIL_NOTIFICATIONS),
+    inAppNotifications: buildToggles(DEFAULT_IN_APP_NOTIFICATIONS),
+    // Дайджест активности на форуме
+    digest: {
+      frequency: {
+        type: String,
+        enum: Object.values(DIGEST_FREQUENCY),
+        default: DIGEST_FREQUENCY.NONE,
+      },
+      // Slug категорий, новые вопросы из которых попадают в дайджест
+      categories: {
+        type: [String],
+        default: [],
+      },
+      lastSentAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+notificationSettingsSchema.index({ "digest.frequency": 1 });
+
+// Методы экземпляра
+notificationSettingsSchema.methods.isEnabled = function (channel, event) {
+  const toggles =
+    channel === "email" ? this.emailNotifications : this.inAppNotifications;
+
+  // Неизвестные события (например системные) всегда доставляются
+  if (!event || toggles?.[event] === undefined) return true;
+
+  return toggles[event] !== false;
+};
+
+// Статические методы
+notificationSettingsSchema.statics.getForUser = async function (userId) {
+  const settings = await this.findOne({ user: userId });
+
+  // Несохраненный документ с настройками по умолчанию
+  return settings || new this({ user: userId });
+};
+
+notificationSettingsSchema.statics.getForUsers = async function (userIds) {
+  const existing = await this.find({ user: { $in: userIds } });
+  const byUser = new Map(
+    existing.map((settings) => [settings.user.toString(), settings])
+  );
+
+  return new Map(
+    userIds.map((id) => [
+      id.toString(),
+      byUser.get(id.toString()) || new this({ user: id }),
+    ])
+  );
+};
+
+const NotificationSettings = mongoose.model(
+  "NotificationSettings",
+  notificationSettingsSchema
+);
+
+export default NotificationSettings;
@@ -1,9 +1,12 @@
 import mongoose from "mongoose";
+import softDeletePlugin from "./plugins/softDelete.js";
 import {
   QUESTION_STATUS,
   QUESTION_PRIORITY,
   DEFAULT_CATEGORIES,
+  CONTENT_LIMITS,
 } from "../utils/constants.js";
+import { renderMarkdown } from "../utils/markdown.js";
 
 const questionSchema = new mongoose.Schema(
   {
@@ -23,6 +26,11 @@ const questionSchema = new mongoose.Schema(
       maxlength: 5000,
       index: "text",
     },
+    // HTML, отрендеренный из Markdown (обновляется при сохранении)
+    contentHtml: {
+      type: String,
+      default: "",
+    },
     slug: {
       type: String,
       required: true,
@@ -35,6 +43,16 @@ const questionSchema = new mongoose.Schema(
       default: DEFAULT_CATEGORIES.GENERAL,
       index: true,
     },
+    // Slug тегов (см. models/Tag.js)
+    tags: {
+      type: [String],
+      default: [],
+      index: true,
+      validate: {
+        validator: (tags) => tags.length <= CONTENT_LIMITS.QUESTION_TAGS_MAX,
+        message: `Maximálny počet tagov je ${CONTENT_LIMITS.QUESTION_TAGS_MAX}`,
+      },
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -96,6 +114,38 @@ const questionSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Вопрос закрыт как дубликат и слит с основным вопросом
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      default: null,
+      index: true,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    mergedAt: {
+      type: Date,
+      default: null,
+    },
+    // Скрыт из публичных списков до проверки администратором
+    isHidden: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Кто скрыл: null - скрыт автоматически по жалобам и ждет решения
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -104,6 +154,9 @@ const questionSchema = new mongoose.Schema(
   }
 );
 
+// Мягкое удаление (deletedAt, deletedBy, deletionReason)
+questionSchema.plugin(softDeletePlugin);
+
 // Составные индексы для производительности
 questionSchema.index({ status: 1, createdAt: -1 });
 questionSchema.index({ author: 1, createdAt: -1 });
@@ -191,6 +244,11 @@ questionSchema.methods.decrementComments = async function () {
 };
 
 // Статические методы
+// Фильтр вопросов, видимых в публичных списках
+questionSchema.statics.getPublicFilter = function () {
+  return { isHidden: { $ne: true }, deletedAt: null };
+};
+
 questionSchema.statics.findByStatus = function (status) {
   return this.find({ status })
     .populate("author", "firstName lastName email role avatar")
@@ -253,6 +311,10 @@ questionSchema.statics.getStatistics = async function () {
 
 // Pre-save middleware
 questionSchema.pre("save", function (next) {
+  if (this.isModified("content")) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+
   // Автоматическое обновление статуса при принятии ответа
   if (this.isModified("hasAcceptedAnswer") && this.hasAcceptedAnswer) {
     this.status = QUESTION_STATUS.ANSWERED;
@@ -0,0 +1,42 @@
+// models/QuestionWatch.js
+import mongoose from "mongoose";
+
+const questionWatchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+questionWatchSchema.index({ user: 1, questionId: 1 }, { unique: true });
+questionWatchSchema.index({ user: 1, createdAt: -1 });
+
+// Статические методы
+questionWatchSchema.statics.getWatcherIds = async function (questionId) {
+  return await this.distinct("user", { questionId });
+};
+
+questionWatchSchema.statics.isWatching = async function (userId, questionId) {
+  const watch = await this.exists({ user: userId, questionId });
+  return !!watch;
+};
+
+const QuestionWatch = mongoose.model("QuestionWatch", questionWatchSchema);
+
+export default QuestionWatch;
@@ -1,6 +1,8 @@
 // models/RateLimit.js
 import mongoose from "mongoose";
-import { RATE_LIMIT_ACTIONS } from "../utils/constants.js";
+import RateLimitGrant from "./RateLimitGrant.js";
+import RateLimitPolicy from "./RateLimitPolicy.js";
+import { RATE_LIMIT_ACTIONS, USER_ROLES } from "../utils/constants.js";
 
 const rateLimitSchema = new mongoose.Schema(
   {
@@ -18,9 +20,17 @@ const rateLimitSchema = new mongoose.Schema(
     action: {
       type: String,
       enum: Object.values(RATE_LIMIT_ACTIONS),
-      required: true,
+      // У счетчиков express-rate-limit вместо действия используется key
+      required: function () {
+        return !this.key;
+      },
       index: true,
     },
+    // Ключ счетчика express-rate-limit (общий store для процессов PM2)
+    key: {
+      type: String,
+      default: null,
+    },
     count: {
       type: Number,
       default: 1,
@@ -44,14 +54,26 @@ const rateLimitSchema = new mongoose.Schema(
 // Составные индексы
 rateLimitSchema.index({ userId: 1, action: 1, windowStart: 1 });
 rateLimitSchema.index({ ip: 1, action: 1, windowStart: 1 });
+rateLimitSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: "string" } } }
+);
 
 // Статические методы
+// Если limit не передан, лимит и окно берутся из политики роли (RateLimitPolicy)
 rateLimitSchema.statics.checkLimit = async function (
   identifier,
   action,
-  limit,
-  windowMs
+  limit = null,
+  windowMs = null,
+  role = USER_ROLES.USER
 ) {
+  if (limit === null) {
+    const policy = await RateLimitPolicy.getEffective(role, action);
+    limit = policy.limit;
+    windowMs = policy.windowMs;
+  }
+
   const now = new Date();
   const windowStart = new Date(now.getTime() - windowMs);
 
@@ -60,6 +82,15 @@ rateLimitSchema.statics.checkLimit = async function (
   const searchField = isUserId ? "userId" : "ip";
   const searchValue = isUserId ? identifier : identifier;
 
+  // Учитываем временное увеличение лимита пользователя
+  if (isUserId) {
+    const multiplier = await RateLimitGrant.getActiveMultiplier(
+      identifier,
+      action
+    );
+    limit = Math.floor(limit * multiplier);
+  }
+
   // Ищем существующую запись
   let rateLimitRecord = await this.findOne({
     [searchField]: searchValue,
@@ -80,6 +111,7 @@ rateLimitSchema.statics.checkLimit = async function (
     return {
       allowed: true,
       count: 1,
+      limit,
       remaining: limit - 1,
       resetTime: rateLimitRecord.expiresAt,
     };
@@ -90,6 +122,7 @@ rateLimitSchema.statics.checkLimit = async function (
     return {
       allowed: false,
       count: rateLimitRecord.count,
+      limit,
       remaining: 0,
       resetTime: rateLimitRecord.expiresAt,
     };
@@ -102,11 +135,54 @@ rateLimitSchema.statics.checkLimit = async function (
   return {
     allowed: true,
     count: rateLimitRecord.count,
+    limit,
     remaining: limit - rateLimitRecord.count,
     resetTime: rateLimitRecord.expiresAt,
   };
 };
 
+// Атомарный инкремент счетчика express-rate-limit по ключу
+rateLimitSchema.statics.incrementKey = async function (key, windowMs) {
+  const now = new Date();
+
+  // Окно еще не истекло - увеличиваем счетчик
+  const current = await this.findOneAndUpdate(
+    { key, expiresAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+
+  if (current) return current;
+
+  try {
+    // Записи нет или окно истекло - начинаем новое окно
+    return await this.findOneAndUpdate(
+      { key, expiresAt: { $lte: now } },
+      {
+        $set: {
+          count: 1,
+          windowStart: now,
+          expiresAt: new Date(now.getTime() + windowMs),
+        },
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Другой процесс успел создать запись - повторяем инкремент
+    if (error.code === 11000) {
+      return this.incrementKey(key, windowMs);
+    }
+    throw error;
+  }
+};
+
+rateLimitSchema.statics.decrementKey = async function (key) {
+  await this.updateOne(
+    { key, expiresAt: { $gt: new Date() }, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
 rateLimitSchema.statics.getCurrentCount = async function (
   identifier,
   action,
@@ -0,0 +1,93 @@
+// models/RateLimitGrant.js
+import mongoose from "mongoose";
+import { RATE_LIMIT_ACTIONS } from "../utils/constants.js";
+
+// Временное увеличение лимитов пользователя
+const rateLimitGrantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // null - увеличение действует на все лимиты, включая общий лимит API
+    action: {
+      type: String,
+      enum: Object.values(RATE_LIMIT_ACTIONS),
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+rateLimitGrantSchema.index({ userId: 1, expiresAt: 1, revokedAt: 1 });
+
+// Истекшие увеличения удаляются автоматически
+rateLimitGrantSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Виртуальные поля
+rateLimitGrantSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Статические методы
+rateLimitGrantSchema.statics.getActiveQuery = function (userId = null) {
+  return {
+    ...(userId && { userId }),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+};
+
+// Множитель лимита для действия (наибольший из активных увеличений)
+// action = null - общий лимит API, к нему применяются только общие увеличения
+rateLimitGrantSchema.statics.getActiveMultiplier = async function (
+  userId,
+  action = null
+) {
+  const grants = await this.find({
+    ...this.getActiveQuery(userId),
+    action: action ? { $in: [action, null] } : null,
+  }).select("multiplier");
+
+  return grants.reduce((max, grant) => Math.max(max, grant.multiplier), 1);
+};
+
+const RateLimitGrant = mongoose.model("RateLimitGrant", rateLimitGrantSchema);
+
+export default RateLimitGrant;
@@ -0,0 +1,112 @@
+// models/RateLimitPolicy.js
+import mongoose from "mongoose";
+import config from "../config/index.js";
+import { USER_ROLES, RATE_LIMIT_ACTIONS } from "../utils/constants.js";
+
+// Лимит действия для роли, переопределяющий значения из config
+const rateLimitPolicySchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: Object.values(USER_ROLES),
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: Object.values(RATE_LIMIT_ACTIONS),
+      required: true,
+    },
+    limit: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    windowMs: {
+      type: Number,
+      required: true,
+      min: 1000,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+rateLimitPolicySchema.index({ role: 1, action: 1 }, { unique: true });
+
+// Кэш политик: "role:action" -> политика из БД
+let policyCache = null;
+let policyCacheExpiresAt = 0;
+
+// Статические методы
+
+// Значения по умолчанию из config (используются, если политики в БД нет)
+rateLimitPolicySchema.statics.getDefault = function (role, action) {
+  const { WINDOW_MS, USER, EXPERT } = config.RATE_LIMIT;
+  const isExpert = role === USER_ROLES.EXPERT || role === USER_ROLES.ADMIN;
+
+  switch (action) {
+    case RATE_LIMIT_ACTIONS.QUESTION_CREATE:
+      return {
+        limit: isExpert ? EXPERT.QUESTIONS : USER.QUESTIONS,
+        windowMs: WINDOW_MS,
+      };
+    case RATE_LIMIT_ACTIONS.ANSWER_CREATE:
+      return { limit: isExpert ? EXPERT.ANSWERS : 0, windowMs: WINDOW_MS };
+    case RATE_LIMIT_ACTIONS.COMMENT_CREATE:
+      return {
+        limit: isExpert ? EXPERT.COMMENTS : USER.COMMENTS,
+        windowMs: WINDOW_MS,
+      };
+    case RATE_LIMIT_ACTIONS.LIKE:
+      return { limit: USER.LIKES, windowMs: WINDOW_MS };
+    case RATE_LIMIT_ACTIONS.LOGIN_ATTEMPT:
+      return { limit: 500, windowMs: 15 * 60 * 1000 };
+    default:
+      return { limit: USER.API_REQUESTS, windowMs: WINDOW_MS };
+  }
+};
+
+// Действующая политика с учетом БД (читается через короткий кэш)
+rateLimitPolicySchema.statics.getEffective = async function (role, action) {
+  if (!policyCache || policyCacheExpiresAt <= Date.now()) {
+    const policies = await this.find().lean();
+
+    policyCache = new Map(
+      policies.map((policy) => [`${policy.role}:${policy.action}`, policy])
+    );
+    policyCacheExpiresAt = Date.now() + config.RATE_LIMIT.POLICY_CACHE_TTL_MS;
+  }
+
+  const policy = policyCache.get(`${role}:${action}`);
+
+  return policy
+    ? {
+        role,
+        action,
+        limit: policy.limit,
+        windowMs: policy.windowMs,
+        source: "database",
+      }
+    : { role, action, ...this.getDefault(role, action), source: "default" };
+};
+
+rateLimitPolicySchema.statics.clearCache = function () {
+  policyCache = null;
+  policyCacheExpiresAt = 0;
+};
+
+const RateLimitPolicy = mongoose.model(
+  "RateLimitPolicy",
+  rateLimitPolicySchema
+);
+
+export default RateLimitPolicy;
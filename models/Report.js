@@ -4,6 +4,7 @@ import {
   REPORT_TARGET_TYPES,
   REPORT_REASONS,
   REPORT_STATUS,
+  REPORT_ACTIONS,
 } from "../utils/constants.js";
 
 const reportSchema = new mongoose.Schema(
@@ -62,6 +63,37 @@ const reportSchema = new mongoose.Schema(
       maxlength: 200,
       default: null,
     },
+    // Жалоба от автора с низкой точностью - в конце очереди
+    isDeprioritized: {
+      type: Boolean,
+      default: false,
+    },
+    // Контент скрыт автоматически по порогу жалоб (до решения админа)
+    autoHiddenAt: {
+      type: Date,
+      default: null,
+    },
+    // Результат примененной меры
+    outcome: {
+      action: {
+        type: String,
+        enum: Object.values(REPORT_ACTIONS),
+        default: null,
+      },
+      affectedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+      bannedUntil: {
+        type: Date,
+        default: null,
+      },
+      executedAt: {
+        type: Date,
+        default: null,
+      },
+    },
   },
   {
     timestamps: true,
@@ -76,6 +108,7 @@ reportSchema.index(
   { unique: true }
 );
 reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ status: 1, isDeprioritized: 1, createdAt: -1 });
 reportSchema.index({ targetId: 1, targetType: 1 });
 reportSchema.index({ reviewedBy: 1, reviewedAt: -1 });
 
@@ -92,6 +125,17 @@ reportSchema.virtual("isReviewed").get(function () {
   return this.status === REPORT_STATUS.REVIEWED;
 });
 
+reportSchema.virtual("isDismissed").get(function () {
+  return this.status === REPORT_STATUS.DISMISSED;
+});
+
+// Жалоба закрыта (решена или отклонена)
+reportSchema.virtual("isClosed").get(function () {
+  return [REPORT_STATUS.RESOLVED, REPORT_STATUS.DISMISSED].includes(
+    this.status
+  );
+});
+
 // Методы экземпляра
 reportSchema.methods.markAsReviewed = async function (adminId, comment = null) {
   this.status = REPORT_STATUS.REVIEWED;
@@ -104,13 +148,29 @@ reportSchema.methods.markAsReviewed = async function (adminId, comment = null) {
 reportSchema.methods.resolve = async function (
   adminId,
   actionTaken = null,
-  comment = null
+  comment = null,
+  outcome = null
 ) {
   this.status = REPORT_STATUS.RESOLVED;
   this.reviewedBy = adminId;
   this.reviewedAt = new Date();
   this.actionTaken = actionTaken;
   this.adminComment = comment;
+  if (outcome) {
+    this.outcome = { ...outcome, executedAt: this.reviewedAt };
+  }
+  return await this.save();
+};
+
+reportSchema.methods.dismiss = async function (adminId, comment = null) {
+  this.status = REPORT_STATUS.DISMISSED;
+  this.reviewedBy = adminId;
+  this.reviewedAt = new Date();
+  this.adminComment = comment;
+  this.outcome = {
+    action: REPORT_ACTIONS.DISMISS,
+    executedAt: this.reviewedAt,
+  };
   return await this.save();
 };
 
@@ -119,7 +179,7 @@ reportSchema.statics.findPending = function () {
   return this.find({ status: REPORT_STATUS.PENDING })
     .populate("reportedBy", "email role")
     .populate("targetId")
-    .sort({ createdAt: -1 });
+    .sort({ isDeprioritized: 1, createdAt: -1 });
 };
 
 reportSchema.statics.findByStatus = function (status) {
@@ -137,6 +197,15 @@ reportSchema.statics.findByTarget = function (targetId, targetType) {
     .sort({ createdAt: -1 });
 };
 
+// Открытые (еще не закрытые решением) жалобы на объект
+reportSchema.statics.findOpenByTarget = function (targetId, targetType) {
+  return this.find({
+    targetId,
+    targetType,
+    status: { $in: [REPORT_STATUS.PENDING, REPORT_STATUS.REVIEWED] },
+  });
+};
+
 reportSchema.statics.findByReporter = function (reporterId) {
   return this.find({ reportedBy: reporterId })
     .populate("targetId")
@@ -174,6 +243,9 @@ reportSchema.statics.getStatistics = async function () {
   const resolved = await this.countDocuments({
     status: REPORT_STATUS.RESOLVED,
   });
+  const dismissed = await this.countDocuments({
+    status: REPORT_STATUS.DISMISSED,
+  });
 
   // Статистика по причинам
   const byReason = await this.aggregate([
@@ -208,7 +280,13 @@ reportSchema.statics.getStatistics = async function () {
   const avgProcessingTime = await this.aggregate([
     {
       $match: {
-        status: { $in: [REPORT_STATUS.REVIEWED, REPORT_STATUS.RESOLVED] },
+        status: {
+          $in: [
+            REPORT_STATUS.REVIEWED,
+            REPORT_STATUS.RESOLVED,
+            REPORT_STATUS.DISMISSED,
+          ],
+        },
         reviewedAt: { $exists: true },
       },
     },
@@ -232,6 +310,7 @@ reportSchema.statics.getStatistics = async function () {
     pending,
     reviewed,
     resolved,
+    dismissed,
     recentReports,
     byReason,
     byTargetType,
@@ -239,6 +318,40 @@ reportSchema.statics.getStatistics = async function () {
   };
 };
 
+// Итоги жалоб по авторам: сколько подтверждено и сколько отклонено
+reportSchema.statics.getReporterStats = async function (reporterIds) {
+  const stats = await this.aggregate([
+    {
+      $match: {
+        reportedBy: {
+          $in: reporterIds.map(
+            (id) => new mongoose.Types.ObjectId(id.toString())
+          ),
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$reportedBy",
+        total: { $sum: 1 },
+        resolved: {
+          $sum: { $cond: [{ $eq: ["$status", REPORT_STATUS.RESOLVED] }, 1, 0] },
+        },
+        dismissed: {
+          $sum: {
+            $cond: [{ $eq: ["$status", REPORT_STATUS.DISMISSED] }, 1, 0],
+          },
+        },
+        other: {
+          $sum: { $cond: [{ $eq: ["$reason", REPORT_REASONS.OTHER] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(stats.map((stat) => [stat._id.toString(), stat]));
+};
+
 reportSchema.statics.checkDuplicate = async function (
   reportedBy,
   targetId,
@@ -0,0 +1,117 @@
+// models/ReputationEntry.js
+import mongoose from "mongoose";
+import { REPUTATION_EVENTS } from "../utils/constants.js";
+
+// Запись журнала репутации. Журнал только дополняется:
+// отмена начисления - отдельная запись с обратным знаком (reversalOf)
+const reputationEntrySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    event: {
+      type: String,
+      enum: Object.values(REPUTATION_EVENTS),
+      required: true,
+      index: true,
+    },
+    points: {
+      type: Number,
+      required: true,
+    },
+    // Объект, за который начислены очки (вопрос, ответ или комментарий;
+    // Report - старые штрафы, начисленные за каждую жалобу)
+    sourceType: {
+      type: String,
+      enum: ["Question", "Answer", "Comment", "Report"],
+      required: true,
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceType",
+      required: true,
+    },
+    // Кто вызвал начисление (лайкнувший, автор вопроса, модератор)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReputationEntry",
+      default: null,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+reputationEntrySchema.index({ user: 1, createdAt: -1 });
+reputationEntrySchema.index({ sourceId: 1, event: 1, actor: 1 });
+
+// Виртуальные поля
+reputationEntrySchema.virtual("isReversal").get(function () {
+  return !!this.reversalOf;
+});
+
+// Статические методы
+
+// Действующее (не отмененное) начисление за событие
+reputationEntrySchema.statics.findActive = function (event, sourceId, actor) {
+  return this.findOne({
+    event,
+    sourceId,
+    actor,
+    reversalOf: null,
+    reversedAt: null,
+  });
+};
+
+// Сумма очков пользователя по журналу
+reputationEntrySchema.statics.getTotal = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, total: { $sum: "$points" } } },
+  ]);
+
+  return result?.total || 0;
+};
+
+// Очки по типам событий (с учетом отмен)
+reputationEntrySchema.statics.getBreakdown = async function (userId) {
+  const breakdown = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: "$event",
+        points: { $sum: "$points" },
+        entries: { $sum: 1 },
+      },
+    },
+    { $sort: { points: -1 } },
+  ]);
+
+  return breakdown.reduce((acc, item) => {
+    acc[item._id] = { points: item.points, entries: item.entries };
+    return acc;
+  }, {});
+};
+
+const ReputationEntry = mongoose.model(
+  "ReputationEntry",
+  reputationEntrySchema
+);
+
+export default ReputationEntry;
@@ -0,0 +1,77 @@
+// models/Revision.js
+import mongoose from "mongoose";
+import { REVISION_TARGET_TYPES } from "../utils/constants.js";
+
+// Предыдущая версия вопроса или ответа (снимок до правки)
+const revisionSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: Object.values(REVISION_TARGET_TYPES),
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: function () {
+        return this.targetType === REVISION_TARGET_TYPES.QUESTION
+          ? "Question"
+          : "Answer";
+      },
+    },
+    // Порядковый номер версии (1 - исходная)
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Заголовок хранится только для вопросов
+    title: {
+      type: String,
+      default: null,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // Кто заменил эту версию следующей
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Номер версии, к которой был сделан откат (если правка - откат)
+    rollbackTo: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+revisionSchema.index(
+  { targetType: 1, targetId: 1, version: 1 },
+  { unique: true }
+);
+
+// Статические методы
+revisionSchema.statics.getForTarget = function (targetType, targetId) {
+  return this.find({ targetType, targetId }).sort({ version: 1 });
+};
+
+revisionSchema.statics.getNextVersion = async function (targetType, targetId) {
+  const last = await this.findOne({ targetType, targetId })
+    .sort({ version: -1 })
+    .select("version");
+
+  return last ? last.version + 1 : 1;
+};
+
+const Revision = mongoose.model("Revision", revisionSchema);
+
+export default Revision;
@@ -31,6 +31,12 @@ const roleChangeSchema = new mongoose.Schema(
       maxlength: 500,
       default: null,
     },
+    // Заявка на роль эксперта, по которой изменена роль
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExpertApplication",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -48,7 +54,8 @@ roleChangeSchema.statics.logRoleChange = async function (
   oldRole,
   newRole,
   changedBy,
-  reason = null
+  reason = null,
+  application = null
 ) {
   try {
     const roleChange = await this.create({
@@ -57,6 +64,7 @@ roleChangeSchema.statics.logRoleChange = async function (
       newRole,
       changedBy,
       reason,
+      application,
     });
 
     return roleChange;
@@ -0,0 +1,49 @@
+// models/SlugHistory.js
+import mongoose from "mongoose";
+
+// Прежние slug вопросов: ссылки из соцсетей и поисковиков
+// перенаправляются на текущий slug
+const slugHistorySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+      index: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Статические методы
+slugHistorySchema.statics.recordSlug = async function (
+  slug,
+  questionId,
+  changedBy = null
+) {
+  return await this.findOneAndUpdate(
+    { slug },
+    { slug, question: questionId, changedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SlugHistory = mongoose.model("SlugHistory", slugHistorySchema);
+
+export default SlugHistory;
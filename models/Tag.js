@@ -0,0 +1,68 @@
+// models/Tag.js
+import mongoose from "mongoose";
+import { CONTENT_LIMITS } from "../utils/constants.js";
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: CONTENT_LIMITS.TAG_NAME_MIN,
+      maxlength: CONTENT_LIMITS.TAG_NAME_MAX,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      index: true,
+    },
+    questionsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+tagSchema.index({ questionsCount: -1, slug: 1 });
+
+// Методы экземпляра
+tagSchema.methods.updateCount = async function () {
+  this.questionsCount = await mongoose.model("Question").countDocuments({
+    tags: this.slug,
+  });
+  return await this.save({ validateBeforeSave: false });
+};
+
+// Статические методы
+tagSchema.statics.findBySlug = function (slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
+// Автодополнение по началу slug или названия
+tagSchema.statics.autocomplete = function (prefix, limit = 10) {
+  const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+  return this.find({
+    questionsCount: { $gt: 0 },
+    $or: [
+      { slug: { $regex: `^${escaped}`, $options: "i" } },
+      { name: { $regex: `^${escaped}`, $options: "i" } },
+    ],
+  })
+    .sort({ questionsCount: -1, slug: 1 })
+    .limit(limit)
+    .select("name slug questionsCount");
+};
+
+const Tag = mongoose.model("Tag", tagSchema);
+
+export default Tag;
@@ -97,6 +97,10 @@ const userSchema = new mongoose.Schema(
     bannedUntil: { type: Date },
     bannedReason: { type: String },
 
+    // Запрет подавать жалобы (злоупотребление жалобами)
+    isReportingBlocked: { type: Boolean, default: false },
+    reportingBlockedReason: { type: String },
+
     lastLoginAt: { type: Date },
 
     roleChangedAt: { type: Date },
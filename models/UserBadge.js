@@ -0,0 +1,43 @@
+// models/UserBadge.js
+import mongoose from "mongoose";
+
+// Значок, выданный пользователю (определения - в config/badges.js)
+const userBadgeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    badge: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Значение показателя на момент выдачи
+    value: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Составные индексы
+userBadgeSchema.index({ user: 1, badge: 1 }, { unique: true });
+userBadgeSchema.index({ badge: 1, createdAt: -1 });
+
+// Статические методы
+userBadgeSchema.statics.getBadgeCodes = async function (userId) {
+  return await this.distinct("badge", { user: userId });
+};
+
+const UserBadge = mongoose.model("UserBadge", userBadgeSchema);
+
+export default UserBadge;
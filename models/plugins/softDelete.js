@@ -0,0 +1,80 @@
+// models/plugins/softDelete.js
+import mongoose from "mongoose";
+
+// Запросы чтения, из которых исключаются удаленные документы
+const READ_QUERIES = ["find", "findOne", "countDocuments", "distinct"];
+
+// Мягкое удаление: документ помечается deletedAt и пропадает из чтения.
+// Удаленные документы видны, если условие по deletedAt задано явно
+// или запрос вызван с .withDeleted() / опцией { withDeleted: true }
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deletionReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null,
+    },
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(READ_QUERIES, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+      return;
+    }
+
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0]?.$match;
+
+    if (firstMatch) {
+      // $text должен оставаться в первой стадии - дополняем ее
+      if (!("deletedAt" in firstMatch)) firstMatch.deletedAt = null;
+      return;
+    }
+
+    pipeline.unshift({ $match: { deletedAt: null } });
+  });
+
+  // Каскадно удаленные документы получают ту же дату deletedAt,
+  // по ней они восстанавливаются вместе с родителем
+  schema.methods.softDelete = async function (
+    userId,
+    reason = null,
+    deletedAt = new Date()
+  ) {
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId;
+    this.deletionReason = reason;
+    return await this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = async function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    this.deletionReason = null;
+    return await this.save({ validateBeforeSave: false });
+  };
+
+  schema.virtual("isDeleted").get(function () {
+    return !!this.deletedAt;
+  });
+};
+
+export default softDeletePlugin;
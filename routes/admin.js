@@ -5,7 +5,8 @@ import { authenticate, requireAdmin } from '../middlewares/auth.js';
 import { requireModerator } from '../middlewares/roleCheck.js';
 import { 
   validatePagination,
-  validateObjectId
+  validateObjectId,
+  validateBulkModeration
 } from '../middlewares/validation.js';
 import { checkUserBan } from '../middlewares/banCheck.js';
 
@@ -63,14 +64,42 @@ router.get('/comments',
   adminController.getCommentsModerationQueue
 );
 
-// POST /api/admin/bulk-moderate - массовая модерация контента
+// POST /api/admin/bulk-moderate - массовая модерация контента (dryRun - предпросмотр)
 router.post('/bulk-moderate',
   authenticate,
   checkUserBan,
   requireModerator,
+  validateBulkModeration,
   adminController.bulkModerateContent
 );
 
+// GET /api/admin/moderation-queue - единая очередь модерации (?type=&sortBy=&sortOrder=)
+router.get('/moderation-queue',
+  authenticate,
+  checkUserBan,
+  requireModerator,
+  validatePagination,
+  adminController.getModerationQueue
+);
+
+// POST /api/admin/moderation-queue/:type/:id/claim - захват элемента очереди
+router.post('/moderation-queue/:type/:id/claim',
+  authenticate,
+  checkUserBan,
+  requireModerator,
+  validateObjectId('id'),
+  adminController.claimModerationItem
+);
+
+// DELETE /api/admin/moderation-queue/:type/:id/claim - снятие захвата
+router.delete('/moderation-queue/:type/:id/claim',
+  authenticate,
+  checkUserBan,
+  requireModerator,
+  validateObjectId('id'),
+  adminController.releaseModerationItem
+);
+
 // GET /api/admin/users - управление пользователями
 router.get('/users',
   authenticate,
@@ -140,4 +169,114 @@ router.post('/reset-rate-limits/:userId',
   adminController.resetUserRateLimits
 );
 
+// GET /api/admin/rate-limits/grants - временные увеличения лимитов
+router.get('/rate-limits/grants',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validatePagination,
+  adminController.getRateLimitGrants
+);
+
+// POST /api/admin/rate-limits/grants - выдача временного увеличения лимитов
+router.post('/rate-limits/grants',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.grantRateLimitIncrease
+);
+
+// DELETE /api/admin/rate-limits/grants/:grantId - отзыв увеличения лимитов
+router.delete('/rate-limits/grants/:grantId',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId('grantId'),
+  adminController.revokeRateLimitGrant
+);
+
+// GET /api/admin/rate-limit-policies - политики лимитов по ролям и действиям
+router.get('/rate-limit-policies',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.getRateLimitPolicies
+);
+
+// PUT /api/admin/rate-limit-policies/:role/:action - изменение политики лимита
+router.put('/rate-limit-policies/:role/:action',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.updateRateLimitPolicy
+);
+
+// DELETE /api/admin/rate-limit-policies/:role/:action - сброс политики к значениям по умолчанию
+router.delete('/rate-limit-policies/:role/:action',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.resetRateLimitPolicy
+);
+
+// GET /api/admin/email-outbox - статистика очереди писем
+router.get('/email-outbox',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.getEmailOutboxStatistics
+);
+
+// GET /api/admin/email-outbox/stuck - застрявшие и dead-letter письма
+router.get('/email-outbox/stuck',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validatePagination,
+  adminController.getStuckEmails
+);
+
+// POST /api/admin/email-outbox/process - ручной запуск обработки очереди
+router.post('/email-outbox/process',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.processEmailOutbox
+);
+
+// POST /api/admin/email-outbox/:id/retry - повторная отправка письма
+router.post('/email-outbox/:id/retry',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId('id'),
+  adminController.retryEmail
+);
+
+// GET /api/admin/trash - корзина удаленного контента (?type=question|answer|comment)
+router.get('/trash',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validatePagination,
+  adminController.getTrash
+);
+
+// POST /api/admin/trash/purge - ручная очистка корзины от просроченного контента
+router.post('/trash/purge',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  adminController.purgeTrash
+);
+
+// POST /api/admin/trash/:type/:id/restore - восстановление из корзины
+router.post('/trash/:type/:id/restore',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId('id'),
+  adminController.restoreFromTrash
+);
+
 export default router;
\ No newline at end of file
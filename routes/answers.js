@@ -54,6 +54,7 @@ router.post(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
     checkCapitals: true,
   }),
   checkContentLength({
@@ -101,6 +102,7 @@ router.put(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
   }),
   checkContentLength({
     content: { min: 50, max: 10000 },
@@ -122,6 +124,25 @@ router.delete(
   answerController.deleteAnswer
 );
 
+// GET /api/answers/:id/revisions - история правок ответа
+router.get(
+  "/:id/revisions",
+  optionalAuth,
+  validateObjectId("id"),
+  answerController.getAnswerRevisions
+);
+
+// POST /api/answers/:id/revisions/:revisionId/rollback - откат к ревизии (только админы)
+router.post(
+  "/:id/revisions/:revisionId/rollback",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId("id"),
+  validateObjectId("revisionId"),
+  answerController.rollbackAnswer
+);
+
 // POST /api/answers/:id/accept - принятие ответа как лучшего
 router.post(
   "/:id/accept",
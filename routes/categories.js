@@ -0,0 +1,70 @@
+// routes/categories.js
+import express from "express";
+import categoryController from "../controllers/categoryController.js";
+import {
+  authenticate,
+  optionalAuth,
+  requireAdmin,
+} from "../middlewares/auth.js";
+import {
+  validateCategoryCreate,
+  validateCategoryUpdate,
+  validateObjectId,
+} from "../middlewares/validation.js";
+import { checkUserBan } from "../middlewares/banCheck.js";
+
+const router = express.Router();
+
+// GET /api/categories - дерево категорий (публично)
+router.get("/", optionalAuth, categoryController.getCategories);
+
+// GET /api/categories/:slug - категория по slug (публично)
+router.get("/:slug", categoryController.getCategory);
+
+// POST /api/categories - создание категории (только админы)
+router.post(
+  "/",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateCategoryCreate,
+  categoryController.createCategory
+);
+
+// PUT /api/categories/:id - обновление категории (только админы)
+router.put(
+  "/:id",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateCategoryUpdate,
+  categoryController.updateCategory
+);
+
+// DELETE /api/categories/:id - удаление категории (только админы)
+router.delete(
+  "/:id",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId("id"),
+  categoryController.deleteCategory
+);
+
+// POST /api/categories/:slug/follow - подписка на категорию
+router.post(
+  "/:slug/follow",
+  authenticate,
+  checkUserBan,
+  categoryController.followCategory
+);
+
+// DELETE /api/categories/:slug/follow - отписка от категории
+router.delete(
+  "/:slug/follow",
+  authenticate,
+  checkUserBan,
+  categoryController.unfollowCategory
+);
+
+export default router;
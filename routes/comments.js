@@ -86,6 +86,7 @@ router.post(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
     checkCapitals: true,
     strictMode: false,
   }),
@@ -136,6 +137,7 @@ router.put(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
     checkCapitals: true,
   }),
   checkContentLength({
@@ -2,12 +2,15 @@
 import express from "express";
 import expertController from "../controllers/expertController.js";
 import { authenticate, optionalAuth } from "../middlewares/auth.js";
-import { requireExpert } from "../middlewares/roleCheck.js";
+import { requireExpert, requireAdmin } from "../middlewares/roleCheck.js";
 import {
   validateProfileUpdate,
   validateSearch,
+  validateLeaderboard,
   validatePagination,
   validateObjectId,
+  validateExpertApplication,
+  validateExpertApplicationReview,
 } from "../middlewares/validation.js";
 import {
   checkUserBan,
@@ -28,6 +31,14 @@ router.get(
   expertController.searchExperts
 );
 
+// GET /api/experts/leaderboard - рейтинг экспертов (публичный)
+router.get(
+  "/leaderboard",
+  optionalAuth,
+  validateLeaderboard,
+  expertController.getLeaderboard
+);
+
 // GET /api/experts/dashboard - панель эксперта (только эксперты)
 router.get(
   "/dashboard",
@@ -77,6 +88,72 @@ router.put(
   expertController.updateExpertBio
 );
 
+// GET /api/experts/applications/eligibility - может ли пользователь подать заявку
+router.get(
+  "/applications/eligibility",
+  authenticate,
+  checkUserBan,
+  expertController.getApplicationEligibility
+);
+
+// GET /api/experts/applications/my - мои заявки на роль эксперта
+router.get(
+  "/applications/my",
+  authenticate,
+  checkUserBan,
+  expertController.getMyApplications
+);
+
+// POST /api/experts/applications - подача заявки на роль эксперта
+router.post(
+  "/applications",
+  authenticate,
+  checkUserBan,
+  checkUserCanPerformAction,
+  validateExpertApplication,
+  expertController.submitApplication
+);
+
+// GET /api/experts/applications - список заявок (только админы)
+router.get(
+  "/applications",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validatePagination,
+  expertController.getApplications
+);
+
+// GET /api/experts/applications/:id - детали заявки (только админы)
+router.get(
+  "/applications/:id",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId("id"),
+  expertController.getApplication
+);
+
+// POST /api/experts/applications/:id/approve - одобрение заявки (только админы)
+router.post(
+  "/applications/:id/approve",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateExpertApplicationReview,
+  expertController.approveApplication
+);
+
+// POST /api/experts/applications/:id/reject - отклонение заявки (только админы)
+router.post(
+  "/applications/:id/reject",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateExpertApplicationReview,
+  expertController.rejectApplication
+);
+
 // GET /api/experts/:expertId - профиль конкретного эксперта (публичный)
 router.get(
   "/:expertId",
@@ -103,4 +180,22 @@ router.get(
   expertController.getExpertStatistics
 );
 
+// POST /api/experts/:expertId/follow - подписка на эксперта
+router.post(
+  "/:expertId/follow",
+  authenticate,
+  checkUserBan,
+  validateObjectId("expertId"),
+  expertController.followExpert
+);
+
+// DELETE /api/experts/:expertId/follow - отписка от эксперта
+router.delete(
+  "/:expertId/follow",
+  authenticate,
+  checkUserBan,
+  validateObjectId("expertId"),
+  expertController.unfollowExpert
+);
+
 export default router;
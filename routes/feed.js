@@ -0,0 +1,12 @@
+// routes/feed.js
+import express from "express";
+import feedController from "../controllers/feedController.js";
+import { authenticate } from "../middlewares/auth.js";
+import { checkUserBan } from "../middlewares/banCheck.js";
+
+const router = express.Router();
+
+// GET /api/feed - персональная лента по подпискам
+router.get("/", authenticate, checkUserBan, feedController.getFeed);
+
+export default router;
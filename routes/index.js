@@ -10,6 +10,10 @@ import userRoutes from "./users.js";
 import expertRoutes from "./experts.js";
 import adminRoutes from "./admin.js";
 import reportRoutes from "./reports.js";
+import notificationRoutes from "./notifications.js";
+import categoryRoutes from "./categories.js";
+import tagRoutes from "./tags.js";
+import feedRoutes from "./feed.js";
 import testRoutes from "./test.js";
 
 const router = express.Router();
@@ -23,6 +27,10 @@ router.use("/users", userRoutes);
 router.use("/experts", expertRoutes);
 router.use("/admin", adminRoutes);
 router.use("/reports", reportRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/categories", categoryRoutes);
+router.use("/tags", tagRoutes);
+router.use("/feed", feedRoutes);
 router.use("/test", testRoutes);
 
 // if (process.env.NODE_ENV === "development") {
@@ -42,6 +50,10 @@ router.get("/", (req, res) => {
       experts: "/api/experts",
       admin: "/api/admin",
       reports: "/api/reports",
+      notifications: "/api/notifications",
+      categories: "/api/categories",
+      tags: "/api/tags",
+      feed: "/api/feed",
     },
     documentation: "https://docs.fastcredit.sk/forum-api",
     status: "active",
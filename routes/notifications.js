@@ -0,0 +1,56 @@
+// routes/notifications.js
+import express from "express";
+import notificationController from "../controllers/notificationController.js";
+import { authenticate } from "../middlewares/auth.js";
+import {
+  validatePagination,
+  validateObjectId,
+} from "../middlewares/validation.js";
+import { checkUserBan } from "../middlewares/banCheck.js";
+
+const router = express.Router();
+
+// GET /api/notifications - уведомления текущего пользователя
+router.get(
+  "/",
+  authenticate,
+  checkUserBan,
+  validatePagination,
+  notificationController.getMyNotifications
+);
+
+// GET /api/notifications/unread-count - количество непрочитанных
+router.get(
+  "/unread-count",
+  authenticate,
+  checkUserBan,
+  notificationController.getUnreadCount
+);
+
+// PUT /api/notifications/read-all - отметить все как прочитанные
+router.put(
+  "/read-all",
+  authenticate,
+  checkUserBan,
+  notificationController.markAllAsRead
+);
+
+// PUT /api/notifications/:id/read - отметить уведомление как прочитанное
+router.put(
+  "/:id/read",
+  authenticate,
+  checkUserBan,
+  validateObjectId("id"),
+  notificationController.markAsRead
+);
+
+// DELETE /api/notifications/:id - удаление уведомления
+router.delete(
+  "/:id",
+  authenticate,
+  checkUserBan,
+  validateObjectId("id"),
+  notificationController.deleteNotification
+);
+
+export default router;
@@ -16,6 +16,8 @@ import {
   validateQuestionCreate,
   validateQuestionUpdate,
   validateSearch,
+  validateDuplicateCheck,
+  validateQuestionMerge,
   validatePagination,
   validateObjectId,
 } from "../middlewares/validation.js";
@@ -73,6 +75,15 @@ router.get("/top", optionalAuth, questionController.getTopQuestions);
 // GET /api/questions/validate-slug/:slug - валидация slug вопроса (ПЕРЕНЕСЕН ВЫШЕ)
 router.get("/validate-slug/:slug", questionController.validateQuestionSlug);
 
+// GET /api/questions/watched - вопросы, на которые подписан пользователь
+router.get(
+  "/watched",
+  authenticate,
+  checkUserBan,
+  validatePagination,
+  questionController.getWatchedQuestions
+);
+
 // GET /api/questions/user/:userId - вопросы конкретного пользователя
 router.get(
   "/user/:userId",
@@ -95,6 +106,7 @@ router.post(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
     checkCapitals: true,
     strictMode: false,
   }),
@@ -112,6 +124,14 @@ router.post(
   questionController.createQuestion
 );
 
+// POST /api/questions/duplicate-check - поиск похожих вопросов перед созданием
+router.post(
+  "/duplicate-check",
+  optionalAuth,
+  validateDuplicateCheck,
+  questionController.checkDuplicates
+);
+
 // PUT /api/questions/:id - обновление вопроса
 router.put(
   "/:id",
@@ -129,6 +149,7 @@ router.put(
   filterContent({
     checkBannedWords: true,
     sanitizeHtml: true,
+    markdownFields: ["content"],
     checkCapitals: true,
   }),
   checkContentLength({
@@ -164,6 +185,24 @@ router.post(
   questionController.toggleQuestionLike
 );
 
+// POST /api/questions/:id/watch - подписка на вопрос
+router.post(
+  "/:id/watch",
+  authenticate,
+  checkUserBan,
+  validateObjectId("id"),
+  questionController.watchQuestion
+);
+
+// DELETE /api/questions/:id/watch - отписка от вопроса
+router.delete(
+  "/:id/watch",
+  authenticate,
+  checkUserBan,
+  validateObjectId("id"),
+  questionController.unwatchQuestion
+);
+
 // GET /api/questions/:id/similar - похожие вопросы
 router.get(
   "/:id/similar",
@@ -172,6 +211,25 @@ router.get(
   questionController.getSimilarQuestions
 );
 
+// GET /api/questions/:id/revisions - история правок вопроса
+router.get(
+  "/:id/revisions",
+  optionalAuth,
+  validateObjectId("id"),
+  questionController.getQuestionRevisions
+);
+
+// POST /api/questions/:id/revisions/:revisionId/rollback - откат к ревизии (только админы)
+router.post(
+  "/:id/revisions/:revisionId/rollback",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateObjectId("id"),
+  validateObjectId("revisionId"),
+  questionController.rollbackQuestion
+);
+
 // PUT /api/questions/:id/status - изменение статуса вопроса (только админы)
 router.put(
   "/:id/status",
@@ -182,6 +240,16 @@ router.put(
   questionController.changeQuestionStatus
 );
 
+// POST /api/questions/:id/merge - пометка дубликатом и слияние (только админы)
+router.post(
+  "/:id/merge",
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateQuestionMerge,
+  questionController.mergeQuestion
+);
+
 // GET /api/questions/:slug - получение конкретного вопроса (ПЕРЕНЕСЕН В КОНЕЦ)
 router.get("/:slug", optionalAuth, questionController.getQuestionBySlug);
 
@@ -4,6 +4,8 @@ import reportController from '../controllers/reportController.js';
 import { authenticate, requireAdmin } from '../middlewares/auth.js';
 import { 
   validateReportCreate,
+  validateReportResolve,
+  validateReportingBlock,
   validatePagination,
   validateObjectId
 } from '../middlewares/validation.js';
@@ -39,7 +41,7 @@ router.get('/',
   reportController.getAllReports
 );
 
-// GET /api/reports/pending - жалобы в ожидании (только админы)
+// GET /api/reports/pending - жалобы в ожидании с точностью авторов (только админы)
 router.get('/pending',
   authenticate,
   checkUserBan,
@@ -84,13 +86,23 @@ router.put('/:id/review',
   reportController.reviewReport
 );
 
-// PUT /api/reports/:id/resolve - разрешение жалобы (только админы)
+// PUT /api/reports/:id/resolve - разрешение жалобы с применением меры (только админы)
 router.put('/:id/resolve',
   authenticate,
   checkUserBan,
   requireAdmin,
   validateObjectId('id'),
+  validateReportResolve,
   reportController.resolveReport
 );
 
+// PUT /api/reports/reporters/:userId/block - запрет подавать жалобы (только админы)
+router.put('/reporters/:userId/block',
+  authenticate,
+  checkUserBan,
+  requireAdmin,
+  validateReportingBlock,
+  reportController.setReportingBlock
+);
+
 export default router;
\ No newline at end of file
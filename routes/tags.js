@@ -0,0 +1,33 @@
+// routes/tags.js
+import express from "express";
+import tagController from "../controllers/tagController.js";
+import { optionalAuth } from "../middlewares/auth.js";
+import {
+  validatePagination,
+  validateTagAutocomplete,
+} from "../middlewares/validation.js";
+
+const router = express.Router();
+
+// GET /api/tags - популярные теги
+router.get("/", validatePagination, tagController.getTags);
+
+// GET /api/tags/autocomplete - автодополнение тегов
+router.get(
+  "/autocomplete",
+  validateTagAutocomplete,
+  tagController.autocompleteTags
+);
+
+// GET /api/tags/:slug - информация о теге
+router.get("/:slug", tagController.getTag);
+
+// GET /api/tags/:slug/questions - вопросы с тегом
+router.get(
+  "/:slug/questions",
+  optionalAuth,
+  validatePagination,
+  tagController.getTagQuestions
+);
+
+export default router;
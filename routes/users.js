@@ -66,6 +66,30 @@ router.post(
   userController.promoteUsersToExpert
 );
 
+// GET /api/users/me/notification-settings - настройки уведомлений
+router.get(
+  "/me/notification-settings",
+  authenticate,
+  checkUserBan,
+  userController.getMyNotificationSettings
+);
+
+// PUT /api/users/me/notification-settings - обновление настроек уведомлений
+router.put(
+  "/me/notification-settings",
+  authenticate,
+  checkUserBan,
+  userController.updateMyNotificationSettings
+);
+
+// GET /api/users/me/following - подписки на экспертов и категории
+router.get(
+  "/me/following",
+  authenticate,
+  checkUserBan,
+  userController.getMyFollowing
+);
+
 // GET /api/users/:id - получение пользователя
 router.get(
   "/:id",
@@ -85,6 +109,16 @@ router.get(
   userController.getUserActivity
 );
 
+// GET /api/users/:id/reputation - репутация и история начислений
+router.get(
+  "/:id/reputation",
+  authenticate,
+  checkUserBan,
+  validateObjectId("id"),
+  validatePagination,
+  userController.getUserReputation
+);
+
 // GET /api/users/:id/role-history - история изменений ролей
 router.get(
   "/:id/role-history",
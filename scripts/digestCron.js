@@ -0,0 +1,102 @@
+// scripts/digestCron.js
+
+import cron from "node-cron";
+import digestService from "../services/digestService.js";
+import { digestConfig } from "../config/digest.js";
+import { DIGEST_FREQUENCY } from "../utils/constants.js";
+import { writeLog } from "../middlewares/logger.js";
+
+/**
+ * Флаги для предотвращения параллельного выполнения (по периодичности)
+ */
+const isSending = {
+  [DIGEST_FREQUENCY.DAILY]: false,
+  [DIGEST_FREQUENCY.WEEKLY]: false,
+};
+
+/**
+ * Рассылка дайджестов с защитой от перекрытия
+ */
+async function sendDigestsSafe(frequency) {
+  if (isSending[frequency]) {
+    writeLog("WARN", `Digest (${frequency}) already in progress, skipping...`);
+    return;
+  }
+
+  try {
+    isSending[frequency] = true;
+    writeLog("INFO", `Starting ${frequency} digest generation...`);
+
+    const result = await digestService.sendDigests(frequency);
+
+    writeLog(
+      "INFO",
+      `Digest (${frequency}) completed: ${result.sent} sent, ${result.empty} empty, ${result.failed} failed`
+    );
+
+    return result;
+  } catch (error) {
+    writeLog(
+      "ERROR",
+      `Unexpected error during ${frequency} digest generation: ${error.message}`
+    );
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    // Освобождаем флаг в любом случае
+    isSending[frequency] = false;
+  }
+}
+
+/**
+ * Запускаем cron задачи (ежедневная и еженедельная)
+ */
+function startDigestCron() {
+  const { dailySchedule, weeklySchedule, timezone, runOnStart } =
+    digestConfig.cron;
+
+  writeLog(
+    "INFO",
+    `Initializing digest cron jobs: daily "${dailySchedule}", weekly "${weeklySchedule}"`
+  );
+
+  const tasks = [
+    cron.schedule(
+      dailySchedule,
+      async () => {
+        await sendDigestsSafe(DIGEST_FREQUENCY.DAILY);
+      },
+      { scheduled: true, timezone: timezone }
+    ),
+    cron.schedule(
+      weeklySchedule,
+      async () => {
+        await sendDigestsSafe(DIGEST_FREQUENCY.WEEKLY);
+      },
+      { scheduled: true, timezone: timezone }
+    ),
+  ];
+
+  writeLog("INFO", `Digest cron jobs started successfully (${timezone})`);
+
+  if (runOnStart) {
+    setTimeout(async () => {
+      await sendDigestsSafe(DIGEST_FREQUENCY.DAILY);
+    }, 2000); // Задержка 2 секунды для завершения инициализации
+  }
+
+  return tasks;
+}
+
+/**
+ * Функция для ручного запуска (для использования в API или админке)
+ */
+async function sendDigestsManual(frequency) {
+  writeLog("INFO", `Manual ${frequency} digest requested`);
+  return await sendDigestsSafe(frequency);
+}
+
+// Экспортируем функции
+export { startDigestCron, sendDigestsManual };
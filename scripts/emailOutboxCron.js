@@ -0,0 +1,108 @@
+// scripts/emailOutboxCron.js
+
+import cron from "node-cron";
+import emailOutboxService from "../services/emailOutboxService.js";
+import { emailOutboxConfig } from "../config/emailOutbox.js";
+import { writeLog } from "../middlewares/logger.js";
+
+/**
+ * Флаг для предотвращения параллельного выполнения
+ */
+let isProcessing = false;
+let lastRun = null;
+
+/**
+ * Обработка очереди писем с защитой от перекрытия
+ */
+async function processOutboxSafe() {
+  if (isProcessing) {
+    writeLog("WARN", "Email outbox processing already in progress, skipping...");
+    return;
+  }
+
+  try {
+    isProcessing = true;
+
+    const result = await emailOutboxService.processBatch();
+    lastRun = { ...result, finishedAt: new Date() };
+
+    // Логируем только если что-то было обработано
+    if (result.processed > 0) {
+      writeLog(
+        "INFO",
+        `Email outbox processed ${result.processed} messages: ${result.sent} sent, ${result.retried} scheduled for retry, ${result.dead} dead-lettered`
+      );
+    }
+
+    return result;
+  } catch (error) {
+    writeLog(
+      "ERROR",
+      `Unexpected error during email outbox processing: ${error.message}`
+    );
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    // Освобождаем флаг в любом случае
+    isProcessing = false;
+  }
+}
+
+/**
+ * Запускаем cron задачу
+ */
+function startEmailOutboxCron() {
+  const { schedule, timezone, runOnStart } = emailOutboxConfig.cron;
+
+  writeLog(
+    "INFO",
+    `Initializing email outbox cron job with schedule: ${schedule}`
+  );
+
+  const task = cron.schedule(
+    schedule,
+    async () => {
+      await processOutboxSafe();
+    },
+    {
+      scheduled: true,
+      timezone: timezone,
+    }
+  );
+
+  writeLog("INFO", `Email outbox cron job started successfully`);
+
+  // Обработка накопившихся писем сразу после старта
+  if (runOnStart) {
+    setTimeout(async () => {
+      await processOutboxSafe();
+    }, 2000); // Задержка 2 секунды для завершения инициализации
+  }
+
+  return task;
+}
+
+/**
+ * Функция для ручного запуска (для использования в API или админке)
+ */
+async function processOutboxManual() {
+  writeLog("INFO", "Manual email outbox processing requested");
+  return await processOutboxSafe();
+}
+
+/**
+ * Проверяем статус воркера
+ */
+function getEmailOutboxStatus() {
+  return {
+    isProcessing,
+    lastRun,
+    schedule: emailOutboxConfig.cron.schedule,
+    timezone: emailOutboxConfig.cron.timezone,
+  };
+}
+
+// Экспортируем функции
+export { startEmailOutboxCron, processOutboxManual, getEmailOutboxStatus };
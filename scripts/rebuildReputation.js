@@ -0,0 +1,205 @@
+// scripts/rebuildReputation.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Like from "../models/Like.js";
+import Report from "../models/Report.js";
+import ReputationEntry from "../models/ReputationEntry.js";
+import config from "../config/index.js";
+import {
+  REPUTATION_EVENTS,
+  LIKE_TARGET_TYPES,
+  REPORT_STATUS,
+} from "../utils/constants.js";
+
+// Загружаем переменные окружения
+dotenv.config();
+
+// Пересборка журнала репутации по текущему состоянию данных
+// (лайки, одобренные и принятые ответы, подтвержденные жалобы)
+// и пересчет User.rating. Существующий журнал удаляется.
+const POINTS = config.REPUTATION.POINTS;
+
+const authorModels = {
+  [LIKE_TARGET_TYPES.QUESTION]: { Model: Question, field: "author" },
+  [LIKE_TARGET_TYPES.ANSWER]: { Model: Answer, field: "expert" },
+  [LIKE_TARGET_TYPES.COMMENT]: { Model: Comment, field: "author" },
+};
+
+const authorCache = new Map();
+
+const getAuthor = async (targetType, targetId) => {
+  const key = `${targetType}:${targetId}`;
+
+  if (!authorCache.has(key)) {
+    const { Model, field } = authorModels[targetType];
+    const doc = await Model.findById(targetId).select(field).lean();
+    authorCache.set(key, doc?.[field] || null);
+  }
+
+  return authorCache.get(key);
+};
+
+const insertBatch = async (entries) => {
+  if (entries.length === 0) return 0;
+  await ReputationEntry.insertMany(entries, { ordered: false });
+  return entries.length;
+};
+
+const rebuildFromLikes = async () => {
+  const cursor = Like.find({
+    targetType: {
+      $in: [LIKE_TARGET_TYPES.QUESTION, LIKE_TARGET_TYPES.ANSWER],
+    },
+  })
+    .lean()
+    .cursor();
+
+  let entries = [];
+  let inserted = 0;
+
+  for await (const like of cursor) {
+    const author = await getAuthor(like.targetType, like.targetId);
+
+    // За лайк собственного контента очки не начисляются
+    if (!author || author.toString() === like.userId.toString()) continue;
+
+    const isQuestion = like.targetType === LIKE_TARGET_TYPES.QUESTION;
+    const event = isQuestion
+      ? REPUTATION_EVENTS.QUESTION_LIKED
+      : REPUTATION_EVENTS.ANSWER_LIKED;
+
+    entries.push({
+      user: author,
+      event,
+      points: POINTS[event],
+      sourceType: isQuestion ? "Question" : "Answer",
+      sourceId: like.targetId,
+      actor: like.userId,
+      createdAt: like.createdAt,
+    });
+
+    if (entries.length === 500) {
+      inserted += await insertBatch(entries);
+      entries = [];
+    }
+  }
+
+  return inserted + (await insertBatch(entries));
+};
+
+const rebuildFromAnswers = async () => {
+  const answers = await Answer.find({ isApproved: true })
+    .select(
+      "expert isAccepted acceptedAt moderatedAt createdAt updatedAt questionId"
+    )
+    .populate("questionId", "author")
+    .lean();
+
+  const entries = [];
+
+  for (const answer of answers) {
+    entries.push({
+      user: answer.expert,
+      event: REPUTATION_EVENTS.ANSWER_APPROVED,
+      points: POINTS[REPUTATION_EVENTS.ANSWER_APPROVED],
+      sourceType: "Answer",
+      sourceId: answer._id,
+      createdAt: answer.moderatedAt || answer.createdAt,
+    });
+
+    if (answer.isAccepted) {
+      entries.push({
+        user: answer.expert,
+        event: REPUTATION_EVENTS.ANSWER_ACCEPTED,
+        points: POINTS[REPUTATION_EVENTS.ANSWER_ACCEPTED],
+        sourceType: "Answer",
+        sourceId: answer._id,
+        actor: answer.questionId?.author || null,
+        createdAt: answer.acceptedAt || answer.updatedAt,
+      });
+    }
+  }
+
+  return await insertBatch(entries);
+};
+
+// Один штраф на нарушение: по первой подтвержденной жалобе на контент
+const rebuildFromReports = async () => {
+  const reports = await Report.find({ status: REPORT_STATUS.RESOLVED })
+    .select("targetType targetId reviewedAt")
+    .sort({ reviewedAt: 1 })
+    .lean();
+
+  const entries = [];
+  const penalized = new Set();
+
+  for (const report of reports) {
+    const key = `${report.targetType}:${report.targetId}`;
+    if (penalized.has(key)) continue;
+
+    const author = await getAuthor(report.targetType, report.targetId);
+    if (!author) continue;
+
+    penalized.add(key);
+    entries.push({
+      user: author,
+      event: REPUTATION_EVENTS.REPORT_UPHELD,
+      points: POINTS[REPUTATION_EVENTS.REPORT_UPHELD],
+      sourceType: authorModels[report.targetType].Model.modelName,
+      sourceId: report.targetId,
+      createdAt: report.reviewedAt,
+    });
+  }
+
+  return await insertBatch(entries);
+};
+
+const recalculateRatings = async () => {
+  const totals = await ReputationEntry.aggregate([
+    { $group: { _id: "$user", total: { $sum: "$points" } } },
+  ]);
+
+  await User.updateMany({}, { $set: { rating: 0 } });
+
+  if (totals.length > 0) {
+    await User.bulkWrite(
+      totals.map(({ _id, total }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { rating: Math.max(0, total) } },
+        },
+      }))
+    );
+  }
+
+  return totals.length;
+};
+
+const rebuildReputation = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("📦 Подключен к MongoDB");
+
+    const { deletedCount } = await ReputationEntry.deleteMany({});
+    console.log(`🗑️  Удалено записей журнала: ${deletedCount}`);
+
+    console.log(`✅ Лайки: ${await rebuildFromLikes()} записей`);
+    console.log(`✅ Ответы: ${await rebuildFromAnswers()} записей`);
+    console.log(`✅ Жалобы: ${await rebuildFromReports()} записей`);
+    console.log(
+      `✅ Рейтинг пересчитан для ${await recalculateRatings()} пользователей`
+    );
+  } catch (error) {
+    console.error("❌ Ошибка при пересборке репутации:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("\n📦 Соединение с MongoDB закрыто");
+  }
+};
+
+rebuildReputation();
@@ -0,0 +1,66 @@
+// scripts/renderContentHtml.js
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import { renderMarkdown } from "../utils/markdown.js";
+
+// Загружаем переменные окружения
+dotenv.config();
+
+// Заполнение contentHtml для документов, созданных до поддержки Markdown
+// Флаг --all перерендеривает все документы (например, после изменения allowlist)
+const renderModel = async (Model, renderAll) => {
+  const query = renderAll
+    ? {}
+    : { $or: [{ contentHtml: { $exists: false } }, { contentHtml: "" }] };
+
+  const cursor = Model.find(query).select("content").lean().cursor();
+  let operations = [];
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { contentHtml: renderMarkdown(doc.content) } },
+      },
+    });
+
+    if (operations.length === 500) {
+      await Model.bulkWrite(operations);
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations);
+    updated += operations.length;
+  }
+
+  return updated;
+};
+
+const renderContentHtml = async () => {
+  const renderAll = process.argv.slice(2).includes("--all");
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("📦 Подключен к MongoDB");
+
+    for (const Model of [Question, Answer, Comment]) {
+      const updated = await renderModel(Model, renderAll);
+      console.log(`✅ ${Model.modelName}: обновлено ${updated} документов`);
+    }
+  } catch (error) {
+    console.error("❌ Ошибка при рендеринге контента:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("\n📦 Соединение с MongoDB закрыто");
+  }
+};
+
+renderContentHtml();
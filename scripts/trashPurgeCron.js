@@ -0,0 +1,104 @@
+// scripts/trashPurgeCron.js
+
+import cron from "node-cron";
+import trashService from "../services/trashService.js";
+import { trashConfig } from "../config/trash.js";
+import { writeLog } from "../middlewares/logger.js";
+
+/**
+ * Флаг для предотвращения параллельного выполнения
+ */
+let isPurging = false;
+let lastRun = null;
+
+/**
+ * Очистка корзины с защитой от перекрытия
+ */
+async function purgeTrashSafe() {
+  if (isPurging) {
+    writeLog("WARN", "Trash purge already in progress, skipping...");
+    return;
+  }
+
+  try {
+    isPurging = true;
+
+    const result = await trashService.purgeExpired();
+    lastRun = { ...result, finishedAt: new Date() };
+
+    if (result.total > 0) {
+      writeLog(
+        "INFO",
+        `Trash purge removed ${result.total} items: ${result.questions} questions, ${result.answers} answers, ${result.comments} comments`
+      );
+    }
+
+    return result;
+  } catch (error) {
+    writeLog("ERROR", `Unexpected error during trash purge: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+    };
+  } finally {
+    // Освобождаем флаг в любом случае
+    isPurging = false;
+  }
+}
+
+/**
+ * Запускаем cron задачу
+ */
+function startTrashPurgeCron() {
+  const { schedule, timezone, runOnStart } = trashConfig.cron;
+
+  writeLog(
+    "INFO",
+    `Initializing trash purge cron job with schedule: ${schedule}`
+  );
+
+  const task = cron.schedule(
+    schedule,
+    async () => {
+      await purgeTrashSafe();
+    },
+    {
+      scheduled: true,
+      timezone: timezone,
+    }
+  );
+
+  writeLog("INFO", `Trash purge cron job started successfully`);
+
+  if (runOnStart) {
+    setTimeout(async () => {
+      await purgeTrashSafe();
+    }, 2000); // Задержка 2 секунды для завершения инициализации
+  }
+
+  return task;
+}
+
+/**
+ * Функция для ручного запуска (для использования в API или админке)
+ */
+async function purgeTrashManual() {
+  writeLog("INFO", "Manual trash purge requested");
+  return await purgeTrashSafe();
+}
+
+/**
+ * Проверяем статус воркера
+ */
+function getTrashPurgeStatus() {
+  return {
+    isPurging,
+    lastRun,
+    retentionDays: trashConfig.retentionDays,
+    schedule: trashConfig.cron.schedule,
+    timezone: trashConfig.cron.timezone,
+  };
+}
+
+// Экспортируем функции
+export { startTrashPurgeCron, purgeTrashManual, getTrashPurgeStatus };
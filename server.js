@@ -3,11 +3,18 @@ import app from "./app.js";
 import config from "./config/index.js";
 import database from "./utils/database.js";
 import { writeLog } from "./middlewares/logger.js";
+import categoryService from "./services/categoryService.js";
 import { startSitemapCron } from "./scripts/sitemapCron.js";
+import { startEmailOutboxCron } from "./scripts/emailOutboxCron.js";
+import { startDigestCron } from "./scripts/digestCron.js";
+import { startTrashPurgeCron } from "./scripts/trashPurgeCron.js";
 // import { startScheduler } from './utils/logCleanup.js';
 
 // Переменная для хранения cron задачи
 let sitemapCronTask = null;
+let emailOutboxCronTask = null;
+let digestCronTasks = [];
+let trashPurgeCronTask = null;
 
 // Подключение к базе данных и запуск сервера
 async function startServer() {
@@ -15,6 +22,16 @@ async function startServer() {
     // Подключаемся к MongoDB
     await database.connect();
 
+    // Создаем категории по умолчанию, если их еще нет
+    try {
+      await categoryService.ensureDefaultCategories();
+    } catch (error) {
+      writeLog(
+        "ERROR",
+        `Failed to ensure default categories: ${error.message}`
+      );
+    }
+
     // Запускаем планировщик очистки логов
     // startScheduler(); // временно отключено
 
@@ -46,6 +63,36 @@ async function startServer() {
           `Failed to initialize sitemap cron: ${error.message}`
         );
       }
+
+      // Инициализируем воркер очереди писем
+      try {
+        emailOutboxCronTask = startEmailOutboxCron();
+        writeLog("SUCCESS", "Email outbox cron job initialized successfully");
+      } catch (error) {
+        writeLog(
+          "ERROR",
+          `Failed to initialize email outbox cron: ${error.message}`
+        );
+      }
+
+      // Инициализируем рассылку дайджестов
+      try {
+        digestCronTasks = startDigestCron();
+        writeLog("SUCCESS", "Digest cron jobs initialized successfully");
+      } catch (error) {
+        writeLog("ERROR", `Failed to initialize digest cron: ${error.message}`);
+      }
+
+      // Инициализируем очистку корзины
+      try {
+        trashPurgeCronTask = startTrashPurgeCron();
+        writeLog("SUCCESS", "Trash purge cron job initialized successfully");
+      } catch (error) {
+        writeLog(
+          "ERROR",
+          `Failed to initialize trash purge cron: ${error.message}`
+        );
+      }
     });
 
     // Настройка graceful shutdown для сервера
@@ -62,6 +109,38 @@ async function startServer() {
         }
       }
 
+      // Останавливаем воркер очереди писем
+      if (emailOutboxCronTask) {
+        try {
+          emailOutboxCronTask.stop();
+          writeLog("INFO", "Email outbox cron job stopped");
+        } catch (error) {
+          writeLog(
+            "WARN",
+            `Error stopping email outbox cron: ${error.message}`
+          );
+        }
+      }
+
+      // Останавливаем рассылку дайджестов
+      digestCronTasks.forEach((task) => {
+        try {
+          task.stop();
+        } catch (error) {
+          writeLog("WARN", `Error stopping digest cron: ${error.message}`);
+        }
+      });
+
+      // Останавливаем очистку корзины
+      if (trashPurgeCronTask) {
+        try {
+          trashPurgeCronTask.stop();
+          writeLog("INFO", "Trash purge cron job stopped");
+        } catch (error) {
+          writeLog("WARN", `Error stopping trash purge cron: ${error.message}`);
+        }
+      }
+
       server.close(async () => {
         writeLog("INFO", "HTTP server closed");
 
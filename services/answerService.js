@@ -2,11 +2,24 @@
 import Answer from "../models/Answer.js";
 import Question from "../models/Question.js";
 import User from "../models/User.js";
-import { QUESTION_STATUS, ANSWER_ACTIONS } from "../utils/constants.js";
+import Like from "../models/Like.js";
+import {
+  QUESTION_STATUS,
+  ANSWER_ACTIONS,
+  REVISION_TARGET_TYPES,
+  REPUTATION_EVENTS,
+  LIKE_TARGET_TYPES,
+  MODERATION_ITEM_TYPES,
+} from "../utils/constants.js";
 import { logUserAction, logError, writeLog } from "../middlewares/logger.js";
 import { createPaginationResponse } from "../utils/helpers.js";
 import { socialService } from "./socialService.js";
 import cryptoService from "./cryptoService.js";
+import categoryService from "./categoryService.js";
+import revisionService from "./revisionService.js";
+import reputationService from "./reputationService.js";
+import badgeService from "./badgeService.js";
+import moderationQueueService from "./moderationQueueService.js";
 
 class AnswerService {
   // Создание ответа на вопрос (только эксперты)
@@ -87,9 +100,10 @@ class AnswerService {
 
       const query = { questionId };
 
-      // Обычные пользователи видят только одобренные ответы
+      // Обычные пользователи видят только одобренные и не скрытые ответы
       if (!includeUnapproved) {
         query.isApproved = true;
+        query.isHidden = { $ne: true };
       }
 
       const answers = await Answer.find(query)
@@ -116,6 +130,7 @@ class AnswerService {
 
       const query = { expert: expertId };
       if (isApproved !== null) query.isApproved = isApproved;
+      if (isApproved === true) query.isHidden = { $ne: true };
 
       const [answers, total] = await Promise.all([
         Answer.find(query)
@@ -156,6 +171,12 @@ class AnswerService {
 
       await cryptoService.smartDecrypt(moderator);
 
+      await moderationQueueService.assertNotClaimedByOther(
+        MODERATION_ITEM_TYPES.ANSWER,
+        answerId,
+        moderatorId
+      );
+
       const oldStatus = answer.isApproved;
 
       if (isApproved) {
@@ -181,6 +202,13 @@ class AnswerService {
       if (isApproved && !oldStatus) {
         await question.incrementAnswers();
 
+        await reputationService.award(
+          answer.expert._id,
+          REPUTATION_EVENTS.ANSWER_APPROVED,
+          { type: "Answer", id: answer._id }
+        );
+        await badgeService.evaluate(answer.expert._id);
+
         await cryptoService.smartDecrypt(answer);
         await cryptoService.smartDecrypt(question);
 
@@ -204,6 +232,11 @@ class AnswerService {
         }
       } else if (!isApproved && oldStatus) {
         await question.decrementAnswers();
+
+        await reputationService.revoke(
+          REPUTATION_EVENTS.ANSWER_APPROVED,
+          answer._id
+        );
         // Удаляем социальные посты если они есть
         if (answer.socialPosts && answer.socialPosts.length > 0) {
           try {
@@ -218,6 +251,11 @@ class AnswerService {
         }
       }
 
+      // Число экспертов категории зависит от одобренных ответов
+      if (isApproved !== oldStatus) {
+        await categoryService.syncCounts([question.category]);
+      }
+
       if (!isApproved && oldStatus) {
         const remainingApprovedAnswers = await Answer.countDocuments({
           questionId: answer.questionId._id,
@@ -248,6 +286,33 @@ class AnswerService {
     }
   }
 
+  // Скрытие ответа по жалобам и его возврат (userId = null - действие системы)
+  async setAnswerHidden(answerId, isHidden, userId = null) {
+    try {
+      const answer = await Answer.findById(answerId);
+
+      if (!answer) {
+        throw new Error("Odpoveď nebola nájdená");
+      }
+
+      answer.isHidden = isHidden;
+      answer.hiddenAt = isHidden ? new Date() : null;
+      answer.hiddenBy = isHidden ? userId : null;
+      await answer.save();
+
+      logUserAction(
+        userId,
+        isHidden ? "ANSWER_HIDDEN" : "ANSWER_UNHIDDEN",
+        `${isHidden ? "Hidden" : "Unhidden"} answer ${answerId}`
+      );
+
+      return answer;
+    } catch (error) {
+      logError(error, "AnswerService.setAnswerHidden", userId);
+      throw error;
+    }
+  }
+
   // Принятие ответа как лучшего (только автор вопроса)
   async acceptAnswer(answerId, userId) {
     try {
@@ -281,9 +346,14 @@ class AnswerService {
         status: QUESTION_STATUS.ANSWERED,
       });
 
-      // Увеличиваем рейтинг эксперта
-      const expert = await User.findById(answer.expert._id);
-      await expert.updateRating(expert.rating + 10); // +10 за принятый ответ
+      // Начисляем репутацию эксперту за принятый ответ
+      await reputationService.award(
+        answer.expert._id,
+        REPUTATION_EVENTS.ANSWER_ACCEPTED,
+        { type: "Answer", id: answer._id },
+        userId
+      );
+      await badgeService.evaluate(answer.expert._id);
 
       logUserAction(
         userId,
@@ -307,8 +377,43 @@ class AnswerService {
     }
   }
 
+  // Лайк/дизлайк ответа
+  async toggleAnswerLike(answerId, userId) {
+    try {
+      const answer = await Answer.findById(answerId).select("expert");
+      if (!answer) {
+        throw new Error("Odpoveď nebola nájdená");
+      }
+
+      const result = await Like.toggleLike(
+        userId,
+        answerId,
+        LIKE_TARGET_TYPES.ANSWER
+      );
+
+      if (result.action !== "duplicate") {
+        // Репутация автора ответа
+        await reputationService.handleLikeToggle(
+          userId,
+          answerId,
+          LIKE_TARGET_TYPES.ANSWER,
+          result.liked
+        );
+      }
+
+      if (result.action === "added") {
+        await badgeService.evaluate(answer.expert);
+      }
+
+      return result;
+    } catch (error) {
+      logError(error, "AnswerService.toggleAnswerLike", userId);
+      throw error;
+    }
+  }
+
   // Файл: services/AnswerService.js (на бэкенде)
-  async updateAnswer(answerId, updateData, userId) {
+  async updateAnswer(answerId, updateData, userId, options = {}) {
     try {
       const answer = await Answer.findById(answerId);
 
@@ -344,21 +449,41 @@ class AnswerService {
 
       const question = await Question.findById(answer.questionId);
       const wasApproved = answer.isApproved;
+      const previousContent = answer.content;
+      const { rollbackTo = null } = options;
 
       // 1. Обновляем контент и сохраняем
       answer.content = content.trim();
       answer.updatedAt = new Date();
 
-      // Добавляем UPDATE action
-      answer.actions.push({
-        action: ANSWER_ACTIONS.UPDATE,
-        info: `Answer content updated by ${
-          user.role === "admin" ? "admin" : "expert"
-        }`,
-      });
+      // Добавляем UPDATE (или ROLLBACK) action
+      answer.actions.push(
+        rollbackTo
+          ? {
+              action: ANSWER_ACTIONS.ROLLBACK,
+              info: `Answer content rolled back to version ${rollbackTo}`,
+            }
+          : {
+              action: ANSWER_ACTIONS.UPDATE,
+              info: `Answer content updated by ${
+                user.role === "admin" ? "admin" : "expert"
+              }`,
+            }
+      );
 
       await answer.save();
 
+      // Сохраняем предыдущую версию, если текст изменился
+      if (previousContent !== answer.content) {
+        await revisionService.recordRevision(
+          REVISION_TARGET_TYPES.ANSWER,
+          answer._id,
+          { content: previousContent },
+          userId,
+          { rollbackTo }
+        );
+      }
+
       // 2. Обрабатываем социальные посты в зависимости от роли пользователя
 
       // Если одобренный ответ редактирует эксперт → сбрасываем одобрение и удаляем посты
@@ -435,8 +560,37 @@ class AnswerService {
     }
   }
 
+  // Откат ответа к предыдущей ревизии (админ)
+  async rollbackAnswer(answerId, revisionId, adminId) {
+    try {
+      const revision = await revisionService.getRevision(
+        REVISION_TARGET_TYPES.ANSWER,
+        answerId,
+        revisionId
+      );
+
+      const answer = await this.updateAnswer(
+        answerId,
+        { content: revision.content },
+        adminId,
+        { rollbackTo: revision.version }
+      );
+
+      logUserAction(
+        adminId,
+        "ANSWER_ROLLED_BACK",
+        `Rolled back answer ${answerId} to version ${revision.version}`
+      );
+
+      return answer;
+    } catch (error) {
+      logError(error, "AnswerService.rollbackAnswer", adminId);
+      throw error;
+    }
+  }
+
   // Удаление ответа (только автор или админ)
-  async deleteAnswer(answerId, userId) {
+  async deleteAnswer(answerId, userId, reason = null) {
     try {
       const answer = await Answer.findById(answerId).populate("questionId");
 
@@ -504,10 +658,18 @@ class AnswerService {
         }
       }
 
-      // Удаляем ответ (это также запустит pre-remove middleware)
-      await Answer.findByIdAndDelete(answerId);
+      // Переносим ответ в корзину; история правок удаляется при очистке
+      await answer.softDelete(userId, reason);
+
+      if (answer.isApproved) {
+        await categoryService.syncCounts([question.category]);
+      }
 
-      logUserAction(userId, "ANSWER_DELETED", `Deleted answer ${answerId}`);
+      logUserAction(
+        userId,
+        "ANSWER_DELETED",
+        `Moved answer ${answerId} to trash`
+      );
 
       return true;
     } catch (error) {
@@ -516,6 +678,63 @@ class AnswerService {
     }
   }
 
+  // Восстановление ответа из корзины (админ)
+  async restoreAnswer(answerId, adminId) {
+    try {
+      const answer = await Answer.findOne({
+        _id: answerId,
+        deletedAt: { $ne: null },
+      });
+
+      if (!answer) {
+        throw new Error("Odpoveď nebola nájdená v koši");
+      }
+
+      const question = await Question.findById(answer.questionId);
+
+      if (!question) {
+        throw new Error("Najprv obnovte otázku, ku ktorej odpoveď patrí");
+      }
+
+      // Принятым ответ остается, только если у вопроса нет другого принятого
+      if (answer.isAccepted && question.hasAcceptedAnswer) {
+        answer.isAccepted = false;
+        answer.acceptedAt = null;
+      }
+
+      await answer.restore();
+
+      if (answer.isApproved) {
+        question.answersCount += 1;
+
+        if (question.status === QUESTION_STATUS.PENDING) {
+          question.status = QUESTION_STATUS.ANSWERED;
+        }
+      }
+
+      if (answer.isAccepted) {
+        question.hasAcceptedAnswer = true;
+      }
+
+      await question.save({ validateBeforeSave: false });
+
+      if (answer.isApproved) {
+        await categoryService.syncCounts([question.category]);
+      }
+
+      logUserAction(
+        adminId,
+        "ANSWER_RESTORED",
+        `Restored answer ${answerId} from trash`
+      );
+
+      return answer;
+    } catch (error) {
+      logError(error, "AnswerService.restoreAnswer", adminId);
+      throw error;
+    }
+  }
+
   // Получение ответов на модерации
   async getPendingAnswers(options = {}) {
     try {
@@ -615,12 +834,13 @@ class AnswerService {
       const bestAnswers = await Answer.find({
         expert: expertId,
         isApproved: true,
+        isHidden: { $ne: true },
         $or: [{ isAccepted: true }, { likes: { $gte: 5 } }],
       })
         .populate("questionId", "title slug")
         .sort({ isAccepted: -1, likes: -1 })
         .limit(limit)
-        .select("content likes isAccepted createdAt");
+        .select("content contentHtml likes isAccepted createdAt");
 
       return bestAnswers;
     } catch (error) {
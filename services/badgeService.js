@@ -0,0 +1,189 @@
+// services/badgeService.js
+import mongoose from "mongoose";
+import UserBadge from "../models/UserBadge.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import notificationService from "./notificationService.js";
+import { badgeConfig } from "../config/badges.js";
+import { BADGE_CRITERIA } from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+
+class BadgeService {
+  // Проверка критериев и выдача новых значков пользователю
+  // Ошибки не пробрасываются: значки не должны ломать основное действие
+  async evaluate(userId) {
+    try {
+      if (!userId) return [];
+
+      const owned = await UserBadge.getBadgeCodes(userId);
+      const pending = badgeConfig.definitions.filter(
+        (definition) => !owned.includes(definition.code)
+      );
+
+      if (pending.length === 0) return [];
+
+      const metrics = await this._getMetrics(userId, pending);
+      const awarded = [];
+
+      for (const definition of pending) {
+        const value = this._getMetricValue(metrics, definition.criteria);
+
+        if (value < definition.criteria.threshold) continue;
+
+        const badge = await this._award(userId, definition, value);
+        if (badge) awarded.push(badge);
+      }
+
+      return awarded;
+    } catch (error) {
+      logError(error, "BadgeService.evaluate", userId);
+      return [];
+    }
+  }
+
+  // Значки пользователя с описаниями
+  async getUserBadges(userId) {
+    try {
+      const badges = await UserBadge.find({ user: userId }).sort({
+        createdAt: 1,
+      });
+
+      return badges
+        .map((badge) => {
+          const definition = this.getDefinition(badge.badge);
+          if (!definition) return null;
+
+          return {
+            code: definition.code,
+            name: definition.name,
+            description: definition.description,
+            icon: definition.icon,
+            value: badge.value,
+            awardedAt: badge.createdAt,
+          };
+        })
+        .filter(Boolean);
+    } catch (error) {
+      logError(error, "BadgeService.getUserBadges", userId);
+      throw error;
+    }
+  }
+
+  // Все доступные значки
+  getDefinitions() {
+    return badgeConfig.definitions.map(
+      ({ code, name, description, icon, criteria }) => ({
+        code,
+        name,
+        description,
+        icon,
+        criteria,
+      })
+    );
+  }
+
+  getDefinition(code) {
+    return badgeConfig.definitions.find(
+      (definition) => definition.code === code
+    );
+  }
+
+  async _award(userId, definition, value) {
+    try {
+      const badge = await UserBadge.create({
+        user: userId,
+        badge: definition.code,
+        value,
+      });
+
+      logUserAction(
+        userId,
+        "BADGE_AWARDED",
+        `Awarded badge ${definition.code} (${value})`
+      );
+
+      await notificationService.notifyUserAboutBadge(userId, definition);
+
+      return badge;
+    } catch (error) {
+      // Значок уже выдан параллельным вызовом
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Считаем только показатели, нужные для еще не полученных значков
+  async _getMetrics(userId, definitions) {
+    const types = new Set(definitions.map((d) => d.criteria.type));
+    const categories = definitions
+      .filter((d) => d.criteria.type === BADGE_CRITERIA.CATEGORY_ANSWERS)
+      .map((d) => d.criteria.category);
+
+    const objectId = new mongoose.Types.ObjectId(userId);
+    const metrics = {};
+
+    if (types.has(BADGE_CRITERIA.ACCEPTED_ANSWERS)) {
+      metrics[BADGE_CRITERIA.ACCEPTED_ANSWERS] = await Answer.countDocuments({
+        expert: userId,
+        isAccepted: true,
+      });
+    }
+
+    if (types.has(BADGE_CRITERIA.APPROVED_ANSWERS)) {
+      metrics[BADGE_CRITERIA.APPROVED_ANSWERS] = await Answer.countDocuments({
+        expert: userId,
+        isApproved: true,
+      });
+    }
+
+    if (types.has(BADGE_CRITERIA.LIKES_RECEIVED)) {
+      const [questionLikes, answerLikes] = await Promise.all([
+        Question.aggregate([
+          { $match: { author: objectId } },
+          { $group: { _id: null, total: { $sum: "$likes" } } },
+        ]),
+        Answer.aggregate([
+          { $match: { expert: objectId, isApproved: true } },
+          { $group: { _id: null, total: { $sum: "$likes" } } },
+        ]),
+      ]);
+
+      metrics[BADGE_CRITERIA.LIKES_RECEIVED] =
+        (questionLikes[0]?.total || 0) + (answerLikes[0]?.total || 0);
+    }
+
+    if (categories.length > 0) {
+      const byCategory = await Answer.aggregate([
+        { $match: { expert: objectId, isApproved: true } },
+        {
+          $lookup: {
+            from: "questions",
+            localField: "questionId",
+            foreignField: "_id",
+            as: "question",
+            pipeline: [{ $project: { category: 1 } }],
+          },
+        },
+        { $unwind: "$question" },
+        { $match: { "question.category": { $in: categories } } },
+        { $group: { _id: "$question.category", count: { $sum: 1 } } },
+      ]);
+
+      metrics[BADGE_CRITERIA.CATEGORY_ANSWERS] = Object.fromEntries(
+        byCategory.map((item) => [item._id, item.count])
+      );
+    }
+
+    return metrics;
+  }
+
+  _getMetricValue(metrics, criteria) {
+    if (criteria.type === BADGE_CRITERIA.CATEGORY_ANSWERS) {
+      return metrics[criteria.type]?.[criteria.category] || 0;
+    }
+
+    return metrics[criteria.type] || 0;
+  }
+}
+
+export default new BadgeService();
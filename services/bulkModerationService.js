@@ -0,0 +1,292 @@
+// services/bulkModerationService.js
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Report from "../models/Report.js";
+import {
+  BULK_MODERATION_ACTIONS,
+  MODERATION_ITEM_TYPES,
+  QUESTION_STATUS,
+  REPORT_STATUS,
+  REPORT_ACTIONS,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import questionService from "./questionService.js";
+import answerService from "./answerService.js";
+import commentService from "./commentService.js";
+import reportService from "./reportService.js";
+import categoryService from "./categoryService.js";
+import moderationQueueService from "./moderationQueueService.js";
+
+class BulkModerationService {
+  // Массовая модерация: для каждого элемента сначала строится план
+  // изменений, в режиме dryRun план возвращается без выполнения.
+  // Ошибка одного элемента не прерывает обработку остальных
+  async moderate(contentType, itemIds, moderatorId, options = {}) {
+    try {
+      const { action, dryRun = false } = options;
+      const params = await this._prepareParams(action, options);
+
+      const results = [];
+      for (const itemId of itemIds) {
+        try {
+          const changes = await this._planItem(
+            contentType,
+            itemId,
+            action,
+            params,
+            moderatorId
+          );
+          const changed = Object.keys(changes).length > 0;
+
+          if (changed && !dryRun) {
+            await this._executeItem(
+              contentType,
+              itemId,
+              action,
+              params,
+              moderatorId
+            );
+          }
+
+          results.push({ itemId, success: true, changed, changes });
+        } catch (error) {
+          results.push({ itemId, success: false, error: error.message });
+        }
+      }
+
+      const summary = {
+        total: itemIds.length,
+        success: results.filter((result) => result.success).length,
+        changed: results.filter((result) => result.changed).length,
+        errors: results.filter((result) => !result.success).length,
+      };
+
+      if (!dryRun) {
+        logUserAction(
+          moderatorId,
+          "BULK_CONTENT_MODERATION",
+          `Bulk ${action} on ${contentType}s: ${summary.changed} changed, ${summary.errors} errors`
+        );
+      }
+
+      return { dryRun, action, contentType, results, summary };
+    } catch (error) {
+      logError(error, "BulkModerationService.moderate", moderatorId);
+      throw error;
+    }
+  }
+
+  // Параметры действия, общие для всех элементов
+  async _prepareParams(action, options) {
+    const { comment = null, category, reportAction, banDays = null } = options;
+    const params = { comment, reportAction, banDays };
+
+    if (action === BULK_MODERATION_ACTIONS.CHANGE_CATEGORY) {
+      try {
+        params.category = await categoryService.resolveCategorySlug(category);
+      } catch (error) {
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+    }
+
+    return params;
+  }
+
+  // Изменения, которые действие внесет в элемент ({ поле: { from, to } }).
+  // Пустой план - элемент уже в нужном состоянии
+  async _planItem(contentType, itemId, action, params, moderatorId) {
+    switch (contentType) {
+      case MODERATION_ITEM_TYPES.QUESTION:
+        return await this._planQuestion(itemId, action, params, moderatorId);
+      case MODERATION_ITEM_TYPES.ANSWER:
+      case MODERATION_ITEM_TYPES.COMMENT:
+        return await this._planApproval(
+          contentType,
+          itemId,
+          action,
+          moderatorId
+        );
+      case MODERATION_ITEM_TYPES.REPORT:
+        return await this._planReport(itemId, action, params, moderatorId);
+      default:
+        throw new Error("Nepodporovaný typ obsahu");
+    }
+  }
+
+  async _planQuestion(questionId, action, params, moderatorId) {
+    const question = await Question.findById(questionId).select(
+      "isHidden status category"
+    );
+    if (!question) {
+      throw new Error("Otázka nebola nájdená");
+    }
+
+    await moderationQueueService.assertNotClaimedByOther(
+      MODERATION_ITEM_TYPES.QUESTION,
+      questionId,
+      moderatorId
+    );
+
+    switch (action) {
+      case BULK_MODERATION_ACTIONS.APPROVE:
+        return this._diff({ isHidden: [!!question.isHidden, false] });
+      case BULK_MODERATION_ACTIONS.CLOSE:
+        return this._diff({
+          status: [question.status, QUESTION_STATUS.CLOSED],
+        });
+      case BULK_MODERATION_ACTIONS.CHANGE_CATEGORY:
+        return this._diff({ category: [question.category, params.category] });
+      case BULK_MODERATION_ACTIONS.DELETE:
+        return this._diff({ deleted: [false, true] });
+      default:
+        throw new Error("Nepodporovaná akcia");
+    }
+  }
+
+  // Одобрение или отклонение ответа/комментария; еще не рассмотренный
+  // элемент меняется в любом случае - появляется решение модератора.
+  // Одобрение снимает скрытие по жалобам
+  async _planApproval(contentType, itemId, action, moderatorId) {
+    const isAnswer = contentType === MODERATION_ITEM_TYPES.ANSWER;
+    const Model = isAnswer ? Answer : Comment;
+
+    const item = await Model.findById(itemId).select(
+      "isApproved isHidden moderatedBy"
+    );
+    if (!item) {
+      throw new Error(
+        isAnswer ? "Odpoveď nebola nájdená" : "Komentár nebol nájdený"
+      );
+    }
+
+    await moderationQueueService.assertNotClaimedByOther(
+      contentType,
+      itemId,
+      moderatorId
+    );
+
+    const isApproved = action === BULK_MODERATION_ACTIONS.APPROVE;
+
+    return this._diff({
+      isApproved: [item.isApproved, isApproved],
+      isHidden: [!!item.isHidden, isApproved ? false : !!item.isHidden],
+      moderated: [!!item.moderatedBy, true],
+    });
+  }
+
+  async _planReport(reportId, action, params, moderatorId) {
+    const report = await Report.findById(reportId).select("status");
+    if (!report) {
+      throw new Error("Sťažnosť nebola nájdená");
+    }
+
+    if (report.isClosed) {
+      throw new Error("Sťažnosť už bola vybavená");
+    }
+
+    await moderationQueueService.assertNotClaimedByOther(
+      MODERATION_ITEM_TYPES.REPORT,
+      reportId,
+      moderatorId
+    );
+
+    switch (action) {
+      case BULK_MODERATION_ACTIONS.REVIEW:
+        if (report.status !== REPORT_STATUS.PENDING) {
+          throw new Error("Sťažnosť už bola posúdená");
+        }
+        return this._diff({ status: [report.status, REPORT_STATUS.REVIEWED] });
+      case BULK_MODERATION_ACTIONS.RESOLVE:
+        return this._diff({
+          status: [report.status, REPORT_STATUS.RESOLVED],
+          outcome: [null, params.reportAction],
+        });
+      case BULK_MODERATION_ACTIONS.DISMISS:
+        return this._diff({
+          status: [report.status, REPORT_STATUS.DISMISSED],
+        });
+      default:
+        throw new Error("Nepodporovaná akcia");
+    }
+  }
+
+  // Выполнение действия через сервис соответствующего типа
+  async _executeItem(contentType, itemId, action, params, moderatorId) {
+    const { comment, category, reportAction, banDays } = params;
+
+    switch (`${contentType}:${action}`) {
+      case "question:approve":
+        return await questionService.setQuestionHidden(
+          itemId,
+          false,
+          moderatorId
+        );
+      case "question:close":
+        return await questionService.changeQuestionStatus(
+          itemId,
+          QUESTION_STATUS.CLOSED,
+          moderatorId
+        );
+      case "question:change_category":
+        return await questionService.updateQuestion(
+          itemId,
+          { category },
+          moderatorId
+        );
+      case "question:delete":
+        return await questionService.deleteQuestion(
+          itemId,
+          moderatorId,
+          comment
+        );
+      case "answer:approve":
+      case "answer:reject":
+        return await answerService.moderateAnswer(
+          itemId,
+          action === BULK_MODERATION_ACTIONS.APPROVE,
+          moderatorId,
+          comment
+        );
+      case "comment:approve":
+      case "comment:reject":
+        return await commentService.moderateComment(
+          itemId,
+          action === BULK_MODERATION_ACTIONS.APPROVE,
+          moderatorId
+        );
+      case "report:review":
+        return await reportService.reviewReport(itemId, moderatorId, comment);
+      case "report:resolve":
+        return await reportService.resolveReport(itemId, moderatorId, {
+          action: reportAction,
+          comment,
+          banDays,
+        });
+      case "report:dismiss":
+        return await reportService.resolveReport(itemId, moderatorId, {
+          action: REPORT_ACTIONS.DISMISS,
+          comment,
+        });
+      default:
+        throw new Error("Nepodporovaná akcia");
+    }
+  }
+
+  // Только реально меняющиеся поля
+  _diff(fields) {
+    const changes = {};
+
+    Object.entries(fields).forEach(([field, [from, to]]) => {
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+}
+
+export default new BulkModerationService();
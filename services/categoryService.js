@@ -0,0 +1,301 @@
+// services/categoryService.js
+import Category from "../models/Category.js";
+import Question from "../models/Question.js";
+import slugService from "./slugService.js";
+import { DEFAULT_CATEGORIES } from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+
+// Названия категорий по умолчанию
+const DEFAULT_CATEGORY_NAMES = {
+  [DEFAULT_CATEGORIES.GENERAL]: "Všeobecné",
+  [DEFAULT_CATEGORIES.LOANS]: "Pôžičky",
+  [DEFAULT_CATEGORIES.CREDIT]: "Úvery",
+  [DEFAULT_CATEGORIES.BANKING]: "Bankovníctvo",
+  [DEFAULT_CATEGORIES.INSURANCE]: "Poistenie",
+};
+
+class CategoryService {
+  // Дерево категорий (любая глубина вложенности)
+  async getCategoryTree(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      const categories = await Category.find(
+        includeInactive ? {} : { isActive: true }
+      )
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+
+      const nodes = new Map(
+        categories.map((category) => [
+          category._id.toString(),
+          { ...category, children: [] },
+        ])
+      );
+
+      const tree = [];
+      nodes.forEach((node) => {
+        const parentId = node.parentCategory?.toString();
+        const parent = parentId && nodes.get(parentId);
+
+        // Потомки неактивного родителя поднимаются на верхний уровень
+        if (parent) {
+          parent.children.push(node);
+        } else {
+          tree.push(node);
+        }
+      });
+
+      return tree;
+    } catch (error) {
+      logError(error, "CategoryService.getCategoryTree");
+      throw error;
+    }
+  }
+
+  // Плоский список категорий
+  async getCategories(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      return await Category.find(includeInactive ? {} : { isActive: true })
+        .populate("parentCategory", "name slug")
+        .sort({ sortOrder: 1, name: 1 });
+    } catch (error) {
+      logError(error, "CategoryService.getCategories");
+      throw error;
+    }
+  }
+
+  // Получение категории по slug
+  async getCategoryBySlug(slug) {
+    try {
+      const category = await Category.findBySlug(slug);
+
+      if (!category) {
+        throw new Error("Kategória nebola nájdená");
+      }
+
+      return category;
+    } catch (error) {
+      logError(error, "CategoryService.getCategoryBySlug");
+      throw error;
+    }
+  }
+
+  // Создание категории (админ)
+  async createCategory(data, adminId) {
+    try {
+      const { name, description, icon, color, sortOrder, parentCategory } =
+        data;
+
+      const existing = await Category.findOne({ name });
+      if (existing) {
+        throw new Error("Kategória s týmto názvom už existuje");
+      }
+
+      if (parentCategory) {
+        await this._ensureParentExists(parentCategory);
+      }
+
+      const slug = await slugService.generateUniqueCategorySlug(name);
+
+      const category = new Category({
+        name,
+        slug,
+        description,
+        icon,
+        color,
+        sortOrder,
+        parentCategory: parentCategory || null,
+      });
+
+      await category.save();
+
+      logUserAction(
+        adminId,
+        "CATEGORY_CREATED",
+        `Created category: ${name} (${slug})`
+      );
+
+      return category;
+    } catch (error) {
+      logError(error, "CategoryService.createCategory", adminId);
+      throw error;
+    }
+  }
+
+  // Обновление категории (админ)
+  // Slug не меняется, так как на него ссылаются вопросы
+  async updateCategory(categoryId, data, adminId) {
+    try {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new Error("Kategória nebola nájdená");
+      }
+
+      if (data.name && data.name !== category.name) {
+        const existing = await Category.findOne({ name: data.name });
+        if (existing) {
+          throw new Error("Kategória s týmto názvom už existuje");
+        }
+      }
+
+      if (data.parentCategory) {
+        await this._ensureParentExists(data.parentCategory, category._id);
+      }
+
+      const allowedFields = [
+        "name",
+        "description",
+        "icon",
+        "color",
+        "sortOrder",
+        "isActive",
+        "parentCategory",
+      ];
+
+      allowedFields.forEach((field) => {
+        if (data[field] !== undefined) {
+          category[field] = data[field];
+        }
+      });
+
+      await category.save();
+
+      logUserAction(
+        adminId,
+        "CATEGORY_UPDATED",
+        `Updated category: ${category.slug}`
+      );
+
+      return category;
+    } catch (error) {
+      logError(error, "CategoryService.updateCategory", adminId);
+      throw error;
+    }
+  }
+
+  // Удаление категории (админ)
+  async deleteCategory(categoryId, adminId) {
+    try {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new Error("Kategória nebola nájdená");
+      }
+
+      const questionsCount = await Question.countDocuments({
+        category: category.slug,
+      });
+
+      if (questionsCount > 0) {
+        throw new Error(
+          `Kategóriu nie je možné odstrániť, obsahuje ${questionsCount} otázok`
+        );
+      }
+
+      // pre("deleteOne") переносит подкатегории к родителю
+      await category.deleteOne();
+
+      logUserAction(
+        adminId,
+        "CATEGORY_DELETED",
+        `Deleted category: ${category.slug}`
+      );
+
+      return true;
+    } catch (error) {
+      logError(error, "CategoryService.deleteCategory", adminId);
+      throw error;
+    }
+  }
+
+  // Проверка, что вопрос ссылается на существующую активную категорию
+  async resolveCategorySlug(slug) {
+    try {
+      const category = await Category.findOne({
+        slug: slug?.toLowerCase(),
+        isActive: true,
+      }).select("slug");
+
+      if (!category) {
+        throw new Error("Neplatná kategória");
+      }
+
+      return category.slug;
+    } catch (error) {
+      logError(error, "CategoryService.resolveCategorySlug");
+      throw error;
+    }
+  }
+
+  // Пересчет счетчиков категорий
+  // Ошибка пересчета не должна прерывать основную операцию
+  async syncCounts(slugs = []) {
+    try {
+      const uniqueSlugs = [...new Set(slugs.filter(Boolean))];
+      const categories = await Category.find({ slug: { $in: uniqueSlugs } });
+
+      await Promise.all(categories.map((category) => category.updateCounts()));
+    } catch (error) {
+      logError(error, "CategoryService.syncCounts");
+    }
+  }
+
+  // Создание категорий по умолчанию (при старте сервера)
+  async ensureDefaultCategories() {
+    try {
+      const slugs = Object.values(DEFAULT_CATEGORIES);
+
+      const result = await Category.bulkWrite(
+        slugs.map((slug, index) => ({
+          updateOne: {
+            filter: { slug },
+            update: {
+              $setOnInsert: {
+                slug,
+                name: DEFAULT_CATEGORY_NAMES[slug],
+                sortOrder: index,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+
+      if (result.upsertedCount > 0) {
+        await this.syncCounts(slugs);
+      }
+
+      return result.upsertedCount;
+    } catch (error) {
+      logError(error, "CategoryService.ensureDefaultCategories");
+      throw error;
+    }
+  }
+
+  // Проверка родительской категории (и отсутствия циклов)
+  async _ensureParentExists(parentId, categoryId = null) {
+    let current = await Category.findById(parentId).select("parentCategory");
+
+    if (!current) {
+      throw new Error("Rodičovská kategória nebola nájdená");
+    }
+
+    while (current) {
+      if (categoryId && current._id.toString() === categoryId.toString()) {
+        throw new Error("Kategória nemôže byť sama sebe rodičom");
+      }
+
+      current = current.parentCategory
+        ? await Category.findById(current.parentCategory).select(
+            "parentCategory"
+          )
+        : null;
+    }
+  }
+}
+
+export default new CategoryService();
@@ -2,9 +2,11 @@
 import Comment from "../models/Comment.js";
 import Question from "../models/Question.js";
 import User from "../models/User.js";
+import { MODERATION_ITEM_TYPES } from "../utils/constants.js";
 import { logUserAction, logError } from "../middlewares/logger.js";
 import { createPaginationResponse } from "../utils/helpers.js";
 import cryptoService from "./cryptoService.js";
+import moderationQueueService from "./moderationQueueService.js";
 
 class CommentService {
   // Создание комментария к вопросу
@@ -67,16 +69,19 @@ class CommentService {
 
       const query = { questionId, parentComment: null };
 
-      // Обычные пользователи видят только одобренные комментарии
+      // Обычные пользователи видят только одобренные и не скрытые комментарии
       if (!includeUnapproved) {
         query.isApproved = true;
+        query.isHidden = { $ne: true };
       }
 
       const comments = await Comment.find(query)
         .populate("author", "firstName lastName email role avatar")
         .populate({
           path: "replies",
-          match: includeUnapproved ? {} : { isApproved: true },
+          match: includeUnapproved
+            ? {}
+            : { isApproved: true, isHidden: { $ne: true } },
           populate: {
             path: "author",
             select: "email role avatar",
@@ -101,6 +106,7 @@ class CommentService {
 
       if (!includeUnapproved) {
         query.isApproved = true;
+        query.isHidden = { $ne: true };
       }
 
       const replies = await Comment.find(query)
@@ -122,6 +128,7 @@ class CommentService {
 
       const query = { author: userId };
       if (isApproved !== null) query.isApproved = isApproved;
+      if (isApproved === true) query.isHidden = { $ne: true };
 
       const [comments, total] = await Promise.all([
         Comment.find(query)
@@ -193,8 +200,8 @@ class CommentService {
     }
   }
 
-  // Удаление комментария
-  async deleteComment(commentId, userId) {
+  // Удаление комментария (перенос в корзину вместе с ответами на него)
+  async deleteComment(commentId, userId, reason = null) {
     try {
       const comment = await Comment.findById(commentId);
 
@@ -212,10 +219,24 @@ class CommentService {
         throw new Error("Nemáte oprávnenie odstrániť tento komentár");
       }
 
-      // Удаляем комментарий (это также удалит все ответы на него через pre-remove middleware)
-      await Comment.findByIdAndDelete(commentId);
+      const deletedAt = new Date();
 
-      logUserAction(userId, "COMMENT_DELETED", `Deleted comment ${commentId}`);
+      const { modifiedCount: repliesCount } = await Comment.updateMany(
+        { parentComment: commentId, deletedAt: null },
+        { deletedAt, deletedBy: userId, deletionReason: reason }
+      );
+
+      await comment.softDelete(userId, reason, deletedAt);
+
+      await Question.findByIdAndUpdate(comment.questionId, {
+        $inc: { commentsCount: -(repliesCount + 1) },
+      });
+
+      logUserAction(
+        userId,
+        "COMMENT_DELETED",
+        `Moved comment ${commentId} to trash`
+      );
 
       return true;
     } catch (error) {
@@ -224,6 +245,55 @@ class CommentService {
     }
   }
 
+  // Восстановление комментария из корзины (админ)
+  async restoreComment(commentId, adminId) {
+    try {
+      const comment = await Comment.findOne({
+        _id: commentId,
+        deletedAt: { $ne: null },
+      });
+
+      if (!comment) {
+        throw new Error("Komentár nebol nájdený v koši");
+      }
+
+      const question = await Question.findById(comment.questionId);
+      if (!question) {
+        throw new Error("Najprv obnovte otázku, ku ktorej komentár patrí");
+      }
+
+      if (comment.parentComment) {
+        const parent = await Comment.findById(comment.parentComment);
+        if (!parent) {
+          throw new Error("Najprv obnovte rodičovský komentár");
+        }
+      }
+
+      // Ответы, удаленные вместе с комментарием
+      const { modifiedCount: repliesCount } = await Comment.updateMany(
+        { parentComment: commentId, deletedAt: comment.deletedAt },
+        { deletedAt: null, deletedBy: null, deletionReason: null }
+      );
+
+      await comment.restore();
+
+      await Question.findByIdAndUpdate(comment.questionId, {
+        $inc: { commentsCount: repliesCount + 1 },
+      });
+
+      logUserAction(
+        adminId,
+        "COMMENT_RESTORED",
+        `Restored comment ${commentId} from trash`
+      );
+
+      return comment;
+    } catch (error) {
+      logError(error, "CommentService.restoreComment", adminId);
+      throw error;
+    }
+  }
+
   // Модерация комментария (только админы)
   async moderateComment(commentId, isApproved, moderatorId) {
     try {
@@ -239,6 +309,12 @@ class CommentService {
         throw new Error("Iba moderátori môžu moderovať komentáre");
       }
 
+      await moderationQueueService.assertNotClaimedByOther(
+        MODERATION_ITEM_TYPES.COMMENT,
+        commentId,
+        moderatorId
+      );
+
       await comment.moderate(moderatorId, isApproved);
 
       const action = isApproved ? "COMMENT_APPROVED" : "COMMENT_REJECTED";
@@ -261,6 +337,33 @@ class CommentService {
     }
   }
 
+  // Скрытие комментария по жалобам и его возврат (userId = null - действие системы)
+  async setCommentHidden(commentId, isHidden, userId = null) {
+    try {
+      const comment = await Comment.findById(commentId);
+
+      if (!comment) {
+        throw new Error("Komentár nebol nájdený");
+      }
+
+      comment.isHidden = isHidden;
+      comment.hiddenAt = isHidden ? new Date() : null;
+      comment.hiddenBy = isHidden ? userId : null;
+      await comment.save();
+
+      logUserAction(
+        userId,
+        isHidden ? "COMMENT_HIDDEN" : "COMMENT_UNHIDDEN",
+        `${isHidden ? "Hidden" : "Unhidden"} comment ${commentId}`
+      );
+
+      return comment;
+    } catch (error) {
+      logError(error, "CommentService.setCommentHidden", userId);
+      throw error;
+    }
+  }
+
   // Получение комментариев на модерации
   async getPendingComments(options = {}) {
     try {
@@ -381,6 +484,7 @@ class CommentService {
       const query = {
         content: { $regex: searchQuery, $options: "i" },
         isApproved: true,
+        isHidden: { $ne: true },
       };
 
       if (userId) {
@@ -411,6 +515,7 @@ class CommentService {
 
       const comments = await Comment.find({
         isApproved: true,
+        isHidden: { $ne: true },
         likes: { $gte: minLikes },
       })
         .populate("author", "firstName lastName email role avatar")
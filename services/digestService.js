@@ -0,0 +1,220 @@
+// services/digestService.js
+import NotificationSettings from "../models/NotificationSettings.js";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import emailOutboxService from "./emailOutboxService.js";
+import { DIGEST_FREQUENCY } from "../utils/constants.js";
+import { digestConfig } from "../config/digest.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+
+// Длительность периода дайджеста
+const PERIOD_MS = {
+  [DIGEST_FREQUENCY.DAILY]: 24 * 60 * 60 * 1000,
+  [DIGEST_FREQUENCY.WEEKLY]: 7 * 24 * 60 * 60 * 1000,
+};
+
+class DigestService {
+  // Формирование дайджеста для одного пользователя
+  async buildDigestForUser(userId, since, categories = []) {
+    try {
+      const limit = digestConfig.maxItemsPerSection;
+      const questionLink = (slug) =>
+        `${process.env.FRONTEND_URL}/forum/questions/${slug}`;
+
+      const [myQuestionIds, myCommentIds] = await Promise.all([
+        Question.distinct("_id", { author: userId }),
+        Comment.distinct("_id", { author: userId }),
+      ]);
+
+      const [newAnswers, commentReplies, newQuestions] = await Promise.all([
+        // Новые одобренные ответы на вопросы пользователя
+        myQuestionIds.length > 0
+          ? Answer.find({
+              questionId: { $in: myQuestionIds },
+              isApproved: true,
+              isHidden: { $ne: true },
+              moderatedAt: { $gte: since },
+            })
+              .populate("questionId", "title slug")
+              .sort({ moderatedAt: -1 })
+              .limit(limit)
+              .lean()
+          : [],
+        // Ответы на комментарии пользователя
+        myCommentIds.length > 0
+          ? Comment.find({
+              parentComment: { $in: myCommentIds },
+              author: { $ne: userId },
+              isApproved: true,
+              isHidden: { $ne: true },
+              createdAt: { $gte: since },
+            })
+              .populate("questionId", "title slug")
+              .sort({ createdAt: -1 })
+              .limit(limit)
+              .lean()
+          : [],
+        // Новые вопросы в отслеживаемых категориях
+        categories.length > 0
+          ? Question.find({
+              ...Question.getPublicFilter(),
+              category: { $in: categories },
+              author: { $ne: userId },
+              createdAt: { $gte: since },
+            })
+              .select("title slug category createdAt")
+              .sort({ createdAt: -1 })
+              .limit(limit)
+              .lean()
+          : [],
+      ]);
+
+      return {
+        since,
+        newAnswers: newAnswers
+          .filter((answer) => answer.questionId)
+          .map((answer) => ({
+            questionTitle: answer.questionId.title,
+            link: questionLink(answer.questionId.slug),
+            approvedAt: answer.moderatedAt,
+          })),
+        commentReplies: commentReplies
+          .filter((comment) => comment.questionId)
+          .map((comment) => ({
+            questionTitle: comment.questionId.title,
+            preview: comment.content.substring(0, 100),
+            link: questionLink(comment.questionId.slug),
+            createdAt: comment.createdAt,
+          })),
+        newQuestions: newQuestions.map((question) => ({
+          questionTitle: question.title,
+          category: question.category,
+          link: questionLink(question.slug),
+          createdAt: question.createdAt,
+        })),
+      };
+    } catch (error) {
+      logError(error, "DigestService.buildDigestForUser", userId);
+      throw error;
+    }
+  }
+
+  // Рассылка дайджестов для указанной периодичности
+  async sendDigests(frequency) {
+    try {
+      if (!PERIOD_MS[frequency]) {
+        throw new Error("Neplatná frekvencia súhrnu");
+      }
+
+      const now = new Date();
+      const result = {
+        frequency,
+        checked: 0,
+        sent: 0,
+        empty: 0,
+        skipped: 0,
+        failed: 0,
+      };
+
+      const cursor = NotificationSettings.find({
+        "digest.frequency": frequency,
+      }).cursor();
+
+      for await (const settings of cursor) {
+        result.checked++;
+        let previousSentAt;
+
+        try {
+          const user = await User.findById(settings.user).select(
+            "isActive isBanned"
+          );
+          if (!user || !user.isActive || user.isBanned) continue;
+
+          // Атомарно занимаем пользователя: при нескольких экземплярах
+          // (PM2 cluster) письмо за период отправит только один из них
+          const claimed = await this._claimDigest(settings._id, frequency, now);
+          if (!claimed) {
+            result.skipped++;
+            continue;
+          }
+
+          previousSentAt = claimed.digest.lastSentAt;
+          const since =
+            previousSentAt || new Date(now.getTime() - PERIOD_MS[frequency]);
+
+          const digest = await this.buildDigestForUser(
+            settings.user,
+            since,
+            settings.digest.categories
+          );
+
+          const total =
+            digest.newAnswers.length +
+            digest.commentReplies.length +
+            digest.newQuestions.length;
+
+          if (total > 0) {
+            // Одно письмо за период
+            await emailOutboxService.enqueue(
+              [settings.user],
+              digestConfig.emailTemplate,
+              { frequency, ...digest }
+            );
+            result.sent++;
+          } else {
+            result.empty++;
+          }
+        } catch (error) {
+          result.failed++;
+          logError(error, "DigestService.sendDigests", settings.user);
+
+          // Возвращаем прежнюю отметку, чтобы следующий запуск повторил отправку
+          if (previousSentAt !== undefined) {
+            await NotificationSettings.updateOne(
+              { _id: settings._id, "digest.lastSentAt": now },
+              { $set: { "digest.lastSentAt": previousSentAt } }
+            ).catch((releaseError) =>
+              logError(releaseError, "DigestService.sendDigests", settings.user)
+            );
+          }
+        }
+      }
+
+      logUserAction(
+        null,
+        "DIGESTS_SENT",
+        `Sent ${result.sent} ${frequency} digests (${result.empty} empty, ${result.skipped} skipped, ${result.failed} failed)`
+      );
+
+      return result;
+    } catch (error) {
+      logError(error, "DigestService.sendDigests");
+      throw error;
+    }
+  }
+
+  // Отметка отправки, если за текущий период дайджест еще не отправлялся.
+  // Возвращает настройки до обновления или null, если пользователь занят
+  async _claimDigest(settingsId, frequency, now) {
+    const claimBefore = new Date(
+      now.getTime() - PERIOD_MS[frequency] * digestConfig.minIntervalRatio
+    );
+
+    return await NotificationSettings.findOneAndUpdate(
+      {
+        _id: settingsId,
+        "digest.frequency": frequency,
+        $or: [
+          { "digest.lastSentAt": null },
+          { "digest.lastSentAt": { $lt: claimBefore } },
+        ],
+      },
+      { $set: { "digest.lastSentAt": now } },
+      { new: false }
+    );
+  }
+}
+
+export default new DigestService();
@@ -0,0 +1,200 @@
+// services/emailOutboxService.js
+import EmailOutbox from "../models/EmailOutbox.js";
+import User from "../models/User.js";
+import emailService from "./emailService.js";
+import cryptoService from "./cryptoService.js";
+import { EMAIL_OUTBOX_STATUS } from "../utils/constants.js";
+import { emailOutboxConfig } from "../config/emailOutbox.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+class EmailOutboxService {
+  // Постановка писем в очередь
+  async enqueue(recipientIds, template, params = {}, options = {}) {
+    try {
+      const ids = [
+        ...new Set(recipientIds.filter(Boolean).map((id) => id.toString())),
+      ];
+
+      if (ids.length === 0) return [];
+
+      const companyName =
+        options.companyName || emailOutboxConfig.defaultCompanyName;
+
+      return await EmailOutbox.insertMany(
+        ids.map((recipient) => ({
+          recipient,
+          template,
+          companyName,
+          params,
+        }))
+      );
+    } catch (error) {
+      logError(error, "EmailOutboxService.enqueue");
+      throw error;
+    }
+  }
+
+  // Обработка пачки писем (вызывается cron воркером)
+  async processBatch(batchSize = emailOutboxConfig.batchSize) {
+    const result = { processed: 0, sent: 0, retried: 0, dead: 0 };
+
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        const message = await EmailOutbox.claimNext();
+        if (!message) break;
+
+        result.processed++;
+
+        const outcome = await this._sendMessage(message);
+        result[outcome]++;
+      }
+
+      return result;
+    } catch (error) {
+      logError(error, "EmailOutboxService.processBatch");
+      throw error;
+    }
+  }
+
+  // Отправка одного письма
+  async _sendMessage(message) {
+    try {
+      const user = await User.findById(message.recipient).select(
+        "originalEmail isActive"
+      );
+
+      // Получатель удален или деактивирован - повторять бессмысленно
+      if (!user || !user.isActive) {
+        await message.markFailed("Príjemca neexistuje alebo je neaktívny", true);
+        return "dead";
+      }
+
+      await cryptoService.smartDecrypt(user);
+
+      await emailService.sendEmail(
+        user.originalEmail,
+        message.template,
+        message.companyName,
+        message.params
+      );
+
+      await message.markSent();
+      return "sent";
+    } catch (error) {
+      await message.markFailed(error.message, this._isPermanentError(error));
+
+      if (message.status === EMAIL_OUTBOX_STATUS.DEAD) {
+        logError(
+          error,
+          `EmailOutboxService._sendMessage (dead-letter ${message._id})`,
+          message.recipient
+        );
+        return "dead";
+      }
+
+      return "retried";
+    }
+  }
+
+  // Ошибки 4xx (кроме таймаута и лимита запросов) не исправятся повтором
+  _isPermanentError(error) {
+    const status = error.responseStatus;
+
+    return (
+      !!status && status >= 400 && status < 500 && ![408, 429].includes(status)
+    );
+  }
+
+  // Статусы, в которых письмо может застрять
+  getStuckStatuses() {
+    return EmailOutbox.getStuckQuery().$or.map((condition) => condition.status);
+  }
+
+  // Застрявшие и dead-letter письма (для админки)
+  async getStuckMessages(options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+
+      const query = EmailOutbox.getStuckQuery();
+      if (status) {
+        query.$or = query.$or.filter((condition) => condition.status === status);
+
+        // В этом статусе письма не застревают (например, sent),
+        // а пустой $or MongoDB не принимает
+        if (query.$or.length === 0) {
+          return createPaginationResponse([], 0, page, limit);
+        }
+      }
+
+      const skip = (page - 1) * limit;
+      const [messages, total] = await Promise.all([
+        EmailOutbox.find(query)
+          .populate("recipient", "email role")
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        EmailOutbox.countDocuments(query),
+      ]);
+
+      return createPaginationResponse(messages, total, page, limit);
+    } catch (error) {
+      logError(error, "EmailOutboxService.getStuckMessages");
+      throw error;
+    }
+  }
+
+  // Статистика очереди
+  async getStatistics() {
+    try {
+      const [byStatus, stuck] = await Promise.all([
+        EmailOutbox.aggregate([
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+        EmailOutbox.countDocuments(EmailOutbox.getStuckQuery()),
+      ]);
+
+      const counts = Object.fromEntries(
+        Object.values(EMAIL_OUTBOX_STATUS).map((status) => [status, 0])
+      );
+      byStatus.forEach((item) => {
+        counts[item._id] = item.count;
+      });
+
+      return { ...counts, stuck };
+    } catch (error) {
+      logError(error, "EmailOutboxService.getStatistics");
+      throw error;
+    }
+  }
+
+  // Повторная постановка письма в очередь (админ)
+  async retryMessage(messageId, adminId) {
+    try {
+      const message = await EmailOutbox.findById(messageId);
+
+      if (!message) {
+        throw new Error("Správa nebola nájdená");
+      }
+
+      if (message.status === EMAIL_OUTBOX_STATUS.SENT) {
+        throw new Error("Správa už bola odoslaná");
+      }
+
+      await message.requeue();
+
+      logUserAction(
+        adminId,
+        "EMAIL_OUTBOX_MESSAGE_REQUEUED",
+        `Requeued outbox message ${messageId}`
+      );
+
+      return message;
+    } catch (error) {
+      logError(error, "EmailOutboxService.retryMessage", adminId);
+      throw error;
+    }
+  }
+}
+
+export default new EmailOutboxService();
@@ -94,7 +94,10 @@ class EmailService {
       const errorMessage = error.response?.data?.message || error.message;
       console.error(`❌ Failed to send email to ${email}:`, errorMessage);
 
-      throw new Error(`Email sending failed: ${errorMessage}`);
+      const emailError = new Error(`Email sending failed: ${errorMessage}`);
+      // HTTP статус микросервиса (нужен очереди для определения постоянных ошибок)
+      emailError.responseStatus = error.response?.status || null;
+      throw emailError;
     }
   }
 }
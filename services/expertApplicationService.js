@@ -0,0 +1,300 @@
+// services/expertApplicationService.js
+import ExpertApplication from "../models/ExpertApplication.js";
+import User from "../models/User.js";
+import roleService from "./roleService.js";
+import notificationService from "./notificationService.js";
+import cryptoService from "./cryptoService.js";
+import config from "../config/index.js";
+import {
+  USER_ROLES,
+  EXPERT_APPLICATION_STATUS,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExpertApplicationService {
+  // Проверка, может ли пользователь подать заявку
+  async checkEligibility(userId) {
+    try {
+      const user = await User.findById(userId).select(
+        "role isActive isBanned bannedUntil isEmailVerified rating totalQuestions createdAt"
+      );
+
+      if (!user) {
+        throw new Error("Používateľ nebol nájdený");
+      }
+
+      const { MIN_ACCOUNT_AGE_DAYS, MIN_RATING, REAPPLY_COOLDOWN_DAYS } =
+        config.EXPERT_APPLICATION;
+
+      const accountAgeDays = Math.floor(
+        (Date.now() - user.createdAt.getTime()) / DAY_MS
+      );
+
+      const [pending, lastRejected] = await Promise.all([
+        ExpertApplication.findPendingForUser(userId).select("_id"),
+        ExpertApplication.findLastRejected(userId).select("reviewedAt"),
+      ]);
+
+      const reapplyAt = lastRejected?.reviewedAt
+        ? new Date(
+            lastRejected.reviewedAt.getTime() + REAPPLY_COOLDOWN_DAYS * DAY_MS
+          )
+        : null;
+
+      const reasons = [];
+
+      if (user.role !== USER_ROLES.USER) {
+        reasons.push("Už máte rolu experta alebo administrátora");
+      }
+      if (!user.isActive || user.isBanned) {
+        reasons.push("Váš účet je neaktívny alebo zablokovaný");
+      }
+      if (!user.isEmailVerified) {
+        reasons.push("Email nie je overený");
+      }
+      if (accountAgeDays < MIN_ACCOUNT_AGE_DAYS) {
+        reasons.push(`Účet musí byť starší ako ${MIN_ACCOUNT_AGE_DAYS} dní`);
+      }
+      if (user.rating < MIN_RATING) {
+        reasons.push(`Potrebujete reputáciu aspoň ${MIN_RATING}`);
+      }
+      if (pending) {
+        reasons.push("Už máte podanú žiadosť, ktorá čaká na posúdenie");
+      }
+      if (reapplyAt && reapplyAt > new Date()) {
+        reasons.push(
+          `Novú žiadosť môžete podať po ${reapplyAt.toLocaleDateString("sk-SK")}`
+        );
+      }
+
+      return {
+        eligible: reasons.length === 0,
+        reasons,
+        stats: {
+          rating: user.rating,
+          totalQuestions: user.totalQuestions,
+          accountAgeDays,
+        },
+        requirements: {
+          minAccountAgeDays: MIN_ACCOUNT_AGE_DAYS,
+          minRating: MIN_RATING,
+          reapplyCooldownDays: REAPPLY_COOLDOWN_DAYS,
+        },
+        pendingApplicationId: pending?._id || null,
+        reapplyAt,
+      };
+    } catch (error) {
+      logError(error, "ExpertApplicationService.checkEligibility", userId);
+      throw error;
+    }
+  }
+
+  // Подача заявки на роль эксперта
+  async submitApplication(userId, applicationData) {
+    try {
+      const { specialization, experience, credentials = [] } = applicationData;
+
+      const eligibility = await this.checkEligibility(userId);
+
+      if (!eligibility.eligible) {
+        const error = new Error(eligibility.reasons[0]);
+        error.statusCode = HTTP_STATUS.FORBIDDEN;
+        throw error;
+      }
+
+      const application = await ExpertApplication.create({
+        applicant: userId,
+        specialization,
+        experience,
+        credentials,
+        applicantStats: eligibility.stats,
+      });
+
+      logUserAction(
+        userId,
+        "EXPERT_APPLICATION_SUBMITTED",
+        `Submitted expert application ${application._id}`
+      );
+
+      return application;
+    } catch (error) {
+      logError(error, "ExpertApplicationService.submitApplication", userId);
+
+      // Параллельная подача второй заявки
+      if (error.code === 11000) {
+        const conflict = new Error(
+          "Už máte podanú žiadosť, ktorá čaká na posúdenie"
+        );
+        conflict.statusCode = HTTP_STATUS.CONFLICT;
+        throw conflict;
+      }
+
+      throw error;
+    }
+  }
+
+  // Заявки текущего пользователя
+  async getUserApplications(userId) {
+    try {
+      return await ExpertApplication.find({ applicant: userId })
+        .select("-applicantStats")
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      logError(error, "ExpertApplicationService.getUserApplications", userId);
+      throw error;
+    }
+  }
+
+  // Список заявок (для админки)
+  async getApplications(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = EXPERT_APPLICATION_STATUS.PENDING,
+      } = options;
+      const skip = (page - 1) * limit;
+
+      const query = status ? { status } : {};
+
+      const [applications, total] = await Promise.all([
+        ExpertApplication.find(query)
+          .populate(
+            "applicant",
+            "email firstName lastName avatar rating totalQuestions createdAt"
+          )
+          .populate("reviewedBy", "email firstName lastName")
+          // Старые заявки на рассмотрении - первыми
+          .sort({
+            createdAt: status === EXPERT_APPLICATION_STATUS.PENDING ? 1 : -1,
+          })
+          .skip(skip)
+          .limit(limit),
+        ExpertApplication.countDocuments(query),
+      ]);
+
+      await cryptoService.smartDecrypt(applications);
+
+      return createPaginationResponse(applications, total, page, limit);
+    } catch (error) {
+      logError(error, "ExpertApplicationService.getApplications");
+      throw error;
+    }
+  }
+
+  // Детали заявки (для админки)
+  async getApplicationById(applicationId) {
+    try {
+      const application = await ExpertApplication.findById(applicationId)
+        .populate(
+          "applicant",
+          "email firstName lastName avatar bio role rating totalQuestions createdAt"
+        )
+        .populate("reviewedBy", "email firstName lastName");
+
+      if (!application) {
+        throw new Error("Žiadosť nebola nájdená");
+      }
+
+      await cryptoService.smartDecrypt(application);
+
+      return application;
+    } catch (error) {
+      logError(error, "ExpertApplicationService.getApplicationById");
+      throw error;
+    }
+  }
+
+  // Одобрение заявки: пользователь получает роль эксперта
+  async approveApplication(applicationId, adminId, comment = null) {
+    try {
+      const application = await this._getPendingApplication(applicationId);
+
+      const result = await roleService.changeUserRole(
+        application.applicant,
+        USER_ROLES.EXPERT,
+        adminId,
+        comment || "Schválená žiadosť o rolu experta",
+        { application: application._id }
+      );
+
+      application.status = EXPERT_APPLICATION_STATUS.APPROVED;
+      application.reviewedBy = adminId;
+      application.reviewedAt = new Date();
+      application.reviewComment = comment;
+      await application.save();
+
+      logUserAction(
+        adminId,
+        "EXPERT_APPLICATION_APPROVED",
+        `Approved expert application ${applicationId} of user ${application.applicant}`
+      );
+
+      await this._notifyApplicant(application);
+
+      return { application, roleChange: result.roleChange };
+    } catch (error) {
+      logError(error, "ExpertApplicationService.approveApplication", adminId);
+      throw error;
+    }
+  }
+
+  // Отклонение заявки
+  async rejectApplication(applicationId, adminId, comment) {
+    try {
+      const application = await this._getPendingApplication(applicationId);
+
+      application.status = EXPERT_APPLICATION_STATUS.REJECTED;
+      application.reviewedBy = adminId;
+      application.reviewedAt = new Date();
+      application.reviewComment = comment;
+      await application.save();
+
+      logUserAction(
+        adminId,
+        "EXPERT_APPLICATION_REJECTED",
+        `Rejected expert application ${applicationId} of user ${application.applicant}`
+      );
+
+      await this._notifyApplicant(application);
+
+      return application;
+    } catch (error) {
+      logError(error, "ExpertApplicationService.rejectApplication", adminId);
+      throw error;
+    }
+  }
+
+  async _getPendingApplication(applicationId) {
+    const application = await ExpertApplication.findById(applicationId);
+
+    if (!application) {
+      throw new Error("Žiadosť nebola nájdená");
+    }
+
+    if (!application.isPending) {
+      const error = new Error("Žiadosť už bola posúdená");
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+
+    return application;
+  }
+
+  // Ошибка уведомления не должна отменять решение по заявке
+  async _notifyApplicant(application) {
+    try {
+      await notificationService.notifyUserAboutExpertApplication(
+        application._id
+      );
+    } catch (error) {
+      logError(error, "ExpertApplicationService._notifyApplicant");
+    }
+  }
+}
+
+export default new ExpertApplicationService();
@@ -0,0 +1,304 @@
+// services/followService.js
+import Follow from "../models/Follow.js";
+import User from "../models/User.js";
+import Category from "../models/Category.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import cryptoService from "./cryptoService.js";
+import { FOLLOW_TARGET_TYPES, HTTP_STATUS } from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+
+class FollowService {
+  // Подписка на эксперта
+  async followExpert(followerId, expertId) {
+    try {
+      if (followerId.toString() === expertId.toString()) {
+        throw new Error("Nemôžete sledovať sami seba");
+      }
+
+      const expert = await User.findById(expertId).select("role isActive");
+
+      if (!expert || !expert.isActive || !expert.isExpert()) {
+        throw new Error("Expert nebol nájdený");
+      }
+
+      await this._follow(followerId, FOLLOW_TARGET_TYPES.EXPERT, expert._id);
+
+      logUserAction(
+        followerId,
+        "EXPERT_FOLLOWED",
+        `Started following expert ${expertId}`
+      );
+
+      return { following: true };
+    } catch (error) {
+      logError(error, "FollowService.followExpert", followerId);
+      throw error;
+    }
+  }
+
+  // Отписка от эксперта
+  async unfollowExpert(followerId, expertId) {
+    try {
+      await Follow.deleteOne({
+        follower: followerId,
+        targetType: FOLLOW_TARGET_TYPES.EXPERT,
+        targetId: expertId,
+      });
+
+      logUserAction(
+        followerId,
+        "EXPERT_UNFOLLOWED",
+        `Stopped following expert ${expertId}`
+      );
+
+      return { following: false };
+    } catch (error) {
+      logError(error, "FollowService.unfollowExpert", followerId);
+      throw error;
+    }
+  }
+
+  // Подписка на категорию
+  async followCategory(followerId, slug) {
+    try {
+      const category = await Category.findOne({
+        slug: slug.toLowerCase(),
+        isActive: true,
+      }).select("_id slug");
+
+      if (!category) {
+        throw new Error("Kategória nebola nájdená");
+      }
+
+      await this._follow(
+        followerId,
+        FOLLOW_TARGET_TYPES.CATEGORY,
+        category._id
+      );
+
+      logUserAction(
+        followerId,
+        "CATEGORY_FOLLOWED",
+        `Started following category ${category.slug}`
+      );
+
+      return { following: true };
+    } catch (error) {
+      logError(error, "FollowService.followCategory", followerId);
+      throw error;
+    }
+  }
+
+  // Отписка от категории
+  async unfollowCategory(followerId, slug) {
+    try {
+      const category = await Category.findOne({
+        slug: slug.toLowerCase(),
+      }).select("_id slug");
+
+      if (category) {
+        await Follow.deleteOne({
+          follower: followerId,
+          targetType: FOLLOW_TARGET_TYPES.CATEGORY,
+          targetId: category._id,
+        });
+      }
+
+      logUserAction(
+        followerId,
+        "CATEGORY_UNFOLLOWED",
+        `Stopped following category ${slug}`
+      );
+
+      return { following: false };
+    } catch (error) {
+      logError(error, "FollowService.unfollowCategory", followerId);
+      throw error;
+    }
+  }
+
+  // Список подписок пользователя
+  async getFollowing(userId) {
+    try {
+      const [expertIds, categoryIds] = await Promise.all([
+        Follow.getTargetIds(userId, FOLLOW_TARGET_TYPES.EXPERT),
+        Follow.getTargetIds(userId, FOLLOW_TARGET_TYPES.CATEGORY),
+      ]);
+
+      const [experts, categories] = await Promise.all([
+        User.find({ _id: { $in: expertIds } }).select(
+          "firstName lastName role avatar bio rating"
+        ),
+        Category.find({ _id: { $in: categoryIds } }).select(
+          "name slug color icon"
+        ),
+      ]);
+
+      await cryptoService.smartDecrypt(experts);
+
+      return { experts, categories };
+    } catch (error) {
+      logError(error, "FollowService.getFollowing", userId);
+      throw error;
+    }
+  }
+
+  // Количество подписчиков эксперта
+  async getExpertFollowersCount(expertId) {
+    try {
+      return await Follow.countFollowers(FOLLOW_TARGET_TYPES.EXPERT, expertId);
+    } catch (error) {
+      logError(error, "FollowService.getExpertFollowersCount");
+      throw error;
+    }
+  }
+
+  // Slug категорий, на которые подписан пользователь
+  async getFollowedCategorySlugs(userId) {
+    try {
+      const categoryIds = await Follow.getTargetIds(
+        userId,
+        FOLLOW_TARGET_TYPES.CATEGORY
+      );
+
+      if (categoryIds.length === 0) return [];
+
+      return await Category.distinct("slug", {
+        _id: { $in: categoryIds },
+        isActive: true,
+      });
+    } catch (error) {
+      logError(error, "FollowService.getFollowedCategorySlugs", userId);
+      throw error;
+    }
+  }
+
+  // Персональная лента: вопросы из категорий и одобренные ответы экспертов
+  // Курсор указывает на последний элемент предыдущей страницы
+  async getFeed(userId, options = {}) {
+    try {
+      const { cursor = null, limit = 20 } = options;
+      const position = this._decodeCursor(cursor);
+
+      const [expertIds, categorySlugs] = await Promise.all([
+        Follow.getTargetIds(userId, FOLLOW_TARGET_TYPES.EXPERT),
+        this.getFollowedCategorySlugs(userId),
+      ]);
+
+      // Берем на один элемент больше, чтобы понять, есть ли следующая страница
+      const [questions, answers] = await Promise.all([
+        categorySlugs.length > 0
+          ? Question.find({
+              category: { $in: categorySlugs },
+              author: { $ne: userId },
+              isHidden: { $ne: true },
+              ...this._cursorFilter("createdAt", position),
+            })
+              .populate("author", "firstName lastName role avatar")
+              .sort({ createdAt: -1, _id: -1 })
+              .limit(limit + 1)
+          : [],
+        expertIds.length > 0
+          ? Answer.find({
+              expert: { $in: expertIds },
+              isApproved: true,
+              isHidden: { $ne: true },
+              ...this._cursorFilter("moderatedAt", position),
+            })
+              .select("-actions -socialPosts")
+              .populate("expert", "firstName lastName role avatar rating")
+              .populate("questionId", "title slug category")
+              .sort({ moderatedAt: -1, _id: -1 })
+              .limit(limit + 1)
+          : [],
+      ]);
+
+      await cryptoService.smartDecrypt([...questions, ...answers]);
+
+      const items = [
+        ...questions.map((question) => ({
+          type: "question",
+          date: question.createdAt,
+          item: question,
+        })),
+        ...answers.map((answer) => ({
+          type: "answer",
+          date: answer.moderatedAt,
+          item: answer,
+        })),
+      ].sort(
+        (a, b) =>
+          b.date - a.date ||
+          b.item._id.toString().localeCompare(a.item._id.toString())
+      );
+
+      const page = items.slice(0, limit);
+      const hasNext = items.length > limit;
+      const last = page[page.length - 1];
+
+      return {
+        data: page,
+        pagination: {
+          limit,
+          count: page.length,
+          hasNext,
+          nextCursor:
+            hasNext && last ? this._encodeCursor(last.date, last.item._id) : null,
+        },
+      };
+    } catch (error) {
+      logError(error, "FollowService.getFeed", userId);
+      throw error;
+    }
+  }
+
+  async _follow(followerId, targetType, targetId) {
+    await Follow.updateOne(
+      { follower: followerId, targetType, targetId },
+      { $setOnInsert: { follower: followerId, targetType, targetId } },
+      { upsert: true }
+    );
+  }
+
+  // Фильтр "строго раньше позиции курсора" (дата, затем _id)
+  _cursorFilter(dateField, position) {
+    if (!position) return {};
+
+    return {
+      $or: [
+        { [dateField]: { $lt: position.date } },
+        { [dateField]: position.date, _id: { $lt: position.id } },
+      ],
+    };
+  }
+
+  _encodeCursor(date, id) {
+    return Buffer.from(
+      JSON.stringify({ d: new Date(date).toISOString(), id: id.toString() })
+    ).toString("base64url");
+  }
+
+  _decodeCursor(cursor) {
+    if (!cursor) return null;
+
+    try {
+      const { d, id } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      const date = new Date(d);
+
+      if (Number.isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id)) {
+        throw new Error();
+      }
+
+      return { date, id };
+    } catch {
+      const error = new Error("Neplatný kurzor stránkovania");
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+  }
+}
+
+export default new FollowService();
@@ -0,0 +1,285 @@
+// services/leaderboardService.js
+import Answer from "../models/Answer.js";
+import Like from "../models/Like.js";
+import User from "../models/User.js";
+import cryptoService from "./cryptoService.js";
+import categoryService from "./categoryService.js";
+import config from "../config/index.js";
+import {
+  USER_ROLES,
+  LIKE_TARGET_TYPES,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+} from "../utils/constants.js";
+import { logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_DAYS = {
+  [LEADERBOARD_PERIODS.WEEK]: 7,
+  [LEADERBOARD_PERIODS.MONTH]: 30,
+};
+
+// Показатели, по которым сортировка идет по убыванию
+const DESCENDING_METRICS = [
+  LEADERBOARD_METRICS.ACCEPTED_ANSWERS,
+  LEADERBOARD_METRICS.APPROVED_ANSWERS,
+  LEADERBOARD_METRICS.LIKES_RECEIVED,
+];
+
+// Стадии фильтра по категории вопроса, к которому относится ответ
+const categoryStages = (category, questionField) =>
+  category
+    ? [
+        {
+          $lookup: {
+            from: "questions",
+            localField: questionField,
+            foreignField: "_id",
+            as: "question",
+            pipeline: [{ $project: { category: 1 } }],
+          },
+        },
+        { $unwind: "$question" },
+        { $match: { "question.category": category } },
+      ]
+    : [];
+
+class LeaderboardService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Рейтинг экспертов за период с фильтром по категории
+  async getExpertLeaderboard(options = {}) {
+    try {
+      const {
+        period = LEADERBOARD_PERIODS.ALL_TIME,
+        sortBy = LEADERBOARD_METRICS.ACCEPTED_ANSWERS,
+        page = 1,
+        limit = 20,
+      } = options;
+
+      // Только существующие категории, чтобы не засорять кэш
+      const category = options.category
+        ? await categoryService.resolveCategorySlug(options.category)
+        : null;
+
+      const key = `${period}:${category || "all"}:${sortBy}`;
+      let cached = this.cache.get(key);
+
+      if (!cached || cached.expiresAt <= Date.now()) {
+        const entries = await this._buildRanking(period, category, sortBy);
+
+        cached = {
+          entries,
+          generatedAt: new Date(),
+          expiresAt: Date.now() + config.LEADERBOARD.CACHE_TTL_MS,
+        };
+        this.cache.set(key, cached);
+      }
+
+      const skip = (page - 1) * limit;
+      const pageEntries = cached.entries.slice(skip, skip + limit);
+
+      return {
+        ...createPaginationResponse(
+          pageEntries,
+          cached.entries.length,
+          page,
+          limit
+        ),
+        period,
+        category,
+        sortBy,
+        generatedAt: cached.generatedAt,
+      };
+    } catch (error) {
+      logError(error, "LeaderboardService.getExpertLeaderboard");
+      throw error;
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  async _buildRanking(period, category, sortBy) {
+    const since = this._getPeriodStart(period);
+
+    const [answerStats, likeStats] = await Promise.all([
+      this._aggregateAnswers(since, category),
+      this._aggregateLikes(since, category),
+    ]);
+
+    const stats = new Map();
+    const getStats = (expertId) => {
+      const id = expertId.toString();
+
+      if (!stats.has(id)) {
+        stats.set(id, {
+          [LEADERBOARD_METRICS.ACCEPTED_ANSWERS]: 0,
+          [LEADERBOARD_METRICS.APPROVED_ANSWERS]: 0,
+          [LEADERBOARD_METRICS.LIKES_RECEIVED]: 0,
+          [LEADERBOARD_METRICS.MODERATION_TURNAROUND]: null,
+        });
+      }
+
+      return stats.get(id);
+    };
+
+    for (const item of answerStats) {
+      const entry = getStats(item._id);
+      entry[LEADERBOARD_METRICS.ACCEPTED_ANSWERS] = item.acceptedAnswers;
+      entry[LEADERBOARD_METRICS.APPROVED_ANSWERS] = item.approvedAnswers;
+      entry[LEADERBOARD_METRICS.MODERATION_TURNAROUND] =
+        item.avgModerationMs === null
+          ? null
+          : Math.round((item.avgModerationMs / 3600000) * 10) / 10;
+    }
+
+    for (const item of likeStats) {
+      getStats(item._id)[LEADERBOARD_METRICS.LIKES_RECEIVED] =
+        item.likesReceived;
+    }
+
+    // Принятые вне периода ответы дают пустые записи - отбрасываем их
+    for (const [id, entry] of stats) {
+      const isEmpty =
+        DESCENDING_METRICS.every((metric) => entry[metric] === 0) &&
+        entry[LEADERBOARD_METRICS.MODERATION_TURNAROUND] === null;
+
+      if (isEmpty) stats.delete(id);
+    }
+
+    if (stats.size === 0) return [];
+
+    // В рейтинг попадают только активные эксперты
+    const experts = await User.find({
+      _id: { $in: [...stats.keys()] },
+      role: { $in: [USER_ROLES.EXPERT, USER_ROLES.ADMIN] },
+      isActive: true,
+      isBanned: false,
+    }).select("firstName lastName avatar role bio rating totalAnswers");
+
+    await cryptoService.smartDecrypt(experts);
+
+    const entries = experts
+      .map((expert) => ({
+        expert: expert.toObject(),
+        ...stats.get(expert._id.toString()),
+      }))
+      // Без модерированных ответов время модерации не определено
+      .filter(
+        (entry) =>
+          sortBy !== LEADERBOARD_METRICS.MODERATION_TURNAROUND ||
+          entry[sortBy] !== null
+      )
+      .sort((a, b) => this._compare(a, b, sortBy))
+      .slice(0, config.LEADERBOARD.MAX_ENTRIES);
+
+    return entries.map((entry, index) => ({ rank: index + 1, ...entry }));
+  }
+
+  // Принятые и одобренные ответы, среднее время модерации
+  async _aggregateAnswers(since, category) {
+    return await Answer.aggregate([
+      {
+        $match: {
+          $or: [{ moderatedAt: { $gte: since } }, { isAccepted: true }],
+        },
+      },
+      ...categoryStages(category, "questionId"),
+      {
+        $addFields: {
+          inModerationPeriod: { $gte: ["$moderatedAt", since] },
+          // acceptedAt отсутствует у ответов, принятых до его появления
+          inAcceptancePeriod: {
+            $gte: [{ $ifNull: ["$acceptedAt", "$updatedAt"] }, since],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$expert",
+          acceptedAnswers: {
+            $sum: {
+              $cond: [{ $and: ["$isAccepted", "$inAcceptancePeriod"] }, 1, 0],
+            },
+          },
+          approvedAnswers: {
+            $sum: {
+              $cond: [{ $and: ["$isApproved", "$inModerationPeriod"] }, 1, 0],
+            },
+          },
+          avgModerationMs: {
+            $avg: {
+              $cond: [
+                "$inModerationPeriod",
+                { $subtract: ["$moderatedAt", "$createdAt"] },
+                null,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+  }
+
+  // Лайки на одобренные ответы эксперта (без собственных лайков)
+  async _aggregateLikes(since, category) {
+    return await Like.aggregate([
+      {
+        $match: {
+          targetType: LIKE_TARGET_TYPES.ANSWER,
+          createdAt: { $gte: since },
+        },
+      },
+      {
+        $lookup: {
+          from: "answers",
+          localField: "targetId",
+          foreignField: "_id",
+          as: "answer",
+          pipeline: [
+            { $match: { deletedAt: null } },
+            { $project: { expert: 1, questionId: 1, isApproved: 1 } },
+          ],
+        },
+      },
+      { $unwind: "$answer" },
+      {
+        $match: {
+          "answer.isApproved": true,
+          $expr: { $ne: ["$answer.expert", "$userId"] },
+        },
+      },
+      ...categoryStages(category, "answer.questionId"),
+      { $group: { _id: "$answer.expert", likesReceived: { $sum: 1 } } },
+    ]);
+  }
+
+  _getPeriodStart(period) {
+    const days = PERIOD_DAYS[period];
+
+    return days ? new Date(Date.now() - days * DAY_MS) : new Date(0);
+  }
+
+  _compare(a, b, sortBy) {
+    if (a[sortBy] !== b[sortBy]) {
+      return DESCENDING_METRICS.includes(sortBy)
+        ? b[sortBy] - a[sortBy]
+        : a[sortBy] - b[sortBy];
+    }
+
+    // При равенстве - по остальным показателям
+    for (const metric of DESCENDING_METRICS) {
+      if (a[metric] !== b[metric]) return b[metric] - a[metric];
+    }
+
+    return 0;
+  }
+}
+
+export default new LeaderboardService();
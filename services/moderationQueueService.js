@@ -0,0 +1,414 @@
+// services/moderationQueueService.js
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Report from "../models/Report.js";
+import ModerationClaim from "../models/ModerationClaim.js";
+import spamDetectionService from "./spamDetectionService.js";
+import cryptoService from "./cryptoService.js";
+import config from "../config/index.js";
+import {
+  MODERATION_ITEM_TYPES,
+  MODERATION_QUEUE_SORT,
+  REPORT_TARGET_TYPES,
+  REPORT_STATUS,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const EXCERPT_LENGTH = 200;
+
+const AUTHOR_FIELDS = "firstName lastName email role avatar";
+
+// Скрыт автоматически по жалобам; скрытое модератором уже решено
+const AUTO_HIDDEN = { isHidden: true, hiddenBy: null };
+
+// Что ждет решения модератора в каждом источнике очереди
+// (автоматически скрытые по жалобам тоже ждут решения)
+const AWAITING_DECISION = {
+  [MODERATION_ITEM_TYPES.QUESTION]: AUTO_HIDDEN,
+  [MODERATION_ITEM_TYPES.ANSWER]: {
+    $or: [{ isApproved: false, moderatedBy: null }, AUTO_HIDDEN],
+  },
+  [MODERATION_ITEM_TYPES.COMMENT]: {
+    $or: [{ isApproved: false, moderatedBy: null }, AUTO_HIDDEN],
+  },
+  [MODERATION_ITEM_TYPES.REPORT]: { status: REPORT_STATUS.PENDING },
+};
+
+const SOURCE_MODELS = {
+  [MODERATION_ITEM_TYPES.QUESTION]: Question,
+  [MODERATION_ITEM_TYPES.ANSWER]: Answer,
+  [MODERATION_ITEM_TYPES.COMMENT]: Comment,
+  [MODERATION_ITEM_TYPES.REPORT]: Report,
+};
+
+class ModerationQueueService {
+  // Единая очередь: скрытый по жалобам контент, ответы и комментарии
+  // без решения модератора и открытые жалобы, отсортированные вместе.
+  // Сортируются только MAX_ITEMS_PER_SOURCE старейших элементов каждого
+  // источника: pagination считает их, полный размер очереди - в queue
+  async getQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        type = null,
+        sortBy = MODERATION_QUEUE_SORT.AGE,
+        sortOrder = "desc",
+      } = options;
+
+      const types = type ? [type] : Object.values(MODERATION_ITEM_TYPES);
+      const [lists, totals] = await Promise.all([
+        Promise.all(types.map((t) => this._loadItems(t))),
+        Promise.all(
+          types.map((t) =>
+            SOURCE_MODELS[t].countDocuments(AWAITING_DECISION[t])
+          )
+        ),
+      ]);
+      const items = lists.flat();
+
+      await Promise.all([
+        this._attachReportCounts(items),
+        this._attachClaims(items),
+      ]);
+
+      const direction = sortOrder === "asc" ? 1 : -1;
+      items.sort(
+        (a, b) => direction * (a[sortBy] - b[sortBy]) || a.queuedAt - b.queuedAt
+      );
+
+      const skip = (page - 1) * limit;
+      const totalItems = totals.reduce((sum, total) => sum + total, 0);
+
+      return {
+        ...createPaginationResponse(
+          items.slice(skip, skip + limit),
+          items.length,
+          page,
+          limit
+        ),
+        queue: {
+          totalItems,
+          sortedItems: items.length,
+          isTruncated: totalItems > items.length,
+          sources: Object.fromEntries(
+            types.map((t, index) => [
+              t,
+              { total: totals[index], sorted: lists[index].length },
+            ])
+          ),
+        },
+      };
+    } catch (error) {
+      logError(error, "ModerationQueueService.getQueue");
+      throw error;
+    }
+  }
+
+  // Захват элемента модератором (повторный захват продлевает срок)
+  async claimItem(type, id, userId) {
+    try {
+      if (!(await this._itemExists(type, id))) {
+        const error = new Error("Položka nebola nájdená");
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+
+      const now = new Date();
+      const expiresAt = new Date(
+        now.getTime() + config.MODERATION_QUEUE.CLAIM_TTL_MINUTES * 60 * 1000
+      );
+
+      // Чужой активный захват не совпадает с фильтром - upsert упадет
+      // на уникальном индексе, что и означает конфликт
+      const claim = await ModerationClaim.findOneAndUpdate(
+        {
+          targetType: type,
+          targetId: id,
+          $or: [{ claimedBy: userId }, { expiresAt: { $lte: now } }],
+        },
+        { claimedBy: userId, expiresAt },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+
+      logUserAction(
+        userId,
+        "MODERATION_ITEM_CLAIMED",
+        `Claimed ${type} ${id} until ${expiresAt.toISOString()}`
+      );
+
+      return claim;
+    } catch (error) {
+      logError(error, "ModerationQueueService.claimItem", userId);
+
+      if (error.code === 11000) {
+        const conflict = new Error("Položku už spracúva iný moderátor");
+        conflict.statusCode = HTTP_STATUS.CONFLICT;
+        throw conflict;
+      }
+
+      throw error;
+    }
+  }
+
+  // Снятие своего захвата
+  async releaseItem(type, id, userId) {
+    try {
+      const { deletedCount } = await ModerationClaim.deleteOne({
+        targetType: type,
+        targetId: id,
+        claimedBy: userId,
+      });
+
+      if (deletedCount === 0) {
+        const error = new Error("Túto položku nemáte zablokovanú");
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+
+      logUserAction(
+        userId,
+        "MODERATION_ITEM_RELEASED",
+        `Released ${type} ${id}`
+      );
+
+      return true;
+    } catch (error) {
+      logError(error, "ModerationQueueService.releaseItem", userId);
+      throw error;
+    }
+  }
+
+  // Запрет действия над элементом, захваченным другим модератором
+  async assertNotClaimedByOther(type, id, userId) {
+    const claim = await ModerationClaim.findOne({
+      targetType: type,
+      targetId: id,
+      claimedBy: { $ne: userId },
+      expiresAt: { $gt: new Date() },
+    }).populate("claimedBy", "email");
+
+    if (claim) {
+      const error = new Error(
+        `Položku práve spracúva iný moderátor (${claim.claimedBy?.email || "neznámy"})`
+      );
+      error.statusCode = HTTP_STATUS.CONFLICT;
+      throw error;
+    }
+  }
+
+  // Элементы одного типа, ожидающие действия
+  async _loadItems(type) {
+    const max = config.MODERATION_QUEUE.MAX_ITEMS_PER_SOURCE;
+
+    switch (type) {
+      case MODERATION_ITEM_TYPES.QUESTION: {
+        const questions = await Question.find(AWAITING_DECISION[type])
+          .populate("author", AUTHOR_FIELDS)
+          .sort({ hiddenAt: 1 })
+          .limit(max);
+        await cryptoService.smartDecrypt(questions);
+
+        return questions.map((question) =>
+          this._buildItem(type, question, {
+            queuedAt: question.hiddenAt || question.createdAt,
+            author: question.author,
+            title: question.title,
+            content: question.content,
+          })
+        );
+      }
+
+      case MODERATION_ITEM_TYPES.ANSWER: {
+        const answers = await Answer.find(AWAITING_DECISION[type])
+          .populate("expert", AUTHOR_FIELDS)
+          .populate("questionId", "title slug")
+          .sort({ createdAt: 1 })
+          .limit(max);
+        await cryptoService.smartDecrypt(answers);
+
+        return answers.map((answer) =>
+          this._buildItem(type, answer, {
+            queuedAt: answer.hiddenAt || answer.createdAt,
+            author: answer.expert,
+            question: answer.questionId,
+            content: answer.content,
+          })
+        );
+      }
+
+      case MODERATION_ITEM_TYPES.COMMENT: {
+        const comments = await Comment.find(AWAITING_DECISION[type])
+          .populate("author", AUTHOR_FIELDS)
+          .populate("questionId", "title slug")
+          .sort({ createdAt: 1 })
+          .limit(max);
+        await cryptoService.smartDecrypt(comments);
+
+        return comments.map((comment) =>
+          this._buildItem(type, comment, {
+            queuedAt: comment.hiddenAt || comment.createdAt,
+            author: comment.author,
+            question: comment.questionId,
+            content: comment.content,
+          })
+        );
+      }
+
+      case MODERATION_ITEM_TYPES.REPORT:
+        return await this._loadReportItems(max);
+
+      default:
+        return [];
+    }
+  }
+
+  // Открытые жалобы; риск считается по контенту, на который жалуются
+  async _loadReportItems(max) {
+    const reports = await Report.find(
+      AWAITING_DECISION[MODERATION_ITEM_TYPES.REPORT]
+    )
+      .populate("reportedBy", "email role")
+      .sort({ isDeprioritized: 1, createdAt: 1 })
+      .limit(max);
+
+    const targets = await this._loadReportTargets(reports);
+
+    return reports.map((report) => {
+      const target = targets.get(report.targetId.toString());
+
+      return this._buildItem(MODERATION_ITEM_TYPES.REPORT, report, {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        author: report.reportedBy,
+        title: target?.title,
+        content: target?.content,
+        reason: report.reason,
+        description: report.description,
+        isDeprioritized: report.isDeprioritized,
+      });
+    });
+  }
+
+  // Контент жалоб одним запросом на каждый тип
+  async _loadReportTargets(reports) {
+    const models = {
+      [REPORT_TARGET_TYPES.QUESTION]: Question,
+      [REPORT_TARGET_TYPES.ANSWER]: Answer,
+      [REPORT_TARGET_TYPES.COMMENT]: Comment,
+    };
+
+    const docs = await Promise.all(
+      Object.entries(models).map(([targetType, Model]) => {
+        const ids = reports
+          .filter((report) => report.targetType === targetType)
+          .map((report) => report.targetId);
+
+        return ids.length > 0
+          ? Model.find({ _id: { $in: ids } }).select("title content")
+          : [];
+      })
+    );
+
+    const targets = docs.flat();
+    await cryptoService.smartDecrypt(targets);
+
+    return new Map(targets.map((target) => [target._id.toString(), target]));
+  }
+
+  // Общий вид элемента очереди
+  _buildItem(type, doc, details) {
+    const {
+      queuedAt = doc.createdAt,
+      targetType = type,
+      targetId = doc._id,
+      title = null,
+      content = "",
+      ...rest
+    } = details;
+
+    const { score, riskLevel } = spamDetectionService.scoreContent(
+      content,
+      title
+    );
+
+    return {
+      type,
+      id: doc._id,
+      targetType,
+      targetId,
+      queuedAt,
+      age: Math.round(((Date.now() - queuedAt.getTime()) / HOUR_MS) * 10) / 10,
+      riskScore: score,
+      riskLevel,
+      reportCount: 0,
+      title,
+      excerpt: content ? content.substring(0, EXCERPT_LENGTH) : null,
+      claim: null,
+      ...rest,
+    };
+  }
+
+  // Число открытых жалоб на контент элемента
+  async _attachReportCounts(items) {
+    if (items.length === 0) return;
+
+    const counts = await Report.aggregate([
+      {
+        $match: {
+          status: { $in: [REPORT_STATUS.PENDING, REPORT_STATUS.REVIEWED] },
+          targetId: { $in: items.map((item) => item.targetId) },
+        },
+      },
+      {
+        $group: {
+          _id: { targetType: "$targetType", targetId: "$targetId" },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const countByTarget = new Map(
+      counts.map(({ _id, count }) => [
+        `${_id.targetType}:${_id.targetId}`,
+        count,
+      ])
+    );
+
+    items.forEach((item) => {
+      item.reportCount =
+        countByTarget.get(`${item.targetType}:${item.targetId}`) || 0;
+    });
+  }
+
+  // Кто сейчас обрабатывает элемент
+  async _attachClaims(items) {
+    if (items.length === 0) return;
+
+    const claims = await ModerationClaim.findActive({
+      targetId: { $in: items.map((item) => item.id) },
+    }).populate("claimedBy", "email role");
+
+    const claimByItem = new Map(
+      claims.map((claim) => [`${claim.targetType}:${claim.targetId}`, claim])
+    );
+
+    items.forEach((item) => {
+      const claim = claimByItem.get(`${item.type}:${item.id}`);
+      item.claim = claim
+        ? { claimedBy: claim.claimedBy, expiresAt: claim.expiresAt }
+        : null;
+    });
+  }
+
+  // Элемент существует и еще находится в системе
+  async _itemExists(type, id) {
+    return !!(await SOURCE_MODELS[type]?.exists({ _id: id }));
+  }
+}
+
+export default new ModerationQueueService();
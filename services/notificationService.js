@@ -3,7 +3,20 @@ import User from "../models/User.js";
 import Question from "../models/Question.js";
 import Answer from "../models/Answer.js";
 import Comment from "../models/Comment.js";
-import { USER_ROLES } from "../utils/constants.js";
+import Notification from "../models/Notification.js";
+import NotificationSettings from "../models/NotificationSettings.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import ExpertApplication from "../models/ExpertApplication.js";
+import emailOutboxService from "./emailOutboxService.js";
+import {
+  USER_ROLES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_TYPE_EVENTS,
+  DIGEST_FREQUENCY,
+  EXPERT_APPLICATION_STATUS,
+  REPORT_STATUS,
+} from "../utils/constants.js";
 import { logUserAction, logError } from "../middlewares/logger.js";
 
 class NotificationService {
@@ -30,6 +43,20 @@ class NotificationService {
       // Пока что просто логируем
       const expertEmails = experts.map((expert) => expert.email);
 
+      // Автор вопроса не получает уведомление о собственном вопросе
+      await this._deliver(
+        experts
+          .map((expert) => expert._id)
+          .filter((id) => id.toString() !== question.author._id.toString()),
+        {
+          type: NOTIFICATION_TYPES.NEW_QUESTION,
+          title: "Nová otázka",
+          message: question.title,
+          link: this._questionLink(question.slug),
+          data: { questionId: question._id },
+        }
+      );
+
       logUserAction(
         null,
         "EXPERTS_NOTIFIED_NEW_QUESTION",
@@ -74,6 +101,14 @@ class NotificationService {
         return null;
       }
 
+      await this._deliver([author._id], {
+        type: NOTIFICATION_TYPES.NEW_ANSWER,
+        title: "Nová odpoveď na vašu otázku",
+        message: question.title,
+        link: this._questionLink(question.slug),
+        data: { questionId: question._id, answerId: answer._id },
+      });
+
       logUserAction(
         answer.expert._id,
         "AUTHOR_NOTIFIED_NEW_ANSWER",
@@ -111,6 +146,36 @@ class NotificationService {
         ? "EXPERT_NOTIFIED_ANSWER_APPROVED"
         : "EXPERT_NOTIFIED_ANSWER_REJECTED";
 
+      await this._deliver([answer.expert._id], {
+        type: isApproved
+          ? NOTIFICATION_TYPES.ANSWER_APPROVED
+          : NOTIFICATION_TYPES.ANSWER_REJECTED,
+        title: isApproved
+          ? "Vaša odpoveď bola schválená"
+          : "Vaša odpoveď bola zamietnutá",
+        message: answer.moderationComment || answer.questionId.title,
+        link: this._questionLink(answer.questionId.slug),
+        data: { questionId: answer.questionId._id, answerId: answer._id },
+      });
+
+      // Подписчики вопроса узнают только об опубликованных ответах
+      if (isApproved) {
+        await this._notifyWatchers(
+          answer.questionId._id,
+          [answer.expert._id, answer.moderatedBy._id],
+          {
+            title: "Nová odpoveď na sledovanú otázku",
+            message: answer.questionId.title,
+            link: this._questionLink(answer.questionId.slug),
+            data: {
+              activity: "answer_approved",
+              questionId: answer.questionId._id,
+              answerId: answer._id,
+            },
+          }
+        );
+      }
+
       logUserAction(
         answer.moderatedBy._id,
         actionType,
@@ -145,6 +210,29 @@ class NotificationService {
       const question = answer.questionId;
       const author = await User.findById(question.author).select("email");
 
+      await this._deliver([answer.expert._id], {
+        type: NOTIFICATION_TYPES.ANSWER_ACCEPTED,
+        title: "Vaša odpoveď bola prijatá ako najlepšia",
+        message: question.title,
+        link: this._questionLink(question.slug),
+        data: { questionId: question._id, answerId: answer._id },
+      });
+
+      await this._notifyWatchers(
+        question._id,
+        [answer.expert._id, question.author],
+        {
+          title: "Na sledovanej otázke bola prijatá odpoveď",
+          message: question.title,
+          link: this._questionLink(question.slug),
+          data: {
+            activity: "answer_accepted",
+            questionId: question._id,
+            answerId: answer._id,
+          },
+        }
+      );
+
       logUserAction(
         question.author,
         "EXPERT_NOTIFIED_ANSWER_ACCEPTED",
@@ -175,6 +263,13 @@ class NotificationService {
         throw new Error("Používateľ nebol nájdený");
       }
 
+      await this._deliver([user._id], {
+        type: NOTIFICATION_TYPES.ROLE_CHANGED,
+        title: "Vaša rola bola zmenená",
+        message: `${oldRole} → ${newRole}`,
+        data: { oldRole, newRole },
+      });
+
       logUserAction(
         changedBy,
         "USER_NOTIFIED_ROLE_CHANGE",
@@ -195,6 +290,74 @@ class NotificationService {
     }
   }
 
+  // Уведомление заявителя о решении по заявке на роль эксперта
+  async notifyUserAboutExpertApplication(applicationId) {
+    try {
+      const application = await ExpertApplication.findById(applicationId)
+        .populate("applicant", "email")
+        .populate("reviewedBy", "email");
+
+      if (!application) {
+        throw new Error("Žiadosť nebola nájdená");
+      }
+
+      const isApproved =
+        application.status === EXPERT_APPLICATION_STATUS.APPROVED;
+
+      await this._deliver([application.applicant._id], {
+        type: NOTIFICATION_TYPES.EXPERT_APPLICATION,
+        title: isApproved
+          ? "Vaša žiadosť o rolu experta bola schválená"
+          : "Vaša žiadosť o rolu experta bola zamietnutá",
+        message: application.reviewComment || application.specialization,
+        data: {
+          applicationId: application._id,
+          status: application.status,
+        },
+      });
+
+      logUserAction(
+        application.reviewedBy?._id,
+        "USER_NOTIFIED_EXPERT_APPLICATION",
+        `Notified user ${application.applicant.email} about expert application ${application.status}`
+      );
+
+      return {
+        userEmail: application.applicant.email,
+        status: application.status,
+        isApproved,
+        reviewedByEmail: application.reviewedBy?.email || "System",
+        reviewComment: application.reviewComment,
+      };
+    } catch (error) {
+      logError(error, "NotificationService.notifyUserAboutExpertApplication");
+      throw error;
+    }
+  }
+
+  // Уведомление пользователя о новом значке
+  async notifyUserAboutBadge(userId, badge) {
+    try {
+      await this._deliver([userId], {
+        type: NOTIFICATION_TYPES.BADGE_AWARDED,
+        title: `Získali ste odznak „${badge.name}“`,
+        message: badge.description,
+        data: { badge: badge.code, icon: badge.icon },
+      });
+
+      logUserAction(
+        userId,
+        "USER_NOTIFIED_BADGE_AWARDED",
+        `Notified user about badge ${badge.code}`
+      );
+
+      return { userId, badge: badge.code };
+    } catch (error) {
+      logError(error, "NotificationService.notifyUserAboutBadge");
+      throw error;
+    }
+  }
+
   // Уведомление пользователя о бане
   async notifyUserAboutBan(userId, reason, bannedUntil = null, bannedBy) {
     try {
@@ -212,6 +375,15 @@ class NotificationService {
         ? "permanent"
         : `until ${bannedUntil.toLocaleDateString()}`;
 
+      await this._deliver([user._id], {
+        type: NOTIFICATION_TYPES.ACCOUNT_BANNED,
+        title: isPermanent
+          ? "Váš účet bol natrvalo zablokovaný"
+          : "Váš účet bol dočasne zablokovaný",
+        message: reason,
+        data: { reason, bannedUntil, isPermanent },
+      });
+
       logUserAction(
         bannedBy,
         "USER_NOTIFIED_BAN",
@@ -243,6 +415,16 @@ class NotificationService {
 
       const adminEmails = admins.map((admin) => admin.email);
 
+      await this._deliver(
+        admins.map((admin) => admin._id),
+        {
+          type: NOTIFICATION_TYPES.NEW_REPORT,
+          title: "Nová sťažnosť",
+          message: reason,
+          data: { reportId, targetType, targetId },
+        }
+      );
+
       logUserAction(
         null,
         "ADMINS_NOTIFIED_NEW_REPORT",
@@ -263,6 +445,67 @@ class NotificationService {
     }
   }
 
+  // Уведомление автора жалобы о ее решении
+  async notifyReporterAboutResolution(report) {
+    try {
+      const isDismissed = report.status === REPORT_STATUS.DISMISSED;
+
+      await this._deliver([report.reportedBy], {
+        type: NOTIFICATION_TYPES.REPORT_RESOLVED,
+        title: isDismissed
+          ? "Vaša sťažnosť bola zamietnutá"
+          : "Vaša sťažnosť bola vyriešená",
+        message: isDismissed
+          ? "Po posúdení sme nezistili porušenie pravidiel"
+          : "Ďakujeme, voči nahlásenému obsahu boli prijaté opatrenia",
+        data: {
+          reportId: report._id,
+          targetType: report.targetType,
+          targetId: report.targetId,
+          action: report.outcome?.action || null,
+        },
+      });
+
+      logUserAction(
+        report.reviewedBy,
+        "REPORTER_NOTIFIED_RESOLUTION",
+        `Notified reporter ${report.reportedBy} about report ${report._id} (${report.status})`
+      );
+
+      return { reportId: report._id, status: report.status };
+    } catch (error) {
+      logError(error, "NotificationService.notifyReporterAboutResolution");
+      throw error;
+    }
+  }
+
+  // Предупреждение автору нарушающего контента
+  async notifyUserAboutWarning(userId, reason, report, warnedBy) {
+    try {
+      await this._deliver([userId], {
+        type: NOTIFICATION_TYPES.CONTENT_WARNING,
+        title: "Upozornenie na porušenie pravidiel",
+        message: reason,
+        data: {
+          reportId: report._id,
+          targetType: report.targetType,
+          targetId: report.targetId,
+        },
+      });
+
+      logUserAction(
+        warnedBy,
+        "USER_NOTIFIED_WARNING",
+        `Warned user ${userId} about ${report.targetType} ${report.targetId}`
+      );
+
+      return { userId, reason };
+    } catch (error) {
+      logError(error, "NotificationService.notifyUserAboutWarning");
+      throw error;
+    }
+  }
+
   // Массовое уведомление пользователей
   async notifyUsers(userIds, notificationType, data) {
     try {
@@ -274,6 +517,19 @@ class NotificationService {
 
       const userEmails = users.map((user) => user.email);
 
+      await this._deliver(
+        users.map((user) => user._id),
+        {
+          type: Object.values(NOTIFICATION_TYPES).includes(notificationType)
+            ? notificationType
+            : NOTIFICATION_TYPES.SYSTEM,
+          title: data?.title || "Oznámenie",
+          message: data?.message || null,
+          link: data?.link || null,
+          data: data || {},
+        }
+      );
+
       logUserAction(
         null,
         "MASS_NOTIFICATION_SENT",
@@ -314,6 +570,14 @@ class NotificationService {
         questionAuthor &&
         questionAuthor._id.toString() !== comment.author._id.toString()
       ) {
+        await this._deliver([questionAuthor._id], {
+          type: NOTIFICATION_TYPES.QUESTION_COMMENT,
+          title: "Nový komentár k vašej otázke",
+          message: comment.questionId.title,
+          link: this._questionLink(comment.questionId.slug),
+          data: { questionId: comment.questionId._id, commentId: comment._id },
+        });
+
         notifications.push({
           type: "question_comment",
           userEmail: questionAuthor.email,
@@ -331,6 +595,18 @@ class NotificationService {
           parentAuthor &&
           parentAuthor._id.toString() !== comment.author._id.toString()
         ) {
+          await this._deliver([parentAuthor._id], {
+            type: NOTIFICATION_TYPES.COMMENT_REPLY,
+            title: "Nová odpoveď na váš komentár",
+            message: comment.questionId.title,
+            link: this._questionLink(comment.questionId.slug),
+            data: {
+              questionId: comment.questionId._id,
+              commentId: comment._id,
+              parentCommentId: comment.parentComment._id,
+            },
+          });
+
           notifications.push({
             type: "comment_reply",
             userEmail: parentAuthor.email,
@@ -340,6 +616,26 @@ class NotificationService {
         }
       }
 
+      // Подписчики, кроме уже уведомленных авторов
+      await this._notifyWatchers(
+        comment.questionId._id,
+        [
+          comment.author._id,
+          comment.questionId.author,
+          comment.parentComment?.author,
+        ],
+        {
+          title: "Nový komentár k sledovanej otázke",
+          message: comment.questionId.title,
+          link: this._questionLink(comment.questionId.slug),
+          data: {
+            activity: "new_comment",
+            questionId: comment.questionId._id,
+            commentId: comment._id,
+          },
+        }
+      );
+
       logUserAction(
         comment.author._id,
         "COMMENT_NOTIFICATIONS_SENT",
@@ -353,6 +649,168 @@ class NotificationService {
     }
   }
 
+  // Получение уведомлений пользователя
+  async getUserNotifications(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20, unreadOnly = false } = options;
+
+      const filter = { recipient: userId };
+      if (unreadOnly) {
+        filter.isRead = false;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments(filter),
+        Notification.getUnreadCount(userId),
+      ]);
+
+      return {
+        notifications,
+        total,
+        unreadCount,
+      };
+    } catch (error) {
+      logError(error, "NotificationService.getUserNotifications", userId);
+      throw error;
+    }
+  }
+
+  // Количество непрочитанных уведомлений
+  async getUnreadCount(userId) {
+    try {
+      return await Notification.getUnreadCount(userId);
+    } catch (error) {
+      logError(error, "NotificationService.getUnreadCount", userId);
+      throw error;
+    }
+  }
+
+  // Отметка уведомления как прочитанного
+  async markAsRead(notificationId, userId) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        recipient: userId,
+      });
+
+      if (!notification) {
+        throw new Error("Upozornenie nebolo nájdené");
+      }
+
+      await notification.markAsRead();
+
+      return notification;
+    } catch (error) {
+      logError(error, "NotificationService.markAsRead", userId);
+      throw error;
+    }
+  }
+
+  // Отметка всех уведомлений как прочитанных
+  async markAllAsRead(userId) {
+    try {
+      const updatedCount = await Notification.markAllAsRead(userId);
+
+      logUserAction(
+        userId,
+        "NOTIFICATIONS_MARKED_READ",
+        `Marked ${updatedCount} notifications as read`
+      );
+
+      return { updatedCount };
+    } catch (error) {
+      logError(error, "NotificationService.markAllAsRead", userId);
+      throw error;
+    }
+  }
+
+  // Удаление уведомления
+  async deleteNotification(notificationId, userId) {
+    try {
+      const result = await Notification.deleteOne({
+        _id: notificationId,
+        recipient: userId,
+      });
+
+      if (result.deletedCount === 0) {
+        throw new Error("Upozornenie nebolo nájdené");
+      }
+
+      return true;
+    } catch (error) {
+      logError(error, "NotificationService.deleteNotification", userId);
+      throw error;
+    }
+  }
+
+  // Доставка уведомления с учетом настроек получателей
+  // Ошибка доставки не должна прерывать основную операцию
+  async _deliver(recipientIds, payload) {
+    try {
+      const ids = [
+        ...new Set(recipientIds.filter(Boolean).map((id) => id.toString())),
+      ];
+      if (ids.length === 0) return [];
+
+      const event = NOTIFICATION_TYPE_EVENTS[payload.type];
+      const settingsByUser = await NotificationSettings.getForUsers(ids);
+
+      const inAppRecipients = ids.filter((id) =>
+        settingsByUser.get(id).isEnabled("inApp", event)
+      );
+      const emailRecipients = ids.filter((id) =>
+        settingsByUser.get(id).isEnabled("email", event)
+      );
+
+      const [notifications] = await Promise.all([
+        Notification.createForUsers(inAppRecipients, payload),
+        this._sendEmails(emailRecipients, payload),
+      ]);
+
+      return notifications;
+    } catch (error) {
+      logError(error, "NotificationService._deliver");
+      return [];
+    }
+  }
+
+  // Постановка email-уведомлений в очередь отправки
+  async _sendEmails(userIds, payload) {
+    if (userIds.length === 0) return;
+
+    const link = payload.link
+      ? `${process.env.FRONTEND_URL}${payload.link}`
+      : process.env.FRONTEND_URL;
+
+    await emailOutboxService.enqueue(userIds, "notification", {
+      title: payload.title,
+      message: payload.message,
+      link,
+    });
+  }
+
+  // Уведомление подписчиков вопроса
+  async _notifyWatchers(questionId, excludeIds, payload) {
+    const excluded = excludeIds.filter(Boolean).map((id) => id.toString());
+    const watcherIds = await QuestionWatch.getWatcherIds(questionId);
+
+    return await this._deliver(
+      watcherIds.filter((id) => !excluded.includes(id.toString())),
+      { type: NOTIFICATION_TYPES.WATCHED_QUESTION, ...payload }
+    );
+  }
+
+  _questionLink(slug) {
+    return `/forum/questions/${slug}`;
+  }
+
   // Проверка иерархии ролей для уведомлений
   _isRolePromotion(oldRole, newRole) {
     const roleHierarchy = {
@@ -374,30 +832,12 @@ class NotificationService {
     return roleHierarchy[newRole] < roleHierarchy[oldRole];
   }
 
-  // Получение настроек уведомлений пользователя (заготовка на будущее)
+  // Получение настроек уведомлений пользователя
   async getUserNotificationSettings(userId) {
     try {
-      // В будущем можно добавить модель NotificationSettings
-      // Пока возвращаем дефолтные настройки
-      return {
-        userId,
-        emailNotifications: {
-          newAnswer: true,
-          answerApproved: true,
-          answerAccepted: true,
-          roleChanged: true,
-          newComment: true,
-          accountBanned: true,
-        },
-        pushNotifications: {
-          newAnswer: false,
-          answerApproved: false,
-          answerAccepted: true,
-          roleChanged: true,
-          newComment: false,
-          accountBanned: true,
-        },
-      };
+      const settings = await NotificationSettings.getForUser(userId);
+
+      return this._formatSettings(settings);
     } catch (error) {
       logError(
         error,
@@ -407,6 +847,82 @@ class NotificationService {
       throw error;
     }
   }
+
+  // Обновление настроек уведомлений пользователя
+  async updateUserNotificationSettings(userId, updates = {}) {
+    try {
+      const settings = await NotificationSettings.getForUser(userId);
+      const events = Object.values(NOTIFICATION_EVENTS);
+
+      for (const channel of ["emailNotifications", "inAppNotifications"]) {
+        const toggles = updates[channel];
+        if (!toggles || typeof toggles !== "object") continue;
+
+        for (const [event, value] of Object.entries(toggles)) {
+          if (!events.includes(event)) {
+            throw new Error(`Neznámy typ upozornenia: ${event}`);
+          }
+          if (typeof value !== "boolean") {
+            throw new Error(`Hodnota pre ${event} musí byť true alebo false`);
+          }
+
+          settings[channel][event] = value;
+        }
+      }
+
+      if (updates.digest) {
+        const { frequency, categories } = updates.digest;
+
+        if (frequency !== undefined) {
+          if (!Object.values(DIGEST_FREQUENCY).includes(frequency)) {
+            throw new Error("Neplatná frekvencia súhrnu");
+          }
+          settings.digest.frequency = frequency;
+        }
+
+        if (Array.isArray(categories)) {
+          settings.digest.categories = [
+            ...new Set(categories.map((slug) => slug.trim().toLowerCase())),
+          ];
+        }
+      }
+
+      await settings.save();
+
+      logUserAction(
+        userId,
+        "NOTIFICATION_SETTINGS_UPDATED",
+        "Notification settings updated"
+      );
+
+      return this._formatSettings(settings);
+    } catch (error) {
+      logError(
+        error,
+        "NotificationService.updateUserNotificationSettings",
+        userId
+      );
+      throw error;
+    }
+  }
+
+  _formatSettings(settings) {
+    const events = Object.values(NOTIFICATION_EVENTS);
+    const pick = (toggles) =>
+      Object.fromEntries(events.map((event) => [event, toggles[event]]));
+
+    return {
+      userId: settings.user,
+      emailNotifications: pick(settings.emailNotifications),
+      inAppNotifications: pick(settings.inAppNotifications),
+      digest: {
+        frequency: settings.digest.frequency,
+        categories: settings.digest.categories,
+        lastSentAt: settings.digest.lastSentAt,
+      },
+      updatedAt: settings.updatedAt || null,
+    };
+  }
 }
 
 export default new NotificationService();
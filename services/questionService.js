@@ -4,13 +4,28 @@ import User from "../models/User.js";
 import Answer from "../models/Answer.js";
 import Comment from "../models/Comment.js";
 import Like from "../models/Like.js";
-import { QUESTION_STATUS, QUESTION_PRIORITY } from "../utils/constants.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import config from "../config/index.js";
+import {
+  QUESTION_STATUS,
+  QUESTION_PRIORITY,
+  REVISION_TARGET_TYPES,
+  LIKE_TARGET_TYPES,
+  USER_ROLES,
+  REPUTATION_EVENTS,
+} from "../utils/constants.js";
 import { logUserAction, logError } from "../middlewares/logger.js";
 import {
   generateUniqueSlug,
   createPaginationResponse,
 } from "../utils/helpers.js";
 import cryptoService from "./cryptoService.js";
+import categoryService from "./categoryService.js";
+import tagService from "./tagService.js";
+import revisionService from "./revisionService.js";
+import reputationService from "./reputationService.js";
+import badgeService from "./badgeService.js";
+import slugService from "./slugService.js";
 
 class QuestionService {
   // Создание нового вопроса
@@ -21,17 +36,25 @@ class QuestionService {
         content,
         category = "general",
         priority = QUESTION_PRIORITY.MEDIUM,
+        tags = [],
       } = questionData;
 
+      // Категория должна существовать
+      const categorySlug = await categoryService.resolveCategorySlug(category);
+      const tagSlugs = await tagService.prepareTags(tags);
+
       // Генерируем уникальный slug
-      const slug = await generateUniqueSlug(title, Question);
+      const slug = await generateUniqueSlug(title, Question, (value) =>
+        slugService.isQuestionSlugExists(value)
+      );
 
       // Создаем вопрос
       const question = new Question({
         title,
         content,
         slug,
-        category,
+        category: categorySlug,
+        tags: tagSlugs,
         priority,
         author: authorId,
         status: QUESTION_STATUS.PENDING,
@@ -41,6 +64,8 @@ class QuestionService {
 
       // Увеличиваем счетчик вопросов у пользователя
       await User.findByIdAndUpdate(authorId, { $inc: { totalQuestions: 1 } });
+      await categoryService.syncCounts([categorySlug]);
+      await tagService.syncCounts(tagSlugs);
 
       // Загружаем вопрос с автором
       const populatedQuestion = await Question.findById(question._id).populate(
@@ -75,6 +100,14 @@ class QuestionService {
         throw new Error("Otázka nebola nájdená");
       }
 
+      // Скрытый вопрос видят только автор и администраторы
+      if (
+        question.isHidden &&
+        !(await this._canSeeHidden(question, viewerId))
+      ) {
+        throw new Error("Otázka nebola nájdená");
+      }
+
       await cryptoService.smartDecrypt(question);
 
       // Увеличиваем просмотры (но не для автора)
@@ -106,6 +139,7 @@ class QuestionService {
         sortBy = "createdAt",
         sortOrder = -1,
         search = null,
+        tags = [],
       } = options;
 
       const skip = (page - 1) * limit;
@@ -120,7 +154,7 @@ class QuestionService {
       }
 
       // Обычный запрос без фильтров по ответам (для публичной страницы)
-      const query = {};
+      const query = Question.getPublicFilter();
 
       // Фильтры
       if (status) query.status = status;
@@ -128,6 +162,7 @@ class QuestionService {
       if (priority) query.priority = priority;
       if (author) query.author = author;
       if (hasAnswer !== null) query.hasAcceptedAnswer = hasAnswer;
+      if (tags.length > 0) query.tags = { $all: tags };
 
       // Поиск по заголовку и контенту
       if (search) {
@@ -170,6 +205,7 @@ class QuestionService {
         sortBy = "createdAt",
         sortOrder = -1,
         search = null,
+        tags = [],
       } = options;
 
       const skip = (page - 1) * limit;
@@ -183,6 +219,7 @@ class QuestionService {
             localField: "_id",
             foreignField: "questionId",
             as: "answers",
+            pipeline: [{ $match: { deletedAt: null } }],
           },
         },
 
@@ -233,6 +270,7 @@ class QuestionService {
       if (priority) matchQuery.priority = priority;
       if (author) matchQuery.author = author;
       if (hasAnswer !== null) matchQuery.hasAcceptedAnswer = hasAnswer;
+      if (tags.length > 0) matchQuery.tags = { $all: tags };
 
       // Фильтры по ответам
       if (hasApprovedAnswers === true) {
@@ -318,7 +356,10 @@ class QuestionService {
       const { page = 1, limit = 20, priority = null } = options;
       const skip = (page - 1) * limit;
 
-      const query = { status: QUESTION_STATUS.PENDING };
+      const query = {
+        status: QUESTION_STATUS.PENDING,
+        isHidden: { $ne: true },
+      };
       if (priority) query.priority = priority;
 
       const [questions, total] = await Promise.all([
@@ -340,7 +381,7 @@ class QuestionService {
   }
 
   // Обновление вопроса
-  async updateQuestion(questionId, updateData, userId) {
+  async updateQuestion(questionId, updateData, userId, options = {}) {
     try {
       const question = await Question.findById(questionId);
 
@@ -358,6 +399,23 @@ class QuestionService {
         throw new Error("Nemáte oprávnenie upravovať túto otázku");
       }
 
+      const oldCategory = question.category;
+      if (updateData.category !== undefined) {
+        updateData.category = await categoryService.resolveCategorySlug(
+          updateData.category
+        );
+      }
+
+      const oldTags = [...question.tags];
+      if (updateData.tags !== undefined) {
+        updateData.tags = await tagService.prepareTags(updateData.tags);
+      }
+
+      const previousVersion = {
+        title: question.title,
+        content: question.content,
+      };
+
       // Обновляем вопрос
       Object.keys(updateData).forEach((key) => {
         if (updateData[key] !== undefined) {
@@ -367,6 +425,37 @@ class QuestionService {
 
       await question.save();
 
+      // Новый заголовок - новый slug, прежний остается редиректом
+      if (previousVersion.title !== question.title) {
+        question.slug = await slugService.updateQuestionSlug(
+          question._id,
+          question.title,
+          userId
+        );
+      }
+
+      // Сохраняем предыдущую версию, если изменился текст
+      if (
+        previousVersion.title !== question.title ||
+        previousVersion.content !== question.content
+      ) {
+        await revisionService.recordRevision(
+          REVISION_TARGET_TYPES.QUESTION,
+          question._id,
+          previousVersion,
+          userId,
+          { rollbackTo: options.rollbackTo }
+        );
+      }
+
+      if (oldCategory !== question.category) {
+        await categoryService.syncCounts([oldCategory, question.category]);
+      }
+
+      if (updateData.tags !== undefined) {
+        await tagService.syncCounts([...oldTags, ...question.tags]);
+      }
+
       logUserAction(
         userId,
         "QUESTION_UPDATED",
@@ -387,8 +476,64 @@ class QuestionService {
     }
   }
 
+  // Откат вопроса к предыдущей ревизии (админ)
+  async rollbackQuestion(questionId, revisionId, adminId) {
+    try {
+      const revision = await revisionService.getRevision(
+        REVISION_TARGET_TYPES.QUESTION,
+        questionId,
+        revisionId
+      );
+
+      const question = await this.updateQuestion(
+        questionId,
+        { title: revision.title, content: revision.content },
+        adminId,
+        { rollbackTo: revision.version }
+      );
+
+      logUserAction(
+        adminId,
+        "QUESTION_ROLLED_BACK",
+        `Rolled back question ${question.slug} to version ${revision.version}`
+      );
+
+      return question;
+    } catch (error) {
+      logError(error, "QuestionService.rollbackQuestion", adminId);
+      throw error;
+    }
+  }
+
+  // Скрытие вопроса до проверки администратором (userId = null - система)
+  async setQuestionHidden(questionId, isHidden, userId = null) {
+    try {
+      const question = await Question.findById(questionId);
+
+      if (!question) {
+        throw new Error("Otázka nebola nájdená");
+      }
+
+      question.isHidden = isHidden;
+      question.hiddenAt = isHidden ? new Date() : null;
+      question.hiddenBy = isHidden ? userId : null;
+      await question.save();
+
+      logUserAction(
+        userId,
+        isHidden ? "QUESTION_HIDDEN" : "QUESTION_UNHIDDEN",
+        `${isHidden ? "Hidden" : "Unhidden"} question ${questionId}`
+      );
+
+      return question;
+    } catch (error) {
+      logError(error, "QuestionService.setQuestionHidden", userId);
+      throw error;
+    }
+  }
+
   // Удаление вопроса
-  async deleteQuestion(questionId, userId) {
+  async deleteQuestion(questionId, userId, reason = null) {
     try {
       const question = await Question.findById(questionId);
 
@@ -406,25 +551,30 @@ class QuestionService {
         throw new Error("Nemáte oprávnenie odstrániť túto otázku");
       }
 
-      // Удаляем связанные данные
+      // Ответы и комментарии уходят в корзину вместе с вопросом
+      // (с той же датой удаления - по ней они восстанавливаются)
+      const deletedAt = new Date();
+      const deletion = { deletedAt, deletedBy: userId, deletionReason: reason };
+
       await Promise.all([
-        Answer.deleteMany({ questionId }),
-        Comment.deleteMany({ questionId }),
-        Like.deleteMany({ targetId: questionId, targetType: "question" }),
+        Answer.updateMany({ questionId, deletedAt: null }, deletion),
+        Comment.updateMany({ questionId, deletedAt: null }, deletion),
       ]);
 
+      await question.softDelete(userId, reason, deletedAt);
+
       // Уменьшаем счетчик вопросов у автора
       await User.findByIdAndUpdate(question.author, {
         $inc: { totalQuestions: -1 },
       });
 
-      // Удаляем сам вопрос
-      await Question.findByIdAndDelete(questionId);
+      await categoryService.syncCounts([question.category]);
+      await tagService.syncCounts(question.tags);
 
       logUserAction(
         userId,
         "QUESTION_DELETED",
-        `Deleted question: ${question.slug}`
+        `Moved question to trash: ${question.slug}`
       );
 
       return { success: true };
@@ -434,10 +584,62 @@ class QuestionService {
     }
   }
 
+  // Восстановление вопроса из корзины (админ)
+  async restoreQuestion(questionId, adminId) {
+    try {
+      const question = await Question.findOne({
+        _id: questionId,
+        deletedAt: { $ne: null },
+      });
+
+      if (!question) {
+        throw new Error("Otázka nebola nájdená v koši");
+      }
+
+      const restored = {
+        deletedAt: null,
+        deletedBy: null,
+        deletionReason: null,
+      };
+
+      // Возвращаем только то, что было удалено вместе с вопросом
+      await Promise.all([
+        Answer.updateMany(
+          { questionId, deletedAt: question.deletedAt },
+          restored
+        ),
+        Comment.updateMany(
+          { questionId, deletedAt: question.deletedAt },
+          restored
+        ),
+      ]);
+
+      await question.restore();
+
+      await User.findByIdAndUpdate(question.author, {
+        $inc: { totalQuestions: 1 },
+      });
+
+      await categoryService.syncCounts([question.category]);
+      await tagService.syncCounts(question.tags);
+
+      logUserAction(
+        adminId,
+        "QUESTION_RESTORED",
+        `Restored question from trash: ${question.slug}`
+      );
+
+      return question;
+    } catch (error) {
+      logError(error, "QuestionService.restoreQuestion", adminId);
+      throw error;
+    }
+  }
+
   // Поиск вопросов
   async searchQuestions(searchQuery, options = {}) {
     try {
-      const { page = 1, limit = 20 } = options;
+      const { page = 1, limit = 20, tags = [] } = options;
       const skip = (page - 1) * limit;
 
       if (!searchQuery || searchQuery.trim().length < 2) {
@@ -450,8 +652,11 @@ class QuestionService {
           { content: { $regex: searchQuery, $options: "i" } },
           { $text: { $search: searchQuery } },
         ],
+        isHidden: { $ne: true },
       };
 
+      if (tags.length > 0) query.tags = { $all: tags };
+
       const [questions, total] = await Promise.all([
         Question.find(query)
           .populate("author", "firstName lastName email role avatar")
@@ -487,6 +692,12 @@ class QuestionService {
         // Убираем лайк
         await Like.findByIdAndDelete(existingLike._id);
         await question.decrementLikes();
+        await reputationService.handleLikeToggle(
+          userId,
+          questionId,
+          LIKE_TARGET_TYPES.QUESTION,
+          false
+        );
 
         return {
           liked: false,
@@ -501,6 +712,13 @@ class QuestionService {
           targetType: "question",
         });
         await question.incrementLikes();
+        await reputationService.handleLikeToggle(
+          userId,
+          questionId,
+          LIKE_TARGET_TYPES.QUESTION,
+          true
+        );
+        await badgeService.evaluate(question.author);
 
         return {
           liked: true,
@@ -530,6 +748,7 @@ class QuestionService {
 
       const query = {
         _id: { $ne: questionId },
+        isHidden: { $ne: true },
         $or: [
           { category: question.category },
           {
@@ -553,6 +772,194 @@ class QuestionService {
     }
   }
 
+  // Похожие вопросы по текстовому индексу - кандидаты в дубликаты
+  async findDuplicateCandidates(title, options = {}) {
+    try {
+      const {
+        excludeId = null,
+        limit = config.QUESTION_DUPLICATES.MAX_CANDIDATES,
+      } = options;
+
+      if (!title || title.trim().length < 3) return [];
+
+      const query = {
+        $text: { $search: title.trim() },
+        duplicateOf: null,
+        isHidden: { $ne: true },
+      };
+
+      if (excludeId) query._id = { $ne: excludeId };
+
+      const candidates = await Question.find(query, {
+        score: { $meta: "textScore" },
+      })
+        .select(
+          "title slug category status answersCount hasAcceptedAnswer createdAt"
+        )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit)
+        .lean();
+
+      return candidates
+        .filter(
+          (candidate) =>
+            candidate.score >= config.QUESTION_DUPLICATES.MIN_TEXT_SCORE
+        )
+        .map((candidate) => ({
+          ...candidate,
+          score: Math.round(candidate.score * 100) / 100,
+        }));
+    } catch (error) {
+      logError(error, "QuestionService.findDuplicateCandidates");
+      throw error;
+    }
+  }
+
+  // Пометка вопроса как дубликата: ответы и комментарии переносятся
+  // в основной вопрос, дубликат закрывается и перенаправляет на него
+  async mergeQuestion(duplicateId, canonicalId, adminId) {
+    try {
+      if (duplicateId.toString() === canonicalId.toString()) {
+        throw new Error("Otázku nie je možné zlúčiť samu so sebou");
+      }
+
+      const [duplicate, canonical] = await Promise.all([
+        Question.findById(duplicateId),
+        Question.findById(canonicalId),
+      ]);
+
+      if (!duplicate || !canonical) {
+        throw new Error("Otázka nebola nájdená");
+      }
+
+      if (duplicate.duplicateOf) {
+        throw new Error("Otázka už bola označená ako duplikát");
+      }
+
+      if (canonical.duplicateOf) {
+        throw new Error("Cieľová otázka je sama duplikátom");
+      }
+
+      // Переносим только активные ответы и комментарии в счетчики
+      const [movedApprovedAnswers, movedComments, hadAcceptedAnswer] =
+        await Promise.all([
+          Answer.countDocuments({ questionId: duplicateId, isApproved: true }),
+          Comment.countDocuments({ questionId: duplicateId }),
+          Answer.exists({ questionId: duplicateId, isAccepted: true }),
+        ]);
+
+      // У основного вопроса может быть только один принятый ответ
+      const answerUpdate = { questionId: canonical._id };
+      const demotedAnswers = canonical.hasAcceptedAnswer
+        ? await Answer.find({ questionId: duplicateId, isAccepted: true })
+            .select("_id")
+            .lean()
+        : [];
+      if (canonical.hasAcceptedAnswer) {
+        Object.assign(answerUpdate, { isAccepted: false, acceptedAt: null });
+      }
+
+      await Promise.all([
+        Answer.updateMany({ questionId: duplicateId }, answerUpdate),
+        Comment.updateMany(
+          { questionId: duplicateId },
+          { questionId: canonical._id }
+        ),
+        this._moveWatches(duplicateId, canonical._id),
+      ]);
+
+      // Снятое принятие отменяет и начисленную за него репутацию
+      // (принимал ответ автор дубликата)
+      for (const answer of demotedAnswers) {
+        await reputationService.revoke(
+          REPUTATION_EVENTS.ANSWER_ACCEPTED,
+          answer._id,
+          duplicate.author
+        );
+      }
+
+      canonical.answersCount += movedApprovedAnswers;
+      canonical.commentsCount += movedComments;
+
+      if (hadAcceptedAnswer && !canonical.hasAcceptedAnswer) {
+        canonical.hasAcceptedAnswer = true;
+      }
+
+      if (
+        canonical.answersCount > 0 &&
+        canonical.status === QUESTION_STATUS.PENDING
+      ) {
+        canonical.status = QUESTION_STATUS.ANSWERED;
+        canonical.answeredAt = canonical.answeredAt || new Date();
+      }
+
+      await canonical.save({ validateBeforeSave: false });
+
+      Object.assign(duplicate, {
+        duplicateOf: canonical._id,
+        mergedBy: adminId,
+        mergedAt: new Date(),
+        status: QUESTION_STATUS.CLOSED,
+        hasAcceptedAnswer: false,
+        answersCount: 0,
+        commentsCount: 0,
+      });
+
+      await duplicate.save({ validateBeforeSave: false });
+
+      await categoryService.syncCounts([
+        duplicate.category,
+        canonical.category,
+      ]);
+
+      logUserAction(
+        adminId,
+        "QUESTION_MERGED",
+        `Merged duplicate ${duplicate.slug} into ${canonical.slug} (${movedApprovedAnswers} answers, ${movedComments} comments)`
+      );
+
+      const resultCanonical = await Question.findById(canonical._id).populate(
+        "author",
+        "firstName lastName email role avatar"
+      );
+
+      await cryptoService.smartDecrypt(resultCanonical);
+
+      return {
+        duplicate: {
+          _id: duplicate._id,
+          slug: duplicate.slug,
+          status: duplicate.status,
+          duplicateOf: canonical._id,
+        },
+        canonical: resultCanonical,
+        moved: { answers: movedApprovedAnswers, comments: movedComments },
+      };
+    } catch (error) {
+      logError(error, "QuestionService.mergeQuestion", adminId);
+      throw error;
+    }
+  }
+
+  // Подписчики дубликата переходят на основной вопрос (без повторов)
+  async _moveWatches(fromQuestionId, toQuestionId) {
+    const watcherIds = await QuestionWatch.getWatcherIds(fromQuestionId);
+
+    if (watcherIds.length > 0) {
+      await QuestionWatch.bulkWrite(
+        watcherIds.map((user) => ({
+          updateOne: {
+            filter: { user, questionId: toQuestionId },
+            update: { $setOnInsert: { user, questionId: toQuestionId } },
+            upsert: true,
+          },
+        }))
+      );
+    }
+
+    await QuestionWatch.deleteMany({ questionId: fromQuestionId });
+  }
+
   // Изменение статуса вопроса (только админы)
   async changeQuestionStatus(questionId, newStatus, userId) {
     try {
@@ -570,6 +977,11 @@ class QuestionService {
 
       await question.save();
 
+      // Закрытые вопросы не учитываются в счетчике категории
+      if (oldStatus !== newStatus) {
+        await categoryService.syncCounts([question.category]);
+      }
+
       logUserAction(
         userId,
         "QUESTION_STATUS_CHANGED",
@@ -661,6 +1073,89 @@ class QuestionService {
     }
   }
 
+  // Подписка на вопрос
+  async watchQuestion(questionId, userId) {
+    try {
+      const question = await Question.findById(questionId).select("slug");
+      if (!question) {
+        throw new Error("Otázka nebola nájdená");
+      }
+
+      await QuestionWatch.updateOne(
+        { user: userId, questionId },
+        { $setOnInsert: { user: userId, questionId } },
+        { upsert: true }
+      );
+
+      logUserAction(
+        userId,
+        "QUESTION_WATCHED",
+        `Started watching question: ${question.slug}`
+      );
+
+      return { watching: true };
+    } catch (error) {
+      logError(error, "QuestionService.watchQuestion", userId);
+      throw error;
+    }
+  }
+
+  // Отписка от вопроса
+  async unwatchQuestion(questionId, userId) {
+    try {
+      await QuestionWatch.deleteOne({ user: userId, questionId });
+
+      logUserAction(
+        userId,
+        "QUESTION_UNWATCHED",
+        `Stopped watching question: ${questionId}`
+      );
+
+      return { watching: false };
+    } catch (error) {
+      logError(error, "QuestionService.unwatchQuestion", userId);
+      throw error;
+    }
+  }
+
+  // Вопросы, на которые подписан пользователь
+  async getWatchedQuestions(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const [watches, total] = await Promise.all([
+        QuestionWatch.find({ user: userId })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate({
+            path: "questionId",
+            populate: {
+              path: "author",
+              select: "firstName lastName email role avatar",
+            },
+          }),
+        QuestionWatch.countDocuments({ user: userId }),
+      ]);
+
+      await cryptoService.smartDecrypt(watches);
+
+      // Удаленные вопросы пропускаем
+      const questions = watches
+        .filter((watch) => watch.questionId)
+        .map((watch) => ({
+          ...watch.questionId.toObject(),
+          watchedAt: watch.createdAt,
+        }));
+
+      return createPaginationResponse(questions, total, page, limit);
+    } catch (error) {
+      logError(error, "QuestionService.getWatchedQuestions", userId);
+      throw error;
+    }
+  }
+
   // Получение топ вопросов (по лайкам/просмотрам)
   async getTopQuestions(options = {}) {
     try {
@@ -686,6 +1181,15 @@ class QuestionService {
       throw error;
     }
   }
+
+  // Автор или администратор
+  async _canSeeHidden(question, viewerId) {
+    if (!viewerId) return false;
+    if (question.author._id.toString() === viewerId.toString()) return true;
+
+    const viewer = await User.findById(viewerId).select("role");
+    return viewer?.role === USER_ROLES.ADMIN;
+  }
 }
 
 export default new QuestionService();
@@ -1,5 +1,7 @@
 // services/rateLimitService.js
 import RateLimit from "../models/RateLimit.js";
+import RateLimitGrant from "../models/RateLimitGrant.js";
+import RateLimitPolicy from "../models/RateLimitPolicy.js";
 import User from "../models/User.js";
 import { USER_ROLES, RATE_LIMIT_ACTIONS } from "../utils/constants.js";
 import {
@@ -8,9 +10,16 @@ import {
   logSecurityEvent,
 } from "../middlewares/logger.js";
 import { createPaginationResponse, getClientIP } from "../utils/helpers.js";
+import { STORE_KEY_PREFIX } from "../utils/rateLimitStore.js";
 import config from "../config/index.js";
+import cryptoService from "./cryptoService.js";
 
 class RateLimitService {
+  constructor() {
+    // Кэш множителей лимитов: "userId:action" -> { value, expiresAt }
+    this.multiplierCache = new Map();
+  }
+
   // Получение текущих лимитов пользователя
   async getUserLimits(userId) {
     try {
@@ -21,31 +30,53 @@ class RateLimitService {
 
       const limits = this.getLimitsForRole(user.role);
       const windowMs = config.RATE_LIMIT.WINDOW_MS;
+      const actions = Object.values(RATE_LIMIT_ACTIONS);
+
+      const [policies, multipliers, grants] = await Promise.all([
+        Promise.all(
+          actions.map((action) =>
+            RateLimitPolicy.getEffective(user.role, action)
+          )
+        ),
+        Promise.all(
+          actions.map((action) =>
+            RateLimitGrant.getActiveMultiplier(userId, action)
+          )
+        ),
+        RateLimitGrant.find(RateLimitGrant.getActiveQuery(userId)).sort({
+          expiresAt: 1,
+        }),
+      ]);
 
-      // Получаем текущее использование
+      // Получаем текущее использование (окна действий могут отличаться)
       const now = new Date();
-      const windowStart = new Date(now.getTime() - windowMs);
+      const maxWindowMs = Math.max(...policies.map((p) => p.windowMs));
 
       const currentUsage = await RateLimit.find({
         userId,
-        windowStart: { $gte: windowStart },
+        windowStart: { $gte: new Date(now.getTime() - maxWindowMs) },
       });
 
       const usage = {};
 
       // Подсчитываем использование по действиям
-      Object.values(RATE_LIMIT_ACTIONS).forEach((action) => {
-        const actionUsage = currentUsage.filter((r) => r.action === action);
+      actions.forEach((action, index) => {
+        const policy = policies[index];
+        const windowStart = new Date(now.getTime() - policy.windowMs);
+        const actionUsage = currentUsage.filter(
+          (r) => r.action === action && r.windowStart >= windowStart
+        );
         const totalCount = actionUsage.reduce((sum, r) => sum + r.count, 0);
+        const limit = Math.floor(policy.limit * multipliers[index]);
 
         usage[action] = {
           current: totalCount,
-          limit: limits[action] || limits.API_REQUESTS,
-          remaining: Math.max(
-            0,
-            (limits[action] || limits.API_REQUESTS) - totalCount
-          ),
-          resetTime: new Date(now.getTime() + windowMs),
+          limit,
+          windowMs: policy.windowMs,
+          policySource: policy.source,
+          multiplier: multipliers[index],
+          remaining: Math.max(0, limit - totalCount),
+          resetTime: new Date(now.getTime() + policy.windowMs),
         };
       });
 
@@ -55,6 +86,7 @@ class RateLimitService {
         windowMs,
         limits,
         usage,
+        grants,
       };
     } catch (error) {
       logError(error, "RateLimitService.getUserLimits", userId);
@@ -87,7 +119,14 @@ class RateLimitService {
         query.action = action;
       }
 
-      const deletedCount = await RateLimit.deleteMany(query);
+      // Счетчики общего store express-rate-limit хранятся по ключу
+      const keyPattern = new RegExp(
+        `^${STORE_KEY_PREFIX}${action ? `${action}:` : ""}.*user_${userId}$`
+      );
+
+      const deletedCount = await RateLimit.deleteMany({
+        $or: [query, { key: keyPattern }],
+      });
 
       logUserAction(
         adminId,
@@ -309,20 +348,27 @@ class RateLimitService {
     try {
       const isUserId = /^[0-9a-fA-F]{24}$/.test(identifier);
       let user = null;
-      let limit = config.RATE_LIMIT.USER.API_REQUESTS;
+      let role = USER_ROLES.USER;
+      let multiplier = 1;
 
       if (isUserId) {
         user = await User.findById(identifier);
         if (user) {
-          const limits = this.getLimitsForRole(user.role);
-          limit = limits[action] || limits.API_REQUESTS;
+          role = user.role;
+          multiplier = await RateLimitGrant.getActiveMultiplier(
+            identifier,
+            action
+          );
         }
       }
 
+      const policy = await RateLimitPolicy.getEffective(role, action);
+      const limit = Math.floor(policy.limit * multiplier);
+
       const currentCount = await RateLimit.getCurrentCount(
         identifier,
         action,
-        config.RATE_LIMIT.WINDOW_MS
+        policy.windowMs
       );
 
       return {
@@ -396,36 +442,299 @@ class RateLimitService {
     userId,
     adminId,
     multiplier = 2,
-    durationHours = 24
+    durationHours = 24,
+    options = {}
   ) {
     try {
+      const { action = null, reason = null } = options;
+      const { MAX_MULTIPLIER, MAX_DURATION_HOURS } = config.RATE_LIMIT.GRANTS;
+
       const admin = await User.findById(adminId);
       if (!admin || admin.role !== USER_ROLES.ADMIN) {
         throw new Error("Len administrátori môžu udeliť dočasné zvýšenie limitu");
       }
 
-      // В реальном проекте можно добавить поле temporaryLimitIncrease в User модель
-      // Пока что просто логируем
+      const user = await User.findById(userId).select("_id");
+      if (!user) {
+        throw new Error("Používateľ nebol nájdený");
+      }
 
-      logUserAction(
-        adminId,
-        "TEMPORARY_LIMIT_GRANTED",
-        `Granted ${multiplier}x rate limit increase to user ${userId} for ${durationHours} hours`
-      );
+      if (!(multiplier > 1 && multiplier <= MAX_MULTIPLIER)) {
+        throw new Error(
+          `Násobok limitu musí byť väčší ako 1 a najviac ${MAX_MULTIPLIER}`
+        );
+      }
 
-      return {
+      if (!(durationHours > 0 && durationHours <= MAX_DURATION_HOURS)) {
+        throw new Error(
+          `Trvanie zvýšenia musí byť od 1 do ${MAX_DURATION_HOURS} hodín`
+        );
+      }
+
+      if (action && !Object.values(RATE_LIMIT_ACTIONS).includes(action)) {
+        throw new Error("Neplatná akcia pre zvýšenie limitu");
+      }
+
+      const grant = await RateLimitGrant.create({
         userId,
         multiplier,
-        durationHours,
+        action,
+        reason,
         grantedBy: adminId,
         expiresAt: new Date(Date.now() + durationHours * 60 * 60 * 1000),
-      };
+      });
+
+      this._clearMultiplierCache(userId);
+
+      logUserAction(
+        adminId,
+        "TEMPORARY_LIMIT_GRANTED",
+        `Granted ${multiplier}x rate limit increase (${
+          action || "all actions"
+        }) to user ${userId} for ${durationHours} hours`
+      );
+
+      return grant;
     } catch (error) {
       logError(error, "RateLimitService.grantTemporaryLimitIncrease", adminId);
       throw error;
     }
   }
 
+  // Список временных увеличений лимитов (админ)
+  async getLimitGrants(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        userId = null,
+        includeInactive = false,
+      } = options;
+
+      const query = includeInactive
+        ? { ...(userId && { userId }) }
+        : RateLimitGrant.getActiveQuery(userId);
+
+      const skip = (page - 1) * limit;
+
+      const [grants, total] = await Promise.all([
+        RateLimitGrant.find(query)
+          .populate("userId", "firstName lastName originalEmail role")
+          .populate("grantedBy", "firstName lastName")
+          .populate("revokedBy", "firstName lastName")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        RateLimitGrant.countDocuments(query),
+      ]);
+
+      await cryptoService.smartDecrypt(grants);
+
+      return createPaginationResponse(grants, total, page, limit);
+    } catch (error) {
+      logError(error, "RateLimitService.getLimitGrants");
+      throw error;
+    }
+  }
+
+  // Отзыв временного увеличения лимитов (админ)
+  async revokeLimitGrant(grantId, adminId) {
+    try {
+      const grant = await RateLimitGrant.findById(grantId);
+
+      if (!grant) {
+        throw new Error("Zvýšenie limitu nebolo nájdené");
+      }
+
+      if (grant.revokedAt) {
+        throw new Error("Zvýšenie limitu už bolo zrušené");
+      }
+
+      grant.revokedAt = new Date();
+      grant.revokedBy = adminId;
+      await grant.save();
+
+      this._clearMultiplierCache(grant.userId);
+
+      logUserAction(
+        adminId,
+        "TEMPORARY_LIMIT_REVOKED",
+        `Revoked rate limit increase ${grantId} of user ${grant.userId}`
+      );
+
+      return grant;
+    } catch (error) {
+      logError(error, "RateLimitService.revokeLimitGrant", adminId);
+      throw error;
+    }
+  }
+
+  // Множитель лимита для лимитеров express-rate-limit
+  // Кэшируется на короткое время, чтобы не обращаться к БД на каждый запрос
+  async getLimitMultiplier(userId, action = null) {
+    const key = `${userId}:${action || "all"}`;
+    const cached = this.multiplierCache.get(key);
+
+    if (cached) {
+      if (cached.expiresAt > Date.now()) {
+        return cached.value;
+      }
+
+      this.multiplierCache.delete(key);
+    }
+
+    try {
+      const value = await RateLimitGrant.getActiveMultiplier(userId, action);
+
+      this._cacheMultiplier(key, value);
+
+      return value;
+    } catch (error) {
+      // Ошибка БД не должна ломать лимитеры - применяем базовый лимит
+      logError(error, "RateLimitService.getLimitMultiplier", userId);
+      return 1;
+    }
+  }
+
+  // Кэш ограничен по размеру: сначала удаляются истекшие записи,
+  // затем самые старые (Map хранит порядок вставки)
+  _cacheMultiplier(key, value) {
+    const { CACHE_TTL_MS, CACHE_MAX_ENTRIES } = config.RATE_LIMIT.GRANTS;
+
+    if (this.multiplierCache.size >= CACHE_MAX_ENTRIES) {
+      const now = Date.now();
+
+      for (const [cachedKey, entry] of this.multiplierCache) {
+        if (entry.expiresAt <= now) {
+          this.multiplierCache.delete(cachedKey);
+        }
+      }
+
+      for (const cachedKey of this.multiplierCache.keys()) {
+        if (this.multiplierCache.size < CACHE_MAX_ENTRIES) break;
+        this.multiplierCache.delete(cachedKey);
+      }
+    }
+
+    this.multiplierCache.set(key, {
+      value,
+      expiresAt: Date.now() + CACHE_TTL_MS,
+    });
+  }
+
+  _clearMultiplierCache(userId) {
+    const prefix = `${userId}:`;
+
+    for (const key of this.multiplierCache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.multiplierCache.delete(key);
+      }
+    }
+  }
+
+  // Действующие политики лимитов для всех ролей и действий (админ)
+  async getPolicies() {
+    try {
+      const roles = Object.values(USER_ROLES);
+      const actions = Object.values(RATE_LIMIT_ACTIONS);
+
+      const [policies, stored] = await Promise.all([
+        Promise.all(
+          roles.flatMap((role) =>
+            actions.map((action) => RateLimitPolicy.getEffective(role, action))
+          )
+        ),
+        RateLimitPolicy.find().populate("updatedBy", "firstName lastName email"),
+      ]);
+
+      await cryptoService.smartDecrypt(stored);
+
+      const storedByKey = new Map(
+        stored.map((policy) => [`${policy.role}:${policy.action}`, policy])
+      );
+
+      return policies.map((policy) => {
+        const record = storedByKey.get(`${policy.role}:${policy.action}`);
+
+        return {
+          ...policy,
+          defaults: RateLimitPolicy.getDefault(policy.role, policy.action),
+          updatedBy: record?.updatedBy || null,
+          updatedAt: record?.updatedAt || null,
+        };
+      });
+    } catch (error) {
+      logError(error, "RateLimitService.getPolicies");
+      throw error;
+    }
+  }
+
+  // Изменение политики лимита для роли и действия (админ)
+  async updatePolicy(role, action, data, adminId) {
+    try {
+      const { limit, windowMs } = data;
+
+      if (!Object.values(USER_ROLES).includes(role)) {
+        throw new Error("Neplatná rola");
+      }
+
+      if (!Object.values(RATE_LIMIT_ACTIONS).includes(action)) {
+        throw new Error("Neplatná akcia");
+      }
+
+      const current = await RateLimitPolicy.getEffective(role, action);
+
+      const policy = await RateLimitPolicy.findOneAndUpdate(
+        { role, action },
+        {
+          role,
+          action,
+          limit: limit ?? current.limit,
+          windowMs: windowMs ?? current.windowMs,
+          updatedBy: adminId,
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      RateLimitPolicy.clearCache();
+
+      logUserAction(
+        adminId,
+        "RATE_LIMIT_POLICY_UPDATED",
+        `Set ${role}/${action} limit to ${policy.limit} per ${policy.windowMs}ms`
+      );
+
+      return policy;
+    } catch (error) {
+      logError(error, "RateLimitService.updatePolicy", adminId);
+      throw error;
+    }
+  }
+
+  // Возврат политики к значениям из config (админ)
+  async resetPolicy(role, action, adminId) {
+    try {
+      const result = await RateLimitPolicy.deleteOne({ role, action });
+
+      if (result.deletedCount === 0) {
+        throw new Error("Politika limitu nebola nájdená");
+      }
+
+      RateLimitPolicy.clearCache();
+
+      logUserAction(
+        adminId,
+        "RATE_LIMIT_POLICY_RESET",
+        `Reset ${role}/${action} limit to defaults`
+      );
+
+      return await RateLimitPolicy.getEffective(role, action);
+    } catch (error) {
+      logError(error, "RateLimitService.resetPolicy", adminId);
+      throw error;
+    }
+  }
+
   // Анализ паттернов использования API
   async analyzeUsagePatterns(userId, days = 7) {
     try {
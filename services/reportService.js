@@ -0,0 +1,566 @@
+// services/reportService.js
+import Report from "../models/Report.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import questionService from "./questionService.js";
+import answerService from "./answerService.js";
+import commentService from "./commentService.js";
+import userService from "./userService.js";
+import notificationService from "./notificationService.js";
+import reputationService from "./reputationService.js";
+import moderationQueueService from "./moderationQueueService.js";
+import config from "../config/index.js";
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_STATUS,
+  REPORT_ACTIONS,
+  MODERATION_ITEM_TYPES,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { logUserAction, logError, writeLog } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Меры, после которых контент остается скрытым
+const CONTENT_ACTIONS = [REPORT_ACTIONS.HIDE, REPORT_ACTIONS.DELETE];
+
+class ReportService {
+  // Проверка, может ли пользователь подать жалобу; возвращает его точность
+  async assertCanReport(userId) {
+    try {
+      const user = await User.findById(userId).select("isReportingBlocked");
+
+      if (user?.isReportingBlocked) {
+        const error = new Error(
+          "Možnosť podávať sťažnosti vám bola zablokovaná"
+        );
+        error.statusCode = HTTP_STATUS.FORBIDDEN;
+        throw error;
+      }
+
+      const trust = (await this.getReporterStats([userId])).get(
+        userId.toString()
+      );
+
+      // Низкая точность - жесткий суточный лимит
+      if (trust.isLowAccuracy) {
+        const recentReports = await Report.countDocuments({
+          reportedBy: userId,
+          createdAt: { $gte: new Date(Date.now() - DAY_MS) },
+        });
+
+        if (
+          recentReports >=
+          config.REPORTS.REPORTER_TRUST.LOW_ACCURACY_DAILY_LIMIT
+        ) {
+          const error = new Error(
+            "Dosiahli ste denný limit sťažností, skúste to zajtra"
+          );
+          error.statusCode = HTTP_STATUS.TOO_MANY_REQUESTS;
+          throw error;
+        }
+      }
+
+      return trust;
+    } catch (error) {
+      logError(error, "ReportService.assertCanReport", userId);
+      throw error;
+    }
+  }
+
+  // Точность авторов жалоб по их id
+  async getReporterStats(userIds) {
+    try {
+      const ids = [...new Set(userIds.map((id) => id.toString()))];
+      const stats = await Report.getReporterStats(ids);
+
+      return new Map(
+        ids.map((id) => [id, this._buildReporterTrust(stats.get(id))])
+      );
+    } catch (error) {
+      logError(error, "ReportService.getReporterStats");
+      throw error;
+    }
+  }
+
+  // Очередь жалоб с точностью авторов (низкая точность - в конце)
+  async getPendingReports(options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const [reports, total] = await Promise.all([
+        Report.findPending().skip(skip).limit(limit),
+        Report.countDocuments({ status: REPORT_STATUS.PENDING }),
+      ]);
+
+      const reporterIds = reports
+        .map((report) => report.reportedBy?._id)
+        .filter(Boolean);
+      const stats = await this.getReporterStats(reporterIds);
+
+      const data = reports.map((report) => ({
+        ...report.toObject(),
+        reporterStats: report.reportedBy
+          ? stats.get(report.reportedBy._id.toString())
+          : null,
+      }));
+
+      return createPaginationResponse(data, total, page, limit);
+    } catch (error) {
+      logError(error, "ReportService.getPendingReports");
+      throw error;
+    }
+  }
+
+  // Запрет или разрешение подавать жалобы (админ)
+  async setReportingBlocked(userId, isBlocked, adminId, reason = null) {
+    try {
+      if (userId.toString() === adminId.toString()) {
+        const error = new Error("Nemôžete zablokovať sami seba");
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        {
+          isReportingBlocked: isBlocked,
+          reportingBlockedReason: isBlocked ? reason : null,
+        },
+        { new: true }
+      ).select("email role isReportingBlocked reportingBlockedReason");
+
+      if (!user) {
+        const error = new Error("Používateľ nebol nájdený");
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+
+      logUserAction(
+        adminId,
+        isBlocked ? "USER_REPORTING_BLOCKED" : "USER_REPORTING_UNBLOCKED",
+        `${isBlocked ? "Blocked" : "Unblocked"} reporting for user ${userId}${reason ? `: ${reason}` : ""}`
+      );
+
+      return user;
+    } catch (error) {
+      logError(error, "ReportService.setReportingBlocked", adminId);
+      throw error;
+    }
+  }
+
+  // Отметка жалобы как рассмотренной без принятия мер
+  async reviewReport(reportId, adminId, comment = null) {
+    try {
+      const report = await Report.findById(reportId);
+      if (!report) {
+        const error = new Error("Sťažnosť nebola nájdená");
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+
+      if (report.status !== REPORT_STATUS.PENDING) {
+        const error = new Error("Sťažnosť už bola posúdená");
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      await moderationQueueService.assertNotClaimedByOther(
+        MODERATION_ITEM_TYPES.REPORT,
+        reportId,
+        adminId
+      );
+
+      const reviewedReport = await report.markAsReviewed(adminId, comment);
+
+      logUserAction(
+        adminId,
+        "REPORT_REVIEWED",
+        `Reviewed report ${reportId}: ${report.reason} for ${report.targetType}`
+      );
+
+      return reviewedReport;
+    } catch (error) {
+      logError(error, "ReportService.reviewReport", adminId);
+      throw error;
+    }
+  }
+
+  // Решение жалобы с применением меры к контенту или его автору
+  async resolveReport(reportId, adminId, options = {}) {
+    try {
+      const { action, comment = null, banDays = null } = options;
+
+      const report = await Report.findById(reportId);
+      if (!report) {
+        const error = new Error("Sťažnosť nebola nájdená");
+        error.statusCode = HTTP_STATUS.NOT_FOUND;
+        throw error;
+      }
+
+      if (report.isClosed) {
+        const error = new Error("Sťažnosť už bola vybavená");
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+
+      await moderationQueueService.assertNotClaimedByOther(
+        MODERATION_ITEM_TYPES.REPORT,
+        reportId,
+        adminId
+      );
+
+      if (action === REPORT_ACTIONS.DISMISS) {
+        await report.dismiss(adminId, comment);
+      } else {
+        const outcome = await this._executeAction(report, adminId, {
+          action,
+          comment,
+          banDays,
+        });
+
+        await report.resolve(
+          adminId,
+          this._describeAction(outcome),
+          comment,
+          outcome
+        );
+
+        // Подтвержденная жалоба снижает репутацию автора контента
+        await reputationService.penalizeForReport(report);
+      }
+
+      if (report.autoHiddenAt && !CONTENT_ACTIONS.includes(action)) {
+        await this._liftAutoHide(report, adminId);
+      }
+
+      try {
+        await notificationService.notifyReporterAboutResolution(report);
+      } catch (notificationError) {
+        logError(
+          notificationError,
+          "Failed to notify reporter about resolution",
+          adminId
+        );
+      }
+
+      logUserAction(
+        adminId,
+        action === REPORT_ACTIONS.DISMISS
+          ? "REPORT_DISMISSED"
+          : "REPORT_RESOLVED",
+        `Report ${reportId} for ${report.targetType} ${report.targetId}: ${action}`
+      );
+
+      return await Report.findById(reportId)
+        .populate("reportedBy", "email role")
+        .populate("reviewedBy", "email role")
+        .populate("outcome.affectedUser", "email role isBanned bannedUntil");
+    } catch (error) {
+      logError(error, "ReportService.resolveReport", adminId);
+      throw error;
+    }
+  }
+
+  // Автоскрытие контента, когда взвешенная сумма жалоб разных
+  // пользователей достигла порога для типа объекта
+  async evaluateAutoHide(targetType, targetId) {
+    try {
+      const { AUTO_HIDE } = config.REPORTS;
+      const threshold = AUTO_HIDE.THRESHOLDS[targetType];
+      if (!threshold) return null;
+
+      const reports = await Report.findOpenByTarget(
+        targetId,
+        targetType
+      ).populate("reportedBy", "rating createdAt isEmailVerified");
+
+      if (reports.some((report) => report.autoHiddenAt)) return null;
+
+      // Жалобы авторов с низкой точностью весят как от новых аккаунтов
+      const weights = reports
+        .filter((report) => report.reportedBy)
+        .map((report) =>
+          report.isDeprioritized
+            ? { weight: AUTO_HIDE.NEW_ACCOUNT_WEIGHT, trusted: false }
+            : this._getReporterWeight(report.reportedBy)
+        );
+
+      const score = weights.reduce((sum, { weight }) => sum + weight, 0);
+      const established = weights.filter(({ trusted }) => trusted).length;
+
+      if (
+        score < threshold ||
+        established < AUTO_HIDE.MIN_ESTABLISHED_REPORTERS
+      ) {
+        return { hidden: false, score, threshold };
+      }
+
+      // Скрываем только видимый контент: ответ на модерации не трогаем
+      const target = await this._getTarget(targetType, targetId);
+      if (!target || target.deletedAt || !this._isVisible(target)) {
+        return { hidden: false, score, threshold };
+      }
+
+      await this._setContentHidden(targetType, targetId, true, null);
+
+      await Report.updateMany(
+        { _id: { $in: reports.map((report) => report._id) } },
+        { autoHiddenAt: new Date() }
+      );
+
+      writeLog(
+        "INFO",
+        `Auto-hidden ${targetType} ${targetId}: report score ${score.toFixed(2)} >= ${threshold}`
+      );
+
+      return { hidden: true, score, threshold };
+    } catch (error) {
+      logError(error, "ReportService.evaluateAutoHide");
+      throw error;
+    }
+  }
+
+  // Выполнение меры через сервисы контента и пользователей
+  async _executeAction(report, adminId, { action, comment, banDays }) {
+    const target = await this._getTarget(report.targetType, report.targetId);
+    if (!target) {
+      const error = new Error("Nahlásený obsah už neexistuje");
+      error.statusCode = HTTP_STATUS.NOT_FOUND;
+      throw error;
+    }
+
+    const authorId = target.author || target.expert;
+    const reason =
+      comment || `Porušenie pravidiel komunity (sťažnosť: ${report.reason})`;
+    const outcome = { action, affectedUser: authorId };
+
+    switch (action) {
+      case REPORT_ACTIONS.HIDE:
+        if (target.deletedAt) break;
+        await this._setContentHidden(
+          report.targetType,
+          report.targetId,
+          true,
+          adminId
+        );
+        break;
+
+      case REPORT_ACTIONS.DELETE:
+        if (target.deletedAt) break;
+        await this._deleteContent(report, adminId, reason);
+        break;
+
+      case REPORT_ACTIONS.WARN:
+        await notificationService.notifyUserAboutWarning(
+          authorId,
+          reason,
+          report,
+          adminId
+        );
+        break;
+
+      case REPORT_ACTIONS.TEMPORARY_BAN:
+      case REPORT_ACTIONS.PERMANENT_BAN:
+        outcome.bannedUntil = await this._banAuthor(
+          authorId,
+          adminId,
+          reason,
+          action === REPORT_ACTIONS.TEMPORARY_BAN
+            ? banDays || config.REPORTS.DEFAULT_BAN_DAYS
+            : null
+        );
+        break;
+
+      default: {
+        const error = new Error("Neplatné opatrenie");
+        error.statusCode = HTTP_STATUS.BAD_REQUEST;
+        throw error;
+      }
+    }
+
+    return outcome;
+  }
+
+  // Скрытие и возврат контента флагом isHidden: обратимо и без побочных
+  // эффектов модерации (счетчики, репутация, соцсети).
+  // moderatorId = null - действие системы
+  async _setContentHidden(targetType, targetId, isHidden, moderatorId = null) {
+    switch (targetType) {
+      case REPORT_TARGET_TYPES.QUESTION:
+        return await questionService.setQuestionHidden(
+          targetId,
+          isHidden,
+          moderatorId
+        );
+      case REPORT_TARGET_TYPES.ANSWER:
+        return await answerService.setAnswerHidden(
+          targetId,
+          isHidden,
+          moderatorId
+        );
+      case REPORT_TARGET_TYPES.COMMENT:
+        return await commentService.setCommentHidden(
+          targetId,
+          isHidden,
+          moderatorId
+        );
+    }
+  }
+
+  // Удаление контента в корзину
+  async _deleteContent(report, adminId, reason) {
+    switch (report.targetType) {
+      case REPORT_TARGET_TYPES.QUESTION:
+        return await questionService.deleteQuestion(
+          report.targetId,
+          adminId,
+          reason
+        );
+      case REPORT_TARGET_TYPES.ANSWER:
+        return await answerService.deleteAnswer(
+          report.targetId,
+          adminId,
+          reason
+        );
+      case REPORT_TARGET_TYPES.COMMENT:
+        return await commentService.deleteComment(
+          report.targetId,
+          adminId,
+          reason
+        );
+    }
+  }
+
+  // Бан автора (days = null - перманентный)
+  async _banAuthor(authorId, adminId, reason, days) {
+    if (authorId.toString() === adminId.toString()) {
+      const error = new Error("Nemôžete zablokovať sami seba");
+      error.statusCode = HTTP_STATUS.BAD_REQUEST;
+      throw error;
+    }
+
+    const admin = await User.findById(adminId).select("role");
+    const bannedUntil = days ? new Date(Date.now() + days * DAY_MS) : null;
+
+    await userService.updateProfile(
+      authorId,
+      { isBanned: true, bannedReason: reason, bannedUntil },
+      admin
+    );
+
+    try {
+      await notificationService.notifyUserAboutBan(
+        authorId,
+        reason,
+        bannedUntil,
+        adminId
+      );
+    } catch (notificationError) {
+      logError(notificationError, "Failed to notify user about ban", adminId);
+    }
+
+    logUserAction(
+      adminId,
+      "USER_BANNED",
+      `Banned user ${authorId} by report: ${reason}`
+    );
+
+    return bannedUntil;
+  }
+
+  // Текстовое описание меры для actionTaken
+  _describeAction(outcome) {
+    if (outcome.bannedUntil) {
+      return `${outcome.action} until ${outcome.bannedUntil.toISOString()}`;
+    }
+
+    return outcome.action;
+  }
+
+  // Снятие автоскрытия, когда по объекту не осталось открытых жалоб
+  async _liftAutoHide(report, adminId) {
+    const openReports = await Report.findOpenByTarget(
+      report.targetId,
+      report.targetType
+    ).countDocuments();
+    if (openReports > 0) return;
+
+    const target = await this._getTarget(report.targetType, report.targetId);
+    if (!target || target.deletedAt || !target.isHidden) return;
+    // Скрытие решением модератора жалобами не снимается
+    if (target.hiddenBy) return;
+
+    await this._setContentHidden(
+      report.targetType,
+      report.targetId,
+      false,
+      adminId
+    );
+  }
+
+  // Вес жалобы: новые аккаунты почти не влияют, репутация повышает вес
+  _getReporterWeight(user) {
+    const { AUTO_HIDE } = config.REPORTS;
+    const accountAgeDays = (Date.now() - user.createdAt.getTime()) / DAY_MS;
+
+    if (accountAgeDays < AUTO_HIDE.NEW_ACCOUNT_DAYS || !user.isEmailVerified) {
+      return { weight: AUTO_HIDE.NEW_ACCOUNT_WEIGHT, trusted: false };
+    }
+
+    const weight = Math.min(
+      1 + (user.rating || 0) / AUTO_HIDE.RATING_PER_EXTRA_WEIGHT,
+      AUTO_HIDE.MAX_WEIGHT
+    );
+
+    return { weight, trusted: true };
+  }
+
+  // Точность по итогам жалоб (null - еще нет решенных жалоб)
+  _buildReporterTrust(stat) {
+    const { MIN_CLOSED_REPORTS, LOW_ACCURACY } = config.REPORTS.REPORTER_TRUST;
+    const { total = 0, resolved = 0, dismissed = 0, other = 0 } = stat || {};
+    const closed = resolved + dismissed;
+    const accuracy = closed > 0 ? resolved / closed : null;
+
+    return {
+      total,
+      resolved,
+      dismissed,
+      other,
+      accuracy: accuracy === null ? null : Math.round(accuracy * 100) / 100,
+      isLowAccuracy: closed >= MIN_CLOSED_REPORTS && accuracy < LOW_ACCURACY,
+    };
+  }
+
+  // Контент виден публично (ответы и комментарии - после одобрения)
+  _isVisible(target) {
+    return target.isApproved !== false && !target.isHidden;
+  }
+
+  // Объект жалобы, включая уже удаленный
+  async _getTarget(targetType, targetId) {
+    switch (targetType) {
+      case REPORT_TARGET_TYPES.QUESTION:
+        return await Question.findById(targetId)
+          .select("author isHidden hiddenBy deletedAt")
+          .withDeleted();
+      case REPORT_TARGET_TYPES.ANSWER:
+        return await Answer.findById(targetId)
+          .select("expert isApproved isHidden hiddenBy deletedAt")
+          .withDeleted();
+      case REPORT_TARGET_TYPES.COMMENT:
+        return await Comment.findById(targetId)
+          .select("author isApproved isHidden hiddenBy deletedAt")
+          .withDeleted();
+      default:
+        return null;
+    }
+  }
+}
+
+export default new ReportService();
@@ -0,0 +1,230 @@
+// services/reputationService.js
+import ReputationEntry from "../models/ReputationEntry.js";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import config from "../config/index.js";
+import { REPUTATION_EVENTS, LIKE_TARGET_TYPES } from "../utils/constants.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+// Модель контента для ReputationEntry.sourceType
+const CONTENT_SOURCE_TYPES = {
+  [LIKE_TARGET_TYPES.QUESTION]: "Question",
+  [LIKE_TARGET_TYPES.ANSWER]: "Answer",
+  [LIKE_TARGET_TYPES.COMMENT]: "Comment",
+};
+
+class ReputationService {
+  // Начисление очков за событие и пересчет рейтинга пользователя
+  async award(userId, event, source, actorId = null) {
+    try {
+      const points = config.REPUTATION.POINTS[event];
+
+      if (!points) return null;
+
+      // Повторное событие от того же участника не начисляется дважды
+      const existing = await ReputationEntry.findActive(
+        event,
+        source.id,
+        actorId
+      );
+
+      if (existing) return existing;
+
+      const entry = await ReputationEntry.create({
+        user: userId,
+        event,
+        points,
+        sourceType: source.type,
+        sourceId: source.id,
+        actor: actorId,
+      });
+
+      await this.recalculateRating(userId);
+
+      logUserAction(
+        userId,
+        "REPUTATION_CHANGED",
+        `${points > 0 ? "+" : ""}${points} for ${event} (${source.type} ${source.id})`
+      );
+
+      return entry;
+    } catch (error) {
+      logError(error, "ReputationService.award", userId);
+      throw error;
+    }
+  }
+
+  // Отмена начисления (снятие лайка, отклонение ответа)
+  async revoke(event, sourceId, actorId = null) {
+    try {
+      const entry = await ReputationEntry.findActive(event, sourceId, actorId);
+
+      if (!entry) return null;
+
+      entry.reversedAt = new Date();
+      await entry.save();
+
+      const reversal = await ReputationEntry.create({
+        user: entry.user,
+        event,
+        points: -entry.points,
+        sourceType: entry.sourceType,
+        sourceId,
+        actor: actorId,
+        reversalOf: entry._id,
+      });
+
+      await this.recalculateRating(entry.user);
+
+      logUserAction(
+        entry.user,
+        "REPUTATION_CHANGED",
+        `${-entry.points} (reverted ${event} for ${entry.sourceType} ${sourceId})`
+      );
+
+      return reversal;
+    } catch (error) {
+      logError(error, "ReputationService.revoke");
+      throw error;
+    }
+  }
+
+  // Лайк вопроса или ответа: очки получает автор контента
+  async handleLikeToggle(likerId, targetId, targetType, liked) {
+    try {
+      let event;
+      let sourceType;
+
+      if (targetType === LIKE_TARGET_TYPES.QUESTION) {
+        event = REPUTATION_EVENTS.QUESTION_LIKED;
+        sourceType = "Question";
+      } else if (targetType === LIKE_TARGET_TYPES.ANSWER) {
+        event = REPUTATION_EVENTS.ANSWER_LIKED;
+        sourceType = "Answer";
+      } else {
+        return null;
+      }
+
+      const authorId = await this._getContentAuthor(targetType, targetId);
+
+      // За лайк собственного контента очки не начисляются
+      if (!authorId || authorId.toString() === likerId.toString()) {
+        return null;
+      }
+
+      return liked
+        ? await this.award(
+            authorId,
+            event,
+            { type: sourceType, id: targetId },
+            likerId
+          )
+        : await this.revoke(event, targetId, likerId);
+    } catch (error) {
+      logError(error, "ReputationService.handleLikeToggle", likerId);
+      throw error;
+    }
+  }
+
+  // Штраф автору контента по подтвержденной жалобе. Начисление привязано
+  // к контенту: несколько жалоб на одно нарушение штрафуют один раз
+  async penalizeForReport(report) {
+    try {
+      const authorId = await this._getContentAuthor(
+        report.targetType,
+        report.targetId
+      );
+
+      if (!authorId) return null;
+
+      return await this.award(authorId, REPUTATION_EVENTS.REPORT_UPHELD, {
+        type: CONTENT_SOURCE_TYPES[report.targetType],
+        id: report.targetId,
+      });
+    } catch (error) {
+      logError(error, "ReputationService.penalizeForReport");
+      throw error;
+    }
+  }
+
+  // Пересчет User.rating как суммы очков журнала
+  async recalculateRating(userId) {
+    try {
+      const total = await ReputationEntry.getTotal(userId);
+      const rating = Math.max(0, total);
+
+      await User.findByIdAndUpdate(userId, { rating });
+
+      return rating;
+    } catch (error) {
+      logError(error, "ReputationService.recalculateRating", userId);
+      throw error;
+    }
+  }
+
+  // Репутация пользователя с историей начислений
+  async getUserReputation(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const user = await User.findById(userId).select("rating");
+      if (!user) {
+        throw new Error("Používateľ nebol nájdený");
+      }
+
+      const [entries, total, breakdown] = await Promise.all([
+        ReputationEntry.find({ user: userId })
+          .select("-user")
+          .populate("sourceId", "title slug questionId reason targetType")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        ReputationEntry.countDocuments({ user: userId }),
+        ReputationEntry.getBreakdown(userId),
+      ]);
+
+      return {
+        userId,
+        rating: user.rating,
+        breakdown,
+        history: createPaginationResponse(entries, total, page, limit),
+      };
+    } catch (error) {
+      logError(error, "ReputationService.getUserReputation", userId);
+      throw error;
+    }
+  }
+
+  // Автор вопроса, ответа или комментария
+  // Удаленный контент тоже учитывается (штраф по жалобе после удаления)
+  async _getContentAuthor(targetType, targetId) {
+    switch (targetType) {
+      case LIKE_TARGET_TYPES.QUESTION: {
+        const question = await Question.findById(targetId)
+          .select("author")
+          .withDeleted();
+        return question?.author || null;
+      }
+      case LIKE_TARGET_TYPES.ANSWER: {
+        const answer = await Answer.findById(targetId)
+          .select("expert")
+          .withDeleted();
+        return answer?.expert || null;
+      }
+      case LIKE_TARGET_TYPES.COMMENT: {
+        const comment = await Comment.findById(targetId)
+          .select("author")
+          .withDeleted();
+        return comment?.author || null;
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+export default new ReputationService();
@@ -0,0 +1,172 @@
+// services/revisionService.js
+import Revision from "../models/Revision.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import cryptoService from "./cryptoService.js";
+import { renderMarkdown } from "../utils/markdown.js";
+import { REVISION_TARGET_TYPES, USER_ROLES } from "../utils/constants.js";
+import { logError } from "../middlewares/logger.js";
+import { diffLines } from "../utils/helpers.js";
+
+class RevisionService {
+  // Сохранение предыдущей версии перед заменой
+  async recordRevision(targetType, targetId, snapshot, editorId, options = {}) {
+    try {
+      const { rollbackTo = null } = options;
+      const version = await Revision.getNextVersion(targetType, targetId);
+
+      return await Revision.create({
+        targetType,
+        targetId,
+        version,
+        title:
+          targetType === REVISION_TARGET_TYPES.QUESTION ? snapshot.title : null,
+        content: snapshot.content,
+        replacedBy: editorId,
+        rollbackTo,
+      });
+    } catch (error) {
+      logError(error, "RevisionService.recordRevision", editorId);
+      throw error;
+    }
+  }
+
+  // История версий с построчным diff между соседними версиями
+  async getHistory(targetType, targetId, viewer = null) {
+    try {
+      const target = await this._getTarget(targetType, targetId);
+      const isQuestion = targetType === REVISION_TARGET_TYPES.QUESTION;
+      const author = isQuestion ? target.author : target.expert;
+
+      // Скрытый контент и неодобренный ответ видят только автор и админы
+      if (
+        (target.isHidden || (!isQuestion && !target.isApproved)) &&
+        viewer?.role !== USER_ROLES.ADMIN &&
+        author?._id?.toString() !== viewer?._id?.toString()
+      ) {
+        throw new Error(
+          isQuestion ? "Otázka nebola nájdená" : "Odpoveď nebola nájdená"
+        );
+      }
+
+      const revisions = await Revision.getForTarget(
+        targetType,
+        targetId
+      ).populate("replacedBy", "firstName lastName role avatar");
+
+      await cryptoService.smartDecrypt([target, ...revisions]);
+
+      // Версия N создана тем, кто заменил версию N-1
+      const versions = [
+        ...revisions.map((revision, index) => ({
+          version: revision.version,
+          revisionId: revision._id,
+          title: revision.title,
+          content: revision.content,
+          editedBy: index === 0 ? author : revisions[index - 1].replacedBy,
+          editedAt:
+            index === 0 ? target.createdAt : revisions[index - 1].createdAt,
+          rollbackTo: index === 0 ? null : revisions[index - 1].rollbackTo,
+          isCurrent: false,
+        })),
+        {
+          version: revisions.length + 1,
+          revisionId: null,
+          title: isQuestion ? target.title : null,
+          content: target.content,
+          editedBy:
+            revisions.length === 0
+              ? author
+              : revisions[revisions.length - 1].replacedBy,
+          editedAt:
+            revisions.length === 0
+              ? target.createdAt
+              : revisions[revisions.length - 1].createdAt,
+          rollbackTo:
+            revisions.length === 0
+              ? null
+              : revisions[revisions.length - 1].rollbackTo,
+          isCurrent: true,
+        },
+      ];
+
+      return versions.map((version, index) => {
+        const previous = versions[index - 1];
+
+        return {
+          ...version,
+          contentHtml: renderMarkdown(version.content),
+          diff: previous
+            ? {
+                title: isQuestion
+                  ? diffLines(previous.title || "", version.title || "")
+                  : null,
+                content: diffLines(previous.content, version.content),
+              }
+            : null,
+        };
+      });
+    } catch (error) {
+      logError(error, "RevisionService.getHistory", viewer?._id);
+      throw error;
+    }
+  }
+
+  // Получение конкретной ревизии объекта
+  async getRevision(targetType, targetId, revisionId) {
+    try {
+      const revision = await Revision.findOne({
+        _id: revisionId,
+        targetType,
+        targetId,
+      });
+
+      if (!revision) {
+        throw new Error("Revízia nebola nájdená");
+      }
+
+      return revision;
+    } catch (error) {
+      logError(error, "RevisionService.getRevision");
+      throw error;
+    }
+  }
+
+  // Удаление истории вместе с объектами
+  async deleteForTargets(targetType, targetIds = []) {
+    try {
+      if (targetIds.length === 0) return;
+
+      await Revision.deleteMany({ targetType, targetId: { $in: targetIds } });
+    } catch (error) {
+      logError(error, "RevisionService.deleteForTargets");
+      throw error;
+    }
+  }
+
+  async _getTarget(targetType, targetId) {
+    if (targetType === REVISION_TARGET_TYPES.QUESTION) {
+      const question = await Question.findById(targetId)
+        .select("title content author isHidden createdAt")
+        .populate("author", "firstName lastName role avatar");
+
+      if (!question) {
+        throw new Error("Otázka nebola nájdená");
+      }
+
+      return question;
+    }
+
+    const answer = await Answer.findById(targetId)
+      .select("content expert isApproved isHidden createdAt")
+      .populate("expert", "firstName lastName role avatar");
+
+    if (!answer) {
+      throw new Error("Odpoveď nebola nájdená");
+    }
+
+    return answer;
+  }
+}
+
+export default new RevisionService();
@@ -1,6 +1,7 @@
 // services/roleService.js
 import User from "../models/User.js";
 import RoleChange from "../models/RoleChange.js";
+import config from "../config/index.js";
 import { USER_ROLES } from "../utils/constants.js";
 import {
   logRoleChange,
@@ -11,8 +12,17 @@ import { createPaginationResponse } from "../utils/helpers.js";
 
 class RoleService {
   // Изменение роли пользователя (только админы)
-  async changeUserRole(userId, newRole, changedBy, reason = null) {
+  // options.application - заявка на роль эксперта, по которой меняется роль
+  async changeUserRole(
+    userId,
+    newRole,
+    changedBy,
+    reason = null,
+    options = {}
+  ) {
     try {
+      const { application = null } = options;
+
       // Валидация новой роли
       if (!Object.values(USER_ROLES).includes(newRole)) {
         throw new Error(`Neplatná rola: ${newRole}`);
@@ -49,7 +59,8 @@ class RoleService {
         oldRole,
         newRole,
         changedBy,
-        reason
+        reason,
+        application
       );
 
       // Логируем в файл
@@ -67,6 +78,7 @@ class RoleService {
           newRole,
           changedBy,
           reason,
+          application,
           changedAt: user.roleChangedAt,
         },
       };
@@ -125,7 +137,8 @@ class RoleService {
     }
   }
 
-  // Получение кандидатов на роль эксперта
+  // Получение кандидатов на роль эксперта: те же требования,
+  // что и для заявки (config.EXPERT_APPLICATION), плюс активность
   async getExpertCandidates(options = {}) {
     try {
       const {
@@ -134,31 +147,35 @@ class RoleService {
         minQuestions = 5,
         minDaysActive = 30,
       } = options;
+      const { MIN_ACCOUNT_AGE_DAYS, MIN_RATING } = config.EXPERT_APPLICATION;
       const skip = (page - 1) * limit;
 
-      // Дата для проверки активности
+      // Дата для проверки активности, не позже минимального возраста аккаунта
       const minActiveDate = new Date();
-      minActiveDate.setDate(minActiveDate.getDate() - minDaysActive);
+      minActiveDate.setDate(
+        minActiveDate.getDate() -
+          Math.max(minDaysActive || 0, MIN_ACCOUNT_AGE_DAYS)
+      );
+
+      const filter = {
+        role: USER_ROLES.USER,
+        isActive: true,
+        isBanned: false,
+        isEmailVerified: true,
+        rating: { $gte: MIN_RATING },
+        totalQuestions: { $gte: minQuestions },
+        createdAt: { $lte: minActiveDate },
+      };
 
       const [candidates, total] = await Promise.all([
-        User.find({
-          role: USER_ROLES.USER,
-          isActive: true,
-          isBanned: false,
-          totalQuestions: { $gte: minQuestions },
-          createdAt: { $lte: minActiveDate },
-        })
-          .select("email totalQuestions totalAnswers createdAt lastLoginAt")
-          .sort({ totalQuestions: -1, createdAt: 1 })
+        User.find(filter)
+          .select(
+            "email rating totalQuestions totalAnswers createdAt lastLoginAt"
+          )
+          .sort({ rating: -1, totalQuestions: -1, createdAt: 1 })
           .skip(skip)
           .limit(limit),
-        User.countDocuments({
-          role: USER_ROLES.USER,
-          isActive: true,
-          isBanned: false,
-          totalQuestions: { $gte: minQuestions },
-          createdAt: { $lte: minActiveDate },
-        }),
+        User.countDocuments(filter),
       ]);
 
       return createPaginationResponse(candidates, total, page, limit);
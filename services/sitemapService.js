@@ -289,6 +289,7 @@ class SitemapService {
       // Находим все отвеченные вопросы
       const answeredQuestions = await Question.find({
         status: "answered",
+        isHidden: { $ne: true },
       })
         .select("slug updatedAt")
         .lean();
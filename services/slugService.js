@@ -2,7 +2,9 @@
 import slugify from "slugify";
 import Question from "../models/Question.js";
 import Category from "../models/Category.js";
-import { logError } from "../middlewares/logger.js";
+import SlugHistory from "../models/SlugHistory.js";
+import { logUserAction, logError } from "../middlewares/logger.js";
+import { generateSlug, generateUniqueSlug } from "../utils/helpers.js";
 
 class SlugService {
   // Конфигурация для slugify
@@ -180,10 +182,20 @@ class SlugService {
   }
 
   // Проверка существования slug для вопроса
-  async isQuestionSlugExists(slug) {
+  // Прежние slug тоже заняты, иначе редирект уведет на чужой вопрос
+  async isQuestionSlugExists(slug, excludeQuestionId = null) {
     try {
-      const exists = await Question.findOne({ slug });
-      return !!exists;
+      const excludeFilter = excludeQuestionId
+        ? { $ne: excludeQuestionId }
+        : { $exists: true };
+
+      // Удаленные вопросы тоже занимают slug (уникальный индекс)
+      const [exists, historical] = await Promise.all([
+        Question.findOne({ slug, _id: excludeFilter }).withDeleted(),
+        SlugHistory.findOne({ slug, question: excludeFilter }),
+      ]);
+
+      return !!(exists || historical);
     } catch (error) {
       logError(error, "SlugService.isQuestionSlugExists");
       return true; // В случае ошибки считаем, что существует
@@ -286,18 +298,39 @@ class SlugService {
   }
 
   // Обновление slug для существующего вопроса
-  async updateQuestionSlug(questionId, newTitle) {
+  // Прежний slug сохраняется в истории для редиректа
+  async updateQuestionSlug(questionId, newTitle, userId = null) {
     try {
       const question = await Question.findById(questionId);
       if (!question) {
         throw new Error("Question not found");
       }
 
-      const newSlug = await this.generateUniqueQuestionSlug(newTitle);
+      // Заголовок дает тот же slug (с суффиксом или без) - ничего не меняем
+      const baseSlug = generateSlug(newTitle);
+      if (new RegExp(`^${baseSlug}(-\\d+)?$`).test(question.slug)) {
+        return question.slug;
+      }
+
+      const oldSlug = question.slug;
+      const newSlug = await generateUniqueSlug(newTitle, Question, (slug) =>
+        this.isQuestionSlugExists(slug, question._id)
+      );
+
+      await SlugHistory.recordSlug(oldSlug, question._id, userId);
+
+      // Возврат к одному из прежних slug - он больше не редирект
+      await SlugHistory.deleteOne({ slug: newSlug, question: question._id });
 
       question.slug = newSlug;
       await question.save();
 
+      logUserAction(
+        userId,
+        "QUESTION_SLUG_CHANGED",
+        `Question ${question._id} slug changed: ${oldSlug} → ${newSlug}`
+      );
+
       return newSlug;
     } catch (error) {
       logError(error, "SlugService.updateQuestionSlug");
@@ -305,6 +338,48 @@ class SlugService {
     }
   }
 
+  // Редирект для прежнего slug или слитого дубликата (null - редиректа нет)
+  async getQuestionRedirect(slug) {
+    try {
+      let question = await Question.findOne({ slug }).select(
+        "slug duplicateOf"
+      );
+      let reason = "duplicate";
+
+      if (!question) {
+        const history = await SlugHistory.findOne({ slug });
+        if (!history) return null;
+
+        question = await Question.findById(history.question).select(
+          "slug duplicateOf"
+        );
+        reason = "renamed";
+
+        if (!question) return null;
+      }
+
+      // Слитый дубликат ведет сразу на основной вопрос
+      if (question.duplicateOf) {
+        const canonical = await Question.findById(question.duplicateOf).select(
+          "slug"
+        );
+
+        if (canonical) {
+          return { slug: canonical.slug, statusCode: 301, reason: "duplicate" };
+        }
+      }
+
+      if (reason === "renamed") {
+        return { slug: question.slug, statusCode: 301, reason };
+      }
+
+      return null;
+    } catch (error) {
+      logError(error, "SlugService.getQuestionRedirect");
+      throw error;
+    }
+  }
+
   // Поиск вопроса по slug с проверкой редиректов
   async findQuestionBySlug(slug) {
     try {
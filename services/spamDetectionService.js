@@ -3,7 +3,10 @@ import Question from "../models/Question.js";
 import Answer from "../models/Answer.js";
 import Comment from "../models/Comment.js";
 import User from "../models/User.js";
-import { checkSpam } from "../middlewares/spamProtection.js";
+import {
+  checkSpam,
+  calculateSpamScore,
+} from "../middlewares/spamProtection.js";
 import { logSecurityEvent, logError } from "../middlewares/logger.js";
 
 class SpamDetectionService {
@@ -336,6 +339,12 @@ class SpamDetectionService {
     }
   }
 
+  // Спам-скор отдельного текста (контент уже расшифрован)
+  scoreContent(content = "", title = "") {
+    const score = calculateSpamScore(content || "", title || "");
+    return { score, riskLevel: this.getRiskLevel(score) };
+  }
+
   // Получение уровня риска
   getRiskLevel(score) {
     if (score >= 80) return "critical";
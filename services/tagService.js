@@ -0,0 +1,172 @@
+// services/tagService.js
+import Tag from "../models/Tag.js";
+import slugService from "./slugService.js";
+import { CONTENT_LIMITS } from "../utils/constants.js";
+import { logError } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+class TagService {
+  // Нормализация списка тегов: [{ name, slug }]
+  normalizeTags(rawTags = []) {
+    const list = Array.isArray(rawTags)
+      ? rawTags
+      : String(rawTags).split(",");
+
+    const tags = new Map();
+
+    list.forEach((raw) => {
+      if (typeof raw !== "string") return;
+
+      const name = raw.trim();
+      if (!name) return;
+
+      if (
+        name.length < CONTENT_LIMITS.TAG_NAME_MIN ||
+        name.length > CONTENT_LIMITS.TAG_NAME_MAX
+      ) {
+        throw new Error(
+          `Tag musí mať od ${CONTENT_LIMITS.TAG_NAME_MIN} do ${CONTENT_LIMITS.TAG_NAME_MAX} znakov`
+        );
+      }
+
+      // Убираем диакритику, иначе createBaseSlug вырежет такие буквы
+      const slug = slugService.createBaseSlug(
+        name.normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      );
+
+      // createBaseSlug возвращает item-<timestamp> для слишком коротких строк
+      if (/^item-\d+$/.test(slug)) {
+        throw new Error(`Neplatný tag: ${name}`);
+      }
+
+      if (!tags.has(slug)) {
+        tags.set(slug, { name, slug });
+      }
+    });
+
+    if (tags.size > CONTENT_LIMITS.QUESTION_TAGS_MAX) {
+      throw new Error(
+        `Maximálny počet tagov je ${CONTENT_LIMITS.QUESTION_TAGS_MAX}`
+      );
+    }
+
+    return [...tags.values()];
+  }
+
+  // Разбор фильтра тегов из query (?tags=leasing,refinancovanie)
+  parseTagFilter(rawTags) {
+    if (!rawTags) return [];
+
+    const list = Array.isArray(rawTags) ? rawTags : String(rawTags).split(",");
+
+    // Некорректные теги в фильтре просто игнорируются
+    return [
+      ...new Set(
+        list.flatMap((raw) => {
+          try {
+            return this.normalizeTags([raw]).map((tag) => tag.slug);
+          } catch {
+            return [];
+          }
+        })
+      ),
+    ];
+  }
+
+  // Создание недостающих тегов, возвращает slug тегов вопроса
+  async prepareTags(rawTags = []) {
+    try {
+      const tags = this.normalizeTags(rawTags);
+
+      if (tags.length > 0) {
+        await Tag.bulkWrite(
+          tags.map(({ name, slug }) => ({
+            updateOne: {
+              filter: { slug },
+              update: { $setOnInsert: { name, slug } },
+              upsert: true,
+            },
+          }))
+        );
+      }
+
+      return tags.map((tag) => tag.slug);
+    } catch (error) {
+      logError(error, "TagService.prepareTags");
+      throw error;
+    }
+  }
+
+  // Пересчет счетчиков тегов
+  // Ошибка пересчета не должна прерывать основную операцию
+  async syncCounts(slugs = []) {
+    try {
+      const uniqueSlugs = [...new Set(slugs.filter(Boolean))];
+      if (uniqueSlugs.length === 0) return;
+
+      const tags = await Tag.find({ slug: { $in: uniqueSlugs } });
+      await Promise.all(tags.map((tag) => tag.updateCount()));
+    } catch (error) {
+      logError(error, "TagService.syncCounts");
+    }
+  }
+
+  // Список тегов (популярные первыми)
+  async getTags(options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+
+      const query = { questionsCount: { $gt: 0 } };
+
+      const [tags, total] = await Promise.all([
+        Tag.find(query)
+          .sort({ questionsCount: -1, slug: 1 })
+          .skip(skip)
+          .limit(limit)
+          .select("name slug questionsCount"),
+        Tag.countDocuments(query),
+      ]);
+
+      return createPaginationResponse(tags, total, page, limit);
+    } catch (error) {
+      logError(error, "TagService.getTags");
+      throw error;
+    }
+  }
+
+  // Автодополнение тегов
+  async autocomplete(prefix, limit = 10) {
+    try {
+      const normalized = prefix
+        .trim()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "");
+
+      if (!normalized) return [];
+
+      return await Tag.autocomplete(normalized, limit);
+    } catch (error) {
+      logError(error, "TagService.autocomplete");
+      throw error;
+    }
+  }
+
+  // Получение тега по slug
+  async getTagBySlug(slug) {
+    try {
+      const tag = await Tag.findBySlug(slug);
+
+      if (!tag) {
+        throw new Error("Tag nebol nájdený");
+      }
+
+      return tag;
+    } catch (error) {
+      logError(error, "TagService.getTagBySlug");
+      throw error;
+    }
+  }
+}
+
+export default new TagService();
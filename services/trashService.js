@@ -0,0 +1,225 @@
+// services/trashService.js
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Like from "../models/Like.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import SlugHistory from "../models/SlugHistory.js";
+import questionService from "./questionService.js";
+import answerService from "./answerService.js";
+import commentService from "./commentService.js";
+import revisionService from "./revisionService.js";
+import cryptoService from "./cryptoService.js";
+import { trashConfig } from "../config/trash.js";
+import {
+  TRASH_TARGET_TYPES,
+  LIKE_TARGET_TYPES,
+  REVISION_TARGET_TYPES,
+} from "../utils/constants.js";
+import { logUserAction, logError, writeLog } from "../middlewares/logger.js";
+import { createPaginationResponse } from "../utils/helpers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Модель и поля для списка корзины по типу объекта
+const TRASH_SOURCES = {
+  [TRASH_TARGET_TYPES.QUESTION]: {
+    Model: Question,
+    authorField: "author",
+    select: "title slug category author",
+  },
+  [TRASH_TARGET_TYPES.ANSWER]: {
+    Model: Answer,
+    authorField: "expert",
+    select: "content questionId expert isApproved isAccepted",
+  },
+  [TRASH_TARGET_TYPES.COMMENT]: {
+    Model: Comment,
+    authorField: "author",
+    select: "content questionId author parentComment",
+  },
+};
+
+class TrashService {
+  // Содержимое корзины по типу объекта (админ)
+  async getTrash(type, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const skip = (page - 1) * limit;
+      const source = TRASH_SOURCES[type];
+
+      if (!source) {
+        throw new Error("Neplatný typ obsahu");
+      }
+
+      const { Model, authorField, select } = source;
+      const query = { deletedAt: { $ne: null } };
+
+      let itemsQuery = Model.find(query)
+        .select(`${select} deletedAt deletedBy deletionReason createdAt`)
+        .populate(authorField, "firstName lastName originalEmail role avatar")
+        .populate("deletedBy", "firstName lastName originalEmail role")
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      // Вопрос может быть тоже удален - подтягиваем его без фильтра корзины
+      if (type !== TRASH_TARGET_TYPES.QUESTION) {
+        itemsQuery = itemsQuery.populate({
+          path: "questionId",
+          select: "title slug deletedAt",
+          options: { withDeleted: true },
+        });
+      }
+
+      const [items, total] = await Promise.all([
+        itemsQuery,
+        Model.countDocuments(query),
+      ]);
+
+      await cryptoService.smartDecrypt(items);
+
+      const data = items.map((item) => ({
+        ...item.toObject(),
+        purgeAt: this._getPurgeDate(item.deletedAt),
+      }));
+
+      return {
+        ...createPaginationResponse(data, total, page, limit),
+        type,
+        retentionDays: trashConfig.retentionDays,
+      };
+    } catch (error) {
+      logError(error, "TrashService.getTrash");
+      throw error;
+    }
+  }
+
+  // Восстановление объекта из корзины (админ)
+  async restore(type, id, adminId) {
+    try {
+      switch (type) {
+        case TRASH_TARGET_TYPES.QUESTION:
+          return await questionService.restoreQuestion(id, adminId);
+        case TRASH_TARGET_TYPES.ANSWER:
+          return await answerService.restoreAnswer(id, adminId);
+        case TRASH_TARGET_TYPES.COMMENT:
+          return await commentService.restoreComment(id, adminId);
+        default:
+          throw new Error("Neplatný typ obsahu");
+      }
+    } catch (error) {
+      logError(error, "TrashService.restore", adminId);
+      throw error;
+    }
+  }
+
+  // Окончательное удаление объектов, пролежавших в корзине дольше срока
+  // хранения (вызывается cron воркером)
+  async purgeExpired() {
+    try {
+      const cutoff = new Date(Date.now() - trashConfig.retentionDays * DAY_MS);
+
+      const result = {
+        questions: await this._purgeQuestions(cutoff),
+        answers: await this._purgeAnswers(cutoff),
+        comments: await this._purgeComments(cutoff),
+      };
+
+      const total = result.questions + result.answers + result.comments;
+
+      if (total > 0) {
+        logUserAction(
+          null,
+          "TRASH_PURGED",
+          `Purged ${result.questions} questions, ${result.answers} answers, ${result.comments} comments`
+        );
+      }
+
+      return { ...result, total };
+    } catch (error) {
+      logError(error, "TrashService.purgeExpired");
+      throw error;
+    }
+  }
+
+  async _getExpiredIds(Model, cutoff) {
+    const items = await Model.find({ deletedAt: { $lt: cutoff } })
+      .select("_id")
+      .limit(trashConfig.purgeBatchSize)
+      .lean();
+
+    return items.map((item) => item._id);
+  }
+
+  async _purgeQuestions(cutoff) {
+    const ids = await this._getExpiredIds(Question, cutoff);
+    if (ids.length === 0) return 0;
+
+    await Promise.all([
+      revisionService.deleteForTargets(REVISION_TARGET_TYPES.QUESTION, ids),
+      Like.deleteMany({
+        targetId: { $in: ids },
+        targetType: LIKE_TARGET_TYPES.QUESTION,
+      }),
+      QuestionWatch.deleteMany({ questionId: { $in: ids } }),
+      SlugHistory.deleteMany({ question: { $in: ids } }),
+    ]);
+
+    const { deletedCount } = await Question.deleteMany({
+      _id: { $in: ids },
+      deletedAt: { $lt: cutoff },
+    });
+
+    writeLog("INFO", `Trash purge: ${deletedCount} questions removed`);
+
+    return deletedCount;
+  }
+
+  async _purgeAnswers(cutoff) {
+    const ids = await this._getExpiredIds(Answer, cutoff);
+    if (ids.length === 0) return 0;
+
+    await Promise.all([
+      revisionService.deleteForTargets(REVISION_TARGET_TYPES.ANSWER, ids),
+      Like.deleteMany({
+        targetId: { $in: ids },
+        targetType: LIKE_TARGET_TYPES.ANSWER,
+      }),
+    ]);
+
+    const { deletedCount } = await Answer.deleteMany({
+      _id: { $in: ids },
+      deletedAt: { $lt: cutoff },
+    });
+
+    writeLog("INFO", `Trash purge: ${deletedCount} answers removed`);
+
+    return deletedCount;
+  }
+
+  async _purgeComments(cutoff) {
+    const ids = await this._getExpiredIds(Comment, cutoff);
+    if (ids.length === 0) return 0;
+
+    await Like.deleteMany({
+      targetId: { $in: ids },
+      targetType: LIKE_TARGET_TYPES.COMMENT,
+    });
+
+    const { deletedCount } = await Comment.deleteMany({
+      _id: { $in: ids },
+      deletedAt: { $lt: cutoff },
+    });
+
+    writeLog("INFO", `Trash purge: ${deletedCount} comments removed`);
+
+    return deletedCount;
+  }
+
+  _getPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + trashConfig.retentionDays * DAY_MS);
+  }
+}
+
+export default new TrashService();
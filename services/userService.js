@@ -245,16 +245,24 @@ class UserService {
           .skip(skip)
           .limit(limit),
 
-        Answer.find({ expert: userId, isApproved: true })
+        Answer.find({
+          expert: userId,
+          isApproved: true,
+          isHidden: { $ne: true },
+        })
           .populate("questionId", "title slug")
           .select("questionId isAccepted likes createdAt")
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit),
 
-        Comment.find({ author: userId, isApproved: true })
+        Comment.find({
+          author: userId,
+          isApproved: true,
+          isHidden: { $ne: true },
+        })
           .populate("questionId", "title slug")
-          .select("questionId content likes createdAt")
+          .select("questionId content contentHtml likes createdAt")
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(limit),
@@ -0,0 +1,301 @@
+// tests/autoHide.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Report from "../models/Report.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import reportService from "../services/reportService.js";
+import questionService from "../services/questionService.js";
+import answerService from "../services/answerService.js";
+import commentService from "../services/commentService.js";
+import cryptoService from "../services/cryptoService.js";
+import config from "../config/index.js";
+import { REPORT_TARGET_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { AUTO_HIDE } = config.REPORTS;
+
+// Автор жалобы: проверенный аккаунт старше порога новых аккаунтов
+const reporter = (overrides = {}) => ({
+  _id: objectId(),
+  rating: 0,
+  isEmailVerified: true,
+  createdAt: new Date(Date.now() - (AUTO_HIDE.NEW_ACCOUNT_DAYS + 1) * DAY_MS),
+  ...overrides,
+});
+
+const newAccount = () => reporter({ createdAt: new Date() });
+
+const reportBy = (reportedBy, overrides = {}) => ({
+  _id: objectId(),
+  reportedBy,
+  isDeprioritized: false,
+  autoHiddenAt: null,
+  ...overrides,
+});
+
+describe("reportService.evaluateAutoHide", () => {
+  let markReports;
+
+  const stubReports = (reports) =>
+    mock.method(Report, "findOpenByTarget", () => queryOf(reports));
+
+  const stubTarget = (Model, target) =>
+    mock.method(Model, "findById", () => queryOf(target));
+
+  beforeEach(() => {
+    markReports = mock.method(Report, "updateMany", async () => ({}));
+  });
+
+  it("hides content once trusted reporters reach the threshold", async () => {
+    const reports = [reportBy(reporter()), reportBy(reporter())];
+    stubReports(reports);
+    stubTarget(Comment, { isApproved: true, isHidden: false });
+    const hide = mock.method(
+      commentService,
+      "setCommentHidden",
+      async () => {}
+    );
+    const targetId = objectId();
+
+    // Порог комментария - 3: двое с рейтингом 100 дают 2 + 2
+    reports.forEach((report) => {
+      report.reportedBy.rating = AUTO_HIDE.RATING_PER_EXTRA_WEIGHT;
+    });
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.COMMENT,
+      targetId
+    );
+
+    assert.deepEqual(result, {
+      hidden: true,
+      score: 4,
+      threshold: AUTO_HIDE.THRESHOLDS.comment,
+    });
+    assert.deepEqual(hide.mock.calls[0].arguments, [targetId, true, null]);
+    assert.deepEqual(markReports.mock.calls[0].arguments[0], {
+      _id: { $in: reports.map((report) => report._id) },
+    });
+    assert.ok(markReports.mock.calls[0].arguments[1].autoHiddenAt);
+  });
+
+  it("caps the weight of a high reputation reporter", async () => {
+    stubReports([reportBy(reporter({ rating: 10000 })), reportBy(reporter())]);
+    const hide = mock.method(
+      questionService,
+      "setQuestionHidden",
+      async () => {}
+    );
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.QUESTION,
+      objectId()
+    );
+
+    assert.equal(result.hidden, false);
+    assert.equal(result.score, AUTO_HIDE.MAX_WEIGHT + 1);
+    assert.equal(hide.mock.callCount(), 0);
+  });
+
+  it("counts new, unverified and low-accuracy reporters with a low weight", async () => {
+    stubReports([
+      reportBy(reporter({ rating: 100 })),
+      reportBy(newAccount()),
+      reportBy(reporter({ isEmailVerified: false })),
+      reportBy(reporter({ rating: 500 }), { isDeprioritized: true }),
+    ]);
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.ANSWER,
+      objectId()
+    );
+
+    assert.equal(result.hidden, false);
+    assert.equal(result.score, 2 + 3 * AUTO_HIDE.NEW_ACCOUNT_WEIGHT);
+  });
+
+  it("requires several established reporters", async () => {
+    // Один доверенный с максимальным весом и много новых аккаунтов
+    stubReports([
+      reportBy(reporter({ rating: 10000 })),
+      ...Array.from({ length: 8 }, () => reportBy(newAccount())),
+    ]);
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.ANSWER,
+      objectId()
+    );
+
+    assert.ok(result.score >= AUTO_HIDE.THRESHOLDS.answer);
+    assert.equal(result.hidden, false);
+    assert.equal(hide.mock.callCount(), 0);
+  });
+
+  it("leaves an answer awaiting moderation untouched", async () => {
+    stubReports([
+      reportBy(reporter({ rating: 100 })),
+      reportBy(reporter({ rating: 100 })),
+    ]);
+    stubTarget(Answer, { isApproved: false, isHidden: false });
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.ANSWER,
+      objectId()
+    );
+
+    assert.equal(result.hidden, false);
+    assert.equal(hide.mock.callCount(), 0);
+    assert.equal(markReports.mock.callCount(), 0);
+  });
+
+  it("leaves deleted content untouched", async () => {
+    stubReports([
+      reportBy(reporter({ rating: 100 })),
+      reportBy(reporter({ rating: 100 })),
+    ]);
+    stubTarget(Answer, { isApproved: true, deletedAt: new Date() });
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    const result = await reportService.evaluateAutoHide(
+      REPORT_TARGET_TYPES.ANSWER,
+      objectId()
+    );
+
+    assert.equal(result.hidden, false);
+    assert.equal(hide.mock.callCount(), 0);
+  });
+
+  it("does not hide the same content twice", async () => {
+    stubReports([reportBy(reporter(), { autoHiddenAt: new Date() })]);
+
+    assert.equal(
+      await reportService.evaluateAutoHide(
+        REPORT_TARGET_TYPES.QUESTION,
+        objectId()
+      ),
+      null
+    );
+  });
+
+  it("ignores an unknown target type", async () => {
+    const find = stubReports([]);
+
+    assert.equal(
+      await reportService.evaluateAutoHide("user", objectId()),
+      null
+    );
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe("hidden content flag", () => {
+  it("hides and restores an answer without moderation side effects", async () => {
+    const answer = new Answer({ isApproved: true });
+    mock.method(Answer, "findById", () => queryOf(answer));
+    const save = mock.method(Answer.prototype, "save", async function () {
+      return this;
+    });
+
+    await answerService.setAnswerHidden(answer._id, true);
+
+    assert.equal(answer.isHidden, true);
+    assert.ok(answer.hiddenAt);
+    assert.equal(answer.isApproved, true);
+
+    await answerService.setAnswerHidden(answer._id, false, objectId());
+
+    assert.equal(answer.isHidden, false);
+    assert.equal(answer.hiddenAt, null);
+    assert.equal(save.mock.callCount(), 2);
+  });
+
+  it("hides a question and a comment", async () => {
+    const question = new Question({});
+    const comment = new Comment({});
+    mock.method(Question, "findById", () => queryOf(question));
+    mock.method(Comment, "findById", () => queryOf(comment));
+    mock.method(Question.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Comment.prototype, "save", async function () {
+      return this;
+    });
+
+    await questionService.setQuestionHidden(question._id, true);
+    await commentService.setCommentHidden(comment._id, true);
+
+    assert.equal(question.isHidden, true);
+    assert.equal(comment.isHidden, true);
+  });
+
+  it("fails for missing content", async () => {
+    mock.method(Comment, "findById", () => queryOf(null));
+
+    await assert.rejects(
+      commentService.setCommentHidden(objectId(), true),
+      /Komentár nebol nájdený/
+    );
+  });
+
+  it("is cleared when a moderator approves the answer", async () => {
+    const answer = new Answer({ isHidden: true, hiddenAt: new Date() });
+    mock.method(Answer.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Question, "findByIdAndUpdate", async () => ({}));
+    mock.method(User, "findByIdAndUpdate", async () => ({}));
+
+    await answer.approve(objectId());
+
+    assert.equal(answer.isHidden, false);
+    assert.equal(answer.hiddenAt, null);
+  });
+});
+
+describe("public reads skip hidden content", () => {
+  beforeEach(() => {
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+  });
+
+  it("filters answers of a question unless moderators ask for all", async () => {
+    const find = mock.method(Answer, "find", () => queryOf([]));
+    const questionId = objectId();
+
+    await answerService.getAnswersForQuestion(questionId);
+    await answerService.getAnswersForQuestion(questionId, {
+      includeUnapproved: true,
+    });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      questionId,
+      isApproved: true,
+      isHidden: { $ne: true },
+    });
+    assert.deepEqual(find.mock.calls[1].arguments[0], { questionId });
+  });
+
+  it("filters comments and their replies", async () => {
+    const find = mock.method(Comment, "find", () => queryOf([]));
+    const questionId = objectId();
+
+    await commentService.getCommentsForQuestion(questionId);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0].isHidden, { $ne: true });
+  });
+
+  it("keeps hidden questions out of the public filter", () => {
+    assert.deepEqual(Question.getPublicFilter(), {
+      isHidden: { $ne: true },
+      deletedAt: null,
+    });
+  });
+});
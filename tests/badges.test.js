@@ -0,0 +1,134 @@
+// tests/badges.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import UserBadge from "../models/UserBadge.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import badgeService from "../services/badgeService.js";
+import notificationService from "../services/notificationService.js";
+import { badgeConfig } from "../config/badges.js";
+import { BADGE_CRITERIA, DEFAULT_CATEGORIES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+const ALL_CODES = badgeConfig.definitions.map((definition) => definition.code);
+
+let notify;
+
+beforeEach(() => {
+  notify = mock.method(
+    notificationService,
+    "notifyUserAboutBadge",
+    async () => {}
+  );
+  mock.method(UserBadge, "create", async (doc) => doc);
+});
+
+afterEach(() => mock.restoreAll());
+
+// Показатели пользователя: ответы по фильтру countDocuments и агрегации
+const stubMetrics = ({ accepted = 0, approved = 0, likes = 0, loans = 0 }) => {
+  mock.method(Answer, "countDocuments", async (filter) =>
+    filter.isAccepted ? accepted : approved
+  );
+  mock.method(Question, "aggregate", async () => [{ total: likes }]);
+  mock.method(Answer, "aggregate", async (pipeline) =>
+    pipeline.some((stage) => stage.$lookup)
+      ? [{ _id: DEFAULT_CATEGORIES.LOANS, count: loans }]
+      : [{ total: 0 }]
+  );
+};
+
+describe("badgeService.evaluate", () => {
+  it("awards badges whose threshold is reached and notifies the user", async () => {
+    const userId = objectId();
+    mock.method(UserBadge, "distinct", async () => []);
+    stubMetrics({ accepted: 1, approved: 50, likes: 20, loans: 10 });
+
+    const awarded = await badgeService.evaluate(userId);
+
+    assert.deepEqual(
+      awarded.map((badge) => badge.badge),
+      ["first_accepted_answer", "approved_answers_50", "loans_answers_10"]
+    );
+    assert.equal(awarded[0].value, 1);
+    assert.equal(notify.mock.callCount(), 3);
+  });
+
+  it("skips badges the user already owns", async () => {
+    mock.method(UserBadge, "distinct", async () => ["first_accepted_answer"]);
+    stubMetrics({ accepted: 3 });
+
+    const awarded = await badgeService.evaluate(objectId());
+
+    assert.deepEqual(awarded, []);
+  });
+
+  it("does not compute metrics when every badge is owned", async () => {
+    mock.method(UserBadge, "distinct", async () => ALL_CODES);
+    const count = mock.method(Answer, "countDocuments");
+
+    assert.deepEqual(await badgeService.evaluate(objectId()), []);
+    assert.equal(count.mock.callCount(), 0);
+  });
+
+  it("ignores a badge awarded concurrently", async () => {
+    mock.method(UserBadge, "distinct", async () => []);
+    stubMetrics({ accepted: 1 });
+    UserBadge.create.mock.mockImplementation(async () => {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    });
+
+    assert.deepEqual(await badgeService.evaluate(objectId()), []);
+    assert.equal(notify.mock.callCount(), 0);
+  });
+
+  it("never fails the action that triggered the check", async () => {
+    mock.method(UserBadge, "distinct", async () => {
+      throw new Error("db down");
+    });
+
+    assert.deepEqual(await badgeService.evaluate(objectId()), []);
+  });
+});
+
+describe("badgeService._getMetricValue", () => {
+  it("reads category metrics per category", () => {
+    const metrics = {
+      [BADGE_CRITERIA.CATEGORY_ANSWERS]: { [DEFAULT_CATEGORIES.LOANS]: 4 },
+    };
+
+    assert.equal(
+      badgeService._getMetricValue(metrics, {
+        type: BADGE_CRITERIA.CATEGORY_ANSWERS,
+        category: DEFAULT_CATEGORIES.LOANS,
+      }),
+      4
+    );
+    assert.equal(
+      badgeService._getMetricValue(metrics, {
+        type: BADGE_CRITERIA.CATEGORY_ANSWERS,
+        category: DEFAULT_CATEGORIES.BANKING,
+      }),
+      0
+    );
+  });
+});
+
+describe("badgeService.getUserBadges", () => {
+  it("describes owned badges and drops retired codes", async () => {
+    const awardedAt = new Date();
+    mock.method(UserBadge, "find", () =>
+      queryOf([
+        { badge: "first_accepted_answer", value: 1, createdAt: awardedAt },
+        { badge: "retired_badge", value: 5, createdAt: awardedAt },
+      ])
+    );
+
+    const badges = await badgeService.getUserBadges(objectId());
+
+    assert.equal(badges.length, 1);
+    assert.equal(badges[0].name, "Prvá prijatá odpoveď");
+    assert.equal(badges[0].awardedAt, awardedAt);
+  });
+});
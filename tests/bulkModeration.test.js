@@ -0,0 +1,434 @@
+// tests/bulkModeration.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Report from "../models/Report.js";
+import bulkModerationService from "../services/bulkModerationService.js";
+import questionService from "../services/questionService.js";
+import answerService from "../services/answerService.js";
+import commentService from "../services/commentService.js";
+import reportService from "../services/reportService.js";
+import categoryService from "../services/categoryService.js";
+import moderationQueueService from "../services/moderationQueueService.js";
+import adminController from "../controllers/adminController.js";
+import { errorHandler } from "../middlewares/errorHandler.js";
+import {
+  QUESTION_STATUS,
+  REPORT_STATUS,
+  REPORT_ACTIONS,
+  USER_ROLES,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+// Документы по id для Model.findById
+const stubDocs = (Model, docs) => {
+  const byId = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+  return mock.method(Model, "findById", (id) =>
+    queryOf(byId.get(id.toString()) || null)
+  );
+};
+
+describe("bulkModerationService._diff", () => {
+  it("keeps only the fields that change", () => {
+    assert.deepEqual(
+      bulkModerationService._diff({
+        isApproved: [false, true],
+        isHidden: [false, false],
+        category: ["auta", "auta"],
+      }),
+      { isApproved: { from: false, to: true } }
+    );
+  });
+});
+
+describe("bulkModerationService.moderate", () => {
+  let moderatorId;
+  let assertClaim;
+
+  beforeEach(() => {
+    moderatorId = objectId();
+    assertClaim = mock.method(
+      moderationQueueService,
+      "assertNotClaimedByOther",
+      async () => {}
+    );
+  });
+
+  it("plans answer approval without executing it in a dry run", async () => {
+    const pending = new Answer({ isApproved: false, isHidden: true });
+    const done = new Answer({ isApproved: true, moderatedBy: objectId() });
+    stubDocs(Answer, [pending, done]);
+    const moderate = mock.method(answerService, "moderateAnswer");
+
+    const result = await bulkModerationService.moderate(
+      "answer",
+      [pending._id, done._id],
+      moderatorId,
+      { action: "approve", dryRun: true }
+    );
+
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.results[0].changes, {
+      isApproved: { from: false, to: true },
+      isHidden: { from: true, to: false },
+      moderated: { from: false, to: true },
+    });
+    assert.equal(result.results[1].changed, false);
+    assert.deepEqual(result.summary, {
+      total: 2,
+      success: 2,
+      changed: 1,
+      errors: 0,
+    });
+    assert.equal(moderate.mock.callCount(), 0);
+  });
+
+  it("executes only the items that change", async () => {
+    const pending = new Answer({ isApproved: false });
+    const done = new Answer({ isApproved: true, moderatedBy: objectId() });
+    stubDocs(Answer, [pending, done]);
+    const moderate = mock.method(
+      answerService,
+      "moderateAnswer",
+      async () => ({})
+    );
+
+    const result = await bulkModerationService.moderate(
+      "answer",
+      [pending._id, done._id],
+      moderatorId,
+      { action: "approve", comment: "OK" }
+    );
+
+    assert.equal(result.dryRun, false);
+    assert.equal(moderate.mock.callCount(), 1);
+    assert.deepEqual(moderate.mock.calls[0].arguments, [
+      pending._id,
+      true,
+      moderatorId,
+      "OK",
+    ]);
+  });
+
+  it("keeps a rejected comment hidden and records the decision", async () => {
+    const comment = new Comment({ isApproved: false, isHidden: true });
+    stubDocs(Comment, [comment]);
+    const moderate = mock.method(
+      commentService,
+      "moderateComment",
+      async () => ({})
+    );
+
+    const result = await bulkModerationService.moderate(
+      "comment",
+      [comment._id],
+      moderatorId,
+      { action: "reject" }
+    );
+
+    assert.deepEqual(result.results[0].changes, {
+      moderated: { from: false, to: true },
+    });
+    assert.deepEqual(moderate.mock.calls[0].arguments, [
+      comment._id,
+      false,
+      moderatorId,
+    ]);
+  });
+
+  it("plans question changes", async () => {
+    const hidden = new Question({ isHidden: true, category: "auta" });
+    const closed = new Question({
+      status: QUESTION_STATUS.CLOSED,
+      category: "auta",
+    });
+    stubDocs(Question, [hidden, closed]);
+
+    const approve = await bulkModerationService.moderate(
+      "question",
+      [hidden._id],
+      moderatorId,
+      { action: "approve", dryRun: true }
+    );
+    const close = await bulkModerationService.moderate(
+      "question",
+      [closed._id],
+      moderatorId,
+      { action: "close", dryRun: true }
+    );
+    const remove = await bulkModerationService.moderate(
+      "question",
+      [closed._id],
+      moderatorId,
+      { action: "delete", dryRun: true }
+    );
+
+    assert.deepEqual(approve.results[0].changes, {
+      isHidden: { from: true, to: false },
+    });
+    assert.equal(close.results[0].changed, false);
+    assert.deepEqual(remove.results[0].changes, {
+      deleted: { from: false, to: true },
+    });
+  });
+
+  it("moves questions to a resolved category", async () => {
+    const question = new Question({ category: "auta" });
+    stubDocs(Question, [question]);
+    mock.method(categoryService, "resolveCategorySlug", async () => "hypoteky");
+    const update = mock.method(
+      questionService,
+      "updateQuestion",
+      async () => ({})
+    );
+
+    const result = await bulkModerationService.moderate(
+      "question",
+      [question._id],
+      moderatorId,
+      { action: "change_category", category: "Hypoteky" }
+    );
+
+    assert.deepEqual(result.results[0].changes, {
+      category: { from: "auta", to: "hypoteky" },
+    });
+    assert.deepEqual(update.mock.calls[0].arguments, [
+      question._id,
+      { category: "hypoteky" },
+      moderatorId,
+    ]);
+  });
+
+  it("rejects an unknown category before touching any item", async () => {
+    mock.method(categoryService, "resolveCategorySlug", async () => {
+      throw new Error("Neplatná kategória");
+    });
+    const find = mock.method(Question, "findById");
+
+    await assert.rejects(
+      bulkModerationService.moderate("question", [objectId()], moderatorId, {
+        action: "change_category",
+        category: "neexistuje",
+      }),
+      (error) => error.statusCode === HTTP_STATUS.BAD_REQUEST
+    );
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("plans and executes report decisions", async () => {
+    const pending = new Report({ status: REPORT_STATUS.PENDING });
+    const reviewed = new Report({ status: REPORT_STATUS.REVIEWED });
+    stubDocs(Report, [pending, reviewed]);
+    const resolve = mock.method(
+      reportService,
+      "resolveReport",
+      async () => ({})
+    );
+
+    const result = await bulkModerationService.moderate(
+      "report",
+      [pending._id, reviewed._id],
+      moderatorId,
+      { action: "resolve", reportAction: REPORT_ACTIONS.WARN, banDays: 3 }
+    );
+
+    assert.deepEqual(result.results[1].changes, {
+      status: { from: "reviewed", to: "resolved" },
+      outcome: { from: null, to: "warn" },
+    });
+    assert.deepEqual(resolve.mock.calls[0].arguments, [
+      pending._id,
+      moderatorId,
+      { action: REPORT_ACTIONS.WARN, comment: null, banDays: 3 },
+    ]);
+    assert.equal(resolve.mock.callCount(), 2);
+  });
+
+  it("dismisses reports through the resolution flow", async () => {
+    const report = new Report({ status: REPORT_STATUS.PENDING });
+    stubDocs(Report, [report]);
+    const resolve = mock.method(
+      reportService,
+      "resolveReport",
+      async () => ({})
+    );
+
+    await bulkModerationService.moderate("report", [report._id], moderatorId, {
+      action: "dismiss",
+      comment: "Neopodstatnené",
+    });
+
+    assert.deepEqual(resolve.mock.calls[0].arguments[2], {
+      action: REPORT_ACTIONS.DISMISS,
+      comment: "Neopodstatnené",
+    });
+  });
+
+  it("reports per-item errors without stopping the batch", async () => {
+    const reviewed = new Report({ status: REPORT_STATUS.REVIEWED });
+    const closed = new Report({ status: REPORT_STATUS.DISMISSED });
+    const pending = new Report({ status: REPORT_STATUS.PENDING });
+    stubDocs(Report, [reviewed, closed, pending]);
+    const review = mock.method(reportService, "reviewReport", async () => ({}));
+    const missingId = objectId();
+
+    const result = await bulkModerationService.moderate(
+      "report",
+      [reviewed._id, closed._id, missingId, pending._id],
+      moderatorId,
+      { action: "review" }
+    );
+
+    assert.deepEqual(
+      result.results.map((item) => item.error || null),
+      [
+        "Sťažnosť už bola posúdená",
+        "Sťažnosť už bola vybavená",
+        "Sťažnosť nebola nájdená",
+        null,
+      ]
+    );
+    assert.equal(result.summary.errors, 3);
+    assert.equal(result.summary.changed, 1);
+    assert.deepEqual(review.mock.calls[0].arguments[0], pending._id);
+  });
+
+  it("skips items claimed by another moderator", async () => {
+    const answer = new Answer({ isApproved: false });
+    stubDocs(Answer, [answer]);
+    assertClaim.mock.mockImplementation(async () => {
+      throw new Error("Položku práve spracúva iný moderátor");
+    });
+    const moderate = mock.method(answerService, "moderateAnswer");
+
+    const result = await bulkModerationService.moderate(
+      "answer",
+      [answer._id],
+      moderatorId,
+      { action: "approve" }
+    );
+
+    assert.equal(result.results[0].success, false);
+    assert.match(result.results[0].error, /iný moderátor/);
+    assert.equal(moderate.mock.callCount(), 0);
+  });
+});
+
+describe("bulk moderation endpoint", () => {
+  let server;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: objectId(), role: req.get("X-Role") };
+      next();
+    });
+    app.post("/bulk", adminController.bulkModerateContent);
+    app.use(errorHandler);
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const post = (body, role = USER_ROLES.ADMIN) =>
+    server.request("/bulk", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Role": role },
+      body: JSON.stringify(body),
+    });
+
+  it("runs a dry run only when explicitly requested", async () => {
+    const moderate = mock.method(
+      bulkModerationService,
+      "moderate",
+      async () => ({ summary: { changed: 0, errors: 0 } })
+    );
+    const itemIds = [objectId().toString()];
+
+    const dry = await post({
+      contentType: "answer",
+      itemIds,
+      action: "approve",
+      dryRun: true,
+    });
+    await post({
+      contentType: "answer",
+      itemIds,
+      action: "approve",
+      dryRun: "true",
+    });
+
+    assert.equal(dry.status, 200);
+    assert.match(dry.body.message, /Skúšobná moderácia/);
+    assert.equal(moderate.mock.calls[0].arguments[3].dryRun, true);
+    assert.equal(moderate.mock.calls[1].arguments[3].dryRun, false);
+  });
+
+  it("lets only admins moderate questions and reports", async () => {
+    const moderate = mock.method(bulkModerationService, "moderate");
+
+    const { status } = await post(
+      {
+        contentType: "report",
+        itemIds: [objectId().toString()],
+        action: "dismiss",
+      },
+      USER_ROLES.EXPERT
+    );
+
+    assert.equal(status, 403);
+    assert.equal(moderate.mock.callCount(), 0);
+  });
+
+  it("validates the batch", async () => {
+    const moderate = mock.method(bulkModerationService, "moderate");
+    const tooMany = Array.from({ length: 51 }, () => objectId().toString());
+
+    const responses = await Promise.all([
+      post({ contentType: "answer", itemIds: tooMany, action: "approve" }),
+      post({ contentType: "answer", itemIds: ["zle-id"], action: "approve" }),
+      post({
+        contentType: "answer",
+        itemIds: [objectId().toString()],
+        action: "close",
+      }),
+      post({
+        contentType: "report",
+        itemIds: [objectId().toString()],
+        action: "resolve",
+        reportAction: REPORT_ACTIONS.DISMISS,
+      }),
+      post({
+        contentType: "question",
+        itemIds: [objectId().toString()],
+        action: "change_category",
+      }),
+    ]);
+
+    assert.deepEqual(
+      responses.map((response) => response.status),
+      [400, 400, 400, 400, 400]
+    );
+    assert.equal(moderate.mock.callCount(), 0);
+  });
+});
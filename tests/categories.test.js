@@ -0,0 +1,156 @@
+// tests/categories.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Category from "../models/Category.js";
+import Question from "../models/Question.js";
+import categoryService from "../services/categoryService.js";
+import slugService from "../services/slugService.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("categoryService.getCategoryTree", () => {
+  it("nests categories at any depth", async () => {
+    const rootId = objectId();
+    const childId = objectId();
+    mock.method(Category, "find", () =>
+      queryOf([
+        { _id: rootId, slug: "loans", parentCategory: null },
+        { _id: childId, slug: "mortgages", parentCategory: rootId },
+        { _id: objectId(), slug: "fixed", parentCategory: childId },
+      ])
+    );
+
+    const tree = await categoryService.getCategoryTree();
+
+    assert.equal(tree.length, 1);
+    assert.equal(tree[0].children[0].slug, "mortgages");
+    assert.equal(tree[0].children[0].children[0].slug, "fixed");
+  });
+
+  it("lifts children of a hidden parent to the top level", async () => {
+    const find = mock.method(Category, "find", () =>
+      queryOf([{ _id: objectId(), slug: "orphan", parentCategory: objectId() }])
+    );
+
+    const tree = await categoryService.getCategoryTree();
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { isActive: true });
+    assert.equal(tree[0].slug, "orphan");
+  });
+});
+
+describe("categoryService.createCategory", () => {
+  beforeEach(() => {
+    mock.method(Category.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(slugService, "generateUniqueCategorySlug", async () => "auta");
+  });
+
+  it("creates a category with a generated slug", async () => {
+    mock.method(Category, "findOne", async () => null);
+
+    const category = await categoryService.createCategory(
+      { name: "Autá", sortOrder: 3 },
+      objectId()
+    );
+
+    assert.equal(category.slug, "auta");
+    assert.equal(category.sortOrder, 3);
+    assert.equal(category.parentCategory, null);
+  });
+
+  it("rejects a duplicate name", async () => {
+    mock.method(Category, "findOne", async () => ({ name: "Autá" }));
+
+    await assert.rejects(
+      categoryService.createCategory({ name: "Autá" }, objectId()),
+      /Kategória s týmto názvom už existuje/
+    );
+  });
+
+  it("rejects a missing parent", async () => {
+    mock.method(Category, "findOne", async () => null);
+    mock.method(Category, "findById", () => queryOf(null));
+
+    await assert.rejects(
+      categoryService.createCategory(
+        { name: "Autá", parentCategory: objectId() },
+        objectId()
+      ),
+      /Rodičovská kategória nebola nájdená/
+    );
+  });
+});
+
+describe("categoryService._ensureParentExists", () => {
+  it("rejects a parent that descends from the category itself", async () => {
+    const categoryId = objectId();
+    const childId = objectId();
+    const parents = new Map([
+      [childId.toString(), { _id: childId, parentCategory: categoryId }],
+      [categoryId.toString(), { _id: categoryId, parentCategory: null }],
+    ]);
+    mock.method(Category, "findById", (id) =>
+      queryOf(parents.get(id.toString()))
+    );
+
+    await assert.rejects(
+      categoryService._ensureParentExists(childId, categoryId),
+      /Kategória nemôže byť sama sebe rodičom/
+    );
+  });
+});
+
+describe("categoryService.deleteCategory", () => {
+  it("refuses to delete a category that still has questions", async () => {
+    const category = new Category({ name: "Autá", slug: "auta" });
+    const deleteOne = mock.method(category, "deleteOne", async () => {});
+    mock.method(Category, "findById", async () => category);
+    mock.method(Question, "countDocuments", async () => 2);
+
+    await assert.rejects(
+      categoryService.deleteCategory(category._id, objectId()),
+      /obsahuje 2 otázok/
+    );
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("deletes an empty category", async () => {
+    const category = new Category({ name: "Autá", slug: "auta" });
+    const deleteOne = mock.method(category, "deleteOne", async () => {});
+    mock.method(Category, "findById", async () => category);
+    mock.method(Question, "countDocuments", async () => 0);
+
+    assert.equal(
+      await categoryService.deleteCategory(category._id, objectId()),
+      true
+    );
+    assert.equal(deleteOne.mock.callCount(), 1);
+  });
+});
+
+describe("categoryService.resolveCategorySlug", () => {
+  it("accepts an active category regardless of case", async () => {
+    const findOne = mock.method(Category, "findOne", () =>
+      queryOf({ slug: "loans" })
+    );
+
+    assert.equal(await categoryService.resolveCategorySlug("LOANS"), "loans");
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      slug: "loans",
+      isActive: true,
+    });
+  });
+
+  it("rejects an unknown or inactive category", async () => {
+    mock.method(Category, "findOne", () => queryOf(null));
+
+    await assert.rejects(
+      categoryService.resolveCategorySlug("unknown"),
+      /Neplatná kategória/
+    );
+  });
+});
@@ -0,0 +1,217 @@
+// tests/digest.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import NotificationSettings from "../models/NotificationSettings.js";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import digestService from "../services/digestService.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import { DIGEST_FREQUENCY } from "../utils/constants.js";
+import { digestConfig } from "../config/digest.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => mock.restoreAll());
+
+const emptyDigest = () => ({
+  since: new Date(),
+  newAnswers: [],
+  commentReplies: [],
+  newQuestions: [],
+});
+
+describe("digestService.buildDigestForUser", () => {
+  it("skips the queries when the user has nothing to follow", async () => {
+    mock.method(Question, "distinct", async () => []);
+    mock.method(Comment, "distinct", async () => []);
+    const answerFind = mock.method(Answer, "find", () => queryOf([]));
+    const questionFind = mock.method(Question, "find", () => queryOf([]));
+
+    const digest = await digestService.buildDigestForUser(
+      objectId(),
+      new Date()
+    );
+
+    assert.equal(answerFind.mock.callCount(), 0);
+    assert.equal(questionFind.mock.callCount(), 0);
+    assert.deepEqual(digest.newAnswers, []);
+    assert.deepEqual(digest.newQuestions, []);
+  });
+
+  it("collects visible answers, replies and public questions", async () => {
+    const since = new Date(Date.now() - DAY_MS);
+    const question = { title: "Ako splatiť úver?", slug: "ako-splatit-uver" };
+    mock.method(Question, "distinct", async () => [objectId()]);
+    mock.method(Comment, "distinct", async () => [objectId()]);
+    const answerFind = mock.method(Answer, "find", () =>
+      queryOf([
+        { questionId: question, moderatedAt: new Date() },
+        { questionId: null, moderatedAt: new Date() },
+      ])
+    );
+    const commentFind = mock.method(Comment, "find", () =>
+      queryOf([
+        { questionId: question, content: "x".repeat(150), createdAt: since },
+      ])
+    );
+    const questionFind = mock.method(Question, "find", () =>
+      queryOf([{ ...question, category: "loans", createdAt: since }])
+    );
+
+    const digest = await digestService.buildDigestForUser(objectId(), since, [
+      "loans",
+    ]);
+
+    assert.deepEqual(answerFind.mock.calls[0].arguments[0].isHidden, {
+      $ne: true,
+    });
+    assert.deepEqual(commentFind.mock.calls[0].arguments[0].isHidden, {
+      $ne: true,
+    });
+    const questionFilter = questionFind.mock.calls[0].arguments[0];
+    assert.deepEqual(questionFilter.isHidden, { $ne: true });
+    assert.equal(questionFilter.deletedAt, null);
+
+    assert.equal(digest.newAnswers.length, 1);
+    assert.match(digest.newAnswers[0].link, /ako-splatit-uver$/);
+    assert.equal(digest.commentReplies[0].preview.length, 100);
+    assert.equal(digest.newQuestions[0].category, "loans");
+  });
+});
+
+describe("digestService.sendDigests", () => {
+  let settingsList;
+  let claimed;
+
+  const settingsFor = (lastSentAt = null) =>
+    new NotificationSettings({
+      user: objectId(),
+      digest: { frequency: DIGEST_FREQUENCY.DAILY, lastSentAt },
+    });
+
+  beforeEach(() => {
+    settingsList = [];
+    claimed = new Set();
+    mock.method(NotificationSettings, "find", () => ({
+      cursor: () => settingsList,
+    }));
+    mock.method(NotificationSettings, "findOneAndUpdate", async (filter) => {
+      const settings = settingsList.find((item) => item._id === filter._id);
+      if (claimed.has(settings)) return null;
+
+      claimed.add(settings);
+      return settings;
+    });
+    mock.method(User, "findById", () =>
+      queryOf({ isActive: true, isBanned: false })
+    );
+  });
+
+  it("rejects an unknown frequency", async () => {
+    await assert.rejects(
+      digestService.sendDigests("hourly"),
+      /Neplatná frekvencia súhrnu/
+    );
+  });
+
+  it("queues one email per user with activity and counts empty digests", async () => {
+    settingsList = [settingsFor(), settingsFor()];
+    let call = 0;
+    mock.method(digestService, "buildDigestForUser", async () =>
+      call++ === 0
+        ? { ...emptyDigest(), newQuestions: [{ questionTitle: "Otázka" }] }
+        : emptyDigest()
+    );
+    const enqueue = mock.method(emailOutboxService, "enqueue", async () => {});
+
+    const result = await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    assert.equal(result.checked, 2);
+    assert.equal(result.sent, 1);
+    assert.equal(result.empty, 1);
+    assert.equal(enqueue.mock.callCount(), 1);
+    assert.equal(
+      enqueue.mock.calls[0].arguments[1],
+      digestConfig.emailTemplate
+    );
+  });
+
+  it("starts the digest at the last send, or one period back", async () => {
+    const lastSentAt = new Date(Date.now() - 2 * DAY_MS);
+    settingsList = [settingsFor(lastSentAt), settingsFor()];
+    const build = mock.method(digestService, "buildDigestForUser", async () =>
+      emptyDigest()
+    );
+
+    await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    assert.equal(build.mock.calls[0].arguments[1], lastSentAt);
+    const since = build.mock.calls[1].arguments[1].getTime();
+    assert.ok(Math.abs(Date.now() - DAY_MS - since) < 5000);
+  });
+
+  it("skips users already claimed by another instance", async () => {
+    const settings = settingsFor();
+    settingsList = [settings];
+    claimed.add(settings);
+    const build = mock.method(digestService, "buildDigestForUser", async () =>
+      emptyDigest()
+    );
+
+    const result = await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    assert.equal(result.skipped, 1);
+    assert.equal(build.mock.callCount(), 0);
+  });
+
+  it("only claims users whose last digest is older than the minimum interval", async () => {
+    settingsList = [settingsFor()];
+    mock.method(digestService, "buildDigestForUser", async () => emptyDigest());
+
+    await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    const [filter, update] =
+      NotificationSettings.findOneAndUpdate.mock.calls[0].arguments;
+    const claimBefore = filter.$or[1]["digest.lastSentAt"].$lt;
+    const now = update.$set["digest.lastSentAt"];
+    assert.equal(
+      now.getTime() - claimBefore.getTime(),
+      DAY_MS * digestConfig.minIntervalRatio
+    );
+  });
+
+  it("ignores inactive and banned users", async () => {
+    settingsList = [settingsFor()];
+    User.findById.mock.mockImplementation(() =>
+      queryOf({ isActive: true, isBanned: true })
+    );
+
+    const result = await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    assert.equal(result.checked, 1);
+    assert.equal(result.sent + result.empty + result.skipped, 0);
+    assert.equal(NotificationSettings.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it("restores the previous send time when queuing fails", async () => {
+    const lastSentAt = new Date(Date.now() - 2 * DAY_MS);
+    settingsList = [settingsFor(lastSentAt)];
+    mock.method(digestService, "buildDigestForUser", async () => {
+      throw new Error("db down");
+    });
+    const updateOne = mock.method(NotificationSettings, "updateOne", () =>
+      queryOf({ modifiedCount: 1 })
+    );
+
+    const result = await digestService.sendDigests(DIGEST_FREQUENCY.DAILY);
+
+    assert.equal(result.failed, 1);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.ok(filter["digest.lastSentAt"] instanceof Date);
+    assert.equal(update.$set["digest.lastSentAt"], lastSentAt);
+  });
+});
@@ -0,0 +1,281 @@
+// tests/duplicates.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import questionService from "../services/questionService.js";
+import reputationService from "../services/reputationService.js";
+import categoryService from "../services/categoryService.js";
+import cryptoService from "../services/cryptoService.js";
+import config from "../config/index.js";
+import { QUESTION_STATUS, REPUTATION_EVENTS } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("questionService.findDuplicateCandidates", () => {
+  it("keeps only candidates above the text score threshold", async () => {
+    const { MIN_TEXT_SCORE } = config.QUESTION_DUPLICATES;
+    const find = mock.method(Question, "find", () =>
+      queryOf([
+        { slug: "close", score: MIN_TEXT_SCORE + 1.234 },
+        { slug: "far", score: MIN_TEXT_SCORE - 1 },
+      ])
+    );
+    const excludeId = objectId();
+
+    const candidates = await questionService.findDuplicateCandidates(
+      "  Refinancovanie hypotéky s fixáciou  ",
+      { excludeId }
+    );
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      $text: { $search: "Refinancovanie hypotéky s fixáciou" },
+      duplicateOf: null,
+      isHidden: { $ne: true },
+      _id: { $ne: excludeId },
+    });
+    assert.deepEqual(candidates, [
+      { slug: "close", score: MIN_TEXT_SCORE + 1.23 },
+    ]);
+  });
+
+  it("skips the search for a too short title", async () => {
+    const find = mock.method(Question, "find", () => queryOf([]));
+
+    assert.deepEqual(await questionService.findDuplicateCandidates(" ab "), []);
+    assert.deepEqual(await questionService.findDuplicateCandidates(null), []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe("questionService.mergeQuestion", () => {
+  let duplicate;
+  let canonical;
+  let answerUpdate;
+  let revoke;
+
+  // Вопросы ищутся по id, последний запрос возвращает основной вопрос
+  const stubQuestions = () => {
+    const byId = new Map(
+      [duplicate, canonical].map((question) => [
+        question._id.toString(),
+        question,
+      ])
+    );
+    mock.method(Question, "findById", (id) =>
+      queryOf(byId.get(id.toString()) || null)
+    );
+  };
+
+  const stubMoved = ({ answers = 0, comments = 0, accepted = [] } = {}) => {
+    mock.method(Answer, "countDocuments", async () => answers);
+    mock.method(Comment, "countDocuments", async () => comments);
+    mock.method(Answer, "exists", async () =>
+      accepted.length > 0 ? { _id: accepted[0] } : null
+    );
+    mock.method(Answer, "find", () =>
+      queryOf(accepted.map((_id) => ({ _id })))
+    );
+  };
+
+  beforeEach(() => {
+    duplicate = new Question({
+      author: objectId(),
+      slug: "duplikat",
+      category: "auta",
+      answersCount: 2,
+      commentsCount: 1,
+      hasAcceptedAnswer: true,
+    });
+    canonical = new Question({
+      author: objectId(),
+      slug: "povodna",
+      category: "hypoteky",
+      status: QUESTION_STATUS.PENDING,
+    });
+
+    mock.method(Question.prototype, "save", async function () {
+      return this;
+    });
+    answerUpdate = mock.method(Answer, "updateMany", async () => ({}));
+    mock.method(Comment, "updateMany", async () => ({}));
+    mock.method(QuestionWatch, "getWatcherIds", async () => []);
+    mock.method(QuestionWatch, "deleteMany", async () => ({}));
+    revoke = mock.method(reputationService, "revoke", async () => null);
+    mock.method(categoryService, "syncCounts", async () => {});
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+  });
+
+  it("moves answers and comments and closes the duplicate", async () => {
+    stubQuestions();
+    stubMoved({ answers: 2, comments: 3, accepted: [objectId()] });
+    const adminId = objectId();
+
+    const result = await questionService.mergeQuestion(
+      duplicate._id,
+      canonical._id,
+      adminId
+    );
+
+    assert.deepEqual(answerUpdate.mock.calls[0].arguments, [
+      { questionId: duplicate._id },
+      { questionId: canonical._id },
+    ]);
+    assert.equal(canonical.answersCount, 2);
+    assert.equal(canonical.commentsCount, 3);
+    assert.equal(canonical.hasAcceptedAnswer, true);
+    assert.equal(canonical.status, QUESTION_STATUS.ANSWERED);
+    assert.ok(canonical.answeredAt);
+    assert.equal(duplicate.duplicateOf, canonical._id);
+    assert.equal(duplicate.mergedBy, adminId);
+    assert.equal(duplicate.status, QUESTION_STATUS.CLOSED);
+    assert.equal(duplicate.answersCount, 0);
+    assert.equal(duplicate.hasAcceptedAnswer, false);
+    assert.equal(revoke.mock.callCount(), 0);
+    assert.deepEqual(result.moved, { answers: 2, comments: 3 });
+    assert.equal(result.canonical, canonical);
+  });
+
+  it("demotes the moved acceptance and revokes its reputation", async () => {
+    canonical.hasAcceptedAnswer = true;
+    const acceptedId = objectId();
+    stubQuestions();
+    stubMoved({ answers: 1, accepted: [acceptedId] });
+
+    await questionService.mergeQuestion(
+      duplicate._id,
+      canonical._id,
+      objectId()
+    );
+
+    assert.deepEqual(answerUpdate.mock.calls[0].arguments[1], {
+      questionId: canonical._id,
+      isAccepted: false,
+      acceptedAt: null,
+    });
+    assert.deepEqual(revoke.mock.calls[0].arguments, [
+      REPUTATION_EVENTS.ANSWER_ACCEPTED,
+      acceptedId,
+      duplicate.author,
+    ]);
+  });
+
+  it("moves watchers without duplicating existing ones", async () => {
+    const watchers = [objectId(), objectId()];
+    QuestionWatch.getWatcherIds.mock.mockImplementation(async () => watchers);
+    const bulkWrite = mock.method(QuestionWatch, "bulkWrite", async () => ({}));
+    stubQuestions();
+    stubMoved();
+
+    await questionService.mergeQuestion(
+      duplicate._id,
+      canonical._id,
+      objectId()
+    );
+
+    const [operation] = bulkWrite.mock.calls[0].arguments[0];
+    assert.equal(bulkWrite.mock.calls[0].arguments[0].length, 2);
+    assert.deepEqual(operation.updateOne.filter, {
+      user: watchers[0],
+      questionId: canonical._id,
+    });
+    assert.equal(operation.updateOne.upsert, true);
+    assert.deepEqual(QuestionWatch.deleteMany.mock.calls[0].arguments[0], {
+      questionId: duplicate._id,
+    });
+  });
+
+  it("rejects merging a question into itself", async () => {
+    await assert.rejects(
+      questionService.mergeQuestion(duplicate._id, duplicate._id, objectId()),
+      /samu so sebou/
+    );
+  });
+
+  it("rejects an already merged duplicate or a duplicate target", async () => {
+    duplicate.duplicateOf = objectId();
+    stubQuestions();
+
+    await assert.rejects(
+      questionService.mergeQuestion(duplicate._id, canonical._id, objectId()),
+      /už bola označená ako duplikát/
+    );
+
+    duplicate.duplicateOf = null;
+    canonical.duplicateOf = objectId();
+
+    await assert.rejects(
+      questionService.mergeQuestion(duplicate._id, canonical._id, objectId()),
+      /Cieľová otázka je sama duplikátom/
+    );
+    assert.equal(answerUpdate.mock.callCount(), 0);
+  });
+
+  it("rejects a missing question", async () => {
+    stubQuestions();
+
+    await assert.rejects(
+      questionService.mergeQuestion(duplicate._id, objectId(), objectId()),
+      /Otázka nebola nájdená/
+    );
+  });
+});
+
+describe("POST /api/questions/duplicate-check", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const post = (title) =>
+    server.request("/api/questions/duplicate-check", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title }),
+    });
+
+  it("returns similar questions", async () => {
+    const find = mock.method(
+      questionService,
+      "findDuplicateCandidates",
+      async () => [{ slug: "refinancovanie", score: 20 }]
+    );
+
+    const { status, body } = await post("Refinancovanie hypotéky");
+
+    assert.equal(status, 200);
+    assert.equal(body.data.hasDuplicates, true);
+    assert.equal(find.mock.calls[0].arguments[0], "Refinancovanie hypotéky");
+  });
+
+  it("rejects a too short title", async () => {
+    const find = mock.method(
+      questionService,
+      "findDuplicateCandidates",
+      async () => []
+    );
+
+    const { status } = await post("Hypotéka");
+
+    assert.equal(status, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,222 @@
+// tests/emailOutbox.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import EmailOutbox from "../models/EmailOutbox.js";
+import User from "../models/User.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import emailService from "../services/emailService.js";
+import cryptoService from "../services/cryptoService.js";
+import { EMAIL_OUTBOX_STATUS } from "../utils/constants.js";
+import { emailOutboxConfig } from "../config/emailOutbox.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+const { baseDelayMs, maxDelayMs, maxAttempts } = emailOutboxConfig.retry;
+
+const outboxMessage = (overrides = {}) =>
+  new EmailOutbox({
+    recipient: objectId(),
+    template: "notification",
+    status: EMAIL_OUTBOX_STATUS.PROCESSING,
+    ...overrides,
+  });
+
+beforeEach(() => {
+  mock.method(EmailOutbox.prototype, "save", async function () {
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("EmailOutbox.markFailed", () => {
+  it("schedules a retry with exponential backoff", async () => {
+    const message = outboxMessage({ attempts: 3 });
+    const before = Date.now();
+
+    await message.markFailed("timeout");
+
+    assert.equal(message.status, EMAIL_OUTBOX_STATUS.PENDING);
+    assert.equal(message.lastError, "timeout");
+    assert.equal(message.lockedAt, null);
+    assert.ok(message.nextAttemptAt.getTime() >= before + baseDelayMs * 4);
+  });
+
+  it("caps the delay between attempts", async () => {
+    const message = outboxMessage({ attempts: 30, maxAttempts: 40 });
+
+    await message.markFailed("timeout");
+
+    assert.ok(message.nextAttemptAt.getTime() <= Date.now() + maxDelayMs);
+  });
+
+  it("moves the message to dead-letter after the last attempt", async () => {
+    const message = outboxMessage({ attempts: maxAttempts });
+
+    await message.markFailed("timeout");
+
+    assert.equal(message.status, EMAIL_OUTBOX_STATUS.DEAD);
+    assert.ok(message.deadAt instanceof Date);
+  });
+
+  it("moves the message to dead-letter on a permanent error", async () => {
+    const message = outboxMessage({ attempts: 1 });
+
+    await message.markFailed("bad request", true);
+
+    assert.equal(message.status, EMAIL_OUTBOX_STATUS.DEAD);
+  });
+});
+
+describe("emailOutboxService.enqueue", () => {
+  it("queues one message per unique recipient", async () => {
+    const userId = objectId();
+    const insertMany = mock.method(
+      EmailOutbox,
+      "insertMany",
+      async (docs) => docs
+    );
+
+    const queued = await emailOutboxService.enqueue(
+      [userId, userId.toString(), null],
+      "notification",
+      { title: "Test" }
+    );
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.equal(queued.length, 1);
+    assert.equal(queued[0].companyName, emailOutboxConfig.defaultCompanyName);
+  });
+});
+
+describe("emailOutboxService.processBatch", () => {
+  beforeEach(() => {
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+  });
+
+  const stubRecipients = (user) =>
+    mock.method(User, "findById", () => queryOf(user));
+
+  it("counts sent, retried and dead messages", async () => {
+    const messages = [
+      outboxMessage({ attempts: 1 }),
+      outboxMessage({ attempts: 1 }),
+      outboxMessage({ attempts: maxAttempts }),
+    ];
+    mock.method(EmailOutbox, "claimNext", async () => messages.shift() || null);
+    stubRecipients({ originalEmail: "user@example.com", isActive: true });
+    let call = 0;
+    mock.method(emailService, "sendEmail", async () => {
+      if (call++ > 0) throw new Error("timeout");
+    });
+
+    const result = await emailOutboxService.processBatch(10);
+
+    assert.deepEqual(result, { processed: 3, sent: 1, retried: 1, dead: 1 });
+  });
+
+  it("stops at the batch size", async () => {
+    const claimNext = mock.method(EmailOutbox, "claimNext", async () =>
+      outboxMessage({ attempts: 1 })
+    );
+    stubRecipients({ originalEmail: "user@example.com", isActive: true });
+    mock.method(emailService, "sendEmail", async () => {});
+
+    const result = await emailOutboxService.processBatch(2);
+
+    assert.equal(claimNext.mock.callCount(), 2);
+    assert.equal(result.sent, 2);
+  });
+
+  it("dead-letters messages to inactive recipients without sending", async () => {
+    const message = outboxMessage({ attempts: 1 });
+    mock.method(EmailOutbox, "claimNext", async () => {
+      const next = message.status === EMAIL_OUTBOX_STATUS.PROCESSING;
+      return next ? message : null;
+    });
+    stubRecipients({ originalEmail: "user@example.com", isActive: false });
+    const sendEmail = mock.method(emailService, "sendEmail", async () => {});
+
+    const result = await emailOutboxService.processBatch(5);
+
+    assert.equal(result.dead, 1);
+    assert.equal(sendEmail.mock.callCount(), 0);
+    assert.equal(message.status, EMAIL_OUTBOX_STATUS.DEAD);
+  });
+});
+
+describe("emailOutboxService._isPermanentError", () => {
+  it("treats client errors as permanent except timeouts and throttling", () => {
+    const withStatus = (responseStatus) =>
+      Object.assign(new Error("failed"), { responseStatus });
+
+    assert.equal(emailOutboxService._isPermanentError(withStatus(400)), true);
+    assert.equal(emailOutboxService._isPermanentError(withStatus(408)), false);
+    assert.equal(emailOutboxService._isPermanentError(withStatus(429)), false);
+    assert.equal(emailOutboxService._isPermanentError(withStatus(503)), false);
+    assert.equal(emailOutboxService._isPermanentError(new Error("x")), false);
+  });
+});
+
+describe("emailOutboxService.retryMessage", () => {
+  it("requeues a dead message with fresh attempts", async () => {
+    const message = outboxMessage({
+      status: EMAIL_OUTBOX_STATUS.DEAD,
+      attempts: maxAttempts,
+      deadAt: new Date(),
+    });
+    mock.method(EmailOutbox, "findById", async () => message);
+
+    await emailOutboxService.retryMessage(message._id, objectId());
+
+    assert.equal(message.status, EMAIL_OUTBOX_STATUS.PENDING);
+    assert.equal(message.attempts, 0);
+    assert.equal(message.deadAt, null);
+  });
+
+  it("refuses to resend a message that was already sent", async () => {
+    mock.method(EmailOutbox, "findById", async () =>
+      outboxMessage({ status: EMAIL_OUTBOX_STATUS.SENT })
+    );
+
+    await assert.rejects(
+      emailOutboxService.retryMessage(objectId(), objectId()),
+      /Správa už bola odoslaná/
+    );
+  });
+});
+
+describe("emailOutboxService.getStuckMessages", () => {
+  it("narrows the stuck query to the requested status", async () => {
+    const find = mock.method(EmailOutbox, "find", () => queryOf([]));
+    mock.method(EmailOutbox, "countDocuments", async () => 0);
+
+    await emailOutboxService.getStuckMessages({
+      status: EMAIL_OUTBOX_STATUS.DEAD,
+    });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      $or: [{ status: EMAIL_OUTBOX_STATUS.DEAD }],
+    });
+  });
+
+  it("returns an empty page for a status that never gets stuck", async () => {
+    const find = mock.method(EmailOutbox, "find", () => queryOf([]));
+
+    const result = await emailOutboxService.getStuckMessages({
+      status: EMAIL_OUTBOX_STATUS.SENT,
+    });
+
+    assert.deepEqual(result.data, []);
+    assert.equal(result.pagination.totalItems, 0);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("lists only the statuses the admin filter accepts", () => {
+    assert.deepEqual(emailOutboxService.getStuckStatuses(), [
+      EMAIL_OUTBOX_STATUS.DEAD,
+      EMAIL_OUTBOX_STATUS.PROCESSING,
+      EMAIL_OUTBOX_STATUS.PENDING,
+    ]);
+  });
+});
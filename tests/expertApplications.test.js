@@ -0,0 +1,256 @@
+// tests/expertApplications.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import ExpertApplication from "../models/ExpertApplication.js";
+import User from "../models/User.js";
+import expertApplicationService from "../services/expertApplicationService.js";
+import roleService from "../services/roleService.js";
+import notificationService from "../services/notificationService.js";
+import config from "../config/index.js";
+import {
+  USER_ROLES,
+  EXPERT_APPLICATION_STATUS,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { MIN_ACCOUNT_AGE_DAYS, MIN_RATING, REAPPLY_COOLDOWN_DAYS } =
+  config.EXPERT_APPLICATION;
+
+afterEach(() => mock.restoreAll());
+
+const eligibleUser = (overrides = {}) => ({
+  role: USER_ROLES.USER,
+  isActive: true,
+  isBanned: false,
+  isEmailVerified: true,
+  rating: MIN_RATING,
+  totalQuestions: 3,
+  createdAt: new Date(Date.now() - (MIN_ACCOUNT_AGE_DAYS + 1) * DAY_MS),
+  ...overrides,
+});
+
+const stubApplicant = (user, { pending = null, lastRejected = null } = {}) => {
+  mock.method(User, "findById", () => queryOf(user));
+  mock.method(ExpertApplication, "findOne", (filter) =>
+    queryOf(
+      filter.status === EXPERT_APPLICATION_STATUS.PENDING
+        ? pending
+        : lastRejected
+    )
+  );
+};
+
+describe("ExpertApplication indexes", () => {
+  it("enforces one pending application per user with a single applicant index", () => {
+    const applicantIndexes = ExpertApplication.schema
+      .indexes()
+      .filter(([fields]) => Object.keys(fields).join() === "applicant");
+
+    assert.equal(applicantIndexes.length, 1);
+    const [, options] = applicantIndexes[0];
+    assert.equal(options.unique, true);
+    assert.deepEqual(options.partialFilterExpression, {
+      status: EXPERT_APPLICATION_STATUS.PENDING,
+    });
+  });
+});
+
+describe("expertApplicationService.checkEligibility", () => {
+  it("accepts an established user", async () => {
+    stubApplicant(eligibleUser());
+
+    const result = await expertApplicationService.checkEligibility(objectId());
+
+    assert.equal(result.eligible, true);
+    assert.deepEqual(result.reasons, []);
+    assert.equal(result.stats.accountAgeDays, MIN_ACCOUNT_AGE_DAYS + 1);
+  });
+
+  it("lists every unmet requirement", async () => {
+    stubApplicant(
+      eligibleUser({
+        isEmailVerified: false,
+        createdAt: new Date(),
+      }),
+      { pending: { _id: objectId() } }
+    );
+
+    const result = await expertApplicationService.checkEligibility(objectId());
+
+    assert.equal(result.eligible, false);
+    assert.equal(result.reasons.length, 3);
+    assert.ok(result.pendingApplicationId);
+  });
+
+  it("requires the minimum reputation", async () => {
+    assert.ok(MIN_RATING > 0);
+    stubApplicant(eligibleUser({ rating: MIN_RATING - 1 }));
+
+    const result = await expertApplicationService.checkEligibility(objectId());
+
+    assert.deepEqual(result.reasons, [
+      `Potrebujete reputáciu aspoň ${MIN_RATING}`,
+    ]);
+  });
+
+  it("enforces the cooldown after a rejection", async () => {
+    const reviewedAt = new Date(Date.now() - DAY_MS);
+    stubApplicant(eligibleUser(), { lastRejected: { reviewedAt } });
+
+    const result = await expertApplicationService.checkEligibility(objectId());
+
+    assert.equal(result.eligible, false);
+    assert.equal(
+      result.reapplyAt.getTime(),
+      reviewedAt.getTime() + REAPPLY_COOLDOWN_DAYS * DAY_MS
+    );
+  });
+
+  it("rejects users that already are experts", async () => {
+    stubApplicant(eligibleUser({ role: USER_ROLES.EXPERT }));
+
+    const result = await expertApplicationService.checkEligibility(objectId());
+
+    assert.deepEqual(result.reasons, [
+      "Už máte rolu experta alebo administrátora",
+    ]);
+  });
+});
+
+describe("expertApplicationService.submitApplication", () => {
+  const data = { specialization: "Hypotéky", experience: "10 rokov v banke" };
+
+  it("stores the applicant stats with the application", async () => {
+    stubApplicant(eligibleUser());
+    const create = mock.method(ExpertApplication, "create", async (doc) => ({
+      _id: objectId(),
+      ...doc,
+    }));
+    const userId = objectId();
+
+    const application = await expertApplicationService.submitApplication(
+      userId,
+      data
+    );
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(application.applicant, userId);
+    assert.equal(application.applicantStats.rating, MIN_RATING);
+  });
+
+  it("forbids ineligible users", async () => {
+    stubApplicant(eligibleUser({ isBanned: true }));
+
+    await assert.rejects(
+      expertApplicationService.submitApplication(objectId(), data),
+      { statusCode: HTTP_STATUS.FORBIDDEN }
+    );
+  });
+
+  it("reports a concurrent second application as a conflict", async () => {
+    stubApplicant(eligibleUser());
+    mock.method(ExpertApplication, "create", async () => {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    });
+
+    await assert.rejects(
+      expertApplicationService.submitApplication(objectId(), data),
+      { statusCode: HTTP_STATUS.CONFLICT }
+    );
+  });
+});
+
+describe("expertApplicationService review", () => {
+  let application;
+
+  beforeEach(() => {
+    application = new ExpertApplication({
+      applicant: objectId(),
+      specialization: "Hypotéky",
+      experience: "10 rokov v banke",
+    });
+    mock.method(application, "save", async () => application);
+    mock.method(ExpertApplication, "findById", async () => application);
+    mock.method(
+      notificationService,
+      "notifyUserAboutExpertApplication",
+      async () => {}
+    );
+  });
+
+  it("promotes the applicant on approval", async () => {
+    const adminId = objectId();
+    const changeRole = mock.method(roleService, "changeUserRole", async () => ({
+      roleChange: { newRole: USER_ROLES.EXPERT },
+    }));
+
+    const result = await expertApplicationService.approveApplication(
+      application._id,
+      adminId
+    );
+
+    const [userId, role, changedBy, , options] =
+      changeRole.mock.calls[0].arguments;
+    assert.equal(userId, application.applicant);
+    assert.equal(role, USER_ROLES.EXPERT);
+    assert.equal(changedBy, adminId);
+    assert.equal(options.application, application._id);
+    assert.equal(application.status, EXPERT_APPLICATION_STATUS.APPROVED);
+    assert.equal(result.roleChange.newRole, USER_ROLES.EXPERT);
+  });
+
+  it("keeps the decision when the notification fails", async () => {
+    notificationService.notifyUserAboutExpertApplication.mock.mockImplementation(
+      async () => {
+        throw new Error("smtp down");
+      }
+    );
+
+    const result = await expertApplicationService.rejectApplication(
+      application._id,
+      objectId(),
+      "Chýbajú podklady"
+    );
+
+    assert.equal(result.status, EXPERT_APPLICATION_STATUS.REJECTED);
+    assert.equal(result.reviewComment, "Chýbajú podklady");
+  });
+
+  it("refuses to review an application twice", async () => {
+    application.status = EXPERT_APPLICATION_STATUS.REJECTED;
+    const changeRole = mock.method(roleService, "changeUserRole");
+
+    await assert.rejects(
+      expertApplicationService.approveApplication(application._id, objectId()),
+      { statusCode: HTTP_STATUS.CONFLICT }
+    );
+    assert.equal(changeRole.mock.callCount(), 0);
+  });
+});
+
+describe("roleService.getExpertCandidates", () => {
+  it("selects users meeting the application requirements", async () => {
+    const find = mock.method(User, "find", () => queryOf([]));
+    const count = mock.method(User, "countDocuments", async () => 0);
+
+    await roleService.getExpertCandidates({
+      minQuestions: 2,
+      minDaysActive: 1,
+    });
+
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(count.mock.calls[0].arguments[0], filter);
+    assert.equal(filter.role, USER_ROLES.USER);
+    assert.equal(filter.isEmailVerified, true);
+    assert.deepEqual(filter.rating, { $gte: MIN_RATING });
+    assert.deepEqual(filter.totalQuestions, { $gte: 2 });
+    // Меньший срок активности не обходит минимальный возраст аккаунта
+    assert.ok(
+      filter.createdAt.$lte.getTime() <=
+        Date.now() - MIN_ACCOUNT_AGE_DAYS * DAY_MS + 60 * 60 * 1000
+    );
+  });
+});
@@ -0,0 +1,137 @@
+// tests/follow.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Follow from "../models/Follow.js";
+import User from "../models/User.js";
+import Category from "../models/Category.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import followService from "../services/followService.js";
+import cryptoService from "../services/cryptoService.js";
+import {
+  FOLLOW_TARGET_TYPES,
+  USER_ROLES,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("followService.followExpert", () => {
+  it("follows an active expert idempotently", async () => {
+    const followerId = objectId();
+    const expert = new User({ role: USER_ROLES.EXPERT, isActive: true });
+    mock.method(User, "findById", () => queryOf(expert));
+    const updateOne = mock.method(Follow, "updateOne", async () => ({}));
+
+    const result = await followService.followExpert(followerId, expert._id);
+
+    assert.deepEqual(result, { following: true });
+    const [filter, , options] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      follower: followerId,
+      targetType: FOLLOW_TARGET_TYPES.EXPERT,
+      targetId: expert._id,
+    });
+    assert.equal(options.upsert, true);
+  });
+
+  it("refuses to follow yourself", async () => {
+    const userId = objectId();
+
+    await assert.rejects(
+      followService.followExpert(userId, userId.toString()),
+      /Nemôžete sledovať sami seba/
+    );
+  });
+
+  it("refuses to follow a regular user", async () => {
+    mock.method(User, "findById", () =>
+      queryOf(new User({ role: USER_ROLES.USER, isActive: true }))
+    );
+
+    await assert.rejects(
+      followService.followExpert(objectId(), objectId()),
+      /Expert nebol nájdený/
+    );
+  });
+});
+
+describe("followService.followCategory", () => {
+  it("rejects an inactive or unknown category", async () => {
+    const findOne = mock.method(Category, "findOne", () => queryOf(null));
+
+    await assert.rejects(
+      followService.followCategory(objectId(), "Loans"),
+      /Kategória nebola nájdená/
+    );
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      slug: "loans",
+      isActive: true,
+    });
+  });
+});
+
+describe("followService.getFeed", () => {
+  const expertId = objectId();
+  const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+
+  beforeEach(() => {
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+    mock.method(Follow, "getTargetIds", async (_, targetType) =>
+      targetType === FOLLOW_TARGET_TYPES.EXPERT ? [expertId] : [objectId()]
+    );
+    mock.method(Category, "distinct", async () => ["loans"]);
+  });
+
+  it("merges questions and answers newest first with a cursor", async () => {
+    const questions = [
+      { _id: objectId(), createdAt: at(30) },
+      { _id: objectId(), createdAt: at(10) },
+    ];
+    const answers = [{ _id: objectId(), moderatedAt: at(20) }];
+    mock.method(Question, "find", () => queryOf(questions));
+    mock.method(Answer, "find", () => queryOf(answers));
+
+    const feed = await followService.getFeed(objectId(), { limit: 2 });
+
+    assert.deepEqual(
+      feed.data.map((entry) => entry.type),
+      ["question", "answer"]
+    );
+    assert.equal(feed.pagination.hasNext, true);
+    assert.deepEqual(followService._decodeCursor(feed.pagination.nextCursor), {
+      date: at(20),
+      id: answers[0]._id.toString(),
+    });
+  });
+
+  it("continues strictly after the cursor and hides hidden content", async () => {
+    const questionFind = mock.method(Question, "find", () => queryOf([]));
+    const answerFind = mock.method(Answer, "find", () => queryOf([]));
+    const id = objectId();
+    const cursor = followService._encodeCursor(at(20), id);
+
+    const feed = await followService.getFeed(objectId(), { cursor });
+
+    const questionFilter = questionFind.mock.calls[0].arguments[0];
+    assert.deepEqual(questionFilter.isHidden, { $ne: true });
+    assert.deepEqual(questionFilter.$or, [
+      { createdAt: { $lt: at(20) } },
+      { createdAt: at(20), _id: { $lt: id.toString() } },
+    ]);
+    assert.deepEqual(answerFind.mock.calls[0].arguments[0].isHidden, {
+      $ne: true,
+    });
+    assert.equal(feed.pagination.hasNext, false);
+    assert.equal(feed.pagination.nextCursor, null);
+  });
+
+  it("rejects a malformed cursor with 400", async () => {
+    await assert.rejects(followService.getFeed(objectId(), { cursor: "x" }), {
+      message: "Neplatný kurzor stránkovania",
+      statusCode: HTTP_STATUS.BAD_REQUEST,
+    });
+  });
+});
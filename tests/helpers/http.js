@@ -0,0 +1,26 @@
+// tests/helpers/http.js
+import { once } from "node:events";
+import app from "../../app.js";
+
+// Приложение (по умолчанию все API) на случайном порту;
+// request возвращает статус, заголовки и тело ответа (JSON или текст)
+export const startServer = async (application = app) => {
+  const server = application.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  const { port } = server.address();
+
+  return {
+    request: async (path, options = {}) => {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, options);
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: response.headers.get("content-type")?.includes("json")
+          ? await response.json()
+          : await response.text(),
+      };
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
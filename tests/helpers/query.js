@@ -0,0 +1,34 @@
+// tests/helpers/query.js
+import mongoose from "mongoose";
+
+const CHAIN_METHODS = [
+  "populate",
+  "select",
+  "sort",
+  "skip",
+  "limit",
+  "lean",
+  "withDeleted",
+  "session",
+  "hint",
+];
+
+// Заглушка запроса Mongoose: модификаторы возвращают ту же цепочку,
+// await (или exec) дает заданный результат
+export const queryOf = (result) => {
+  const query = {};
+
+  CHAIN_METHODS.forEach((method) => {
+    query[method] = () => query;
+  });
+
+  query.exec = async () => result;
+  query.then = (resolve, reject) =>
+    Promise.resolve(result).then(resolve, reject);
+  query.catch = (reject) => Promise.resolve(result).catch(reject);
+
+  return query;
+};
+
+// Новый ObjectId
+export const objectId = () => new mongoose.Types.ObjectId();
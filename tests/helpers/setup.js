@@ -0,0 +1,13 @@
+// tests/helpers/setup.js
+// Тесты работают без MongoDB: все обращения к базе подменяются
+// через mock.method, незаглушенный запрос падает сразу, а не ждет соединения
+import mongoose from "mongoose";
+
+mongoose.set("bufferCommands", false);
+mongoose.set("autoIndex", false);
+
+// stdout дочернего процесса node --test занят протоколом раннера,
+// вывод логгера в нем иногда ломает разбор результатов - пишем в stderr
+["log", "info", "warn"].forEach((method) => {
+  console[method] = (...args) => console.error(...args);
+});
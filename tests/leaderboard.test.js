@@ -0,0 +1,348 @@
+// tests/leaderboard.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import Answer from "../models/Answer.js";
+import Like from "../models/Like.js";
+import User from "../models/User.js";
+import leaderboardService from "../services/leaderboardService.js";
+import categoryService from "../services/categoryService.js";
+import cryptoService from "../services/cryptoService.js";
+import expertsRouter from "../routes/experts.js";
+import {
+  validateLeaderboard,
+  handleValidationErrors,
+} from "../middlewares/validation.js";
+import {
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Эксперт в виде документа, который возвращает User.find
+const expertDoc = (id, firstName) => ({
+  _id: id,
+  toObject: () => ({ _id: id, firstName }),
+});
+
+// Заглушки агрегаций и выборки экспертов для одного расчета рейтинга
+const stubRanking = ({ answers = [], likes = [], experts = [] }) => {
+  const answerAggregate = mock.method(Answer, "aggregate", async () => answers);
+  const likeAggregate = mock.method(Like, "aggregate", async () => likes);
+  const find = mock.method(User, "find", () => queryOf(experts));
+
+  return { answerAggregate, likeAggregate, find };
+};
+
+describe("leaderboardService.getExpertLeaderboard", () => {
+  beforeEach(() => {
+    leaderboardService.clearCache();
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+  });
+
+  it("ranks experts by accepted answers and breaks ties by other metrics", async () => {
+    const [anna, boris, cyril] = [objectId(), objectId(), objectId()];
+    stubRanking({
+      answers: [
+        {
+          _id: anna,
+          acceptedAnswers: 2,
+          approvedAnswers: 1,
+          avgModerationMs: 7200000,
+        },
+        {
+          _id: boris,
+          acceptedAnswers: 2,
+          approvedAnswers: 5,
+          avgModerationMs: null,
+        },
+        {
+          _id: cyril,
+          acceptedAnswers: 4,
+          approvedAnswers: 0,
+          avgModerationMs: 1800000,
+        },
+      ],
+      likes: [{ _id: anna, likesReceived: 3 }],
+      experts: [
+        expertDoc(anna, "Anna"),
+        expertDoc(boris, "Boris"),
+        expertDoc(cyril, "Cyril"),
+      ],
+    });
+
+    const result = await leaderboardService.getExpertLeaderboard();
+
+    assert.deepEqual(
+      result.data.map((entry) => [entry.rank, entry.expert.firstName]),
+      [
+        [1, "Cyril"],
+        [2, "Boris"],
+        [3, "Anna"],
+      ]
+    );
+    assert.equal(result.data[2].likesReceived, 3);
+    assert.equal(result.data[2].avgModerationHours, 2);
+    assert.equal(result.data[1].avgModerationHours, null);
+    assert.equal(result.period, LEADERBOARD_PERIODS.ALL_TIME);
+    assert.equal(result.category, null);
+  });
+
+  it("sorts by moderation turnaround ascending and skips experts without it", async () => {
+    const [fast, slow, unknown] = [objectId(), objectId(), objectId()];
+    stubRanking({
+      answers: [
+        {
+          _id: slow,
+          acceptedAnswers: 9,
+          approvedAnswers: 9,
+          avgModerationMs: 36000000,
+        },
+        {
+          _id: fast,
+          acceptedAnswers: 0,
+          approvedAnswers: 1,
+          avgModerationMs: 3600000,
+        },
+        {
+          _id: unknown,
+          acceptedAnswers: 5,
+          approvedAnswers: 0,
+          avgModerationMs: null,
+        },
+      ],
+      experts: [
+        expertDoc(fast, "Fast"),
+        expertDoc(slow, "Slow"),
+        expertDoc(unknown, "Unknown"),
+      ],
+    });
+
+    const result = await leaderboardService.getExpertLeaderboard({
+      sortBy: LEADERBOARD_METRICS.MODERATION_TURNAROUND,
+    });
+
+    assert.deepEqual(
+      result.data.map((entry) => entry.expert.firstName),
+      ["Fast", "Slow"]
+    );
+  });
+
+  it("drops empty entries and looks up only active experts", async () => {
+    const [active, idle] = [objectId(), objectId()];
+    const { find } = stubRanking({
+      answers: [
+        {
+          _id: active,
+          acceptedAnswers: 1,
+          approvedAnswers: 0,
+          avgModerationMs: null,
+        },
+        // Ответ принят вне периода - запись пустая
+        {
+          _id: idle,
+          acceptedAnswers: 0,
+          approvedAnswers: 0,
+          avgModerationMs: null,
+        },
+      ],
+      experts: [expertDoc(active, "Active")],
+    });
+
+    const result = await leaderboardService.getExpertLeaderboard();
+    const filter = find.mock.calls[0].arguments[0];
+
+    assert.deepEqual(filter._id.$in, [active.toString()]);
+    assert.equal(filter.isActive, true);
+    assert.equal(filter.isBanned, false);
+    assert.equal(result.pagination.totalItems, 1);
+  });
+
+  it("skips the expert lookup when nobody has activity", async () => {
+    const { find } = stubRanking({});
+
+    const result = await leaderboardService.getExpertLeaderboard();
+
+    assert.deepEqual(result.data, []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("counts activity from the start of the period", async () => {
+    const { answerAggregate, likeAggregate } = stubRanking({});
+    const before = Date.now();
+
+    await leaderboardService.getExpertLeaderboard({
+      period: LEADERBOARD_PERIODS.WEEK,
+    });
+
+    const answerSince =
+      answerAggregate.mock.calls[0].arguments[0][0].$match.$or[0].moderatedAt
+        .$gte;
+    const likeSince =
+      likeAggregate.mock.calls[0].arguments[0][0].$match.createdAt.$gte;
+
+    assert.ok(Math.abs(before - 7 * DAY_MS - answerSince.getTime()) < 1000);
+    assert.equal(likeSince.getTime(), answerSince.getTime());
+  });
+
+  it("filters by an existing category through the question lookup", async () => {
+    mock.method(categoryService, "resolveCategorySlug", async () => "hypoteky");
+    const { answerAggregate, likeAggregate } = stubRanking({});
+
+    const result = await leaderboardService.getExpertLeaderboard({
+      category: "Hypoteky",
+    });
+
+    const categoryMatch = (pipeline) =>
+      pipeline.find((stage) => stage.$match?.["question.category"]);
+
+    assert.equal(result.category, "hypoteky");
+    assert.ok(categoryMatch(answerAggregate.mock.calls[0].arguments[0]));
+    assert.ok(categoryMatch(likeAggregate.mock.calls[0].arguments[0]));
+  });
+
+  it("rejects an unknown category before touching the cache", async () => {
+    mock.method(categoryService, "resolveCategorySlug", async () => {
+      throw new Error("Neplatná kategória");
+    });
+    const { answerAggregate } = stubRanking({});
+
+    await assert.rejects(
+      leaderboardService.getExpertLeaderboard({ category: "neexistuje" }),
+      /Neplatná kategória/
+    );
+    assert.equal(answerAggregate.mock.callCount(), 0);
+    assert.equal(leaderboardService.cache.size, 0);
+  });
+
+  it("serves pages from the cached ranking until it expires", async () => {
+    const ids = [objectId(), objectId(), objectId()];
+    const { answerAggregate } = stubRanking({
+      answers: ids.map((id, index) => ({
+        _id: id,
+        acceptedAnswers: 3 - index,
+        approvedAnswers: 0,
+        avgModerationMs: null,
+      })),
+      experts: ids.map((id, index) => expertDoc(id, `E${index}`)),
+    });
+
+    const first = await leaderboardService.getExpertLeaderboard({ limit: 2 });
+    const second = await leaderboardService.getExpertLeaderboard({
+      page: 2,
+      limit: 2,
+    });
+
+    assert.equal(answerAggregate.mock.callCount(), 1);
+    assert.deepEqual(
+      second.data.map((entry) => entry.rank),
+      [3]
+    );
+    assert.equal(second.generatedAt, first.generatedAt);
+
+    // Просроченная запись пересчитывается
+    leaderboardService.cache.forEach((entry) => {
+      entry.expiresAt = Date.now() - 1;
+    });
+    await leaderboardService.getExpertLeaderboard({ limit: 2 });
+
+    assert.equal(answerAggregate.mock.callCount(), 2);
+  });
+
+  it("caches each period separately", async () => {
+    const { answerAggregate } = stubRanking({});
+
+    await leaderboardService.getExpertLeaderboard({
+      period: LEADERBOARD_PERIODS.WEEK,
+    });
+    await leaderboardService.getExpertLeaderboard({
+      period: LEADERBOARD_PERIODS.MONTH,
+    });
+
+    assert.equal(answerAggregate.mock.callCount(), 2);
+  });
+});
+
+describe("GET /api/experts/leaderboard", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("passes the filters to the service", async () => {
+    const getLeaderboard = mock.method(
+      leaderboardService,
+      "getExpertLeaderboard",
+      async (options) => ({ data: [], ...options })
+    );
+
+    const { status } = await server.request(
+      "/api/experts/leaderboard?period=month&category=hypoteky&sortBy=likesReceived"
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(getLeaderboard.mock.calls[0].arguments[0], {
+      period: "month",
+      category: "hypoteky",
+      sortBy: "likesReceived",
+      page: 1,
+      limit: 10,
+    });
+  });
+
+  it("rejects an unknown period, metric or category", async () => {
+    const getLeaderboard = mock.method(
+      leaderboardService,
+      "getExpertLeaderboard",
+      async () => ({ data: [] })
+    );
+
+    const responses = await Promise.all(
+      [
+        "period=year",
+        "sortBy=rating",
+        "category=" + encodeURIComponent("zlá kategória"),
+      ].map((query) => server.request(`/api/experts/leaderboard?${query}`))
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.status),
+      [400, 400, 400]
+    );
+    assert.equal(getLeaderboard.mock.callCount(), 0);
+  });
+});
+
+describe("routes/experts.js", () => {
+  it("keeps leaderboard validation off the expert search", () => {
+    const search = expertsRouter.stack.find(
+      (layer) => layer.route?.path === "/search"
+    );
+    const handlers = search.route.stack.map((layer) => layer.handle);
+
+    // handleValidationErrors общий для всех валидаторов
+    const leaderboardOnly = validateLeaderboard.filter(
+      (handler) => handler !== handleValidationErrors
+    );
+
+    assert.ok(leaderboardOnly.every((handler) => !handlers.includes(handler)));
+  });
+});
@@ -0,0 +1,52 @@
+// tests/markdown.test.js
+import "./helpers/setup.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { renderMarkdown } from "../utils/markdown.js";
+
+describe("renderMarkdown", () => {
+  it("renders basic formatting and downgrades large headings", () => {
+    assert.equal(
+      renderMarkdown("# Nadpis\n**tučné** a *kurzíva*"),
+      "<h3>Nadpis</h3>\n<p><strong>tučné</strong> a <em>kurzíva</em></p>"
+    );
+  });
+
+  it("keeps line breaks and code blocks", () => {
+    assert.equal(renderMarkdown("a\nb"), "<p>a<br />b</p>");
+    assert.equal(
+      renderMarkdown("```\nconst x = 1;\n```"),
+      "<pre><code>const x = 1;\n</code></pre>"
+    );
+  });
+
+  it("escapes raw HTML instead of rendering it", () => {
+    assert.equal(
+      renderMarkdown("<script>alert(1)</script>"),
+      "&lt;script&gt;alert(1)&lt;/script&gt;"
+    );
+    assert.doesNotMatch(renderMarkdown("<img src=x onerror=alert(1)>"), /<img/);
+  });
+
+  it("drops unsafe link schemes and images", () => {
+    assert.doesNotMatch(renderMarkdown("[x](javascript:alert(1))"), /href/);
+    assert.doesNotMatch(renderMarkdown("[x](//evil.example)"), /href/);
+    assert.equal(renderMarkdown("![i](https://example.com/i.png)"), "<p></p>");
+  });
+
+  it("marks external links nofollow but trusts own domains", () => {
+    assert.equal(
+      renderMarkdown("[a](https://example.com)"),
+      '<p><a href="https://example.com" rel="nofollow noopener noreferrer" target="_blank">a</a></p>'
+    );
+    assert.equal(
+      renderMarkdown("[a](https://www.fastcredit.sk/uvery)"),
+      '<p><a href="https://www.fastcredit.sk/uvery">a</a></p>'
+    );
+  });
+
+  it("returns an empty string for empty input", () => {
+    assert.equal(renderMarkdown(""), "");
+    assert.equal(renderMarkdown(undefined), "");
+  });
+});
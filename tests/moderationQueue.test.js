@@ -0,0 +1,444 @@
+// tests/moderationQueue.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import Report from "../models/Report.js";
+import ModerationClaim from "../models/ModerationClaim.js";
+import moderationQueueService from "../services/moderationQueueService.js";
+import answerService from "../services/answerService.js";
+import spamDetectionService from "../services/spamDetectionService.js";
+import cryptoService from "../services/cryptoService.js";
+import adminController from "../controllers/adminController.js";
+import { errorHandler } from "../middlewares/errorHandler.js";
+import config from "../config/index.js";
+import {
+  MODERATION_ITEM_TYPES,
+  MODERATION_QUEUE_SORT,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS);
+
+const SOURCES = [
+  [MODERATION_ITEM_TYPES.QUESTION, Question],
+  [MODERATION_ITEM_TYPES.ANSWER, Answer],
+  [MODERATION_ITEM_TYPES.COMMENT, Comment],
+  [MODERATION_ITEM_TYPES.REPORT, Report],
+];
+
+// Источники очереди: элементы и полный размер каждого источника.
+// Запрос по _id - загрузка контента, на который поданы жалобы
+const stubSources = (items = {}, totals = {}, targets = []) => {
+  const finds = {};
+
+  SOURCES.forEach(([type, Model]) => {
+    finds[type] = mock.method(Model, "find", (filter) =>
+      queryOf(filter._id ? targets : items[type] || [])
+    );
+    mock.method(
+      Model,
+      "countDocuments",
+      async () => totals[type] ?? (items[type] || []).length
+    );
+  });
+
+  return finds;
+};
+
+describe("moderationQueueService.getQueue", () => {
+  let reportCounts;
+  let claims;
+
+  beforeEach(() => {
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+    mock.method(spamDetectionService, "scoreContent", (content) => ({
+      score: content.length,
+      riskLevel: "low",
+    }));
+    reportCounts = mock.method(Report, "aggregate", async () => []);
+    claims = mock.method(ModerationClaim, "findActive", () => queryOf([]));
+  });
+
+  it("merges all sources and sorts the oldest first by default", async () => {
+    stubSources({
+      question: [
+        { _id: objectId(), hiddenAt: hoursAgo(2), content: "q", title: "Q" },
+      ],
+      answer: [{ _id: objectId(), createdAt: hoursAgo(5), content: "a" }],
+      comment: [{ _id: objectId(), createdAt: hoursAgo(1), content: "c" }],
+    });
+
+    const queue = await moderationQueueService.getQueue();
+
+    assert.deepEqual(
+      queue.data.map((item) => item.type),
+      ["answer", "question", "comment"]
+    );
+    assert.equal(queue.data[0].age, 5);
+    assert.equal(queue.data[1].title, "Q");
+  });
+
+  it("sorts by risk score in the requested order", async () => {
+    stubSources({
+      answer: [
+        { _id: objectId(), createdAt: hoursAgo(1), content: "kratky" },
+        { _id: objectId(), createdAt: hoursAgo(2), content: "o niečo dlhší" },
+      ],
+    });
+
+    const desc = await moderationQueueService.getQueue({
+      sortBy: MODERATION_QUEUE_SORT.RISK_SCORE,
+    });
+    const asc = await moderationQueueService.getQueue({
+      sortBy: MODERATION_QUEUE_SORT.RISK_SCORE,
+      sortOrder: "asc",
+    });
+
+    assert.deepEqual(
+      desc.data.map((item) => item.excerpt),
+      ["o niečo dlhší", "kratky"]
+    );
+    assert.deepEqual(
+      asc.data.map((item) => item.excerpt),
+      ["kratky", "o niečo dlhší"]
+    );
+  });
+
+  it("attaches open report counts and active claims", async () => {
+    const answerId = objectId();
+    const moderator = { email: "mod@example.sk" };
+    stubSources({
+      answer: [{ _id: answerId, createdAt: hoursAgo(1), content: "a" }],
+    });
+    reportCounts.mock.mockImplementation(async () => [
+      { _id: { targetType: "answer", targetId: answerId }, count: 3 },
+      // Жалобы на другой тип с тем же id не считаются
+      { _id: { targetType: "comment", targetId: answerId }, count: 9 },
+    ]);
+    claims.mock.mockImplementation(() =>
+      queryOf([
+        {
+          targetType: "answer",
+          targetId: answerId,
+          claimedBy: moderator,
+          expiresAt: new Date(Date.now() + HOUR_MS),
+        },
+      ])
+    );
+
+    const [item] = (await moderationQueueService.getQueue()).data;
+
+    assert.equal(item.reportCount, 3);
+    assert.equal(item.claim.claimedBy, moderator);
+  });
+
+  it("shows reports with the reported content", async () => {
+    const questionId = objectId();
+    stubSources(
+      {
+        report: [
+          {
+            _id: objectId(),
+            targetType: "question",
+            targetId: questionId,
+            reason: "spam",
+            isDeprioritized: true,
+            createdAt: hoursAgo(1),
+          },
+        ],
+      },
+      {},
+      [{ _id: questionId, title: "Nahlásená", content: "obsah" }]
+    );
+
+    const [item] = (
+      await moderationQueueService.getQueue({
+        type: MODERATION_ITEM_TYPES.REPORT,
+      })
+    ).data;
+
+    assert.equal(item.type, "report");
+    assert.equal(item.targetType, "question");
+    assert.equal(item.targetId, questionId);
+    assert.equal(item.title, "Nahlásená");
+    assert.equal(item.excerpt, "obsah");
+    assert.equal(item.isDeprioritized, true);
+  });
+
+  it("queries only the requested source", async () => {
+    const finds = stubSources({
+      comment: [{ _id: objectId(), createdAt: hoursAgo(1), content: "c" }],
+    });
+
+    const queue = await moderationQueueService.getQueue({
+      type: MODERATION_ITEM_TYPES.COMMENT,
+    });
+
+    assert.equal(finds.question.mock.callCount(), 0);
+    assert.equal(finds.answer.mock.callCount(), 0);
+    assert.deepEqual(Object.keys(queue.queue.sources), ["comment"]);
+  });
+
+  it("reports the full queue size when sources are truncated", async () => {
+    stubSources(
+      {
+        answer: [
+          { _id: objectId(), createdAt: hoursAgo(3), content: "a" },
+          { _id: objectId(), createdAt: hoursAgo(2), content: "b" },
+          { _id: objectId(), createdAt: hoursAgo(1), content: "c" },
+        ],
+      },
+      { answer: config.MODERATION_QUEUE.MAX_ITEMS_PER_SOURCE + 50 }
+    );
+
+    const queue = await moderationQueueService.getQueue({ page: 2, limit: 2 });
+
+    assert.deepEqual(
+      queue.data.map((item) => item.excerpt),
+      ["c"]
+    );
+    assert.equal(queue.pagination.totalItems, 3);
+    assert.equal(
+      queue.queue.totalItems,
+      config.MODERATION_QUEUE.MAX_ITEMS_PER_SOURCE + 50
+    );
+    assert.equal(queue.queue.sortedItems, 3);
+    assert.equal(queue.queue.isTruncated, true);
+    assert.deepEqual(queue.queue.sources.answer, {
+      total: config.MODERATION_QUEUE.MAX_ITEMS_PER_SOURCE + 50,
+      sorted: 3,
+    });
+  });
+
+  it("leaves content hidden by a moderator out of the queue", async () => {
+    const autoHidden = new Answer({ isApproved: true, content: "auto" });
+    const moderatorHidden = new Answer({ isApproved: true, content: "mod" });
+    const answers = [autoHidden, moderatorHidden];
+    mock.method(Answer, "findById", (id) =>
+      queryOf(answers.find((answer) => answer._id.equals(id)))
+    );
+    mock.method(Answer.prototype, "save", async function () {
+      return this;
+    });
+
+    await answerService.setAnswerHidden(autoHidden._id, true);
+    await answerService.setAnswerHidden(moderatorHidden._id, true, objectId());
+
+    // Условие фильтра: равенство полей (null - и отсутствующее поле) и $or
+    const matches = (doc, filter) =>
+      Object.entries(filter).every(([field, value]) =>
+        field === "$or"
+          ? value.some((branch) => matches(doc, branch))
+          : String(doc[field] ?? null) === String(value)
+      );
+    const find = mock.method(Answer, "find", (filter) =>
+      queryOf(answers.filter((answer) => matches(answer, filter)))
+    );
+    mock.method(
+      Answer,
+      "countDocuments",
+      async (filter) =>
+        answers.filter((answer) => matches(answer, filter)).length
+    );
+
+    const queue = await moderationQueueService.getQueue({
+      type: MODERATION_ITEM_TYPES.ANSWER,
+    });
+
+    assert.equal(find.mock.callCount(), 1);
+    assert.deepEqual(
+      queue.data.map((item) => item.excerpt),
+      ["auto"]
+    );
+    assert.equal(queue.queue.totalItems, 1);
+  });
+
+  it("returns an empty queue without extra lookups", async () => {
+    stubSources();
+
+    const queue = await moderationQueueService.getQueue();
+
+    assert.deepEqual(queue.data, []);
+    assert.equal(queue.queue.isTruncated, false);
+    assert.equal(reportCounts.mock.callCount(), 0);
+    assert.equal(claims.mock.callCount(), 0);
+  });
+});
+
+describe("moderationQueueService claims", () => {
+  it("claims an item for the configured time", async () => {
+    const userId = objectId();
+    const itemId = objectId();
+    mock.method(Answer, "exists", async () => ({ _id: itemId }));
+    const upsert = mock.method(
+      ModerationClaim,
+      "findOneAndUpdate",
+      async (filter, update) => update
+    );
+    const before = Date.now();
+
+    const claim = await moderationQueueService.claimItem(
+      MODERATION_ITEM_TYPES.ANSWER,
+      itemId,
+      userId
+    );
+
+    const [filter, , options] = upsert.mock.calls[0].arguments;
+    assert.equal(filter.targetType, "answer");
+    assert.equal(filter.targetId, itemId);
+    // Свой захват продлевается, чужой - только если истек
+    assert.equal(filter.$or[0].claimedBy, userId);
+    assert.ok(filter.$or[1].expiresAt.$lte);
+    assert.equal(options.upsert, true);
+    assert.ok(
+      Math.abs(
+        claim.expiresAt.getTime() -
+          before -
+          config.MODERATION_QUEUE.CLAIM_TTL_MINUTES * 60 * 1000
+      ) < 1000
+    );
+  });
+
+  it("answers 409 when another moderator holds the item", async () => {
+    mock.method(Report, "exists", async () => ({ _id: objectId() }));
+    mock.method(ModerationClaim, "findOneAndUpdate", async () => {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    });
+
+    await assert.rejects(
+      moderationQueueService.claimItem(
+        MODERATION_ITEM_TYPES.REPORT,
+        objectId(),
+        objectId()
+      ),
+      (error) => error.statusCode === HTTP_STATUS.CONFLICT
+    );
+  });
+
+  it("does not claim a missing item", async () => {
+    mock.method(Question, "exists", async () => null);
+    const upsert = mock.method(ModerationClaim, "findOneAndUpdate");
+
+    await assert.rejects(
+      moderationQueueService.claimItem(
+        MODERATION_ITEM_TYPES.QUESTION,
+        objectId(),
+        objectId()
+      ),
+      (error) => error.statusCode === HTTP_STATUS.NOT_FOUND
+    );
+    assert.equal(upsert.mock.callCount(), 0);
+  });
+
+  it("releases only one's own claim", async () => {
+    const userId = objectId();
+    const remove = mock.method(ModerationClaim, "deleteOne", async () => ({
+      deletedCount: 1,
+    }));
+
+    assert.equal(
+      await moderationQueueService.releaseItem("answer", objectId(), userId),
+      true
+    );
+    assert.equal(remove.mock.calls[0].arguments[0].claimedBy, userId);
+
+    remove.mock.mockImplementation(async () => ({ deletedCount: 0 }));
+
+    await assert.rejects(
+      moderationQueueService.releaseItem("answer", objectId(), userId),
+      (error) => error.statusCode === HTTP_STATUS.NOT_FOUND
+    );
+  });
+
+  it("blocks actions on an item claimed by someone else", async () => {
+    const find = mock.method(ModerationClaim, "findOne", () =>
+      queryOf({ claimedBy: { email: "iny@example.sk" } })
+    );
+    const userId = objectId();
+
+    await assert.rejects(
+      moderationQueueService.assertNotClaimedByOther(
+        "comment",
+        objectId(),
+        userId
+      ),
+      (error) =>
+        error.statusCode === HTTP_STATUS.CONFLICT &&
+        /iny@example\.sk/.test(error.message)
+    );
+    assert.deepEqual(find.mock.calls[0].arguments[0].claimedBy, {
+      $ne: userId,
+    });
+
+    find.mock.mockImplementation(() => queryOf(null));
+
+    await moderationQueueService.assertNotClaimedByOther(
+      "comment",
+      objectId(),
+      userId
+    );
+  });
+});
+
+describe("moderation queue claim endpoint", () => {
+  let server;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { _id: objectId() };
+      next();
+    });
+    app.post("/queue/:type/:id/claim", adminController.claimModerationItem);
+    app.use(errorHandler);
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("answers 409 on a claim conflict", async () => {
+    mock.method(moderationQueueService, "claimItem", async () => {
+      throw Object.assign(new Error("Položku už spracúva iný moderátor"), {
+        statusCode: HTTP_STATUS.CONFLICT,
+      });
+    });
+
+    const { status } = await server.request(
+      `/queue/answer/${objectId()}/claim`,
+      { method: "POST" }
+    );
+
+    assert.equal(status, HTTP_STATUS.CONFLICT);
+  });
+
+  it("rejects an unknown item type", async () => {
+    const claim = mock.method(moderationQueueService, "claimItem");
+
+    const { status } = await server.request(`/queue/user/${objectId()}/claim`, {
+      method: "POST",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(claim.mock.callCount(), 0);
+  });
+});
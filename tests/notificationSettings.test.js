@@ -0,0 +1,181 @@
+// tests/notificationSettings.test.js
+import "./helpers/setup.js";
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Notification from "../models/Notification.js";
+import NotificationSettings from "../models/NotificationSettings.js";
+import notificationService from "../services/notificationService.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  DIGEST_FREQUENCY,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+const settingsFor = (userId, overrides = {}) =>
+  new NotificationSettings({ user: userId, ...overrides });
+
+describe("NotificationSettings.isEnabled", () => {
+  it("uses the defaults until the user changes them", () => {
+    const settings = settingsFor(objectId());
+
+    assert.equal(
+      settings.isEnabled("email", NOTIFICATION_EVENTS.NEW_QUESTION),
+      false
+    );
+    assert.equal(
+      settings.isEnabled("inApp", NOTIFICATION_EVENTS.NEW_QUESTION),
+      true
+    );
+  });
+
+  it("respects a disabled channel per event", () => {
+    const settings = settingsFor(objectId(), {
+      inAppNotifications: { [NOTIFICATION_EVENTS.NEW_ANSWER]: false },
+    });
+
+    assert.equal(
+      settings.isEnabled("inApp", NOTIFICATION_EVENTS.NEW_ANSWER),
+      false
+    );
+    assert.equal(
+      settings.isEnabled("email", NOTIFICATION_EVENTS.NEW_ANSWER),
+      true
+    );
+  });
+
+  it("always delivers events without a toggle", () => {
+    const settings = settingsFor(objectId());
+
+    assert.equal(settings.isEnabled("email", undefined), true);
+    assert.equal(settings.isEnabled("inApp", "unknownEvent"), true);
+  });
+});
+
+describe("NotificationSettings.getForUsers", () => {
+  it("fills in unsaved defaults for users without settings", async () => {
+    const savedUser = objectId();
+    const newUser = objectId();
+    const saved = settingsFor(savedUser, {
+      emailNotifications: { [NOTIFICATION_EVENTS.NEW_ANSWER]: false },
+    });
+    mock.method(NotificationSettings, "find", () => queryOf([saved]));
+
+    const byUser = await NotificationSettings.getForUsers([
+      savedUser.toString(),
+      newUser.toString(),
+    ]);
+
+    assert.equal(byUser.get(savedUser.toString()), saved);
+    assert.equal(byUser.get(newUser.toString()).isNew, true);
+    assert.equal(
+      byUser
+        .get(newUser.toString())
+        .isEnabled("email", NOTIFICATION_EVENTS.NEW_ANSWER),
+      true
+    );
+  });
+});
+
+describe("notificationService._deliver", () => {
+  it("sends each channel only to users who enabled it", async () => {
+    const inAppOnly = objectId().toString();
+    const emailOnly = objectId().toString();
+    mock.method(NotificationSettings, "find", () =>
+      queryOf([
+        settingsFor(inAppOnly, {
+          emailNotifications: { [NOTIFICATION_EVENTS.NEW_ANSWER]: false },
+        }),
+        settingsFor(emailOnly, {
+          inAppNotifications: { [NOTIFICATION_EVENTS.NEW_ANSWER]: false },
+        }),
+      ])
+    );
+    const createForUsers = mock.method(
+      Notification,
+      "createForUsers",
+      async (ids) => ids
+    );
+    const enqueue = mock.method(emailOutboxService, "enqueue", async () => {});
+
+    await notificationService._deliver([inAppOnly, emailOnly, inAppOnly], {
+      type: NOTIFICATION_TYPES.NEW_ANSWER,
+      title: "Nová odpoveď",
+    });
+
+    assert.deepEqual(createForUsers.mock.calls[0].arguments[0], [inAppOnly]);
+    assert.deepEqual(enqueue.mock.calls[0].arguments[0], [emailOnly]);
+  });
+
+  it("does not fail the caller when delivery fails", async () => {
+    mock.method(NotificationSettings, "find", () => {
+      throw new Error("db down");
+    });
+
+    const result = await notificationService._deliver([objectId()], {
+      type: NOTIFICATION_TYPES.NEW_ANSWER,
+    });
+
+    assert.deepEqual(result, []);
+  });
+});
+
+describe("notificationService.updateUserNotificationSettings", () => {
+  const stubSettings = (settings) => {
+    mock.method(NotificationSettings, "findOne", async () => settings);
+    return mock.method(settings, "save", async () => settings);
+  };
+
+  it("saves toggles and normalizes digest categories", async () => {
+    const userId = objectId();
+    const settings = settingsFor(userId);
+    const save = stubSettings(settings);
+
+    const result = await notificationService.updateUserNotificationSettings(
+      userId,
+      {
+        emailNotifications: { [NOTIFICATION_EVENTS.NEW_COMMENT]: false },
+        digest: {
+          frequency: DIGEST_FREQUENCY.WEEKLY,
+          categories: [" Loans ", "loans", "cards"],
+        },
+      }
+    );
+
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(
+      result.emailNotifications[NOTIFICATION_EVENTS.NEW_COMMENT],
+      false
+    );
+    assert.equal(result.digest.frequency, DIGEST_FREQUENCY.WEEKLY);
+    assert.deepEqual(result.digest.categories, ["loans", "cards"]);
+  });
+
+  it("rejects unknown events and non-boolean values", async () => {
+    const userId = objectId();
+    const save = stubSettings(settingsFor(userId));
+
+    await assert.rejects(
+      notificationService.updateUserNotificationSettings(userId, {
+        inAppNotifications: { somethingElse: true },
+      }),
+      /Neznámy typ upozornenia/
+    );
+    await assert.rejects(
+      notificationService.updateUserNotificationSettings(userId, {
+        inAppNotifications: { [NOTIFICATION_EVENTS.NEW_ANSWER]: "no" },
+      }),
+      /musí byť true alebo false/
+    );
+    await assert.rejects(
+      notificationService.updateUserNotificationSettings(userId, {
+        digest: { frequency: "hourly" },
+      }),
+      /Neplatná frekvencia súhrnu/
+    );
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,121 @@
+// tests/notifications.test.js
+import "./helpers/setup.js";
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Notification from "../models/Notification.js";
+import notificationService from "../services/notificationService.js";
+import { NOTIFICATION_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("Notification.createForUsers", () => {
+  it("creates one notification per unique recipient", async () => {
+    const userId = objectId();
+    const otherId = objectId();
+    const insertMany = mock.method(
+      Notification,
+      "insertMany",
+      async (docs) => docs
+    );
+
+    const created = await Notification.createForUsers(
+      [userId, userId.toString(), null, otherId],
+      { type: NOTIFICATION_TYPES.SYSTEM, title: "Test" }
+    );
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(
+      created.map((doc) => doc.recipient),
+      [userId.toString(), otherId.toString()]
+    );
+    assert.ok(created.every((doc) => doc.title === "Test"));
+  });
+
+  it("skips the insert when there are no recipients", async () => {
+    const insertMany = mock.method(Notification, "insertMany", async () => []);
+
+    const created = await Notification.createForUsers([null, undefined], {
+      title: "Test",
+    });
+
+    assert.deepEqual(created, []);
+    assert.equal(insertMany.mock.callCount(), 0);
+  });
+});
+
+describe("Notification.markAsRead", () => {
+  it("sets readAt once and does not save an already read notification", async () => {
+    const save = mock.method(Notification.prototype, "save", async function () {
+      return this;
+    });
+    const notification = new Notification({
+      recipient: objectId(),
+      type: NOTIFICATION_TYPES.SYSTEM,
+      title: "Test",
+    });
+
+    await notification.markAsRead();
+    const readAt = notification.readAt;
+    await notification.markAsRead();
+
+    assert.equal(notification.isRead, true);
+    assert.ok(readAt instanceof Date);
+    assert.equal(notification.readAt, readAt);
+    assert.equal(save.mock.callCount(), 1);
+  });
+});
+
+describe("notificationService inbox", () => {
+  it("returns a page of notifications with total and unread count", async () => {
+    const userId = objectId();
+    const items = [{ _id: objectId() }, { _id: objectId() }];
+    const find = mock.method(Notification, "find", () => queryOf(items));
+    mock.method(Notification, "countDocuments", async () => 7);
+    mock.method(Notification, "getUnreadCount", async () => 3);
+
+    const result = await notificationService.getUserNotifications(userId, {
+      unreadOnly: true,
+    });
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      recipient: userId,
+      isRead: false,
+    });
+    assert.deepEqual(result, {
+      notifications: items,
+      total: 7,
+      unreadCount: 3,
+    });
+  });
+
+  it("only marks the recipient's own notification as read", async () => {
+    const userId = objectId();
+    const findOne = mock.method(Notification, "findOne", async () => null);
+
+    await assert.rejects(
+      notificationService.markAsRead(objectId(), userId),
+      /Upozornenie nebolo nájdené/
+    );
+    assert.equal(findOne.mock.calls[0].arguments[0].recipient, userId);
+  });
+
+  it("reports how many notifications were marked as read", async () => {
+    mock.method(Notification, "updateMany", async () => ({
+      modifiedCount: 4,
+    }));
+
+    const result = await notificationService.markAllAsRead(objectId());
+
+    assert.deepEqual(result, { updatedCount: 4 });
+  });
+
+  it("fails to delete a notification of another user", async () => {
+    mock.method(Notification, "deleteOne", async () => ({ deletedCount: 0 }));
+
+    await assert.rejects(
+      notificationService.deleteNotification(objectId(), objectId()),
+      /Upozornenie nebolo nájdené/
+    );
+  });
+});
@@ -0,0 +1,141 @@
+// tests/questionWatch.test.js
+import "./helpers/setup.js";
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import questionService from "../services/questionService.js";
+import notificationService from "../services/notificationService.js";
+import cryptoService from "../services/cryptoService.js";
+import { NOTIFICATION_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("questionService.watchQuestion", () => {
+  it("subscribes idempotently with an upsert", async () => {
+    const userId = objectId();
+    const questionId = objectId();
+    mock.method(Question, "findById", () => queryOf({ slug: "otazka" }));
+    const updateOne = mock.method(QuestionWatch, "updateOne", async () => ({}));
+
+    const result = await questionService.watchQuestion(questionId, userId);
+
+    assert.deepEqual(result, { watching: true });
+    const [filter, update, options] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { user: userId, questionId });
+    assert.deepEqual(update, { $setOnInsert: { user: userId, questionId } });
+    assert.equal(options.upsert, true);
+  });
+
+  it("rejects an unknown question", async () => {
+    mock.method(Question, "findById", () => queryOf(null));
+    const updateOne = mock.method(QuestionWatch, "updateOne", async () => ({}));
+
+    await assert.rejects(
+      questionService.watchQuestion(objectId(), objectId()),
+      /Otázka nebola nájdená/
+    );
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
+
+describe("questionService.getWatchedQuestions", () => {
+  it("skips watches of deleted questions", async () => {
+    const question = new Question({ title: "Ako splatiť úver?" });
+    const watchedAt = new Date();
+    mock.method(QuestionWatch, "find", () =>
+      queryOf([
+        { questionId: question, createdAt: watchedAt },
+        { questionId: null, createdAt: watchedAt },
+      ])
+    );
+    mock.method(QuestionWatch, "countDocuments", async () => 2);
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+
+    const result = await questionService.getWatchedQuestions(objectId());
+
+    assert.equal(result.data.length, 1);
+    assert.equal(result.data[0].title, "Ako splatiť úver?");
+    assert.equal(result.data[0].watchedAt, watchedAt);
+  });
+});
+
+describe("notificationService._notifyWatchers", () => {
+  it("notifies watchers except the excluded users", async () => {
+    const actorId = objectId();
+    const watcherId = objectId();
+    mock.method(QuestionWatch, "distinct", async () => [actorId, watcherId]);
+    const deliver = mock.method(
+      notificationService,
+      "_deliver",
+      async () => []
+    );
+
+    await notificationService._notifyWatchers(
+      objectId(),
+      [actorId.toString(), null],
+      { title: "Nová odpoveď" }
+    );
+
+    const [recipients, payload] = deliver.mock.calls[0].arguments;
+    assert.deepEqual(recipients, [watcherId]);
+    assert.equal(payload.type, NOTIFICATION_TYPES.WATCHED_QUESTION);
+    assert.equal(payload.title, "Nová odpoveď");
+  });
+});
+
+describe("notificationService.notifyExpertAboutAnswerApproval", () => {
+  const stubAnswer = () => {
+    const answer = {
+      _id: objectId(),
+      questionId: { _id: objectId(), title: "Otázka", slug: "otazka" },
+      expert: { _id: objectId(), email: "expert@example.com" },
+      moderatedBy: { _id: objectId(), email: "admin@example.com" },
+    };
+    mock.method(Answer, "findById", () => queryOf(answer));
+    return answer;
+  };
+
+  it("tells watchers about an approved answer", async () => {
+    const answer = stubAnswer();
+    mock.method(notificationService, "_deliver", async () => []);
+    const notifyWatchers = mock.method(
+      notificationService,
+      "_notifyWatchers",
+      async () => []
+    );
+
+    await notificationService.notifyExpertAboutAnswerApproval(answer._id, true);
+
+    const [questionId, excluded] = notifyWatchers.mock.calls[0].arguments;
+    assert.equal(questionId, answer.questionId._id);
+    assert.deepEqual(excluded, [answer.expert._id, answer.moderatedBy._id]);
+  });
+
+  it("keeps rejected answers from watchers", async () => {
+    const answer = stubAnswer();
+    const deliver = mock.method(
+      notificationService,
+      "_deliver",
+      async () => []
+    );
+    const notifyWatchers = mock.method(
+      notificationService,
+      "_notifyWatchers",
+      async () => []
+    );
+
+    await notificationService.notifyExpertAboutAnswerApproval(
+      answer._id,
+      false
+    );
+
+    assert.equal(notifyWatchers.mock.callCount(), 0);
+    assert.equal(
+      deliver.mock.calls[0].arguments[1].type,
+      NOTIFICATION_TYPES.ANSWER_REJECTED
+    );
+  });
+});
@@ -0,0 +1,248 @@
+// tests/rateLimitGrants.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import RateLimitGrant from "../models/RateLimitGrant.js";
+import RateLimitPolicy from "../models/RateLimitPolicy.js";
+import User from "../models/User.js";
+import rateLimitService from "../services/rateLimitService.js";
+import { createQuestionLimiter } from "../middlewares/rateLimit.js";
+import config from "../config/index.js";
+import { USER_ROLES, RATE_LIMIT_ACTIONS } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+const GRANTS = config.RATE_LIMIT.GRANTS;
+
+beforeEach(() => rateLimitService.multiplierCache.clear());
+afterEach(() => mock.restoreAll());
+
+describe("RateLimitGrant.getActiveMultiplier", () => {
+  it("uses the largest active grant for the action or all actions", async () => {
+    const find = mock.method(RateLimitGrant, "find", () =>
+      queryOf([{ multiplier: 2 }, { multiplier: 5 }])
+    );
+
+    const multiplier = await RateLimitGrant.getActiveMultiplier(
+      objectId(),
+      RATE_LIMIT_ACTIONS.QUESTION_CREATE
+    );
+
+    assert.equal(multiplier, 5);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.action, {
+      $in: [RATE_LIMIT_ACTIONS.QUESTION_CREATE, null],
+    });
+    assert.equal(filter.revokedAt, null);
+  });
+
+  it("defaults to the base limit without grants", async () => {
+    mock.method(RateLimitGrant, "find", () => queryOf([]));
+
+    assert.equal(await RateLimitGrant.getActiveMultiplier(objectId()), 1);
+  });
+});
+
+describe("rateLimitService.getLimitMultiplier", () => {
+  it("caches the multiplier per user and action", async () => {
+    const userId = objectId();
+    const active = mock.method(
+      RateLimitGrant,
+      "getActiveMultiplier",
+      async () => 3
+    );
+
+    assert.equal(await rateLimitService.getLimitMultiplier(userId), 3);
+    assert.equal(await rateLimitService.getLimitMultiplier(userId), 3);
+    assert.equal(active.mock.callCount(), 1);
+  });
+
+  it("drops an expired entry and reads the grant again", async () => {
+    const userId = objectId();
+    const active = mock.method(
+      RateLimitGrant,
+      "getActiveMultiplier",
+      async () => 2
+    );
+    rateLimitService.multiplierCache.set(`${userId}:all`, {
+      value: 4,
+      expiresAt: Date.now() - 1,
+    });
+
+    assert.equal(await rateLimitService.getLimitMultiplier(userId), 2);
+    assert.equal(active.mock.callCount(), 1);
+  });
+
+  it("falls back to the base limit when the database fails", async () => {
+    mock.method(RateLimitGrant, "getActiveMultiplier", async () => {
+      throw new Error("db down");
+    });
+
+    assert.equal(await rateLimitService.getLimitMultiplier(objectId()), 1);
+  });
+
+  it("keeps the cache within its size limit", () => {
+    const maxEntries = GRANTS.CACHE_MAX_ENTRIES;
+    const cache = rateLimitService.multiplierCache;
+    cache.set("expired:all", { value: 2, expiresAt: Date.now() - 1 });
+    cache.set("oldest:all", { value: 2, expiresAt: Date.now() + 1000 });
+    cache.set("newer:all", { value: 2, expiresAt: Date.now() + 1000 });
+
+    try {
+      GRANTS.CACHE_MAX_ENTRIES = 3;
+
+      rateLimitService._cacheMultiplier("first:all", 1);
+      assert.deepEqual(
+        [...cache.keys()],
+        ["oldest:all", "newer:all", "first:all"]
+      );
+
+      rateLimitService._cacheMultiplier("second:all", 1);
+      assert.deepEqual(
+        [...cache.keys()],
+        ["newer:all", "first:all", "second:all"]
+      );
+    } finally {
+      GRANTS.CACHE_MAX_ENTRIES = maxEntries;
+    }
+  });
+});
+
+describe("rateLimitService grants", () => {
+  const stubUsers = (admin) =>
+    mock.method(User, "findById", (id) =>
+      id === admin._id ? admin : queryOf({ _id: id })
+    );
+
+  it("validates the multiplier, duration and action", async () => {
+    const admin = { _id: objectId(), role: USER_ROLES.ADMIN };
+    stubUsers(admin);
+    const create = mock.method(RateLimitGrant, "create", async (doc) => doc);
+
+    await assert.rejects(
+      rateLimitService.grantTemporaryLimitIncrease(objectId(), admin._id, 1),
+      /Násobok limitu/
+    );
+    await assert.rejects(
+      rateLimitService.grantTemporaryLimitIncrease(
+        objectId(),
+        admin._id,
+        GRANTS.MAX_MULTIPLIER + 1
+      ),
+      /Násobok limitu/
+    );
+    await assert.rejects(
+      rateLimitService.grantTemporaryLimitIncrease(
+        objectId(),
+        admin._id,
+        2,
+        GRANTS.MAX_DURATION_HOURS + 1
+      ),
+      /Trvanie zvýšenia/
+    );
+    await assert.rejects(
+      rateLimitService.grantTemporaryLimitIncrease(
+        objectId(),
+        admin._id,
+        2,
+        1,
+        {
+          action: "unknown",
+        }
+      ),
+      /Neplatná akcia/
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("only lets admins grant increases", async () => {
+    const expert = { _id: objectId(), role: USER_ROLES.EXPERT };
+    stubUsers(expert);
+
+    await assert.rejects(
+      rateLimitService.grantTemporaryLimitIncrease(objectId(), expert._id),
+      /Len administrátori/
+    );
+  });
+
+  it("applies a new grant immediately", async () => {
+    const admin = { _id: objectId(), role: USER_ROLES.ADMIN };
+    const userId = objectId();
+    stubUsers(admin);
+    mock.method(RateLimitGrant, "create", async (doc) => doc);
+    rateLimitService.multiplierCache.set(`${userId}:all`, {
+      value: 1,
+      expiresAt: Date.now() + 1000,
+    });
+
+    const grant = await rateLimitService.grantTemporaryLimitIncrease(
+      userId,
+      admin._id,
+      3,
+      2
+    );
+
+    assert.equal(grant.multiplier, 3);
+    assert.ok(grant.expiresAt > new Date(Date.now() + 60 * 60 * 1000));
+    assert.equal(rateLimitService.multiplierCache.has(`${userId}:all`), false);
+  });
+
+  it("refuses to revoke a grant twice", async () => {
+    mock.method(RateLimitGrant, "findById", async () => ({
+      revokedAt: new Date(),
+    }));
+
+    await assert.rejects(
+      rateLimitService.revokeLimitGrant(objectId(), objectId()),
+      /už bolo zrušené/
+    );
+  });
+});
+
+describe("question limiter with a grant", () => {
+  let server;
+  const user = { _id: objectId(), role: USER_ROLES.USER };
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post("/questions", createQuestionLimiter(), (req, res) =>
+      res.json({ limit: req.rateLimit.limit })
+    );
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("multiplies the policy limit", async () => {
+    mock.method(RateLimitPolicy, "getEffective", async () => ({
+      limit: 1,
+      windowMs: config.RATE_LIMIT.WINDOW_MS,
+    }));
+    mock.method(RateLimitGrant, "getActiveMultiplier", async () => 2);
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const { status } = await server.request("/questions", {
+        method: "POST",
+      });
+      statuses.push(status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 429]);
+  });
+});
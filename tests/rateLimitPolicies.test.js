@@ -0,0 +1,205 @@
+// tests/rateLimitPolicies.test.js
+import "./helpers/setup.js";
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import RateLimitPolicy from "../models/RateLimitPolicy.js";
+import rateLimitService from "../services/rateLimitService.js";
+import { createCommentLimiter } from "../middlewares/rateLimit.js";
+import config from "../config/index.js";
+import { USER_ROLES, RATE_LIMIT_ACTIONS } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+const { QUESTION_CREATE, ANSWER_CREATE, COMMENT_CREATE } = RATE_LIMIT_ACTIONS;
+
+beforeEach(() => RateLimitPolicy.clearCache());
+afterEach(() => mock.restoreAll());
+
+describe("RateLimitPolicy.getEffective", () => {
+  it("falls back to the config defaults", async () => {
+    mock.method(RateLimitPolicy, "find", () => queryOf([]));
+
+    const policy = await RateLimitPolicy.getEffective(
+      USER_ROLES.USER,
+      QUESTION_CREATE
+    );
+
+    assert.equal(policy.source, "default");
+    assert.equal(policy.limit, config.RATE_LIMIT.USER.QUESTIONS);
+    assert.equal(policy.windowMs, config.RATE_LIMIT.WINDOW_MS);
+  });
+
+  it("prefers a stored policy and caches the lookup", async () => {
+    const find = mock.method(RateLimitPolicy, "find", () =>
+      queryOf([
+        {
+          role: USER_ROLES.EXPERT,
+          action: ANSWER_CREATE,
+          limit: 40,
+          windowMs: 60000,
+        },
+      ])
+    );
+
+    const first = await RateLimitPolicy.getEffective(
+      USER_ROLES.EXPERT,
+      ANSWER_CREATE
+    );
+    await RateLimitPolicy.getEffective(USER_ROLES.USER, ANSWER_CREATE);
+
+    assert.deepEqual(first, {
+      role: USER_ROLES.EXPERT,
+      action: ANSWER_CREATE,
+      limit: 40,
+      windowMs: 60000,
+      source: "database",
+    });
+    assert.equal(find.mock.callCount(), 1);
+
+    RateLimitPolicy.clearCache();
+    await RateLimitPolicy.getEffective(USER_ROLES.EXPERT, ANSWER_CREATE);
+    assert.equal(find.mock.callCount(), 2);
+  });
+});
+
+describe("rateLimitService.updatePolicy", () => {
+  it("keeps the current value of fields that are not changed", async () => {
+    const adminId = objectId();
+    mock.method(RateLimitPolicy, "find", () => queryOf([]));
+    const update = mock.method(
+      RateLimitPolicy,
+      "findOneAndUpdate",
+      async (filter, doc) => doc
+    );
+    const clearCache = mock.method(RateLimitPolicy, "clearCache");
+
+    const policy = await rateLimitService.updatePolicy(
+      USER_ROLES.USER,
+      COMMENT_CREATE,
+      { limit: 3 },
+      adminId
+    );
+
+    assert.equal(policy.limit, 3);
+    assert.equal(policy.windowMs, config.RATE_LIMIT.WINDOW_MS);
+    assert.equal(policy.updatedBy, adminId);
+    assert.equal(update.mock.calls[0].arguments[2].upsert, true);
+    assert.equal(clearCache.mock.callCount(), 1);
+  });
+
+  it("rejects unknown roles and actions", async () => {
+    const update = mock.method(RateLimitPolicy, "findOneAndUpdate");
+
+    await assert.rejects(
+      rateLimitService.updatePolicy("guest", COMMENT_CREATE, {}, objectId()),
+      /Neplatná rola/
+    );
+    await assert.rejects(
+      rateLimitService.updatePolicy(USER_ROLES.USER, "upload", {}, objectId()),
+      /Neplatná akcia/
+    );
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe("rateLimitService.resetPolicy", () => {
+  it("fails when there is no stored policy", async () => {
+    mock.method(RateLimitPolicy, "deleteOne", async () => ({
+      deletedCount: 0,
+    }));
+
+    await assert.rejects(
+      rateLimitService.resetPolicy(USER_ROLES.USER, COMMENT_CREATE, objectId()),
+      /Politika limitu nebola nájdená/
+    );
+  });
+
+  it("returns the default policy after reset", async () => {
+    mock.method(RateLimitPolicy, "deleteOne", async () => ({
+      deletedCount: 1,
+    }));
+    mock.method(RateLimitPolicy, "find", () => queryOf([]));
+
+    const policy = await rateLimitService.resetPolicy(
+      USER_ROLES.USER,
+      COMMENT_CREATE,
+      objectId()
+    );
+
+    assert.equal(policy.source, "default");
+    assert.equal(policy.limit, config.RATE_LIMIT.USER.COMMENTS);
+  });
+});
+
+describe("comment limiter policies", () => {
+  let server;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { _id: req.get("X-User-Id"), role: USER_ROLES.USER };
+      next();
+    });
+    app.post("/comments", createCommentLimiter(), (req, res) =>
+      res.json({ policy: req.rateLimitPolicy })
+    );
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const post = (userId) =>
+    server.request("/comments", {
+      method: "POST",
+      headers: { "X-User-Id": userId },
+    });
+
+  it("enforces a stored limit and window", async () => {
+    const userId = objectId().toString();
+    mock.method(rateLimitService, "getLimitMultiplier", async () => 1);
+    mock.method(RateLimitPolicy, "find", () =>
+      queryOf([
+        {
+          role: USER_ROLES.USER,
+          action: COMMENT_CREATE,
+          limit: 1,
+          windowMs: 120000,
+        },
+      ])
+    );
+
+    const first = await post(userId);
+    const second = await post(userId);
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.policy, { limit: 1, windowMs: 120000 });
+    assert.equal(second.status, 429);
+  });
+
+  it("applies the defaults when policies cannot be read", async () => {
+    const userId = objectId().toString();
+    mock.method(rateLimitService, "getLimitMultiplier", async () => 1);
+    mock.method(RateLimitPolicy, "find", () => {
+      throw new Error("db down");
+    });
+
+    const { status, body } = await post(userId);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.policy, {
+      limit: config.RATE_LIMIT.USER.COMMENTS,
+      windowMs: config.RATE_LIMIT.WINDOW_MS,
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// tests/rateLimitStore.test.js
+import "./helpers/setup.js";
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { rateLimit } from "express-rate-limit";
+import RateLimit from "../models/RateLimit.js";
+import {
+  MongoRateLimitStore,
+  createRateLimitStore,
+  STORE_KEY_PREFIX,
+} from "../utils/rateLimitStore.js";
+import config from "../config/index.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+// Счетчики в памяти вместо коллекции RateLimit
+const stubCounters = () => {
+  const counters = new Map();
+
+  mock.method(RateLimit, "incrementKey", async (key, windowMs) => {
+    const record = counters.get(key) || {
+      count: 0,
+      expiresAt: new Date(Date.now() + windowMs),
+    };
+    record.count += 1;
+    counters.set(key, record);
+    return record;
+  });
+};
+
+describe("createRateLimitStore", () => {
+  it("uses the express-rate-limit memory store by default", () => {
+    assert.equal(createRateLimitStore("api"), undefined);
+  });
+
+  it("creates a shared store when configured for mongo", () => {
+    const store = config.RATE_LIMIT.STORE;
+
+    try {
+      config.RATE_LIMIT.STORE = "mongo";
+      const created = createRateLimitStore("api");
+
+      assert.ok(created instanceof MongoRateLimitStore);
+      assert.equal(created.localKeys, false);
+      assert.equal(created.prefixKey("ip_1"), `${STORE_KEY_PREFIX}api:ip_1`);
+    } finally {
+      config.RATE_LIMIT.STORE = store;
+    }
+  });
+});
+
+describe("MongoRateLimitStore", () => {
+  it("counts hits in the limiter window", async () => {
+    const store = new MongoRateLimitStore("api");
+    store.init({ windowMs: 5000 });
+    const increment = mock.method(RateLimit, "incrementKey", async () => ({
+      count: 2,
+      expiresAt: new Date(Date.now() + 5000),
+    }));
+
+    const { totalHits, resetTime } = await store.increment("user_1");
+
+    assert.equal(totalHits, 2);
+    assert.ok(resetTime instanceof Date);
+    assert.deepEqual(increment.mock.calls[0].arguments, [
+      `${STORE_KEY_PREFIX}api:user_1`,
+      5000,
+    ]);
+  });
+
+  it("reports no hits for a missing or expired key", async () => {
+    const findOne = mock.method(RateLimit, "findOne", async () => null);
+
+    assert.equal(await new MongoRateLimitStore("api").get("user_1"), undefined);
+    assert.ok(findOne.mock.calls[0].arguments[0].expiresAt.$gt instanceof Date);
+  });
+
+  it("shares counters between limiters of different processes", async () => {
+    stubCounters();
+
+    const createInstance = () => {
+      const app = express();
+      app.get(
+        "/",
+        rateLimit({
+          windowMs: 60000,
+          limit: 2,
+          keyGenerator: () => "user_1",
+          store: new MongoRateLimitStore("shared"),
+        }),
+        (req, res) => res.json({ ok: true })
+      );
+      return startServer(app);
+    };
+
+    const [first, second] = await Promise.all([
+      createInstance(),
+      createInstance(),
+    ]);
+
+    try {
+      const statuses = [
+        (await first.request("/")).status,
+        (await second.request("/")).status,
+        (await first.request("/")).status,
+      ];
+
+      assert.deepEqual(statuses, [200, 200, 429]);
+    } finally {
+      await Promise.all([first.close(), second.close()]);
+    }
+  });
+});
+
+describe("RateLimit.incrementKey", () => {
+  it("increments the counter inside the window", async () => {
+    const record = { count: 3 };
+    const update = mock.method(
+      RateLimit,
+      "findOneAndUpdate",
+      async () => record
+    );
+
+    assert.equal(await RateLimit.incrementKey("rl:api:x", 1000), record);
+    assert.equal(update.mock.callCount(), 1);
+    assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { count: 1 } });
+  });
+
+  it("starts a new window when the previous one expired", async () => {
+    const record = { count: 1 };
+    let call = 0;
+    const update = mock.method(RateLimit, "findOneAndUpdate", async () =>
+      call++ === 0 ? null : record
+    );
+
+    assert.equal(await RateLimit.incrementKey("rl:api:x", 1000), record);
+    const [filter, change, options] = update.mock.calls[1].arguments;
+    assert.ok(filter.expiresAt.$lte instanceof Date);
+    assert.equal(change.$set.count, 1);
+    assert.equal(options.upsert, true);
+  });
+
+  it("retries when another process created the window first", async () => {
+    const record = { count: 2 };
+    let call = 0;
+    mock.method(RateLimit, "findOneAndUpdate", async () => {
+      call++;
+      if (call === 1) return null;
+      if (call === 2) throw Object.assign(new Error("dup"), { code: 11000 });
+      return record;
+    });
+
+    assert.equal(await RateLimit.incrementKey("rl:api:x", 1000), record);
+    assert.equal(call, 3);
+  });
+});
@@ -0,0 +1,432 @@
+// tests/reportResolution.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Report from "../models/Report.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import reportService from "../services/reportService.js";
+import questionService from "../services/questionService.js";
+import answerService from "../services/answerService.js";
+import commentService from "../services/commentService.js";
+import userService from "../services/userService.js";
+import notificationService from "../services/notificationService.js";
+import reputationService from "../services/reputationService.js";
+import moderationQueueService from "../services/moderationQueueService.js";
+import config from "../config/index.js";
+import {
+  REPORT_ACTIONS,
+  REPORT_STATUS,
+  REPORT_TARGET_TYPES,
+  HTTP_STATUS,
+} from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TARGET_MODELS = {
+  [REPORT_TARGET_TYPES.QUESTION]: Question,
+  [REPORT_TARGET_TYPES.ANSWER]: Answer,
+  [REPORT_TARGET_TYPES.COMMENT]: Comment,
+};
+
+describe("reportService.resolveReport", () => {
+  let adminId;
+  let authorId;
+  let penalize;
+  let notifyReporter;
+
+  // Жалоба и контент, на который она подана
+  const setup = (targetType, target = {}, reportData = {}) => {
+    const report = new Report({
+      reportedBy: objectId(),
+      targetId: objectId(),
+      targetType,
+      reason: "spam",
+      ...reportData,
+    });
+    mock.method(Report, "findById", () => queryOf(report));
+    mock.method(TARGET_MODELS[targetType], "findById", () =>
+      queryOf(target && { author: authorId, expert: authorId, ...target })
+    );
+
+    return report;
+  };
+
+  // Открытые жалобы на объект для снятия автоскрытия
+  const stubOpenReports = (count) =>
+    mock.method(Report, "findOpenByTarget", () => ({
+      countDocuments: async () => count,
+    }));
+
+  beforeEach(() => {
+    adminId = objectId();
+    authorId = objectId();
+    mock.method(Report.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(
+      moderationQueueService,
+      "assertNotClaimedByOther",
+      async () => {}
+    );
+    penalize = mock.method(
+      reputationService,
+      "penalizeForReport",
+      async () => null
+    );
+    notifyReporter = mock.method(
+      notificationService,
+      "notifyReporterAboutResolution",
+      async () => {}
+    );
+  });
+
+  it("hides the reported content", async () => {
+    const report = setup(REPORT_TARGET_TYPES.ANSWER);
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.HIDE,
+    });
+
+    assert.deepEqual(hide.mock.calls[0].arguments, [
+      report.targetId,
+      true,
+      adminId,
+    ]);
+    assert.equal(report.status, REPORT_STATUS.RESOLVED);
+    assert.equal(report.actionTaken, REPORT_ACTIONS.HIDE);
+    assert.equal(report.outcome.action, REPORT_ACTIONS.HIDE);
+    assert.equal(report.outcome.affectedUser, authorId);
+    assert.equal(penalize.mock.calls[0].arguments[0], report);
+    assert.equal(notifyReporter.mock.callCount(), 1);
+  });
+
+  it("moves the content to the trash with a default reason", async () => {
+    const report = setup(REPORT_TARGET_TYPES.QUESTION);
+    const remove = mock.method(
+      questionService,
+      "deleteQuestion",
+      async () => {}
+    );
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.DELETE,
+    });
+
+    const [targetId, deletedBy, reason] = remove.mock.calls[0].arguments;
+    assert.equal(targetId, report.targetId);
+    assert.equal(deletedBy, adminId);
+    assert.match(reason, /sťažnosť: spam/);
+  });
+
+  it("does not touch content that is already deleted", async () => {
+    const report = setup(REPORT_TARGET_TYPES.COMMENT, {
+      deletedAt: new Date(),
+    });
+    const remove = mock.method(commentService, "deleteComment", async () => {});
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.DELETE,
+    });
+
+    assert.equal(remove.mock.callCount(), 0);
+    assert.equal(report.status, REPORT_STATUS.RESOLVED);
+  });
+
+  it("warns the author with the moderator comment", async () => {
+    const report = setup(REPORT_TARGET_TYPES.COMMENT);
+    const warn = mock.method(
+      notificationService,
+      "notifyUserAboutWarning",
+      async () => {}
+    );
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.WARN,
+      comment: "Prosím, bez reklamy",
+    });
+
+    assert.deepEqual(warn.mock.calls[0].arguments, [
+      authorId,
+      "Prosím, bez reklamy",
+      report,
+      adminId,
+    ]);
+    assert.equal(report.adminComment, "Prosím, bez reklamy");
+  });
+
+  it("bans the author temporarily for the default period", async () => {
+    const report = setup(REPORT_TARGET_TYPES.ANSWER);
+    const admin = { _id: adminId, role: "admin" };
+    mock.method(User, "findById", () => queryOf(admin));
+    const update = mock.method(userService, "updateProfile", async () => ({}));
+    const notifyBan = mock.method(
+      notificationService,
+      "notifyUserAboutBan",
+      async () => {}
+    );
+    const before = Date.now();
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.TEMPORARY_BAN,
+    });
+
+    const [userId, data, updatedBy] = update.mock.calls[0].arguments;
+    const expected = before + config.REPORTS.DEFAULT_BAN_DAYS * DAY_MS;
+    assert.equal(userId, authorId);
+    assert.equal(data.isBanned, true);
+    assert.ok(Math.abs(data.bannedUntil.getTime() - expected) < 1000);
+    assert.equal(updatedBy, admin);
+    assert.equal(notifyBan.mock.calls[0].arguments[2], data.bannedUntil);
+    assert.equal(
+      report.actionTaken,
+      `temporary_ban until ${data.bannedUntil.toISOString()}`
+    );
+    assert.equal(report.outcome.bannedUntil, data.bannedUntil);
+  });
+
+  it("bans the author permanently", async () => {
+    const report = setup(REPORT_TARGET_TYPES.QUESTION);
+    mock.method(User, "findById", () => queryOf({ role: "admin" }));
+    const update = mock.method(userService, "updateProfile", async () => ({}));
+    // Сбой уведомления не отменяет бан
+    mock.method(notificationService, "notifyUserAboutBan", async () => {
+      throw new Error("SMTP");
+    });
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.PERMANENT_BAN,
+      banDays: 30,
+    });
+
+    assert.equal(update.mock.calls[0].arguments[1].bannedUntil, null);
+    assert.equal(report.actionTaken, REPORT_ACTIONS.PERMANENT_BAN);
+  });
+
+  it("refuses to ban the moderator themselves", async () => {
+    authorId = adminId;
+    const report = setup(REPORT_TARGET_TYPES.QUESTION);
+    const update = mock.method(userService, "updateProfile", async () => ({}));
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, adminId, {
+        action: REPORT_ACTIONS.TEMPORARY_BAN,
+      }),
+      (error) => error.statusCode === HTTP_STATUS.BAD_REQUEST
+    );
+    assert.equal(update.mock.callCount(), 0);
+    assert.equal(report.status, REPORT_STATUS.PENDING);
+  });
+
+  it("dismisses without penalty and lifts the auto-hide", async () => {
+    const report = setup(
+      REPORT_TARGET_TYPES.COMMENT,
+      { isHidden: true },
+      { autoHiddenAt: new Date() }
+    );
+    stubOpenReports(0);
+    const unhide = mock.method(
+      commentService,
+      "setCommentHidden",
+      async () => {}
+    );
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.DISMISS,
+    });
+
+    assert.equal(report.status, REPORT_STATUS.DISMISSED);
+    assert.equal(report.outcome.action, REPORT_ACTIONS.DISMISS);
+    assert.equal(penalize.mock.callCount(), 0);
+    assert.deepEqual(unhide.mock.calls[0].arguments, [
+      report.targetId,
+      false,
+      adminId,
+    ]);
+  });
+
+  it("keeps the auto-hide while other reports are open", async () => {
+    const report = setup(
+      REPORT_TARGET_TYPES.COMMENT,
+      { isHidden: true },
+      { autoHiddenAt: new Date() }
+    );
+    stubOpenReports(1);
+    const unhide = mock.method(
+      commentService,
+      "setCommentHidden",
+      async () => {}
+    );
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.DISMISS,
+    });
+
+    assert.equal(unhide.mock.callCount(), 0);
+  });
+
+  it("keeps content hidden by an earlier moderator decision", async () => {
+    const report = setup(
+      REPORT_TARGET_TYPES.COMMENT,
+      { isHidden: true, hiddenBy: objectId() },
+      { autoHiddenAt: new Date() }
+    );
+    stubOpenReports(0);
+    const unhide = mock.method(
+      commentService,
+      "setCommentHidden",
+      async () => {}
+    );
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.DISMISS,
+    });
+
+    assert.equal(unhide.mock.callCount(), 0);
+  });
+
+  it("keeps the auto-hide when the content is hidden by the decision", async () => {
+    const report = setup(
+      REPORT_TARGET_TYPES.ANSWER,
+      {},
+      { autoHiddenAt: new Date() }
+    );
+    const open = stubOpenReports(0);
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.HIDE,
+    });
+
+    assert.equal(open.mock.callCount(), 0);
+    assert.equal(hide.mock.callCount(), 1);
+    assert.equal(hide.mock.calls[0].arguments[1], true);
+  });
+
+  it("still resolves when the reporter cannot be notified", async () => {
+    const report = setup(REPORT_TARGET_TYPES.ANSWER);
+    mock.method(answerService, "setAnswerHidden", async () => {});
+    notifyReporter.mock.mockImplementation(async () => {
+      throw new Error("SMTP");
+    });
+
+    await reportService.resolveReport(report._id, adminId, {
+      action: REPORT_ACTIONS.HIDE,
+    });
+
+    assert.equal(report.status, REPORT_STATUS.RESOLVED);
+  });
+
+  it("rejects a closed report", async () => {
+    const report = setup(
+      REPORT_TARGET_TYPES.ANSWER,
+      {},
+      { status: REPORT_STATUS.DISMISSED }
+    );
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, adminId, {
+        action: REPORT_ACTIONS.HIDE,
+      }),
+      (error) =>
+        error.statusCode === HTTP_STATUS.BAD_REQUEST &&
+        /už bola vybavená/.test(error.message)
+    );
+  });
+
+  it("reports a missing report as not found", async () => {
+    mock.method(Report, "findById", () => queryOf(null));
+
+    await assert.rejects(
+      reportService.resolveReport(objectId(), adminId, {
+        action: REPORT_ACTIONS.HIDE,
+      }),
+      (error) => error.statusCode === HTTP_STATUS.NOT_FOUND
+    );
+  });
+
+  it("reports missing content as not found", async () => {
+    const report = setup(REPORT_TARGET_TYPES.QUESTION, null);
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, adminId, {
+        action: REPORT_ACTIONS.HIDE,
+      }),
+      (error) =>
+        error.statusCode === HTTP_STATUS.NOT_FOUND &&
+        /Nahlásený obsah už neexistuje/.test(error.message)
+    );
+    assert.equal(report.status, REPORT_STATUS.PENDING);
+  });
+
+  it("rejects an unknown action", async () => {
+    const report = setup(REPORT_TARGET_TYPES.QUESTION);
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, adminId, { action: "shame" }),
+      (error) =>
+        error.statusCode === HTTP_STATUS.BAD_REQUEST &&
+        /Neplatné opatrenie/.test(error.message)
+    );
+    assert.equal(report.status, REPORT_STATUS.PENDING);
+  });
+
+  it("stops when another moderator has claimed the report", async () => {
+    const report = setup(REPORT_TARGET_TYPES.ANSWER);
+    const conflict = Object.assign(new Error("Položku práve spracúva"), {
+      statusCode: HTTP_STATUS.CONFLICT,
+    });
+    moderationQueueService.assertNotClaimedByOther.mock.mockImplementation(
+      async () => {
+        throw conflict;
+      }
+    );
+    const hide = mock.method(answerService, "setAnswerHidden", async () => {});
+
+    await assert.rejects(
+      reportService.resolveReport(report._id, adminId, {
+        action: REPORT_ACTIONS.HIDE,
+      }),
+      conflict
+    );
+    assert.equal(hide.mock.callCount(), 0);
+  });
+});
+
+describe("reportService.reviewReport", () => {
+  it("marks a pending report as reviewed", async () => {
+    const report = new Report({ status: REPORT_STATUS.PENDING });
+    mock.method(Report, "findById", () => queryOf(report));
+    mock.method(Report.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(
+      moderationQueueService,
+      "assertNotClaimedByOther",
+      async () => {}
+    );
+    const adminId = objectId();
+
+    await reportService.reviewReport(report._id, adminId, "Overujem");
+
+    assert.equal(report.status, REPORT_STATUS.REVIEWED);
+    assert.equal(report.reviewedBy, adminId);
+    assert.equal(report.adminComment, "Overujem");
+  });
+
+  it("rejects a report that is no longer pending", async () => {
+    const report = new Report({ status: REPORT_STATUS.REVIEWED });
+    mock.method(Report, "findById", () => queryOf(report));
+
+    await assert.rejects(
+      reportService.reviewReport(report._id, objectId()),
+      (error) => error.statusCode === HTTP_STATUS.BAD_REQUEST
+    );
+  });
+});
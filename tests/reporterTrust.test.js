@@ -0,0 +1,271 @@
+// tests/reporterTrust.test.js
+import "./helpers/setup.js";
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import Report from "../models/Report.js";
+import User from "../models/User.js";
+import reportService from "../services/reportService.js";
+import notificationService from "../services/notificationService.js";
+import reportController from "../controllers/reportController.js";
+import { errorHandler } from "../middlewares/errorHandler.js";
+import config from "../config/index.js";
+import { HTTP_STATUS, REPORT_TARGET_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+const { REPORTER_TRUST } = config.REPORTS;
+
+// Итоги жалоб автора в виде Report.getReporterStats
+const stubStats = (statsById = {}) =>
+  mock.method(
+    Report,
+    "getReporterStats",
+    async () => new Map(Object.entries(statsById))
+  );
+
+// Точность ниже порога на минимальном числе решенных жалоб
+const lowAccuracyStat = () => ({
+  total: REPORTER_TRUST.MIN_CLOSED_REPORTS,
+  resolved: 1,
+  dismissed: REPORTER_TRUST.MIN_CLOSED_REPORTS - 1,
+  other: 0,
+});
+
+describe("reportService.getReporterStats", () => {
+  it("computes the share of confirmed reports", async () => {
+    const userId = objectId();
+    stubStats({
+      [userId]: { total: 12, resolved: 6, dismissed: 2, other: 3 },
+    });
+
+    const stats = await reportService.getReporterStats([userId, userId]);
+
+    assert.deepEqual(stats.get(userId.toString()), {
+      total: 12,
+      resolved: 6,
+      dismissed: 2,
+      other: 3,
+      accuracy: 0.75,
+      isLowAccuracy: false,
+    });
+    assert.equal(stats.size, 1);
+  });
+
+  it("does not judge a reporter without closed reports", async () => {
+    const userId = objectId();
+    stubStats();
+
+    const trust = (await reportService.getReporterStats([userId])).get(
+      userId.toString()
+    );
+
+    assert.equal(trust.accuracy, null);
+    assert.equal(trust.isLowAccuracy, false);
+  });
+
+  it("flags low accuracy only after enough closed reports", async () => {
+    const [few, many] = [objectId(), objectId()];
+    stubStats({
+      [few]: { total: 2, resolved: 0, dismissed: 2 },
+      [many]: lowAccuracyStat(),
+    });
+
+    const stats = await reportService.getReporterStats([few, many]);
+
+    assert.equal(stats.get(few.toString()).isLowAccuracy, false);
+    assert.equal(stats.get(many.toString()).isLowAccuracy, true);
+  });
+});
+
+describe("reportService.assertCanReport", () => {
+  it("forbids a blocked reporter", async () => {
+    mock.method(User, "findById", () => queryOf({ isReportingBlocked: true }));
+
+    await assert.rejects(
+      reportService.assertCanReport(objectId()),
+      (error) => error.statusCode === HTTP_STATUS.FORBIDDEN
+    );
+  });
+
+  it("limits reports per day for a low accuracy reporter", async () => {
+    const userId = objectId();
+    mock.method(User, "findById", () => queryOf({ isReportingBlocked: false }));
+    stubStats({ [userId]: lowAccuracyStat() });
+    const count = mock.method(
+      Report,
+      "countDocuments",
+      async () => REPORTER_TRUST.LOW_ACCURACY_DAILY_LIMIT
+    );
+
+    await assert.rejects(
+      reportService.assertCanReport(userId),
+      (error) => error.statusCode === HTTP_STATUS.TOO_MANY_REQUESTS
+    );
+    assert.equal(count.mock.calls[0].arguments[0].reportedBy, userId);
+  });
+
+  it("lets a low accuracy reporter report below the limit", async () => {
+    const userId = objectId();
+    mock.method(User, "findById", () => queryOf({ isReportingBlocked: false }));
+    stubStats({ [userId]: lowAccuracyStat() });
+    mock.method(
+      Report,
+      "countDocuments",
+      async () => REPORTER_TRUST.LOW_ACCURACY_DAILY_LIMIT - 1
+    );
+
+    const trust = await reportService.assertCanReport(userId);
+
+    assert.equal(trust.isLowAccuracy, true);
+  });
+
+  it("does not count daily reports of an accurate reporter", async () => {
+    const userId = objectId();
+    mock.method(User, "findById", () => queryOf({ isReportingBlocked: false }));
+    stubStats({ [userId]: { total: 9, resolved: 8, dismissed: 1 } });
+    const count = mock.method(Report, "countDocuments", async () => 100);
+
+    await reportService.assertCanReport(userId);
+
+    assert.equal(count.mock.callCount(), 0);
+  });
+});
+
+describe("reportService.setReportingBlocked", () => {
+  it("blocks a reporter with a reason and unblocks without it", async () => {
+    const update = mock.method(User, "findByIdAndUpdate", () =>
+      queryOf({ isReportingBlocked: true })
+    );
+    const userId = objectId();
+
+    await reportService.setReportingBlocked(userId, true, objectId(), "Spam");
+    await reportService.setReportingBlocked(userId, false, objectId(), "Spam");
+
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      isReportingBlocked: true,
+      reportingBlockedReason: "Spam",
+    });
+    assert.deepEqual(update.mock.calls[1].arguments[1], {
+      isReportingBlocked: false,
+      reportingBlockedReason: null,
+    });
+  });
+
+  it("rejects blocking oneself or a missing user", async () => {
+    const adminId = objectId();
+    mock.method(User, "findByIdAndUpdate", () => queryOf(null));
+
+    await assert.rejects(
+      reportService.setReportingBlocked(adminId, true, adminId),
+      (error) => error.statusCode === HTTP_STATUS.BAD_REQUEST
+    );
+    await assert.rejects(
+      reportService.setReportingBlocked(objectId(), true, adminId),
+      (error) => error.statusCode === HTTP_STATUS.NOT_FOUND
+    );
+  });
+});
+
+describe("reportService.getPendingReports", () => {
+  it("attaches reporter accuracy to each report", async () => {
+    const reporterId = objectId();
+    const report = (reportedBy) => ({
+      reportedBy,
+      toObject: () => ({ reportedBy }),
+    });
+    mock.method(Report, "findPending", () =>
+      queryOf([report({ _id: reporterId }), report(null)])
+    );
+    mock.method(Report, "countDocuments", async () => 2);
+    stubStats({ [reporterId]: { total: 4, resolved: 4, dismissed: 0 } });
+
+    const result = await reportService.getPendingReports();
+
+    assert.equal(result.data[0].reporterStats.accuracy, 1);
+    assert.equal(result.data[1].reporterStats, null);
+    assert.equal(result.pagination.totalItems, 2);
+  });
+});
+
+describe("POST /reports", () => {
+  let server;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: req.get("X-User-Id") };
+      next();
+    });
+    app.post("/reports", reportController.createReport);
+    app.use(errorHandler);
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const post = (userId, body) =>
+    server.request("/reports", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-User-Id": userId },
+      body: JSON.stringify({
+        targetId: objectId().toString(),
+        targetType: REPORT_TARGET_TYPES.ANSWER,
+        reason: "spam",
+        ...body,
+      }),
+    });
+
+  it("deprioritizes a report from a low accuracy reporter", async () => {
+    mock.method(reportService, "assertCanReport", async () => ({
+      isLowAccuracy: true,
+    }));
+    mock.method(Report, "checkDuplicate", async () => false);
+    const save = mock.method(Report.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Report, "findById", () => queryOf({}));
+    mock.method(notificationService, "notifyAdminsAboutReport", async () => {});
+    mock.method(reportService, "evaluateAutoHide", async () => null);
+
+    const { status } = await post(objectId().toString());
+
+    assert.equal(status, 201);
+    assert.equal(save.mock.calls[0].this.isDeprioritized, true);
+  });
+
+  it("answers 429 when the daily limit is reached", async () => {
+    const limit = Object.assign(new Error("Dosiahli ste denný limit"), {
+      statusCode: HTTP_STATUS.TOO_MANY_REQUESTS,
+    });
+    mock.method(reportService, "assertCanReport", async () => {
+      throw limit;
+    });
+    const save = mock.method(Report.prototype, "save", async function () {
+      return this;
+    });
+
+    const { status } = await post(objectId().toString());
+
+    assert.equal(status, HTTP_STATUS.TOO_MANY_REQUESTS);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("requires a description for the reason other", async () => {
+    const canReport = mock.method(reportService, "assertCanReport");
+
+    const { status, body } = await post(objectId().toString(), {
+      reason: "other",
+      description: "zle",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.field, "description");
+    assert.equal(canReport.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,228 @@
+// tests/reputation.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import ReputationEntry from "../models/ReputationEntry.js";
+import User from "../models/User.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import reputationService from "../services/reputationService.js";
+import config from "../config/index.js";
+import { REPUTATION_EVENTS, LIKE_TARGET_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+const POINTS = config.REPUTATION.POINTS;
+
+let ratings;
+
+beforeEach(() => {
+  ratings = new Map();
+  mock.method(ReputationEntry, "aggregate", async () => [{ total: 12 }]);
+  mock.method(User, "findByIdAndUpdate", async (id, { rating }) => {
+    ratings.set(id.toString(), rating);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("reputationService.award", () => {
+  it("writes a ledger entry and recalculates the rating", async () => {
+    const userId = objectId();
+    const sourceId = objectId();
+    const actorId = objectId();
+    mock.method(ReputationEntry, "findOne", async () => null);
+    const create = mock.method(ReputationEntry, "create", async (doc) => doc);
+
+    const entry = await reputationService.award(
+      userId,
+      REPUTATION_EVENTS.ANSWER_LIKED,
+      { type: "Answer", id: sourceId },
+      actorId
+    );
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.deepEqual(entry, {
+      user: userId,
+      event: REPUTATION_EVENTS.ANSWER_LIKED,
+      points: POINTS[REPUTATION_EVENTS.ANSWER_LIKED],
+      sourceType: "Answer",
+      sourceId,
+      actor: actorId,
+    });
+    assert.equal(ratings.get(userId.toString()), 12);
+  });
+
+  it("does not award the same event from the same actor twice", async () => {
+    const existing = { _id: objectId() };
+    mock.method(ReputationEntry, "findOne", async () => existing);
+    const create = mock.method(ReputationEntry, "create");
+
+    const entry = await reputationService.award(
+      objectId(),
+      REPUTATION_EVENTS.ANSWER_ACCEPTED,
+      { type: "Answer", id: objectId() }
+    );
+
+    assert.equal(entry, existing);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("ignores events without points", async () => {
+    const create = mock.method(ReputationEntry, "create");
+
+    assert.equal(
+      await reputationService.award(objectId(), "unknown_event", {
+        type: "Answer",
+        id: objectId(),
+      }),
+      null
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("reputationService.revoke", () => {
+  it("reverses the active entry with an opposite entry", async () => {
+    const userId = objectId();
+    const sourceId = objectId();
+    const original = new ReputationEntry({
+      user: userId,
+      event: REPUTATION_EVENTS.ANSWER_ACCEPTED,
+      points: POINTS[REPUTATION_EVENTS.ANSWER_ACCEPTED],
+      sourceType: "Answer",
+      sourceId,
+    });
+    mock.method(original, "save", async () => original);
+    mock.method(ReputationEntry, "findOne", async () => original);
+    mock.method(ReputationEntry, "create", async (doc) => doc);
+
+    const reversal = await reputationService.revoke(
+      REPUTATION_EVENTS.ANSWER_ACCEPTED,
+      sourceId
+    );
+
+    assert.ok(original.reversedAt instanceof Date);
+    assert.equal(reversal.points, -original.points);
+    assert.equal(reversal.reversalOf, original._id);
+    assert.equal(reversal.user, userId);
+    assert.ok(ratings.has(userId.toString()));
+  });
+
+  it("does nothing without an active entry", async () => {
+    mock.method(ReputationEntry, "findOne", async () => null);
+    const create = mock.method(ReputationEntry, "create");
+
+    assert.equal(
+      await reputationService.revoke(
+        REPUTATION_EVENTS.ANSWER_LIKED,
+        objectId()
+      ),
+      null
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe("reputationService.handleLikeToggle", () => {
+  it("gives points to the author of a liked question", async () => {
+    const authorId = objectId();
+    mock.method(Question, "findById", () => queryOf({ author: authorId }));
+    const award = mock.method(reputationService, "award", async () => ({}));
+
+    await reputationService.handleLikeToggle(
+      objectId(),
+      objectId(),
+      LIKE_TARGET_TYPES.QUESTION,
+      true
+    );
+
+    const [userId, event] = award.mock.calls[0].arguments;
+    assert.equal(userId, authorId);
+    assert.equal(event, REPUTATION_EVENTS.QUESTION_LIKED);
+  });
+
+  it("gives no points for liking your own content", async () => {
+    const authorId = objectId();
+    mock.method(Question, "findById", () => queryOf({ author: authorId }));
+    const award = mock.method(reputationService, "award");
+
+    const result = await reputationService.handleLikeToggle(
+      authorId,
+      objectId(),
+      LIKE_TARGET_TYPES.QUESTION,
+      true
+    );
+
+    assert.equal(result, null);
+    assert.equal(award.mock.callCount(), 0);
+  });
+
+  it("revokes the points when the like is removed", async () => {
+    mock.method(Question, "findById", () => queryOf({ author: objectId() }));
+    const revoke = mock.method(reputationService, "revoke", async () => ({}));
+    const likerId = objectId();
+    const questionId = objectId();
+
+    await reputationService.handleLikeToggle(
+      likerId,
+      questionId,
+      LIKE_TARGET_TYPES.QUESTION,
+      false
+    );
+
+    assert.deepEqual(revoke.mock.calls[0].arguments, [
+      REPUTATION_EVENTS.QUESTION_LIKED,
+      questionId,
+      likerId,
+    ]);
+  });
+});
+
+describe("reputationService.penalizeForReport", () => {
+  it("penalizes one violation once however many reports uphold it", async () => {
+    const authorId = objectId();
+    const answerId = objectId();
+    const ledger = [];
+    mock.method(Answer, "findById", () => queryOf({ expert: authorId }));
+    mock.method(ReputationEntry, "findOne", async (filter) =>
+      ledger.find(
+        (entry) =>
+          entry.event === filter.event && entry.sourceId.equals(filter.sourceId)
+      )
+    );
+    const create = mock.method(ReputationEntry, "create", async (doc) => {
+      ledger.push(doc);
+      return doc;
+    });
+    const report = () => ({
+      _id: objectId(),
+      targetType: LIKE_TARGET_TYPES.ANSWER,
+      targetId: answerId,
+    });
+
+    await reputationService.penalizeForReport(report());
+    await reputationService.penalizeForReport(report());
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.deepEqual(ledger[0], {
+      user: authorId,
+      event: REPUTATION_EVENTS.REPORT_UPHELD,
+      points: POINTS[REPUTATION_EVENTS.REPORT_UPHELD],
+      sourceType: "Answer",
+      sourceId: answerId,
+      actor: null,
+    });
+  });
+});
+
+describe("reputationService.recalculateRating", () => {
+  it("never lets the rating drop below zero", async () => {
+    const userId = objectId();
+    ReputationEntry.aggregate.mock.mockImplementation(async () => [
+      { total: -30 },
+    ]);
+
+    assert.equal(await reputationService.recalculateRating(userId), 0);
+    assert.equal(ratings.get(userId.toString()), 0);
+  });
+});
@@ -0,0 +1,231 @@
+// tests/revisions.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Revision from "../models/Revision.js";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import revisionService from "../services/revisionService.js";
+import questionService from "../services/questionService.js";
+import cryptoService from "../services/cryptoService.js";
+import { diffLines } from "../utils/helpers.js";
+import { REVISION_TARGET_TYPES, USER_ROLES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("diffLines", () => {
+  it("marks removed, added and unchanged lines", () => {
+    assert.deepEqual(diffLines("a\nb\nc", "a\nx\nc"), [
+      { type: "unchanged", line: "a" },
+      { type: "removed", line: "b" },
+      { type: "added", line: "x" },
+      { type: "unchanged", line: "c" },
+    ]);
+  });
+
+  it("handles appended lines and windows line endings", () => {
+    assert.deepEqual(diffLines("a\r\nb", "a\nb\nc"), [
+      { type: "unchanged", line: "a" },
+      { type: "unchanged", line: "b" },
+      { type: "added", line: "c" },
+    ]);
+  });
+
+  it("treats identical texts as unchanged", () => {
+    assert.ok(
+      diffLines("same\ntext", "same\ntext").every(
+        (entry) => entry.type === "unchanged"
+      )
+    );
+  });
+});
+
+describe("revisionService.recordRevision", () => {
+  it("stores the replaced version under the next number", async () => {
+    mock.method(Revision, "findOne", () => queryOf({ version: 2 }));
+    const create = mock.method(Revision, "create", async (doc) => doc);
+    const editorId = objectId();
+
+    const revision = await revisionService.recordRevision(
+      REVISION_TARGET_TYPES.ANSWER,
+      objectId(),
+      { title: "ignored", content: "Old content" },
+      editorId,
+      { rollbackTo: 1 }
+    );
+
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(revision.version, 3);
+    assert.equal(revision.title, null);
+    assert.equal(revision.content, "Old content");
+    assert.equal(revision.replacedBy, editorId);
+    assert.equal(revision.rollbackTo, 1);
+  });
+
+  it("starts numbering at one", async () => {
+    mock.method(Revision, "findOne", () => queryOf(null));
+    mock.method(Revision, "create", async (doc) => doc);
+
+    const revision = await revisionService.recordRevision(
+      REVISION_TARGET_TYPES.QUESTION,
+      objectId(),
+      { title: "Old title", content: "Old content" },
+      objectId()
+    );
+
+    assert.equal(revision.version, 1);
+    assert.equal(revision.title, "Old title");
+  });
+});
+
+describe("revisionService.getHistory", () => {
+  const author = { _id: objectId(), role: USER_ROLES.USER };
+  const editor = { _id: objectId(), role: USER_ROLES.ADMIN };
+  const createdAt = new Date("2026-01-01T10:00:00Z");
+  const editedAt = new Date("2026-01-02T10:00:00Z");
+
+  beforeEach(() => {
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+  });
+
+  it("lists every version with its editor and a diff to the previous one", async () => {
+    mock.method(Question, "findById", () =>
+      queryOf({
+        title: "New title",
+        content: "line\nnew",
+        author,
+        createdAt,
+      })
+    );
+    mock.method(Revision, "find", () =>
+      queryOf([
+        {
+          _id: objectId(),
+          version: 1,
+          title: "Old title",
+          content: "line\nold",
+          replacedBy: editor,
+          createdAt: editedAt,
+          rollbackTo: null,
+        },
+      ])
+    );
+
+    const history = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.QUESTION,
+      objectId()
+    );
+
+    assert.equal(history.length, 2);
+    assert.equal(history[0].editedBy, author);
+    assert.equal(history[0].editedAt, createdAt);
+    assert.equal(history[0].diff, null);
+    assert.equal(history[1].isCurrent, true);
+    assert.equal(history[1].editedBy, editor);
+    assert.equal(history[1].editedAt, editedAt);
+    assert.deepEqual(
+      history[1].diff.content.map((entry) => entry.type),
+      ["unchanged", "removed", "added"]
+    );
+    assert.equal(history[1].diff.title[0].type, "removed");
+  });
+
+  it("hides the history of an unapproved answer from other users", async () => {
+    mock.method(Answer, "findById", () =>
+      queryOf({ content: "x", isApproved: false, expert: author, createdAt })
+    );
+    mock.method(Revision, "find", () => queryOf([]));
+
+    await assert.rejects(
+      revisionService.getHistory(REVISION_TARGET_TYPES.ANSWER, objectId(), {
+        _id: objectId(),
+        role: USER_ROLES.USER,
+      }),
+      /Odpoveď nebola nájdená/
+    );
+
+    const own = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.ANSWER,
+      objectId(),
+      author
+    );
+    assert.equal(own.length, 1);
+  });
+
+  it("hides the history of hidden content from the public", async () => {
+    mock.method(Question, "findById", () =>
+      queryOf({ title: "T", content: "x", isHidden: true, author, createdAt })
+    );
+    mock.method(Answer, "findById", () =>
+      queryOf({
+        content: "x",
+        isApproved: true,
+        isHidden: true,
+        expert: author,
+        createdAt,
+      })
+    );
+    mock.method(Revision, "find", () => queryOf([]));
+
+    await assert.rejects(
+      revisionService.getHistory(REVISION_TARGET_TYPES.QUESTION, objectId()),
+      /Otázka nebola nájdená/
+    );
+    await assert.rejects(
+      revisionService.getHistory(REVISION_TARGET_TYPES.ANSWER, objectId(), {
+        _id: objectId(),
+        role: USER_ROLES.EXPERT,
+      }),
+      /Odpoveď nebola nájdená/
+    );
+
+    const forAdmin = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.QUESTION,
+      objectId(),
+      editor
+    );
+    const forAuthor = await revisionService.getHistory(
+      REVISION_TARGET_TYPES.ANSWER,
+      objectId(),
+      author
+    );
+    assert.equal(forAdmin[0].content, "x");
+    assert.equal(forAuthor[0].content, "x");
+  });
+});
+
+describe("questionService.rollbackQuestion", () => {
+  it("restores the revision content and records the rollback", async () => {
+    const questionId = objectId();
+    const adminId = objectId();
+    mock.method(Revision, "findOne", async () => ({
+      version: 2,
+      title: "Old title",
+      content: "Old content",
+    }));
+    const updateQuestion = mock.method(
+      questionService,
+      "updateQuestion",
+      async () => ({ slug: "old-title" })
+    );
+
+    await questionService.rollbackQuestion(questionId, objectId(), adminId);
+
+    assert.deepEqual(updateQuestion.mock.calls[0].arguments, [
+      questionId,
+      { title: "Old title", content: "Old content" },
+      adminId,
+      { rollbackTo: 2 },
+    ]);
+  });
+
+  it("fails for a revision of another question", async () => {
+    mock.method(Revision, "findOne", async () => null);
+
+    await assert.rejects(
+      questionService.rollbackQuestion(objectId(), objectId(), objectId()),
+      /Revízia nebola nájdená/
+    );
+  });
+});
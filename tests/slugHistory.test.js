@@ -0,0 +1,206 @@
+// tests/slugHistory.test.js
+import "./helpers/setup.js";
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Question from "../models/Question.js";
+import SlugHistory from "../models/SlugHistory.js";
+import slugService from "../services/slugService.js";
+import questionService from "../services/questionService.js";
+import { queryOf, objectId } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+// Вопросы по id для Question.findById
+const stubFindById = (...questions) => {
+  const byId = new Map(
+    questions.map((question) => [question._id.toString(), question])
+  );
+
+  return mock.method(Question, "findById", (id) =>
+    queryOf(byId.get(id.toString()) || null)
+  );
+};
+
+describe("slugService.updateQuestionSlug", () => {
+  it("keeps the previous slug as a redirect", async () => {
+    const question = new Question({ slug: "stary-nazov" });
+    stubFindById(question);
+    mock.method(Question.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(slugService, "isQuestionSlugExists", async () => false);
+    const record = mock.method(SlugHistory, "recordSlug", async () => ({}));
+    const forget = mock.method(SlugHistory, "deleteOne", async () => ({}));
+    const userId = objectId();
+
+    const slug = await slugService.updateQuestionSlug(
+      question._id,
+      "Novy nazov otazky",
+      userId
+    );
+
+    assert.equal(slug, "novy-nazov-otazky");
+    assert.equal(question.slug, "novy-nazov-otazky");
+    assert.deepEqual(record.mock.calls[0].arguments, [
+      "stary-nazov",
+      question._id,
+      userId,
+    ]);
+    // Возврат к прежнему slug убирает его из истории
+    assert.deepEqual(forget.mock.calls[0].arguments[0], {
+      slug: "novy-nazov-otazky",
+      question: question._id,
+    });
+  });
+
+  it("keeps the slug when the title produces the same one", async () => {
+    const question = new Question({ slug: "hypoteka-na-byt-2" });
+    stubFindById(question);
+    const record = mock.method(SlugHistory, "recordSlug", async () => ({}));
+
+    const slug = await slugService.updateQuestionSlug(
+      question._id,
+      "Hypotéka na byt"
+    );
+
+    assert.equal(slug, "hypoteka-na-byt-2");
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it("skips slugs taken by other questions or their history", async () => {
+    const question = new Question({ slug: "stary-nazov" });
+    stubFindById(question);
+    mock.method(Question.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(SlugHistory, "recordSlug", async () => ({}));
+    mock.method(SlugHistory, "deleteOne", async () => ({}));
+    const taken = mock.method(
+      slugService,
+      "isQuestionSlugExists",
+      async (slug) => slug === "leasing"
+    );
+
+    const slug = await slugService.updateQuestionSlug(question._id, "Leasing");
+
+    assert.equal(slug, "leasing-1");
+    assert.deepEqual(taken.mock.calls[0].arguments, ["leasing", question._id]);
+  });
+});
+
+describe("slugService.isQuestionSlugExists", () => {
+  it("treats a historical slug of another question as taken", async () => {
+    mock.method(Question, "findOne", () => queryOf(null));
+    const history = mock.method(SlugHistory, "findOne", async () => ({
+      slug: "leasing",
+    }));
+    const questionId = objectId();
+
+    assert.equal(
+      await slugService.isQuestionSlugExists("leasing", questionId),
+      true
+    );
+    assert.deepEqual(history.mock.calls[0].arguments[0], {
+      slug: "leasing",
+      question: { $ne: questionId },
+    });
+  });
+
+  it("reports a free slug", async () => {
+    mock.method(Question, "findOne", () => queryOf(null));
+    mock.method(SlugHistory, "findOne", async () => null);
+
+    assert.equal(await slugService.isQuestionSlugExists("volny"), false);
+  });
+});
+
+describe("slugService.getQuestionRedirect", () => {
+  it("redirects a previous slug to the current one", async () => {
+    const question = new Question({ slug: "novy" });
+    mock.method(Question, "findOne", () => queryOf(null));
+    mock.method(SlugHistory, "findOne", async () => ({
+      question: question._id,
+    }));
+    stubFindById(question);
+
+    assert.deepEqual(await slugService.getQuestionRedirect("stary"), {
+      slug: "novy",
+      statusCode: 301,
+      reason: "renamed",
+    });
+  });
+
+  it("sends a merged duplicate straight to the canonical question", async () => {
+    const canonical = new Question({ slug: "povodna" });
+    const duplicate = new Question({
+      slug: "duplikat",
+      duplicateOf: canonical._id,
+    });
+    mock.method(Question, "findOne", () => queryOf(null));
+    mock.method(SlugHistory, "findOne", async () => ({
+      question: duplicate._id,
+    }));
+    stubFindById(duplicate, canonical);
+
+    assert.deepEqual(await slugService.getQuestionRedirect("stary-duplikat"), {
+      slug: "povodna",
+      statusCode: 301,
+      reason: "duplicate",
+    });
+  });
+
+  it("does not redirect a current slug or an unknown one", async () => {
+    mock.method(Question, "findOne", () =>
+      queryOf(new Question({ slug: "aktualny" }))
+    );
+
+    assert.equal(await slugService.getQuestionRedirect("aktualny"), null);
+
+    Question.findOne.mock.mockImplementation(() => queryOf(null));
+    mock.method(SlugHistory, "findOne", async () => null);
+
+    assert.equal(await slugService.getQuestionRedirect("neznamy"), null);
+  });
+
+  it("ignores history of a question that no longer exists", async () => {
+    mock.method(Question, "findOne", () => queryOf(null));
+    mock.method(SlugHistory, "findOne", async () => ({
+      question: objectId(),
+    }));
+    stubFindById();
+
+    assert.equal(await slugService.getQuestionRedirect("stary"), null);
+  });
+});
+
+describe("GET /api/questions/:slug", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("answers with the redirect target instead of the question", async () => {
+    mock.method(slugService, "getQuestionRedirect", async () => ({
+      slug: "novy",
+      statusCode: 301,
+      reason: "renamed",
+    }));
+    const load = mock.method(questionService, "getQuestionBySlug");
+
+    const { status, body } = await server.request("/api/questions/stary");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.redirect, {
+      slug: "novy",
+      statusCode: 301,
+      reason: "renamed",
+    });
+    assert.equal(load.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,136 @@
+// tests/tags.test.js
+import "./helpers/setup.js";
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Tag from "../models/Tag.js";
+import tagService from "../services/tagService.js";
+import { CONTENT_LIMITS } from "../utils/constants.js";
+import { queryOf } from "./helpers/query.js";
+import { startServer } from "./helpers/http.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("tagService.normalizeTags", () => {
+  it("builds ascii slugs and drops duplicates", () => {
+    const tags = tagService.normalizeTags([
+      " Refinancovanie ",
+      "refinancovanie",
+      "Úver na bývanie",
+      "",
+      42,
+    ]);
+
+    assert.deepEqual(tags, [
+      { name: "Refinancovanie", slug: "refinancovanie" },
+      { name: "Úver na bývanie", slug: "uver-na-byvanie" },
+    ]);
+  });
+
+  it("accepts a comma separated string", () => {
+    const tags = tagService.normalizeTags("leasing, hypotéka");
+
+    assert.deepEqual(
+      tags.map((tag) => tag.slug),
+      ["leasing", "hypoteka"]
+    );
+  });
+
+  it("rejects tags outside the length limits", () => {
+    assert.throws(() => tagService.normalizeTags(["a"]), /Tag musí mať/);
+    assert.throws(
+      () =>
+        tagService.normalizeTags(["x".repeat(CONTENT_LIMITS.TAG_NAME_MAX + 1)]),
+      /Tag musí mať/
+    );
+  });
+
+  it("limits the number of tags per question", () => {
+    const tags = Array.from(
+      { length: CONTENT_LIMITS.QUESTION_TAGS_MAX + 1 },
+      (_, index) => `tag${index}`
+    );
+
+    assert.throws(
+      () => tagService.normalizeTags(tags),
+      /Maximálny počet tagov/
+    );
+  });
+});
+
+describe("tagService.parseTagFilter", () => {
+  it("ignores invalid tags in the filter", () => {
+    assert.deepEqual(tagService.parseTagFilter("leasing,a,Leasing,poistenie"), [
+      "leasing",
+      "poistenie",
+    ]);
+    assert.deepEqual(tagService.parseTagFilter(undefined), []);
+  });
+});
+
+describe("tagService.prepareTags", () => {
+  it("upserts missing tags and returns their slugs", async () => {
+    const bulkWrite = mock.method(Tag, "bulkWrite", async () => ({}));
+
+    const slugs = await tagService.prepareTags(["Leasing", "Hypotéka"]);
+
+    assert.deepEqual(slugs, ["leasing", "hypoteka"]);
+    const [operations] = bulkWrite.mock.calls[0].arguments;
+    assert.deepEqual(operations[1].updateOne.update, {
+      $setOnInsert: { name: "Hypotéka", slug: "hypoteka" },
+    });
+    assert.equal(operations[1].updateOne.upsert, true);
+  });
+
+  it("does not touch the database without tags", async () => {
+    const bulkWrite = mock.method(Tag, "bulkWrite", async () => ({}));
+
+    assert.deepEqual(await tagService.prepareTags([]), []);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe("GET /api/tags/autocomplete", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it("matches tags by a prefix without diacritics", async () => {
+    const autocomplete = mock.method(Tag, "autocomplete", () =>
+      queryOf([{ name: "Hypotéka", slug: "hypoteka" }])
+    );
+
+    const { status, body } = await server.request(
+      "/api/tags/autocomplete?q=hypoté&limit=50"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data[0].slug, "hypoteka");
+    assert.deepEqual(autocomplete.mock.calls[0].arguments, ["hypote", 20]);
+  });
+
+  it("returns nothing for an empty query", async () => {
+    const autocomplete = mock.method(Tag, "autocomplete", () => queryOf([]));
+
+    const { status, body } = await server.request("/api/tags/autocomplete");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, []);
+    assert.equal(autocomplete.mock.callCount(), 0);
+  });
+
+  it("rejects a repeated or too long query", async () => {
+    const repeated = await server.request("/api/tags/autocomplete?q=a&q=b");
+    const tooLong = await server.request(
+      `/api/tags/autocomplete?q=${"x".repeat(CONTENT_LIMITS.TAG_NAME_MAX + 1)}`
+    );
+
+    assert.equal(repeated.status, 400);
+    assert.equal(tooLong.status, 400);
+  });
+});
@@ -0,0 +1,392 @@
+// tests/trash.test.js
+import "./helpers/setup.js";
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Question from "../models/Question.js";
+import Answer from "../models/Answer.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import Like from "../models/Like.js";
+import QuestionWatch from "../models/QuestionWatch.js";
+import SlugHistory from "../models/SlugHistory.js";
+import questionService from "../services/questionService.js";
+import answerService from "../services/answerService.js";
+import commentService from "../services/commentService.js";
+import trashService from "../services/trashService.js";
+import categoryService from "../services/categoryService.js";
+import tagService from "../services/tagService.js";
+import revisionService from "../services/revisionService.js";
+import cryptoService from "../services/cryptoService.js";
+import { trashConfig } from "../config/trash.js";
+import { TRASH_TARGET_TYPES } from "../utils/constants.js";
+import { queryOf, objectId } from "./helpers/query.js";
+
+afterEach(() => mock.restoreAll());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Итоговый фильтр запроса: хуки отрабатывают, а обращение
+// к коллекции без соединения с базой падает
+const filterOf = async (query) => {
+  await query.exec().catch(() => {});
+  return query.getFilter();
+};
+
+const stubSave = (Model) =>
+  mock.method(Model.prototype, "save", async function () {
+    return this;
+  });
+
+describe("softDelete plugin", () => {
+  it("hides deleted documents from read queries", async () => {
+    assert.deepEqual(await filterOf(Question.find({ category: "auta" })), {
+      category: "auta",
+      deletedAt: null,
+    });
+    assert.deepEqual(await filterOf(Answer.countDocuments({})), {
+      deletedAt: null,
+    });
+  });
+
+  it("shows deleted documents on request", async () => {
+    assert.deepEqual(
+      await filterOf(Question.find({ deletedAt: { $ne: null } })),
+      { deletedAt: { $ne: null } }
+    );
+    assert.deepEqual(await filterOf(Comment.findOne({}).withDeleted()), {});
+  });
+
+  it("extends the first $match of an aggregation", async () => {
+    const aggregate = Answer.aggregate([
+      { $match: { $text: { $search: "hypotéka" } } },
+    ]);
+    await aggregate.exec().catch(() => {});
+
+    assert.deepEqual(aggregate.pipeline(), [
+      { $match: { $text: { $search: "hypotéka" }, deletedAt: null } },
+    ]);
+  });
+
+  it("prepends a $match to an aggregation without one", async () => {
+    const aggregate = Answer.aggregate([{ $group: { _id: "$expert" } }]);
+    await aggregate.exec().catch(() => {});
+
+    assert.deepEqual(aggregate.pipeline()[0], {
+      $match: { deletedAt: null },
+    });
+  });
+
+  it("marks and restores a document", async () => {
+    stubSave(Comment);
+    const userId = objectId();
+    const comment = new Comment({ content: "Text" });
+
+    await comment.softDelete(userId, "spam");
+
+    assert.equal(comment.isDeleted, true);
+    assert.equal(comment.deletedBy, userId);
+    assert.equal(comment.deletionReason, "spam");
+
+    await comment.restore();
+
+    assert.equal(comment.isDeleted, false);
+    assert.equal(comment.deletedBy, null);
+    assert.equal(comment.deletionReason, null);
+  });
+});
+
+describe("questionService trash", () => {
+  beforeEach(() => {
+    stubSave(Question);
+    mock.method(categoryService, "syncCounts", async () => {});
+    mock.method(tagService, "syncCounts", async () => {});
+  });
+
+  it("moves a question to the trash with its answers and comments", async () => {
+    const authorId = objectId();
+    const question = new Question({
+      author: authorId,
+      category: "auta",
+      tags: ["leasing"],
+    });
+    mock.method(Question, "findById", () => queryOf(question));
+    mock.method(User, "findById", () => queryOf({ role: "user" }));
+    const answers = mock.method(Answer, "updateMany", async () => ({}));
+    const comments = mock.method(Comment, "updateMany", async () => ({}));
+    const userUpdate = mock.method(User, "findByIdAndUpdate", async () => ({}));
+
+    await questionService.deleteQuestion(question._id, authorId, "duplicita");
+
+    const [answerFilter, answerUpdate] = answers.mock.calls[0].arguments;
+    assert.deepEqual(answerFilter, {
+      questionId: question._id,
+      deletedAt: null,
+    });
+    assert.equal(answerUpdate.deletedAt, question.deletedAt);
+    assert.equal(answerUpdate.deletionReason, "duplicita");
+    assert.equal(
+      comments.mock.calls[0].arguments[1].deletedAt,
+      question.deletedAt
+    );
+    assert.deepEqual(userUpdate.mock.calls[0].arguments[1], {
+      $inc: { totalQuestions: -1 },
+    });
+  });
+
+  it("lets only the author or an admin delete", async () => {
+    const question = new Question({ author: objectId() });
+    mock.method(Question, "findById", () => queryOf(question));
+    mock.method(User, "findById", () => queryOf({ role: "expert" }));
+    const answers = mock.method(Answer, "updateMany", async () => ({}));
+
+    await assert.rejects(
+      questionService.deleteQuestion(question._id, objectId()),
+      /Nemáte oprávnenie odstrániť túto otázku/
+    );
+    assert.equal(answers.mock.callCount(), 0);
+    assert.equal(question.deletedAt, null);
+  });
+
+  it("restores only the content deleted together with the question", async () => {
+    const deletedAt = new Date(Date.now() - DAY_MS);
+    const question = new Question({ author: objectId(), deletedAt });
+    mock.method(Question, "findOne", () => queryOf(question));
+    const answers = mock.method(Answer, "updateMany", async () => ({}));
+    const comments = mock.method(Comment, "updateMany", async () => ({}));
+    const userUpdate = mock.method(User, "findByIdAndUpdate", async () => ({}));
+
+    await questionService.restoreQuestion(question._id, objectId());
+
+    assert.deepEqual(answers.mock.calls[0].arguments[0], {
+      questionId: question._id,
+      deletedAt,
+    });
+    assert.equal(comments.mock.calls[0].arguments[0].deletedAt, deletedAt);
+    assert.equal(question.deletedAt, null);
+    assert.deepEqual(userUpdate.mock.calls[0].arguments[1], {
+      $inc: { totalQuestions: 1 },
+    });
+  });
+
+  it("fails to restore a question that is not in the trash", async () => {
+    mock.method(Question, "findOne", () => queryOf(null));
+
+    await assert.rejects(
+      questionService.restoreQuestion(objectId(), objectId()),
+      /Otázka nebola nájdená v koši/
+    );
+  });
+});
+
+describe("answerService.restoreAnswer", () => {
+  beforeEach(() => {
+    stubSave(Answer);
+    stubSave(Question);
+    mock.method(categoryService, "syncCounts", async () => {});
+  });
+
+  it("returns an approved answer to the question counters", async () => {
+    const question = new Question({ status: "pending", answersCount: 0 });
+    const answer = new Answer({
+      questionId: question._id,
+      isApproved: true,
+      deletedAt: new Date(),
+    });
+    mock.method(Answer, "findOne", () => queryOf(answer));
+    mock.method(Question, "findById", () => queryOf(question));
+
+    await answerService.restoreAnswer(answer._id, objectId());
+
+    assert.equal(answer.deletedAt, null);
+    assert.equal(question.answersCount, 1);
+    assert.equal(question.status, "answered");
+  });
+
+  it("drops the acceptance when the question has another accepted answer", async () => {
+    const question = new Question({ hasAcceptedAnswer: true });
+    const answer = new Answer({
+      questionId: question._id,
+      isAccepted: true,
+      acceptedAt: new Date(),
+      deletedAt: new Date(),
+    });
+    mock.method(Answer, "findOne", () => queryOf(answer));
+    mock.method(Question, "findById", () => queryOf(question));
+
+    await answerService.restoreAnswer(answer._id, objectId());
+
+    assert.equal(answer.isAccepted, false);
+    assert.equal(answer.acceptedAt, null);
+  });
+
+  it("requires the question to be restored first", async () => {
+    const answer = new Answer({ deletedAt: new Date() });
+    mock.method(Answer, "findOne", () => queryOf(answer));
+    mock.method(Question, "findById", () => queryOf(null));
+
+    await assert.rejects(
+      answerService.restoreAnswer(answer._id, objectId()),
+      /Najprv obnovte otázku/
+    );
+    assert.notEqual(answer.deletedAt, null);
+  });
+});
+
+describe("commentService trash", () => {
+  beforeEach(() => stubSave(Comment));
+
+  it("deletes replies with the comment and updates the counter", async () => {
+    const authorId = objectId();
+    const comment = new Comment({ author: authorId, questionId: objectId() });
+    mock.method(Comment, "findById", () => queryOf(comment));
+    mock.method(User, "findById", () => queryOf({ role: "user" }));
+    const replies = mock.method(Comment, "updateMany", async () => ({
+      modifiedCount: 2,
+    }));
+    const questionUpdate = mock.method(
+      Question,
+      "findByIdAndUpdate",
+      async () => ({})
+    );
+
+    await commentService.deleteComment(comment._id, authorId);
+
+    assert.equal(
+      replies.mock.calls[0].arguments[1].deletedAt,
+      comment.deletedAt
+    );
+    assert.deepEqual(questionUpdate.mock.calls[0].arguments[1], {
+      $inc: { commentsCount: -3 },
+    });
+  });
+
+  it("requires the parent comment before restoring a reply", async () => {
+    const comment = new Comment({
+      questionId: objectId(),
+      parentComment: objectId(),
+      deletedAt: new Date(),
+    });
+    mock.method(Comment, "findOne", () => queryOf(comment));
+    mock.method(Comment, "findById", () => queryOf(null));
+    mock.method(Question, "findById", () => queryOf({ _id: objectId() }));
+
+    await assert.rejects(
+      commentService.restoreComment(comment._id, objectId()),
+      /Najprv obnovte rodičovský komentár/
+    );
+  });
+
+  it("restores a comment with its replies", async () => {
+    const deletedAt = new Date();
+    const comment = new Comment({ questionId: objectId(), deletedAt });
+    mock.method(Comment, "findOne", () => queryOf(comment));
+    mock.method(Question, "findById", () => queryOf({ _id: objectId() }));
+    const replies = mock.method(Comment, "updateMany", async () => ({
+      modifiedCount: 1,
+    }));
+    const questionUpdate = mock.method(
+      Question,
+      "findByIdAndUpdate",
+      async () => ({})
+    );
+
+    await commentService.restoreComment(comment._id, objectId());
+
+    assert.deepEqual(replies.mock.calls[0].arguments[0], {
+      parentComment: comment._id,
+      deletedAt,
+    });
+    assert.equal(comment.deletedAt, null);
+    assert.deepEqual(questionUpdate.mock.calls[0].arguments[1], {
+      $inc: { commentsCount: 2 },
+    });
+  });
+});
+
+describe("trashService", () => {
+  it("lists trash items with their purge date", async () => {
+    const deletedAt = new Date("2026-10-01T00:00:00Z");
+    const find = mock.method(Answer, "find", () =>
+      queryOf([{ deletedAt, toObject: () => ({ deletedAt }) }])
+    );
+    mock.method(Answer, "countDocuments", async () => 1);
+    mock.method(cryptoService, "smartDecrypt", async () => {});
+
+    const result = await trashService.getTrash(TRASH_TARGET_TYPES.ANSWER);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      deletedAt: { $ne: null },
+    });
+    assert.equal(
+      result.data[0].purgeAt.getTime(),
+      deletedAt.getTime() + trashConfig.retentionDays * DAY_MS
+    );
+    assert.equal(result.retentionDays, trashConfig.retentionDays);
+  });
+
+  it("rejects an unknown content type", async () => {
+    await assert.rejects(trashService.getTrash("user"), /Neplatný typ obsahu/);
+    await assert.rejects(
+      trashService.restore("user", objectId(), objectId()),
+      /Neplatný typ obsahu/
+    );
+  });
+
+  it("purges expired questions with their related data", async () => {
+    const ids = [objectId(), objectId()];
+    const find = mock.method(Question, "find", () =>
+      queryOf(ids.map((_id) => ({ _id })))
+    );
+    mock.method(Answer, "find", () => queryOf([]));
+    mock.method(Comment, "find", () => queryOf([]));
+    const revisions = mock.method(
+      revisionService,
+      "deleteForTargets",
+      async () => {}
+    );
+    const likes = mock.method(Like, "deleteMany", async () => ({}));
+    const watches = mock.method(QuestionWatch, "deleteMany", async () => ({}));
+    const slugs = mock.method(SlugHistory, "deleteMany", async () => ({}));
+    const remove = mock.method(Question, "deleteMany", async () => ({
+      deletedCount: 2,
+    }));
+    const before = Date.now();
+
+    const result = await trashService.purgeExpired();
+
+    const cutoff = find.mock.calls[0].arguments[0].deletedAt.$lt;
+    assert.ok(
+      Math.abs(before - trashConfig.retentionDays * DAY_MS - cutoff) < 1000
+    );
+    assert.deepEqual(revisions.mock.calls[0].arguments[1], ids);
+    assert.deepEqual(likes.mock.calls[0].arguments[0].targetId, { $in: ids });
+    assert.deepEqual(watches.mock.calls[0].arguments[0], {
+      questionId: { $in: ids },
+    });
+    assert.deepEqual(slugs.mock.calls[0].arguments[0], {
+      question: { $in: ids },
+    });
+    assert.deepEqual(remove.mock.calls[0].arguments[0], {
+      _id: { $in: ids },
+      deletedAt: { $lt: cutoff },
+    });
+    assert.deepEqual(result, {
+      questions: 2,
+      answers: 0,
+      comments: 0,
+      total: 2,
+    });
+  });
+
+  it("does nothing when nothing has expired", async () => {
+    mock.method(Question, "find", () => queryOf([]));
+    mock.method(Answer, "find", () => queryOf([]));
+    mock.method(Comment, "find", () => queryOf([]));
+    const remove = mock.method(Question, "deleteMany", async () => ({}));
+
+    const result = await trashService.purgeExpired();
+
+    assert.equal(result.total, 0);
+    assert.equal(remove.mock.callCount(), 0);
+  });
+});
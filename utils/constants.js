@@ -19,6 +19,7 @@ export const ANSWER_ACTIONS = {
   REJECT: "reject", // Відхилення
   SOCIAL_PUBLISH: "social_publish", // Публікація в соцмережі
   SOCIAL_DELETE: "social_delete", // Видалення з соцмережі
+  ROLLBACK: "rollback", // Відкат до попередньої версії
 };
 
 // Статусы вопросов
@@ -71,6 +72,178 @@ export const REPORT_STATUS = {
   PENDING: "pending",
   REVIEWED: "reviewed",
   RESOLVED: "resolved",
+  DISMISSED: "dismissed",
+};
+
+// Меры по жалобе
+export const REPORT_ACTIONS = {
+  HIDE: "hide",
+  DELETE: "delete",
+  WARN: "warn",
+  TEMPORARY_BAN: "temporary_ban",
+  PERMANENT_BAN: "permanent_ban",
+  DISMISS: "dismiss",
+};
+
+// Типы элементов единой очереди модерации
+export const MODERATION_ITEM_TYPES = {
+  QUESTION: "question",
+  ANSWER: "answer",
+  COMMENT: "comment",
+  REPORT: "report",
+};
+
+// Сортировка очереди модерации
+export const MODERATION_QUEUE_SORT = {
+  AGE: "age",
+  RISK_SCORE: "riskScore",
+  REPORT_COUNT: "reportCount",
+};
+
+// Действия массовой модерации
+export const BULK_MODERATION_ACTIONS = {
+  APPROVE: "approve",
+  REJECT: "reject",
+  CLOSE: "close",
+  CHANGE_CATEGORY: "change_category",
+  DELETE: "delete",
+  REVIEW: "review",
+  RESOLVE: "resolve",
+  DISMISS: "dismiss",
+};
+
+// Допустимые действия массовой модерации по типам контента
+export const BULK_MODERATION_TYPE_ACTIONS = {
+  question: ["approve", "close", "change_category", "delete"],
+  answer: ["approve", "reject"],
+  comment: ["approve", "reject"],
+  report: ["review", "resolve", "dismiss"],
+};
+
+// Типы уведомлений
+export const NOTIFICATION_TYPES = {
+  NEW_QUESTION: "new_question",
+  NEW_ANSWER: "new_answer",
+  ANSWER_APPROVED: "answer_approved",
+  ANSWER_REJECTED: "answer_rejected",
+  ANSWER_ACCEPTED: "answer_accepted",
+  QUESTION_COMMENT: "question_comment",
+  COMMENT_REPLY: "comment_reply",
+  ROLE_CHANGED: "role_changed",
+  ACCOUNT_BANNED: "account_banned",
+  NEW_REPORT: "new_report",
+  WATCHED_QUESTION: "watched_question",
+  EXPERT_APPLICATION: "expert_application",
+  BADGE_AWARDED: "badge_awarded",
+  REPORT_RESOLVED: "report_resolved",
+  CONTENT_WARNING: "content_warning",
+  SYSTEM: "system",
+};
+
+// События, для которых пользователь может настроить уведомления
+export const NOTIFICATION_EVENTS = {
+  NEW_QUESTION: "newQuestion",
+  NEW_ANSWER: "newAnswer",
+  ANSWER_APPROVED: "answerApproved",
+  ANSWER_ACCEPTED: "answerAccepted",
+  NEW_COMMENT: "newComment",
+  ROLE_CHANGED: "roleChanged",
+  ACCOUNT_BANNED: "accountBanned",
+  NEW_REPORT: "newReport",
+  WATCHED_QUESTION: "watchedQuestion",
+  BADGE_AWARDED: "badgeAwarded",
+  REPORT_RESOLVED: "reportResolved",
+};
+
+// Соответствие типа уведомления событию в настройках
+export const NOTIFICATION_TYPE_EVENTS = {
+  [NOTIFICATION_TYPES.NEW_QUESTION]: NOTIFICATION_EVENTS.NEW_QUESTION,
+  [NOTIFICATION_TYPES.NEW_ANSWER]: NOTIFICATION_EVENTS.NEW_ANSWER,
+  [NOTIFICATION_TYPES.ANSWER_APPROVED]: NOTIFICATION_EVENTS.ANSWER_APPROVED,
+  [NOTIFICATION_TYPES.ANSWER_REJECTED]: NOTIFICATION_EVENTS.ANSWER_APPROVED,
+  [NOTIFICATION_TYPES.ANSWER_ACCEPTED]: NOTIFICATION_EVENTS.ANSWER_ACCEPTED,
+  [NOTIFICATION_TYPES.QUESTION_COMMENT]: NOTIFICATION_EVENTS.NEW_COMMENT,
+  [NOTIFICATION_TYPES.COMMENT_REPLY]: NOTIFICATION_EVENTS.NEW_COMMENT,
+  [NOTIFICATION_TYPES.ROLE_CHANGED]: NOTIFICATION_EVENTS.ROLE_CHANGED,
+  [NOTIFICATION_TYPES.ACCOUNT_BANNED]: NOTIFICATION_EVENTS.ACCOUNT_BANNED,
+  [NOTIFICATION_TYPES.NEW_REPORT]: NOTIFICATION_EVENTS.NEW_REPORT,
+  [NOTIFICATION_TYPES.WATCHED_QUESTION]: NOTIFICATION_EVENTS.WATCHED_QUESTION,
+  [NOTIFICATION_TYPES.EXPERT_APPLICATION]: NOTIFICATION_EVENTS.ROLE_CHANGED,
+  [NOTIFICATION_TYPES.BADGE_AWARDED]: NOTIFICATION_EVENTS.BADGE_AWARDED,
+  [NOTIFICATION_TYPES.REPORT_RESOLVED]: NOTIFICATION_EVENTS.REPORT_RESOLVED,
+  [NOTIFICATION_TYPES.CONTENT_WARNING]: NOTIFICATION_EVENTS.ACCOUNT_BANNED,
+};
+
+// Типы объектов подписки
+export const FOLLOW_TARGET_TYPES = {
+  EXPERT: "expert",
+  CATEGORY: "category",
+};
+
+// Типы объектов в корзине (мягкое удаление)
+export const TRASH_TARGET_TYPES = {
+  QUESTION: "question",
+  ANSWER: "answer",
+  COMMENT: "comment",
+};
+
+// Типы объектов с историей правок
+export const REVISION_TARGET_TYPES = {
+  QUESTION: "question",
+  ANSWER: "answer",
+};
+
+// События, за которые начисляется репутация
+export const REPUTATION_EVENTS = {
+  QUESTION_LIKED: "question_liked",
+  ANSWER_LIKED: "answer_liked",
+  ANSWER_ACCEPTED: "answer_accepted",
+  ANSWER_APPROVED: "answer_approved",
+  REPORT_UPHELD: "report_upheld",
+};
+
+// Критерии получения значков
+export const BADGE_CRITERIA = {
+  ACCEPTED_ANSWERS: "accepted_answers",
+  APPROVED_ANSWERS: "approved_answers",
+  LIKES_RECEIVED: "likes_received",
+  CATEGORY_ANSWERS: "category_answers",
+};
+
+// Рейтинг экспертов: периоды и показатели сортировки
+export const LEADERBOARD_PERIODS = {
+  WEEK: "week",
+  MONTH: "month",
+  ALL_TIME: "all-time",
+};
+
+export const LEADERBOARD_METRICS = {
+  ACCEPTED_ANSWERS: "acceptedAnswers",
+  APPROVED_ANSWERS: "approvedAnswers",
+  LIKES_RECEIVED: "likesReceived",
+  MODERATION_TURNAROUND: "avgModerationHours",
+};
+
+// Статусы заявок на роль эксперта
+export const EXPERT_APPLICATION_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+// Периодичность дайджеста активности
+export const DIGEST_FREQUENCY = {
+  NONE: "none",
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+// Статусы писем в очереди отправки
+export const EMAIL_OUTBOX_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SENT: "sent",
+  DEAD: "dead",
 };
 
 // Категории (заготовка)
@@ -131,6 +304,9 @@ export const CONTENT_LIMITS = {
   COMMENT_CONTENT_MIN: 5,
   COMMENT_CONTENT_MAX: 1000,
   BIO_MAX: 500,
+  TAG_NAME_MIN: 2,
+  TAG_NAME_MAX: 30,
+  QUESTION_TAGS_MAX: 5,
 };
 // Chybové správy
 export const ERROR_MESSAGES = {
@@ -188,6 +364,24 @@ export default {
   REPORT_TARGET_TYPES,
   REPORT_REASONS,
   REPORT_STATUS,
+  REPORT_ACTIONS,
+  MODERATION_ITEM_TYPES,
+  MODERATION_QUEUE_SORT,
+  BULK_MODERATION_ACTIONS,
+  BULK_MODERATION_TYPE_ACTIONS,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_TYPE_EVENTS,
+  FOLLOW_TARGET_TYPES,
+  TRASH_TARGET_TYPES,
+  REVISION_TARGET_TYPES,
+  REPUTATION_EVENTS,
+  BADGE_CRITERIA,
+  LEADERBOARD_PERIODS,
+  LEADERBOARD_METRICS,
+  EXPERT_APPLICATION_STATUS,
+  DIGEST_FREQUENCY,
+  EMAIL_OUTBOX_STATUS,
   DEFAULT_CATEGORIES,
   HTTP_STATUS,
   LOG_STATUS,
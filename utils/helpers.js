@@ -14,12 +14,14 @@ export const generateSlug = (text, options = {}) => {
 };
 
 // Генерация уникального slug для вопроса
-export const generateUniqueSlug = async (title, Model) => {
+// isTaken - своя проверка занятости (например, с учетом истории slug)
+export const generateUniqueSlug = async (title, Model, isTaken = null) => {
   let baseSlug = generateSlug(title);
   let slug = baseSlug;
   let counter = 1;
+  const checkTaken = isTaken || ((value) => Model.findOne({ slug: value }));
 
-  while (await Model.findOne({ slug })) {
+  while (await checkTaken(slug)) {
     slug = `${baseSlug}-${counter}`;
     counter++;
   }
@@ -166,6 +168,44 @@ export const createHash = (data) => {
   return Buffer.from(JSON.stringify(data)).toString("base64");
 };
 
+// Построчный diff двух текстов (по наибольшей общей подпоследовательности)
+export const diffLines = (oldText = "", newText = "") => {
+  const oldLines = oldText.split(/\r?\n/);
+  const newLines = newText.split(/\r?\n/);
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  // lcs[i][j] - длина общей подпоследовательности хвостов oldLines[i..] и newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && oldLines[i] === newLines[j]) {
+      diff.push({ type: "unchanged", line: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      diff.push({ type: "removed", line: oldLines[i] });
+      i++;
+    } else {
+      diff.push({ type: "added", line: newLines[j] });
+      j++;
+    }
+  }
+
+  return diff;
+};
+
 export default {
   generateSlug,
   generateUniqueSlug,
@@ -182,4 +222,5 @@ export default {
   truncateText,
   escapeHtml,
   createHash,
+  diffLines,
 };
@@ -0,0 +1,77 @@
+// utils/markdown.js
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { markdownConfig } from "../config/markdown.js";
+import { escapeHtml } from "./helpers.js";
+import { logError } from "../middlewares/logger.js";
+
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // Сырой HTML в исходнике не поддерживается, выводим его как текст
+    html({ text }) {
+      return escapeHtml(text);
+    },
+  },
+});
+
+const isTrustedLink = (href = "") => {
+  try {
+    const { hostname } = new URL(href);
+    return markdownConfig.trustedDomains.some(
+      (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+    );
+  } catch {
+    return false;
+  }
+};
+
+// Внешние ссылки открываются в новой вкладке и не передают вес
+const linkAttributes = (attribs) => {
+  const { href, title } = attribs;
+  const result = { href };
+  if (title) result.title = title;
+
+  if (!isTrustedLink(href)) {
+    result.rel = "nofollow noopener noreferrer";
+    result.target = "_blank";
+  }
+
+  return result;
+};
+
+const sanitizeOptions = {
+  allowedTags: markdownConfig.allowedTags,
+  allowedAttributes: markdownConfig.allowedAttributes,
+  allowedSchemes: markdownConfig.allowedSchemes,
+  allowProtocolRelative: false,
+  transformTags: {
+    h1: "h3",
+    h2: "h3",
+    h5: "h4",
+    h6: "h4",
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: linkAttributes(attribs),
+    }),
+  },
+};
+
+// Рендеринг Markdown в безопасный HTML
+export const renderMarkdown = (source = "") => {
+  if (!source) return "";
+
+  try {
+    const html = marked.parse(source, { async: false });
+    return sanitizeHtml(html, sanitizeOptions).trim();
+  } catch (error) {
+    logError(error, "renderMarkdown");
+    // При ошибке рендеринга отдаем исходник как обычный текст
+    return `<p>${escapeHtml(source)}</p>`;
+  }
+};
+
+export default {
+  renderMarkdown,
+};
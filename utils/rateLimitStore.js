@@ -0,0 +1,69 @@
+// utils/rateLimitStore.js
+import RateLimit from "../models/RateLimit.js";
+import config from "../config/index.js";
+
+// Префикс ключей счетчиков express-rate-limit в коллекции RateLimit
+export const STORE_KEY_PREFIX = "rl:";
+
+// Store для express-rate-limit на MongoDB: счетчики общие для всех процессов PM2
+// Истекшие записи удаляет TTL индекс по expiresAt
+export class MongoRateLimitStore {
+  constructor(name) {
+    this.prefix = `${STORE_KEY_PREFIX}${name}:`;
+    // Ключи общие для всех процессов, а не локальные для экземпляра
+    this.localKeys = false;
+    this.windowMs = config.RATE_LIMIT.WINDOW_MS;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  prefixKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const record = await RateLimit.findOne({
+      key: this.prefixKey(key),
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!record) return undefined;
+
+    return { totalHits: record.count, resetTime: record.expiresAt };
+  }
+
+  async increment(key) {
+    const record = await RateLimit.incrementKey(
+      this.prefixKey(key),
+      this.windowMs
+    );
+
+    return { totalHits: record.count, resetTime: record.expiresAt };
+  }
+
+  async decrement(key) {
+    await RateLimit.decrementKey(this.prefixKey(key));
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.prefixKey(key) });
+  }
+}
+
+// Store для лимитера по настройке RATE_LIMIT.STORE
+// undefined - express-rate-limit использует свой MemoryStore
+export const createRateLimitStore = (name) => {
+  if (config.RATE_LIMIT.STORE === "mongo") {
+    return new MongoRateLimitStore(name);
+  }
+
+  return undefined;
+};
+
+export default {
+  STORE_KEY_PREFIX,
+  MongoRateLimitStore,
+  createRateLimitStore,
+};